@@ -3,7 +3,7 @@ module.exports = {
   parserOptions: {
     ecmaVersion: 2020,
     sourceType: 'module',
-    project: './tsconfig.json'
+    project: ['./tsconfig.json', './tsconfig.test.json']
   },
   plugins: ['@typescript-eslint'],
   extends: [
@@ -17,7 +17,7 @@ module.exports = {
     jest: true,
     es6: true
   },
-  ignorePatterns: ['.eslintrc.js', 'dist/**/*', 'node_modules/**/*'],
+  ignorePatterns: ['.eslintrc.js', 'jest.config.js', 'dist/**/*', 'node_modules/**/*'],
   rules: {
     '@typescript-eslint/interface-name-prefix': 'off',
     '@typescript-eslint/explicit-function-return-type': 'off',
@@ -1,44 +1,50 @@
+require('dotenv').config();
 const { PrismaClient } = require('@prisma/client');
-const bcrypt = require('bcrypt');
+const bcrypt = require('bcryptjs');
 
 const prisma = new PrismaClient();
 
 async function createAdminUser() {
   try {
-    // Check if admin user already exists
-    const existingAdmin = await prisma.user.findUnique({
-      where: { email: process.env.ADMIN_EMAIL || 'admin@florka.com' }
-    });
+    const email = process.env.ADMIN_EMAIL;
+    const password = process.env.ADMIN_PASSWORD;
+
+    // Check if an admin user already exists
+    const adminCount = await prisma.adminUser.count();
 
-    if (existingAdmin) {
+    if (adminCount > 0) {
       console.log('✅ Admin user already exists');
       return;
     }
 
+    if (!email || !password) {
+      console.log('⚠️  Set ADMIN_EMAIL and ADMIN_PASSWORD to create the first admin user');
+      return;
+    }
+
+    if (password.length < 8) {
+      console.error('❌ ADMIN_PASSWORD must be at least 8 characters');
+      process.exit(1);
+    }
+
     // Hash the admin password
     const saltRounds = parseInt(process.env.BCRYPT_SALT_ROUNDS) || 12;
-    const hashedPassword = await bcrypt.hash(
-      process.env.ADMIN_PASSWORD || 'admin123',
-      saltRounds
-    );
+    const hashedPassword = await bcrypt.hash(password, saltRounds);
 
-    // Create admin user
-    const adminUser = await prisma.user.create({
+    // Create the first SUPER_ADMIN; further admins are invited from the admin console
+    const adminUser = await prisma.adminUser.create({
       data: {
-        email: process.env.ADMIN_EMAIL || 'admin@florka.com',
+        email,
         password: hashedPassword,
-        firstName: process.env.ADMIN_FIRST_NAME || 'Admin',
-        lastName: process.env.ADMIN_LAST_NAME || 'User',
-        role: 'admin',
-        status: 'active'
+        name: process.env.ADMIN_NAME || 'Administrator',
+        role: 'SUPER_ADMIN',
+        status: 'ACTIVE'
       }
     });
 
     console.log('✅ Admin user created successfully:');
     console.log(`   Email: ${adminUser.email}`);
-    console.log(`   Password: ${process.env.ADMIN_PASSWORD || 'admin123'}`);
     console.log(`   Role: ${adminUser.role}`);
-    console.log('\n⚠️  Please change the default password after first login!');
 
   } catch (error) {
     console.error('❌ Error creating admin user:', error.message);
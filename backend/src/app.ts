@@ -3,7 +3,20 @@ import cors from 'cors';
 import helmet from 'helmet';
 import dotenv from 'dotenv';
 import routes from './routes';
+import { globalRateLimit } from './middleware/rateLimit';
+import { requestLogger } from './middleware/requestLogger';
+import { logger } from './services/logger';
+import { globalErrorHandler, notFoundHandler } from './middleware/errorHandler';
+import { httpMetrics, metricsEndpoint, getMetricsToken } from './middleware/metrics';
+import { registerBusinessMetrics } from './services/businessMetricsService';
+import { getLiveness, getReadiness } from './controllers/healthController';
+import { markShuttingDown, isShuttingDown } from './services/healthService';
+import { disconnectDatabase } from './services/database';
 import { createDefaultAdmin } from './controllers/authController';
+import { ensureDefaultRoles } from './services/permissionService';
+import { scheduleTrashPurge } from './services/trashService';
+import { scheduleAccountDeletions } from './services/accountDataService';
+import { getMailTransport } from './services/mailer';
 
 // Load environment variables
 dotenv.config();
@@ -11,6 +24,24 @@ dotenv.config();
 const app = express();
 const PORT = process.env.PORT || 3001;
 
+// On SIGTERM the server keeps serving this long while /health/ready answers
+// 503, so load balancers see it and stop sending traffic before it closes
+const SHUTDOWN_DRAIN_MS = parseInt(process.env.SHUTDOWN_DRAIN_MS || '5000');
+
+// In-flight requests get this long to finish once the server stops accepting
+// connections
+const SHUTDOWN_TIMEOUT_MS = parseInt(process.env.SHUTDOWN_TIMEOUT_MS || '10000');
+
+// Fail fast when production has no way to deliver mail
+getMailTransport();
+
+// Fail fast when production would serve /metrics to anyone
+getMetricsToken();
+
+// Request ids, access logs and request metrics
+app.use(requestLogger);
+app.use(httpMetrics);
+
 // Security middleware
 app.use(helmet());
 
@@ -24,51 +55,80 @@ app.use(cors({
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
-// Health check endpoint
-app.get('/health', (req, res) => {
-  res.status(200).json({
-    status: 'OK',
-    timestamp: new Date().toISOString(),
-    uptime: process.uptime()
-  });
-});
+// Health checks: liveness for restarts, readiness for routing traffic.
+// /health is kept for existing monitors and reports readiness.
+app.get('/health/live', getLiveness);
+app.get('/health/ready', getReadiness);
+app.get('/health', getReadiness);
+
+// Prometheus metrics
+registerBusinessMetrics();
+app.get('/metrics', metricsEndpoint);
+
+// API routes, behind the global rate limit
+app.use('/api', globalRateLimit, routes);
 
-// API routes
-app.use('/api', routes);
+// Unknown routes and errors, in the shared error envelope
+app.use('*', notFoundHandler);
+app.use(globalErrorHandler);
 
-// Global error handler
-app.use((err: any, req: express.Request, res: express.Response, next: express.NextFunction) => {
-  console.error('Error:', err);
+const server = app.listen(PORT, async () => {
+  logger.info('Server running', {
+    port: PORT,
+    healthCheck: `http://localhost:${PORT}/health/ready`
+  });
   
-  const statusCode = err.statusCode || 500;
-  const message = process.env.NODE_ENV === 'production' 
-    ? 'Internal Server Error' 
-    : err.message || 'Something went wrong';
+  // Initialize default roles and admin user
+  await ensureDefaultRoles();
+  await createDefaultAdmin();
   
-  res.status(statusCode).json({
-    error: {
-      message,
-      ...(process.env.NODE_ENV !== 'production' && { stack: err.stack })
-    }
-  });
+  // Hard-delete users and projects whose retention period has passed
+  scheduleTrashPurge();
+  
+  // Erase accounts whose deletion grace period is over
+  scheduleAccountDeletions();
 });
 
-// 404 handler
-app.use('*', (req, res) => {
-  res.status(404).json({
-    error: {
-      message: 'Route not found',
-      path: req.originalUrl
-    }
+// Stop accepting connections, let in-flight requests finish, then close the
+// database connections. Requests still open after the timeout are cut off.
+const closeServer = () => {
+  setTimeout(() => {
+    logger.warn('Shutdown timed out, closing open connections', { timeoutMs: SHUTDOWN_TIMEOUT_MS });
+    server.closeAllConnections();
+  }, SHUTDOWN_TIMEOUT_MS).unref();
+  
+  server.close((closeError) => {
+    disconnectDatabase()
+      .then(() => {
+        logger.info('Shutdown complete');
+        process.exit(closeError ? 1 : 0);
+      })
+      .catch((error) => {
+        logger.error('Error disconnecting from the database', { error });
+        process.exit(1);
+      });
   });
-});
+  
+  // Idle keep-alive connections would otherwise hold the server open
+  server.closeIdleConnections();
+};
 
-app.listen(PORT, async () => {
-  console.log(`🚀 Server running on port ${PORT}`);
-  console.log(`📊 Health check available at http://localhost:${PORT}/health`);
+// Report not ready first and keep serving through the drain delay. Ctrl-C
+// (SIGINT) has no load balancer to wait for and closes straight away.
+const shutdown = (signal: NodeJS.Signals) => {
+  if (isShuttingDown()) {
+    return;
+  }
   
-  // Initialize default admin user
-  await createDefaultAdmin();
-});
+  markShuttingDown();
+  
+  const drainMs = signal === 'SIGTERM' ? SHUTDOWN_DRAIN_MS : 0;
+  logger.info('Shutting down', { signal, drainMs });
+  
+  setTimeout(closeServer, drainMs);
+};
+
+process.on('SIGTERM', shutdown);
+process.on('SIGINT', shutdown);
 
 export default app;
\ No newline at end of file
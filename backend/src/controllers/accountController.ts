@@ -0,0 +1,89 @@
+import { Request, Response, NextFunction } from 'express';
+import bcrypt from 'bcryptjs';
+import { z } from 'zod';
+import {
+  ACCOUNT_DELETION_GRACE_DAYS,
+  buildAccountExport,
+  scheduleAccountDeletion,
+  cancelAccountDeletion as cancelScheduledDeletion
+} from '../services/accountDataService';
+import { prisma } from '../services/database';
+import { AppError } from '../middleware/errorHandler';
+
+// Validation schemas
+export const deleteAccountSchema = z.object({
+  password: z.string().min(1, 'Password is required')
+});
+
+// Download everything stored about the signed-in user as a JSON file
+export const exportAccountData = async (req: Request, res: Response, next: NextFunction) => {
+  try {
+    const data = await buildAccountExport(req.user!.userId);
+    
+    if (!data) {
+      throw new AppError('User not found', 404);
+    }
+    
+    const date = data.exportedAt.slice(0, 10);
+    res.setHeader('Content-Disposition', `attachment; filename="account-export-${date}.json"`);
+    res.json(data);
+    
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Request the deletion of the signed-in account. It is erased once the grace
+// period is over unless the user cancels.
+export const deleteAccount = async (req: Request, res: Response, next: NextFunction) => {
+  try {
+    const { password } = deleteAccountSchema.parse(req.body);
+    
+    const user = await prisma.user.findUnique({
+      where: { id: req.user!.userId }
+    });
+    
+    if (!user) {
+      throw new AppError('User not found', 404);
+    }
+    
+    if (!user.password) {
+      throw new AppError('This account has no password yet. Add an email address, then use "Forgot password" to set one', 400);
+    }
+    
+    const isPasswordValid = await bcrypt.compare(password, user.password);
+    if (!isPasswordValid) {
+      throw new AppError('Password is incorrect', 400, 'AUTH_INVALID_CREDENTIALS');
+    }
+    
+    if (user.deletionScheduledAt) {
+      throw new AppError('Account deletion is already scheduled', 409);
+    }
+    
+    const deletionScheduledAt = await scheduleAccountDeletion(user);
+    
+    res.status(202).json({
+      message: `Your account will be deleted in ${ACCOUNT_DELETION_GRACE_DAYS} days. You can cancel until then.`,
+      deletionScheduledAt
+    });
+    
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Cancel a pending account deletion
+export const cancelAccountDeletion = async (req: Request, res: Response, next: NextFunction) => {
+  try {
+    if (!await cancelScheduledDeletion(req.user!.userId)) {
+      throw new AppError('No account deletion is scheduled', 400);
+    }
+    
+    res.json({
+      message: 'Account deletion cancelled'
+    });
+    
+  } catch (error) {
+    next(error);
+  }
+};
@@ -1,79 +1,65 @@
 import { Request, Response, NextFunction } from 'express';
-import { PrismaClient } from '@prisma/client';
 import { z } from 'zod';
-
-const prisma = new PrismaClient();
-
-// Error class
-class AppError extends Error {
-  statusCode: number;
-  
-  constructor(message: string, statusCode: number) {
-    super(message);
-    this.statusCode = statusCode;
-  }
-}
+import { revokeAllUserTokens } from '../services/tokenService';
+import { unlockAccount, clearedLockout } from '../services/lockoutService';
+import { recordAuditLog } from '../services/auditLogService';
+import { TRASH_RETENTION_DAYS } from '../services/trashService';
+import { userRepository } from '../repositories/userRepository';
+import { projectRepository } from '../repositories/projectRepository';
+import { adminRepository } from '../repositories/adminRepository';
+import { AppError } from '../middleware/errorHandler';
+import { paginationSchema, userStatusSchema, projectStatusSchema } from '../utils/validation';
 
 // Validation schemas
-const updateUserStatusSchema = z.object({
+export const updateUserStatusSchema = z.object({
   status: z.enum(['ACTIVE', 'INACTIVE', 'SUSPENDED', 'PENDING_VERIFICATION'])
 });
 
-const updateProjectStatusSchema = z.object({
+export const updateProjectStatusSchema = z.object({
   status: z.enum(['DRAFT', 'PUBLISHED', 'ARCHIVED', 'UNDER_REVIEW'])
 });
 
+export const userFiltersSchema = paginationSchema.extend({
+  search: z.string().optional(),
+  status: userStatusSchema.optional()
+});
+
+export const projectFiltersSchema = paginationSchema.extend({
+  search: z.string().optional(),
+  status: projectStatusSchema.optional()
+});
+
 // Get admin dashboard stats
 export const getAdminStats = async (req: Request, res: Response, next: NextFunction) => {
   try {
-    const [userStats, projectStats, recentActivity] = await Promise.all([
-      // User statistics
-      prisma.user.groupBy({
-        by: ['status'],
-        _count: {
-          id: true
-        }
-      }),
+    // Trashed users and projects are not counted
+    const [userStats, projectStats, recentActivity, totalUsers, totalProjects, totalAdmins] = await Promise.all([
+      userRepository.countByStatus(),
+      projectRepository.countByStatus(),
       
-      // Project statistics
-      prisma.project.groupBy({
-        by: ['status'],
-        _count: {
-          id: true
+      // Recent users (last 7 days)
+      userRepository.count({
+        createdAt: {
+          gte: new Date(Date.now() - 7 * 24 * 60 * 60 * 1000)
         }
       }),
       
-      // Recent users (last 7 days)
-      prisma.user.count({
-        where: {
-          createdAt: {
-            gte: new Date(Date.now() - 7 * 24 * 60 * 60 * 1000)
-          }
-        }
-      })
+      // Total counts
+      userRepository.count(),
+      projectRepository.count(),
+      adminRepository.count()
     ]);
     
-    // Total counts
-    const totalUsers = await prisma.user.count();
-    const totalProjects = await prisma.project.count();
-    const totalAdmins = await prisma.adminUser.count();
-    
     res.json({
       stats: {
         users: {
           total: totalUsers,
-          byStatus: userStats.reduce((acc, stat) => {
-            acc[stat.status] = stat._count.id;
-            return acc;
-          }, {} as Record<string, number>),
+          byStatus: userStats,
           recentSignups: recentActivity
         },
         projects: {
           total: totalProjects,
-          byStatus: projectStats.reduce((acc, stat) => {
-            acc[stat.status] = stat._count.id;
-            return acc;
-          }, {} as Record<string, number>)
+          byStatus: projectStats
         },
         admins: {
           total: totalAdmins
@@ -89,15 +75,12 @@ export const getAdminStats = async (req: Request, res: Response, next: NextFunct
 // Get all users with pagination
 export const getAllUsers = async (req: Request, res: Response, next: NextFunction) => {
   try {
-    const page = parseInt(req.query.page as string) || 1;
-    const limit = parseInt(req.query.limit as string) || 10;
-    const search = req.query.search as string;
-    const status = req.query.status as string;
+    const { page, limit, search, status } = userFiltersSchema.parse(req.query);
     
     const skip = (page - 1) * limit;
     
-    // Build where clause
-    const where: any = {};
+    // Build where clause (trashed rows only show up in the trash)
+    const where: any = { deletedAt: null };
     
     if (search) {
       where.OR = [
@@ -111,33 +94,32 @@ export const getAllUsers = async (req: Request, res: Response, next: NextFunctio
       where.status = status;
     }
     
-    const [users, total] = await Promise.all([
-      prisma.user.findMany({
-        where,
-        skip,
-        take: limit,
-        select: {
-          id: true,
-          email: true,
-          firstName: true,
-          lastName: true,
-          role: true,
-          status: true,
-          emailVerified: true,
-          createdAt: true,
-          lastLogin: true,
-          _count: {
-            select: {
-              projects: true
-            }
+    const { users, total } = await userRepository.findPage({
+      where,
+      skip,
+      take: limit,
+      select: {
+        id: true,
+        email: true,
+        firstName: true,
+        lastName: true,
+        role: true,
+        status: true,
+        emailVerified: true,
+        failedLoginAttempts: true,
+        lockedUntil: true,
+        createdAt: true,
+        lastLogin: true,
+        _count: {
+          select: {
+            projects: true
           }
-        },
-        orderBy: {
-          createdAt: 'desc'
         }
-      }),
-      prisma.user.count({ where })
-    ]);
+      },
+      orderBy: {
+        createdAt: 'desc'
+      }
+    });
     
     res.json({
       users,
@@ -159,8 +141,8 @@ export const getUserById = async (req: Request, res: Response, next: NextFunctio
   try {
     const { id } = req.params;
     
-    const user = await prisma.user.findUnique({
-      where: { id },
+    const user = await userRepository.find({
+      where: { id: id!, deletedAt: null },
       select: {
         id: true,
         email: true,
@@ -169,6 +151,8 @@ export const getUserById = async (req: Request, res: Response, next: NextFunctio
         role: true,
         status: true,
         emailVerified: true,
+        failedLoginAttempts: true,
+        lockedUntil: true,
         createdAt: true,
         lastLogin: true,
         projects: {
@@ -202,16 +186,14 @@ export const updateUserStatus = async (req: Request, res: Response, next: NextFu
     const { id } = req.params;
     const validatedData = updateUserStatusSchema.parse(req.body);
     
-    const user = await prisma.user.findUnique({
-      where: { id }
-    });
+    const user = await userRepository.findById(id!);
     
     if (!user) {
       throw new AppError('User not found', 404);
     }
     
-    const updatedUser = await prisma.user.update({
-      where: { id },
+    const updatedUser = await userRepository.update({
+      where: { id: user.id },
       data: {
         status: validatedData.status
       },
@@ -224,20 +206,55 @@ export const updateUserStatus = async (req: Request, res: Response, next: NextFu
       }
     });
     
+    // Sign the user out everywhere once the account is disabled
+    if (['SUSPENDED', 'INACTIVE'].includes(validatedData.status) && user.status !== validatedData.status) {
+      await revokeAllUserTokens(user.id, user.role);
+    }
+    
+    await recordAuditLog(req, {
+      action: 'user.status.update',
+      targetType: 'User',
+      targetId: user.id,
+      before: user,
+      after: updatedUser
+    });
+    
     res.json({
       message: 'User status updated successfully',
       user: updatedUser
     });
     
   } catch (error) {
-    if (error instanceof z.ZodError) {
-      return res.status(400).json({
-        error: {
-          message: 'Validation failed',
-          details: error.errors
-        }
-      });
+    next(error);
+  }
+};
+
+// Unlock a user locked out by failed logins
+export const unlockUser = async (req: Request, res: Response, next: NextFunction) => {
+  try {
+    const { id } = req.params;
+    
+    const user = await userRepository.findById(id!);
+    
+    if (!user) {
+      throw new AppError('User not found', 404);
     }
+    
+    await unlockAccount(user, req.user!.userId);
+    
+    await recordAuditLog(req, {
+      action: 'user.unlock',
+      targetType: 'User',
+      targetId: user.id,
+      before: user,
+      after: clearedLockout
+    });
+    
+    res.json({
+      message: 'User unlocked successfully'
+    });
+    
+  } catch (error) {
     next(error);
   }
 };
@@ -247,21 +264,28 @@ export const deleteUser = async (req: Request, res: Response, next: NextFunction
   try {
     const { id } = req.params;
     
-    const user = await prisma.user.findUnique({
-      where: { id }
-    });
+    const user = await userRepository.findById(id!);
     
     if (!user) {
       throw new AppError('User not found', 404);
     }
     
-    // Delete user and related data
-    await prisma.user.delete({
-      where: { id }
+    // Move the user to the trash; it is purged after the retention period
+    const deletedUser = await userRepository.softDelete(user.id, req.user!.userId);
+    
+    // A deleted account is signed out everywhere
+    await revokeAllUserTokens(user.id, user.role);
+    
+    await recordAuditLog(req, {
+      action: 'user.delete',
+      targetType: 'User',
+      targetId: user.id,
+      before: user,
+      after: { deletedAt: deletedUser.deletedAt }
     });
     
     res.json({
-      message: 'User deleted successfully'
+      message: `User moved to the trash, it can be restored for ${TRASH_RETENTION_DAYS} days`
     });
     
   } catch (error) {
@@ -272,15 +296,12 @@ export const deleteUser = async (req: Request, res: Response, next: NextFunction
 // Get all projects for admin
 export const getAllProjects = async (req: Request, res: Response, next: NextFunction) => {
   try {
-    const page = parseInt(req.query.page as string) || 1;
-    const limit = parseInt(req.query.limit as string) || 10;
-    const search = req.query.search as string;
-    const status = req.query.status as string;
+    const { page, limit, search, status } = projectFiltersSchema.parse(req.query);
     
     const skip = (page - 1) * limit;
     
-    // Build where clause
-    const where: any = {};
+    // Build where clause (trashed rows only show up in the trash)
+    const where: any = { deletedAt: null };
     
     if (search) {
       where.OR = [
@@ -293,33 +314,31 @@ export const getAllProjects = async (req: Request, res: Response, next: NextFunc
       where.status = status;
     }
     
-    const [projects, total] = await Promise.all([
-      prisma.project.findMany({
-        where,
-        skip,
-        take: limit,
-        select: {
-          id: true,
-          title: true,
-          description: true,
-          status: true,
-          createdAt: true,
-          updatedAt: true,
-          user: {
-            select: {
-              id: true,
-              email: true,
-              firstName: true,
-              lastName: true
-            }
+    const { projects, total } = await projectRepository.findPage({
+      where,
+      skip,
+      take: limit,
+      select: {
+        id: true,
+        title: true,
+        description: true,
+        isPublic: true,
+        status: true,
+        createdAt: true,
+        updatedAt: true,
+        user: {
+          select: {
+            id: true,
+            email: true,
+            firstName: true,
+            lastName: true
           }
-        },
-        orderBy: {
-          createdAt: 'desc'
         }
-      }),
-      prisma.project.count({ where })
-    ]);
+      },
+      orderBy: {
+        createdAt: 'desc'
+      }
+    });
     
     res.json({
       projects,
@@ -342,16 +361,14 @@ export const updateProjectStatus = async (req: Request, res: Response, next: Nex
     const { id } = req.params;
     const validatedData = updateProjectStatusSchema.parse(req.body);
     
-    const project = await prisma.project.findUnique({
-      where: { id }
-    });
+    const project = await projectRepository.findById(id!);
     
     if (!project) {
       throw new AppError('Project not found', 404);
     }
     
-    const updatedProject = await prisma.project.update({
-      where: { id },
+    const updatedProject = await projectRepository.update({
+      where: { id: project.id },
       data: {
         status: validatedData.status
       },
@@ -362,20 +379,20 @@ export const updateProjectStatus = async (req: Request, res: Response, next: Nex
       }
     });
     
+    await recordAuditLog(req, {
+      action: 'project.status.update',
+      targetType: 'Project',
+      targetId: project.id,
+      before: project,
+      after: updatedProject
+    });
+    
     res.json({
       message: 'Project status updated successfully',
       project: updatedProject
     });
     
   } catch (error) {
-    if (error instanceof z.ZodError) {
-      return res.status(400).json({
-        error: {
-          message: 'Validation failed',
-          details: error.errors
-        }
-      });
-    }
     next(error);
   }
 };
@@ -385,21 +402,25 @@ export const deleteProject = async (req: Request, res: Response, next: NextFunct
   try {
     const { id } = req.params;
     
-    const project = await prisma.project.findUnique({
-      where: { id }
-    });
+    const project = await projectRepository.findById(id!);
     
     if (!project) {
       throw new AppError('Project not found', 404);
     }
     
-    // Delete project
-    await prisma.project.delete({
-      where: { id }
+    // Move the project to the trash; it is purged after the retention period
+    const deletedProject = await projectRepository.softDelete(project.id, req.user!.userId);
+    
+    await recordAuditLog(req, {
+      action: 'project.delete',
+      targetType: 'Project',
+      targetId: project.id,
+      before: project,
+      after: { deletedAt: deletedProject.deletedAt }
     });
     
     res.json({
-      message: 'Project deleted successfully'
+      message: `Project moved to the trash, it can be restored for ${TRASH_RETENTION_DAYS} days`
     });
     
   } catch (error) {
@@ -0,0 +1,155 @@
+import { Request, Response } from 'express';
+import { adminRepository } from '../repositories/adminRepository';
+import { AppError } from '../middleware/errorHandler';
+import {
+  inviteAdmin,
+  updateAdmin,
+  updateAdminStatus,
+  resendAdminInvitation,
+  deleteAdminInvitation
+} from './adminUserController';
+
+jest.mock('../services/database', () => ({ prisma: { userRole: { findUnique: jest.fn() } } }));
+jest.mock('../services/tokenService', () => ({ revokeAllUserTokens: jest.fn() }));
+jest.mock('../services/adminInvitationService', () => ({ sendAdminInvitation: jest.fn() }));
+jest.mock('../services/auditLogService', () => ({ recordAuditLog: jest.fn() }));
+jest.mock('../repositories/adminRepository', () => ({
+  adminRepository: {
+    find: jest.fn(),
+    findById: jest.fn(),
+    findByEmail: jest.fn(),
+    count: jest.fn(),
+    create: jest.fn(),
+    update: jest.fn(),
+    delete: jest.fn()
+  }
+}));
+
+const mockRepository = adminRepository as unknown as Record<keyof typeof adminRepository, jest.Mock>;
+
+type Handler = (req: Request, res: Response, next: (error?: unknown) => void) => Promise<void>;
+
+interface StoredAdmin {
+  id: string;
+  email: string;
+  name: string;
+  role: string;
+  roleId: string | null;
+  status: string;
+}
+
+const admins: Record<string, StoredAdmin> = {
+  admin: { id: 'admin', email: 'admin@example.com', name: 'Admin', role: 'ADMIN', roleId: null, status: 'ACTIVE' },
+  other: { id: 'other', email: 'other@example.com', name: 'Other', role: 'ADMIN', roleId: null, status: 'ACTIVE' },
+  super: { id: 'super', email: 'super@example.com', name: 'Super', role: 'SUPER_ADMIN', roleId: null, status: 'ACTIVE' },
+  otherSuper: { id: 'otherSuper', email: 'super2@example.com', name: 'Super 2', role: 'SUPER_ADMIN', roleId: null, status: 'ACTIVE' },
+  invitedSuper: { id: 'invitedSuper', email: 'new@example.com', name: 'New', role: 'SUPER_ADMIN', roleId: null, status: 'INVITED' }
+};
+
+// Run a handler as the given admin; resolves with the error passed to next
+const run = async (handler: Handler, actor: StoredAdmin, { id, body }: { id?: string; body?: unknown } = {}) => {
+  const req = { user: { userId: actor.id, role: actor.role }, params: { id }, body: body ?? {} } as unknown as Request;
+  const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+  let error: unknown;
+  
+  await handler(req, res as unknown as Response, (nextError) => {
+    error = nextError;
+  });
+  
+  return { error: error as AppError | undefined };
+};
+
+beforeEach(() => {
+  mockRepository.findById.mockImplementation((id: string) => Promise.resolve(admins[id] ?? null));
+  mockRepository.findByEmail.mockResolvedValue(null);
+  mockRepository.count.mockResolvedValue(1);
+  mockRepository.create.mockImplementation(({ data }: { data: object }) => Promise.resolve({ id: 'created', ...data }));
+  mockRepository.update.mockImplementation(({ where, data }: { where: { id: string }; data: object }) =>
+    Promise.resolve({ ...admins[where.id], ...data }));
+});
+
+describe('admin management by an ADMIN with admins.manage', () => {
+  it('cannot invite a SUPER_ADMIN', async () => {
+    const { error } = await run(inviteAdmin, admins.admin!, {
+      body: { email: 'new@example.com', name: 'New', role: 'SUPER_ADMIN' }
+    });
+    
+    expect(error).toMatchObject({ statusCode: 403 });
+    expect(mockRepository.create).not.toHaveBeenCalled();
+  });
+  
+  it('can invite an ADMIN', async () => {
+    const { error } = await run(inviteAdmin, admins.admin!, { body: { email: 'new@example.com', name: 'New' } });
+    
+    expect(error).toBeUndefined();
+    expect(mockRepository.create).toHaveBeenCalledWith({ data: expect.objectContaining({ role: 'ADMIN' }) as object });
+  });
+  
+  it('cannot promote an admin to SUPER_ADMIN', async () => {
+    const { error } = await run(updateAdmin, admins.admin!, { id: 'other', body: { role: 'SUPER_ADMIN' } });
+    
+    expect(error).toMatchObject({ statusCode: 403 });
+    expect(mockRepository.update).not.toHaveBeenCalled();
+  });
+  
+  it('cannot demote or edit a SUPER_ADMIN', async () => {
+    expect((await run(updateAdmin, admins.admin!, { id: 'super', body: { role: 'ADMIN' } })).error).toMatchObject({
+      statusCode: 403
+    });
+    expect((await run(updateAdmin, admins.admin!, { id: 'super', body: { name: 'Renamed' } })).error).toMatchObject({
+      statusCode: 403
+    });
+    expect(mockRepository.update).not.toHaveBeenCalled();
+  });
+  
+  it('cannot deactivate a SUPER_ADMIN', async () => {
+    const { error } = await run(updateAdminStatus, admins.admin!, { id: 'super', body: { status: 'INACTIVE' } });
+    
+    expect(error).toMatchObject({ statusCode: 403 });
+    expect(mockRepository.update).not.toHaveBeenCalled();
+  });
+  
+  it('cannot resend or cancel a SUPER_ADMIN invitation', async () => {
+    expect((await run(resendAdminInvitation, admins.admin!, { id: 'invitedSuper' })).error).toMatchObject({ statusCode: 403 });
+    expect((await run(deleteAdminInvitation, admins.admin!, { id: 'invitedSuper' })).error).toMatchObject({ statusCode: 403 });
+    expect(mockRepository.delete).not.toHaveBeenCalled();
+  });
+  
+  it('cannot change their own permission overrides', async () => {
+    const { error } = await run(updateAdmin, admins.admin!, { id: 'admin', body: { permissions: ['admins.manage', 'roles.manage'] } });
+    
+    expect(error).toMatchObject({ statusCode: 400, message: 'You cannot change your own permissions' });
+    expect(mockRepository.update).not.toHaveBeenCalled();
+  });
+  
+  it('can still manage other ADMINs', async () => {
+    const { error } = await run(updateAdmin, admins.admin!, { id: 'other', body: { permissions: ['news.publish'] } });
+    
+    expect(error).toBeUndefined();
+    expect(mockRepository.update).toHaveBeenCalledWith(expect.objectContaining({
+      data: { permissions: '["news.publish"]' }
+    }));
+  });
+});
+
+describe('admin management by a SUPER_ADMIN', () => {
+  it('can invite and promote SUPER_ADMINs', async () => {
+    expect((await run(inviteAdmin, admins.super!, {
+      body: { email: 'new@example.com', name: 'New', role: 'SUPER_ADMIN' }
+    })).error).toBeUndefined();
+    expect((await run(updateAdmin, admins.super!, { id: 'other', body: { role: 'SUPER_ADMIN' } })).error).toBeUndefined();
+  });
+  
+  it('can deactivate another SUPER_ADMIN while one stays active', async () => {
+    const { error } = await run(updateAdminStatus, admins.super!, { id: 'otherSuper', body: { status: 'INACTIVE' } });
+    
+    expect(error).toBeUndefined();
+    expect(mockRepository.update).toHaveBeenCalledWith(expect.objectContaining({ data: { status: 'INACTIVE' } }));
+  });
+  
+  it('cannot change their own permission overrides either', async () => {
+    const { error } = await run(updateAdmin, admins.super!, { id: 'super', body: { permissions: ['-audit.view'] } });
+    
+    expect(error).toMatchObject({ statusCode: 400 });
+  });
+});
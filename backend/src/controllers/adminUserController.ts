@@ -0,0 +1,384 @@
+import { Request, Response, NextFunction } from 'express';
+import { z } from 'zod';
+import { revokeAllUserTokens } from '../services/tokenService';
+import { sendAdminInvitation } from '../services/adminInvitationService';
+import { SUPER_ADMIN_ROLE, isPermissionOverride } from '../services/permissionService';
+import { recordAuditLog } from '../services/auditLogService';
+import { adminRepository } from '../repositories/adminRepository';
+import { prisma } from '../services/database';
+import { AppError } from '../middleware/errorHandler';
+
+// Validation schemas
+const adminRoleSchema = z.enum(['ADMIN', 'SUPER_ADMIN']);
+
+export const inviteAdminSchema = z.object({
+  email: z.string().email('Invalid email format'),
+  name: z.string().trim().min(1, 'Name is required').max(100, 'Name too long'),
+  role: adminRoleSchema.default('ADMIN'),
+  roleId: z.string().nullable().optional(),
+  department: z.string().max(100, 'Department too long').nullable().optional()
+});
+
+export const updateAdminSchema = z.object({
+  name: z.string().trim().min(1, 'Name is required').max(100, 'Name too long').optional(),
+  role: adminRoleSchema.optional(),
+  roleId: z.string().nullable().optional(),
+  department: z.string().max(100, 'Department too long').nullable().optional(),
+  permissions: z.array(z.string().refine(isPermissionOverride, 'Unknown permission')).nullable().optional()
+});
+
+export const updateAdminStatusSchema = z.object({
+  status: z.enum(['ACTIVE', 'INACTIVE'])
+});
+
+// Fields shown in the console; never the password or invitation token
+const adminSelect = {
+  id: true,
+  email: true,
+  name: true,
+  role: true,
+  roleId: true,
+  assignedRole: { select: { id: true, name: true } },
+  status: true,
+  department: true,
+  permissions: true,
+  twoFactorEnabled: true,
+  inviteTokenExpiry: true,
+  invitedById: true,
+  lastLogin: true,
+  createdAt: true
+};
+
+const findAdmin = async (id: string) => {
+  const admin = await adminRepository.findById(id);
+  
+  if (!admin) {
+    throw new AppError('Admin not found', 404);
+  }
+  
+  return admin;
+};
+
+// Custom roles must exist before they can be assigned
+const assertRoleExists = async (roleId: string | null | undefined) => {
+  if (!roleId) {
+    return;
+  }
+  
+  const role = await prisma.userRole.findUnique({
+    where: { id: roleId }
+  });
+  
+  if (!role) {
+    throw new AppError('Role not found', 400);
+  }
+};
+
+// Only a SUPER_ADMIN can grant SUPER_ADMIN or change a SUPER_ADMIN's account,
+// whatever permissions an ADMIN has been given
+const assertCanManage = (req: Request, admin: { role: string } | null, role?: string) => {
+  if (req.user!.role === SUPER_ADMIN_ROLE) {
+    return;
+  }
+  
+  if (admin?.role === SUPER_ADMIN_ROLE || role === SUPER_ADMIN_ROLE) {
+    throw new AppError('Only a SUPER_ADMIN can manage SUPER_ADMIN accounts', 403);
+  }
+};
+
+// There must always be an active SUPER_ADMIN left to manage admins
+const assertNotLastSuperAdmin = async (admin: { id: string; role: string; status: string }) => {
+  if (admin.role !== SUPER_ADMIN_ROLE || admin.status !== 'ACTIVE') {
+    return;
+  }
+  
+  const otherSuperAdmins = await adminRepository.count({
+    id: { not: admin.id },
+    role: SUPER_ADMIN_ROLE,
+    status: 'ACTIVE'
+  });
+  
+  if (otherSuperAdmins === 0) {
+    throw new AppError('At least one active SUPER_ADMIN is required', 409);
+  }
+};
+
+const getInviterName = async (inviterId: string) => {
+  const inviter = await adminRepository.find({
+    where: { id: inviterId },
+    select: { name: true }
+  });
+  
+  return inviter?.name || 'An administrator';
+};
+
+// Get all admins
+export const getAdmins = async (req: Request, res: Response, next: NextFunction) => {
+  try {
+    const admins = await adminRepository.findMany({
+      select: adminSelect,
+      orderBy: { createdAt: 'asc' }
+    });
+    
+    res.json({ admins });
+    
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Get admin by ID
+export const getAdminById = async (req: Request, res: Response, next: NextFunction) => {
+  try {
+    const { id } = req.params;
+    
+    const admin = await adminRepository.find({
+      where: { id: id! },
+      select: adminSelect
+    });
+    
+    if (!admin) {
+      throw new AppError('Admin not found', 404);
+    }
+    
+    res.json({ admin });
+    
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Invite an admin. The account stays INVITED until the invitee sets a
+// password through the emailed link.
+export const inviteAdmin = async (req: Request, res: Response, next: NextFunction) => {
+  try {
+    const { email, name, role, roleId, department } = inviteAdminSchema.parse(req.body);
+    const inviterId = req.user!.userId;
+    
+    assertCanManage(req, null, role);
+    
+    const existingAdmin = await adminRepository.findByEmail(email);
+    
+    if (existingAdmin) {
+      throw new AppError('An admin with this email already exists', 409, 'EMAIL_TAKEN');
+    }
+    
+    await assertRoleExists(roleId);
+    
+    const admin = await adminRepository.create({
+      data: {
+        email,
+        name,
+        role,
+        roleId: role === SUPER_ADMIN_ROLE ? null : roleId ?? null,
+        department: department ?? null,
+        status: 'INVITED',
+        invitedById: inviterId
+      }
+    });
+    
+    await sendAdminInvitation(admin, await getInviterName(inviterId));
+    
+    await recordAuditLog(req, {
+      action: 'admin.invite',
+      targetType: 'AdminUser',
+      targetId: admin.id,
+      before: null,
+      after: {
+        email: admin.email,
+        name: admin.name,
+        role: admin.role,
+        roleId: admin.roleId,
+        department: admin.department,
+        status: admin.status
+      }
+    });
+    
+    res.status(201).json({
+      message: 'Invitation sent successfully',
+      admin: await adminRepository.find({
+        where: { id: admin.id },
+        select: adminSelect
+      })
+    });
+    
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Update an admin's name, role, department or permission overrides
+export const updateAdmin = async (req: Request, res: Response, next: NextFunction) => {
+  try {
+    const { id } = req.params;
+    const validatedData = updateAdminSchema.parse(req.body);
+    
+    const admin = await findAdmin(id!);
+    
+    assertCanManage(req, admin, validatedData.role);
+    
+    const isRoleChange = (validatedData.role !== undefined && validatedData.role !== admin.role)
+      || (validatedData.roleId !== undefined && validatedData.roleId !== admin.roleId);
+    
+    if (isRoleChange && admin.id === req.user!.userId) {
+      throw new AppError('You cannot change your own role', 400);
+    }
+    
+    if (validatedData.permissions !== undefined && admin.id === req.user!.userId) {
+      throw new AppError('You cannot change your own permissions', 400);
+    }
+    
+    if (validatedData.role !== undefined && validatedData.role !== SUPER_ADMIN_ROLE) {
+      await assertNotLastSuperAdmin(admin);
+    }
+    
+    await assertRoleExists(validatedData.roleId);
+    
+    const role = validatedData.role ?? admin.role;
+    
+    const updatedAdmin = await adminRepository.update({
+      where: { id: admin.id },
+      data: {
+        ...(validatedData.name !== undefined && { name: validatedData.name }),
+        ...(validatedData.role !== undefined && { role: validatedData.role }),
+        ...(validatedData.department !== undefined && { department: validatedData.department }),
+        ...(validatedData.permissions !== undefined && {
+          permissions: validatedData.permissions && JSON.stringify([...new Set(validatedData.permissions)])
+        }),
+        // SUPER_ADMIN holds every permission, a custom role would be misleading
+        ...(role === SUPER_ADMIN_ROLE
+          ? { roleId: null }
+          : validatedData.roleId !== undefined && { roleId: validatedData.roleId })
+      },
+      select: adminSelect
+    });
+    
+    await recordAuditLog(req, {
+      action: 'admin.update',
+      targetType: 'AdminUser',
+      targetId: admin.id,
+      before: admin,
+      after: updatedAdmin
+    });
+    
+    res.json({
+      message: 'Admin updated successfully',
+      admin: updatedAdmin
+    });
+    
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Activate or deactivate an admin. Deactivation signs them out everywhere.
+export const updateAdminStatus = async (req: Request, res: Response, next: NextFunction) => {
+  try {
+    const { id } = req.params;
+    const { status } = updateAdminStatusSchema.parse(req.body);
+    
+    const admin = await findAdmin(id!);
+    
+    assertCanManage(req, admin);
+    
+    if (admin.status === 'INVITED') {
+      throw new AppError('This admin has not accepted the invitation yet', 400);
+    }
+    
+    if (status === 'INACTIVE') {
+      if (admin.id === req.user!.userId) {
+        throw new AppError('You cannot deactivate your own account', 400);
+      }
+      
+      await assertNotLastSuperAdmin(admin);
+    }
+    
+    const updatedAdmin = await adminRepository.update({
+      where: { id: admin.id },
+      data: { status },
+      select: adminSelect
+    });
+    
+    if (status === 'INACTIVE') {
+      await revokeAllUserTokens(admin.id, admin.role);
+    }
+    
+    await recordAuditLog(req, {
+      action: 'admin.status.update',
+      targetType: 'AdminUser',
+      targetId: admin.id,
+      before: admin,
+      after: { status: updatedAdmin.status }
+    });
+    
+    res.json({
+      message: `Admin ${status === 'ACTIVE' ? 'activated' : 'deactivated'} successfully`,
+      admin: updatedAdmin
+    });
+    
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Send a new invitation link; earlier links stop working
+export const resendAdminInvitation = async (req: Request, res: Response, next: NextFunction) => {
+  try {
+    const { id } = req.params;
+    
+    const admin = await findAdmin(id!);
+    
+    assertCanManage(req, admin);
+    
+    if (admin.status !== 'INVITED') {
+      throw new AppError('This admin has already accepted the invitation', 400);
+    }
+    
+    await sendAdminInvitation(admin, await getInviterName(req.user!.userId));
+    
+    await recordAuditLog(req, {
+      action: 'admin.invite.resend',
+      targetType: 'AdminUser',
+      targetId: admin.id
+    });
+    
+    res.json({
+      message: 'Invitation sent successfully'
+    });
+    
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Cancel a pending invitation
+export const deleteAdminInvitation = async (req: Request, res: Response, next: NextFunction) => {
+  try {
+    const { id } = req.params;
+    
+    const admin = await findAdmin(id!);
+    
+    assertCanManage(req, admin);
+    
+    if (admin.status !== 'INVITED') {
+      throw new AppError('Only pending invitations can be deleted, deactivate the admin instead', 400);
+    }
+    
+    await adminRepository.delete(admin.id);
+    
+    await recordAuditLog(req, {
+      action: 'admin.invite.delete',
+      targetType: 'AdminUser',
+      targetId: admin.id,
+      before: admin,
+      after: null
+    });
+    
+    res.json({
+      message: 'Invitation cancelled successfully'
+    });
+    
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,37 @@
+import { Request, Response, NextFunction } from 'express';
+import { z } from 'zod';
+import { listAuditLogs } from '../services/auditLogService';
+
+// Validation schemas
+export const auditLogFiltersSchema = z.object({
+  page: z.coerce.number().int().min(1).default(1),
+  limit: z.coerce.number().int().min(1).max(100).default(20),
+  actorId: z.string().optional(),
+  action: z.string().optional(),
+  targetType: z.string().optional(),
+  targetId: z.string().optional(),
+  from: z.coerce.date().optional(),
+  to: z.coerce.date().optional()
+});
+
+// Get audit log entries (read-only, entries are never changed or removed)
+export const getAuditLogs = async (req: Request, res: Response, next: NextFunction) => {
+  try {
+    const { page, limit, ...filters } = auditLogFiltersSchema.parse(req.query);
+    
+    const { logs, total } = await listAuditLogs(filters, page, limit);
+    
+    res.json({
+      logs,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+    
+  } catch (error) {
+    next(error);
+  }
+};
@@ -1,72 +1,228 @@
 import { Request, Response, NextFunction } from 'express';
+import crypto from 'crypto';
 import bcrypt from 'bcryptjs';
 import jwt from 'jsonwebtoken';
-import { PrismaClient } from '@prisma/client';
+import { AdminUser } from '@prisma/client';
 import { z } from 'zod';
 import dotenv from 'dotenv';
+import {
+  saveRefreshToken,
+  consumeRefreshToken,
+  revokeTokenFamily,
+  revokeRefreshToken,
+  revokeAccessToken,
+  revokeAllUserTokens
+} from '../services/tokenService';
+import {
+  sendVerificationEmail,
+  sendEmailChangeVerification,
+  verifyEmailToken
+} from '../services/verificationService';
+import { sendPasswordResetEmail, resetPasswordWithToken } from '../services/passwordResetService';
+import { acceptAdminInvitation } from '../services/adminInvitationService';
+import { createSession, extendSession, revokeSession } from '../services/sessionService';
+import { getLockRemainingSeconds, recordFailedLogin, clearedLockout } from '../services/lockoutService';
+import {
+  isTwoFactorRequired,
+  createChallengeToken,
+  verifyChallengeToken,
+  consumeChallengeToken,
+  verifyAdminTotp,
+  redeemRecoveryCode,
+  enableTwoFactor
+} from '../services/twoFactorService';
+import { issueNonce, verifySiweMessage, findOrCreateWalletUser } from '../services/walletService';
+import { getAdminPermissions } from '../services/permissionService';
+import {
+  REFRESH_TOKEN_COOKIE,
+  wantsCookieAuth,
+  readCookie,
+  setAuthCookies,
+  clearAuthCookies,
+  hasValidCsrfToken
+} from '../services/authCookieService';
+import { logger } from '../services/logger';
+import { loginAttemptsTotal } from '../services/metricsService';
+import { userRepository } from '../repositories/userRepository';
+import { adminRepository } from '../repositories/adminRepository';
+import { AppError } from '../middleware/errorHandler';
 
 dotenv.config();
 
-const prisma = new PrismaClient();
-
 // Validation schemas
-const registerSchema = z.object({
+export const registerSchema = z.object({
   email: z.string().email('Invalid email format'),
   password: z.string().min(6, 'Password must be at least 6 characters'),
   firstName: z.string().optional(),
   lastName: z.string().optional()
 });
 
-const loginSchema = z.object({
+export const loginSchema = z.object({
   email: z.string().email('Invalid email format'),
   password: z.string().min(1, 'Password is required')
 });
 
-const adminLoginSchema = z.object({
+export const adminLoginSchema = z.object({
   email: z.string().email('Invalid email format'),
   password: z.string().min(1, 'Password is required')
 });
 
-// Error class
-class AppError extends Error {
-  statusCode: number;
-  
-  constructor(message: string, statusCode: number) {
-    super(message);
-    this.statusCode = statusCode;
-  }
-}
+export const adminTwoFactorLoginSchema = z.object({
+  challengeToken: z.string().min(1, 'Challenge token is required'),
+  code: z.string().regex(/^\d{6}$/, 'Code must be 6 digits').optional(),
+  recoveryCode: z.string().min(1).optional()
+}).refine((data) => data.code || data.recoveryCode, {
+  message: 'A two-factor code or recovery code is required',
+  path: ['code']
+});
+
+export const siweLoginSchema = z.object({
+  message: z.string().min(1, 'Message is required').max(4096, 'Message is too long'),
+  signature: z.string().regex(/^0x[0-9a-fA-F]{130}$/, 'Invalid signature')
+});
+
+export const refreshSchema = z.object({
+  refreshToken: z.string().min(1, 'Refresh token is required')
+});
+
+export const verifyEmailSchema = z.object({
+  token: z.string().min(1, 'Verification token is required')
+});
+
+export const resendVerificationSchema = z.object({
+  email: z.string().email('Invalid email format')
+});
+
+export const forgotPasswordSchema = z.object({
+  email: z.string().email('Invalid email format')
+});
+
+export const resetPasswordSchema = z.object({
+  token: z.string().min(1, 'Reset token is required'),
+  password: z.string().min(6, 'Password must be at least 6 characters')
+});
+
+export const acceptAdminInviteSchema = z.object({
+  token: z.string().min(1, 'Invitation token is required'),
+  password: z.string().min(8, 'Password must be at least 8 characters')
+});
+
+export const updateProfileSchema = z.object({
+  firstName: z.string().max(100, 'First name too long').optional(),
+  lastName: z.string().max(100, 'Last name too long').optional(),
+  email: z.string().email('Invalid email format').optional()
+});
+
+export const changePasswordSchema = z.object({
+  currentPassword: z.string().min(1, 'Current password is required'),
+  newPassword: z.string().min(6, 'Password must be at least 6 characters')
+});
+
+export const logoutSchema = z.object({
+  refreshToken: z.string().nullish()
+});
+
+// Fields returned wherever the client receives its own profile
+const profileSelect = {
+  id: true,
+  email: true,
+  pendingEmail: true,
+  firstName: true,
+  lastName: true,
+  role: true,
+  status: true,
+  createdAt: true,
+  lastLogin: true,
+  emailVerified: true,
+  deletionScheduledAt: true
+};
+
+// Public view of an admin account
+const toAdminResponse = (admin: AdminUser) => ({
+  id: admin.id,
+  email: admin.email,
+  name: admin.name,
+  role: admin.role,
+  status: admin.status,
+  department: admin.department
+});
 
 // Helper functions
-const generateTokens = (userId: string, role: string = 'USER') => {
+type ExpiresIn = NonNullable<jwt.SignOptions['expiresIn']>;
+
+// Issue an access/refresh pair for a session. The session id doubles as the
+// refresh token familyId, so reuse detection revokes the whole session.
+const generateTokens = async (userId: string, role: string, sessionId: string) => {
   const accessToken = jwt.sign(
-    { userId, role },
+    { userId, role, sid: sessionId },
     process.env.JWT_SECRET!,
-    { expiresIn: process.env.JWT_EXPIRES_IN || '24h' }
+    {
+      expiresIn: (process.env.JWT_EXPIRES_IN || '24h') as ExpiresIn,
+      jwtid: crypto.randomUUID()
+    }
   );
   
   const refreshToken = jwt.sign(
-    { userId, role },
+    { userId, role, familyId: sessionId },
     process.env.JWT_REFRESH_SECRET!,
-    { expiresIn: process.env.JWT_REFRESH_EXPIRES_IN || '7d' }
+    {
+      expiresIn: (process.env.JWT_REFRESH_EXPIRES_IN || '7d') as ExpiresIn,
+      jwtid: crypto.randomUUID()
+    }
   );
   
+  const expiresAt = await saveRefreshToken(refreshToken);
+  await extendSession(sessionId, expiresAt);
+  
   return { accessToken, refreshToken };
 };
 
+// Record a login from the requesting device and issue its first tokens
+const startSession = async (req: Request, userId: string, role: string) => {
+  const session = await createSession(req, userId, role);
+  return generateTokens(userId, role, session.id);
+};
+
+// Hand tokens out in the response body, or as httpOnly cookies to clients in
+// cookie mode, which get the CSRF token instead
+const tokenResponse = (req: Request, res: Response, tokens: { accessToken: string; refreshToken: string }, useCookies = wantsCookieAuth(req)) => {
+  if (useCookies) {
+    return { csrfToken: setAuthCookies(res, tokens) };
+  }
+  
+  return { tokens };
+};
+
+// Rejected sign-ins (bad credentials, locked or inactive accounts). Malformed
+// requests are not counted as attempts.
+const countLoginFailure = (method: string, error: unknown) => {
+  if (error instanceof AppError) {
+    loginAttemptsTotal.inc({ method, outcome: 'failure' });
+  }
+};
+
+// Reject sign-in attempts while the account is locked
+const assertNotLocked = (res: Response, account: { lockedUntil: Date | null }) => {
+  const retryAfter = getLockRemainingSeconds(account);
+  
+  if (retryAfter > 0) {
+    res.set('Retry-After', String(retryAfter));
+    throw new AppError(
+      `Account temporarily locked after too many failed login attempts. Try again in ${Math.ceil(retryAfter / 60)} minute(s)`,
+      423
+    );
+  }
+};
+
 // User Registration
 export const register = async (req: Request, res: Response, next: NextFunction) => {
   try {
     const validatedData = registerSchema.parse(req.body);
     const { email, password, firstName, lastName } = validatedData;
     
-    // Check if user already exists
-    const existingUser = await prisma.user.findUnique({
-      where: { email }
-    });
-    
-    if (existingUser) {
-      throw new AppError('User already exists with this email', 409);
+    // Check if user already exists (trashed accounts keep their email until purged)
+    if (await userRepository.isEmailTaken(email)) {
+      throw new AppError('User already exists with this email', 409, 'EMAIL_TAKEN');
     }
     
     // Hash password
@@ -74,7 +230,7 @@ export const register = async (req: Request, res: Response, next: NextFunction)
     const hashedPassword = await bcrypt.hash(password, saltRounds);
     
     // Create user
-    const user = await prisma.user.create({
+    const user = await userRepository.create({
       data: {
         email,
         password: hashedPassword,
@@ -94,27 +250,23 @@ export const register = async (req: Request, res: Response, next: NextFunction)
       }
     });
     
+    // Send verification email; a failed delivery can be retried via resend
+    try {
+      await sendVerificationEmail({ ...user, email });
+    } catch (mailError) {
+      logger.error('Error sending verification email', { error: mailError });
+    }
+    
     // Generate tokens
-    const { accessToken, refreshToken } = generateTokens(user.id, user.role);
+    const { accessToken, refreshToken } = await startSession(req, user.id, user.role);
     
     res.status(201).json({
       message: 'User registered successfully',
       user,
-      tokens: {
-        accessToken,
-        refreshToken
-      }
+      ...tokenResponse(req, res, { accessToken, refreshToken })
     });
     
   } catch (error) {
-    if (error instanceof z.ZodError) {
-      return res.status(400).json({
-        error: {
-          message: 'Validation failed',
-          details: error.errors
-        }
-      });
-    }
     next(error);
   }
 };
@@ -125,34 +277,38 @@ export const login = async (req: Request, res: Response, next: NextFunction) =>
     const validatedData = loginSchema.parse(req.body);
     const { email, password } = validatedData;
     
-    // Find user
-    const user = await prisma.user.findUnique({
-      where: { email }
-    });
+    // Find user (deleted accounts can't sign in)
+    const user = await userRepository.findByEmail(email);
     
-    if (!user) {
-      throw new AppError('Invalid credentials', 401);
+    // Accounts created by wallet sign-in have no password until they set one
+    if (!user || !user.password) {
+      throw new AppError('Invalid credentials', 401, 'AUTH_INVALID_CREDENTIALS');
     }
     
+    assertNotLocked(res, user);
+    
     // Check password
     const isPasswordValid = await bcrypt.compare(password, user.password);
     if (!isPasswordValid) {
-      throw new AppError('Invalid credentials', 401);
+      await recordFailedLogin(user, req.ip);
+      throw new AppError('Invalid credentials', 401, 'AUTH_INVALID_CREDENTIALS');
     }
     
     // Check if user is active
     if (user.status === 'SUSPENDED' || user.status === 'INACTIVE') {
-      throw new AppError('Account is suspended or inactive', 403);
+      throw new AppError('Account is suspended or inactive', 403, 'ACCOUNT_INACTIVE');
     }
     
     // Update last login
-    await prisma.user.update({
+    await userRepository.update({
       where: { id: user.id },
-      data: { lastLogin: new Date() }
+      data: { lastLogin: new Date(), ...clearedLockout }
     });
     
     // Generate tokens
-    const { accessToken, refreshToken } = generateTokens(user.id, user.role);
+    const { accessToken, refreshToken } = await startSession(req, user.id, user.role);
+    
+    loginAttemptsTotal.inc({ method: 'password', outcome: 'success' });
     
     res.json({
       message: 'Login successful',
@@ -164,21 +320,12 @@ export const login = async (req: Request, res: Response, next: NextFunction) =>
         role: user.role,
         status: user.status
       },
-      tokens: {
-        accessToken,
-        refreshToken
-      }
+      ...tokenResponse(req, res, { accessToken, refreshToken })
     });
     
   } catch (error) {
-    if (error instanceof z.ZodError) {
-      return res.status(400).json({
-        error: {
-          message: 'Validation failed',
-          details: error.errors
-        }
-      });
-    }
+    countLoginFailure('password', error);
+    
     next(error);
   }
 };
@@ -190,59 +337,349 @@ export const adminLogin = async (req: Request, res: Response, next: NextFunction
     const { email, password } = validatedData;
     
     // Find admin user
-    const admin = await prisma.adminUser.findUnique({
-      where: { email }
-    });
+    const admin = await adminRepository.findByEmail(email);
     
     if (!admin) {
-      throw new AppError('Invalid admin credentials', 401);
+      throw new AppError('Invalid admin credentials', 401, 'AUTH_INVALID_CREDENTIALS');
+    }
+    
+    assertNotLocked(res, admin);
+    
+    // Invited admins have no password until they accept the invitation
+    if (!admin.password) {
+      throw new AppError('Invalid admin credentials', 401, 'AUTH_INVALID_CREDENTIALS');
     }
     
     // Check password
     const isPasswordValid = await bcrypt.compare(password, admin.password);
     if (!isPasswordValid) {
-      throw new AppError('Invalid admin credentials', 401);
+      await recordFailedLogin(admin, req.ip);
+      throw new AppError('Invalid admin credentials', 401, 'AUTH_INVALID_CREDENTIALS');
     }
     
     // Check if admin is active
     if (admin.status !== 'ACTIVE') {
-      throw new AppError('Admin account is not active', 403);
+      throw new AppError('Admin account is not active', 403, 'ACCOUNT_INACTIVE');
+    }
+    
+    // Second step required: hand out a challenge instead of tokens
+    if (admin.twoFactorEnabled || isTwoFactorRequired(admin)) {
+      return res.json({
+        message: admin.twoFactorEnabled
+          ? 'Two-factor authentication required'
+          : 'Two-factor authentication must be set up before signing in',
+        twoFactorRequired: admin.twoFactorEnabled,
+        twoFactorSetupRequired: !admin.twoFactorEnabled,
+        challengeToken: createChallengeToken(admin.id)
+      });
     }
     
     // Update last login
-    await prisma.adminUser.update({
+    await adminRepository.update({
       where: { id: admin.id },
-      data: { lastLogin: new Date() }
+      data: { lastLogin: new Date(), ...clearedLockout }
     });
     
     // Generate tokens with admin role
-    const { accessToken, refreshToken } = generateTokens(admin.id, admin.role);
+    const { accessToken, refreshToken } = await startSession(req, admin.id, admin.role);
+    
+    loginAttemptsTotal.inc({ method: 'admin', outcome: 'success' });
     
     res.json({
       message: 'Admin login successful',
-      admin: {
-        id: admin.id,
-        email: admin.email,
-        name: admin.name,
-        role: admin.role,
-        status: admin.status,
-        department: admin.department
-      },
-      tokens: {
-        accessToken,
-        refreshToken
+      admin: toAdminResponse(admin),
+      ...tokenResponse(req, res, { accessToken, refreshToken })
+    });
+    
+  } catch (error) {
+    countLoginFailure('admin', error);
+    
+    next(error);
+  }
+};
+
+// Admin Login - Two-Factor Step
+export const adminLoginTwoFactor = async (req: Request, res: Response, next: NextFunction) => {
+  try {
+    const { challengeToken, code, recoveryCode } = adminTwoFactorLoginSchema.parse(req.body);
+    
+    const challenge = await verifyChallengeToken(challengeToken);
+    
+    if (!challenge) {
+      throw new AppError('Invalid or expired login challenge, please login again', 401, 'AUTH_CHALLENGE_INVALID');
+    }
+    
+    const admin = await adminRepository.findById(challenge.adminId);
+    
+    if (!admin || admin.status !== 'ACTIVE') {
+      throw new AppError('Admin account is not active', 403, 'ACCOUNT_INACTIVE');
+    }
+    
+    assertNotLocked(res, admin);
+    
+    let recoveryCodes: string[] | undefined;
+    
+    if (!admin.twoFactorEnabled) {
+      // Enrollment forced at login: the code confirms the secret from setup
+      if (!code || !(await verifyAdminTotp(admin, code))) {
+        await recordFailedLogin(admin, req.ip);
+        throw new AppError('Invalid two-factor code', 401, 'AUTH_TWO_FACTOR_INVALID');
       }
+      
+      recoveryCodes = await enableTwoFactor(admin.id);
+    } else {
+      const isValid = code
+        ? await verifyAdminTotp(admin, code)
+        : await redeemRecoveryCode(admin, recoveryCode!);
+      
+      if (!isValid) {
+        await recordFailedLogin(admin, req.ip);
+        throw new AppError('Invalid two-factor code', 401, 'AUTH_TWO_FACTOR_INVALID');
+      }
+    }
+    
+    await consumeChallengeToken(challenge);
+    
+    // Update last login
+    await adminRepository.update({
+      where: { id: admin.id },
+      data: { lastLogin: new Date(), ...clearedLockout }
+    });
+    
+    // Generate tokens with admin role
+    const { accessToken, refreshToken } = await startSession(req, admin.id, admin.role);
+    
+    loginAttemptsTotal.inc({ method: 'admin', outcome: 'success' });
+    
+    res.json({
+      message: 'Admin login successful',
+      admin: toAdminResponse(admin),
+      ...tokenResponse(req, res, { accessToken, refreshToken }),
+      ...(recoveryCodes && { recoveryCodes })
     });
     
   } catch (error) {
-    if (error instanceof z.ZodError) {
-      return res.status(400).json({
-        error: {
-          message: 'Validation failed',
-          details: error.errors
-        }
+    countLoginFailure('admin', error);
+    
+    next(error);
+  }
+};
+
+// Sign-In with Ethereum - Nonce
+export const siweNonce = async (req: Request, res: Response, next: NextFunction) => {
+  try {
+    const nonce = await issueNonce();
+    
+    res.json({ nonce });
+    
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Sign-In with Ethereum - Verify
+export const siweLogin = async (req: Request, res: Response, next: NextFunction) => {
+  try {
+    const { message, signature } = siweLoginSchema.parse(req.body);
+    
+    const result = await verifySiweMessage(message, signature);
+    
+    if (result.status === 'invalid') {
+      throw new AppError(`Invalid sign-in message: ${result.reason}`, 401, 'AUTH_INVALID_CREDENTIALS');
+    }
+    
+    const { user, isNewUser } = await findOrCreateWalletUser(result.message.address, result.message.chainId);
+    
+    // The wallet stays linked to a deleted account until it is purged
+    if (user.deletedAt) {
+      throw new AppError('Invalid credentials', 401, 'AUTH_INVALID_CREDENTIALS');
+    }
+    
+    // Check if user is active
+    if (user.status === 'SUSPENDED' || user.status === 'INACTIVE') {
+      throw new AppError('Account is suspended or inactive', 403, 'ACCOUNT_INACTIVE');
+    }
+    
+    // Update last login
+    await userRepository.update({
+      where: { id: user.id },
+      data: { lastLogin: new Date() }
+    });
+    
+    // Generate tokens
+    const { accessToken, refreshToken } = await startSession(req, user.id, user.role);
+    
+    loginAttemptsTotal.inc({ method: 'wallet', outcome: 'success' });
+    
+    res.status(isNewUser ? 201 : 200).json({
+      message: 'Login successful',
+      user: {
+        id: user.id,
+        email: user.email,
+        firstName: user.firstName,
+        lastName: user.lastName,
+        role: user.role,
+        status: user.status
+      },
+      ...tokenResponse(req, res, { accessToken, refreshToken })
+    });
+    
+  } catch (error) {
+    countLoginFailure('wallet', error);
+    
+    next(error);
+  }
+};
+
+// Refresh Tokens
+export const refresh = async (req: Request, res: Response, next: NextFunction) => {
+  try {
+    // Cookie-mode clients send the refresh token as a cookie instead
+    const cookieToken = req.body?.refreshToken ? undefined : readCookie(req, REFRESH_TOKEN_COOKIE);
+    
+    if (cookieToken && !hasValidCsrfToken(req)) {
+      throw new AppError('Invalid CSRF token', 403, 'AUTH_CSRF_INVALID');
+    }
+    
+    const { refreshToken } = refreshSchema.parse(cookieToken ? { refreshToken: cookieToken } : req.body);
+    
+    const result = await consumeRefreshToken(refreshToken);
+    
+    if (result.status === 'reused') {
+      throw new AppError('Refresh token has already been used, please login again', 401, 'AUTH_TOKEN_REVOKED');
+    }
+    
+    if (result.status === 'invalid') {
+      throw new AppError('Invalid refresh token', 401, 'AUTH_TOKEN_INVALID');
+    }
+    
+    const { userId, role, familyId } = result.payload;
+    
+    // Check if account still exists and may sign in
+    const account = ['ADMIN', 'SUPER_ADMIN'].includes(role)
+      ? await adminRepository.findAccountState(userId)
+      : await userRepository.findAccountState(userId);
+    
+    if (!account || (account.status !== 'ACTIVE' && account.status !== 'PENDING_VERIFICATION')) {
+      await revokeTokenFamily(familyId);
+      throw new AppError('User account is not active', 401, 'ACCOUNT_INACTIVE');
+    }
+    
+    // Rotate: the new pair stays in the same family
+    const tokens = await generateTokens(account.id, account.role, familyId);
+    
+    res.json({
+      message: 'Token refreshed successfully',
+      ...tokenResponse(req, res, tokens, !!cookieToken || wantsCookieAuth(req))
+    });
+    
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Verify Email
+export const verifyEmail = async (req: Request, res: Response, next: NextFunction) => {
+  try {
+    const { token } = verifyEmailSchema.parse(req.query);
+    
+    const user = await verifyEmailToken(token);
+    
+    if (!user) {
+      throw new AppError('Invalid or expired verification link', 400, 'LINK_INVALID_OR_EXPIRED');
+    }
+    
+    res.json({
+      message: 'Email verified successfully',
+      user
+    });
+    
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Resend Verification Email
+export const resendVerification = async (req: Request, res: Response, next: NextFunction) => {
+  try {
+    const { email } = resendVerificationSchema.parse(req.body);
+    
+    const user = await userRepository.findByEmail(email);
+    
+    if (user && !user.emailVerified) {
+      await sendVerificationEmail({ ...user, email });
+    }
+    
+    // Same answer whether or not the address is registered
+    res.json({
+      message: 'If the account exists and is not yet verified, a new verification email has been sent'
+    });
+    
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Forgot Password
+export const forgotPassword = async (req: Request, res: Response, next: NextFunction) => {
+  try {
+    const { email } = forgotPasswordSchema.parse(req.body);
+    
+    const user = await userRepository.findByEmail(email);
+    
+    // Deliver in the background so response time doesn't reveal
+    // whether the address is registered
+    if (user && user.status !== 'SUSPENDED') {
+      sendPasswordResetEmail({ ...user, email }).catch((mailError) => {
+        logger.error('Error sending password reset email', { error: mailError });
       });
     }
+    
+    res.json({
+      message: 'If an account exists for this email, a password reset link has been sent'
+    });
+    
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Reset Password
+export const resetPassword = async (req: Request, res: Response, next: NextFunction) => {
+  try {
+    const { token, password } = resetPasswordSchema.parse(req.body);
+    
+    const isReset = await resetPasswordWithToken(token, password);
+    
+    if (!isReset) {
+      throw new AppError('Invalid or expired reset link', 400, 'LINK_INVALID_OR_EXPIRED');
+    }
+    
+    res.json({
+      message: 'Password reset successfully, please login with your new password'
+    });
+    
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Accept Admin Invitation
+export const acceptAdminInvite = async (req: Request, res: Response, next: NextFunction) => {
+  try {
+    const { token, password } = acceptAdminInviteSchema.parse(req.body);
+    
+    const isAccepted = await acceptAdminInvitation(token, password);
+    
+    if (!isAccepted) {
+      throw new AppError('Invalid or expired invitation link', 400, 'LINK_INVALID_OR_EXPIRED');
+    }
+    
+    res.json({
+      message: 'Invitation accepted, please login with your new password'
+    });
+    
+  } catch (error) {
     next(error);
   }
 };
@@ -256,19 +693,9 @@ export const getProfile = async (req: Request, res: Response, next: NextFunction
       throw new AppError('User not authenticated', 401);
     }
     
-    const user = await prisma.user.findUnique({
+    const user = await userRepository.find({
       where: { id: userId },
-      select: {
-        id: true,
-        email: true,
-        firstName: true,
-        lastName: true,
-        role: true,
-        status: true,
-        createdAt: true,
-        lastLogin: true,
-        emailVerified: true
-      }
+      select: profileSelect
     });
     
     if (!user) {
@@ -284,28 +711,150 @@ export const getProfile = async (req: Request, res: Response, next: NextFunction
   }
 };
 
+// Update User Profile
+export const updateProfile = async (req: Request, res: Response, next: NextFunction) => {
+  try {
+    const { firstName, lastName, email } = updateProfileSchema.parse(req.body);
+    const userId = req.user!.userId;
+    
+    const user = await userRepository.findById(userId);
+    
+    if (!user) {
+      throw new AppError('User not found', 404);
+    }
+    
+    // A new email address only takes effect once it has been confirmed
+    let emailChangePending = false;
+    
+    if (email && email !== user.email) {
+      if (await userRepository.isEmailTaken(email)) {
+        throw new AppError('User already exists with this email', 409, 'EMAIL_TAKEN');
+      }
+      
+      await sendEmailChangeVerification(user, email);
+      emailChangePending = true;
+    }
+    
+    const updatedUser = await userRepository.update({
+      where: { id: userId },
+      data: {
+        ...(firstName !== undefined && { firstName }),
+        ...(lastName !== undefined && { lastName }),
+        // Going back to the current address cancels a pending change
+        ...(email === user.email && {
+          pendingEmail: null,
+          emailChangeToken: null,
+          emailChangeTokenExpiry: null
+        })
+      },
+      select: profileSelect
+    });
+    
+    res.json({
+      message: emailChangePending
+        ? 'Profile updated. Please confirm your new email address using the link we sent to it'
+        : 'Profile updated successfully',
+      user: updatedUser
+    });
+    
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Change Password
+export const changePassword = async (req: Request, res: Response, next: NextFunction) => {
+  try {
+    const { currentPassword, newPassword } = changePasswordSchema.parse(req.body);
+    const userId = req.user!.userId;
+    
+    const user = await userRepository.findById(userId);
+    
+    if (!user) {
+      throw new AppError('User not found', 404);
+    }
+    
+    if (!user.password) {
+      throw new AppError('This account has no password yet. Add an email address, then use "Forgot password" to set one', 400);
+    }
+    
+    // Check current password (400, not 401, so clients don't try a token refresh)
+    const isPasswordValid = await bcrypt.compare(currentPassword, user.password);
+    if (!isPasswordValid) {
+      throw new AppError('Current password is incorrect', 400, 'AUTH_INVALID_CREDENTIALS');
+    }
+    
+    const saltRounds = parseInt(process.env.BCRYPT_SALT_ROUNDS || '12');
+    const hashedPassword = await bcrypt.hash(newPassword, saltRounds);
+    
+    await userRepository.update({
+      where: { id: userId },
+      data: { password: hashedPassword }
+    });
+    
+    // Sign out every other session, then keep this one alive with fresh tokens
+    await revokeAllUserTokens(user.id, user.role);
+    const { accessToken, refreshToken } = await startSession(req, user.id, user.role);
+    
+    res.json({
+      message: 'Password updated successfully',
+      ...tokenResponse(req, res, { accessToken, refreshToken })
+    });
+    
+  } catch (error) {
+    next(error);
+  }
+};
+
 // Logout
-export const logout = async (req: Request, res: Response) => {
-  // In a real application, you might want to blacklist the token
-  // For now, we'll just send a success response
-  res.json({
-    message: 'Logout successful'
-  });
+export const logout = async (req: Request, res: Response, next: NextFunction) => {
+  try {
+    const refreshToken = logoutSchema.parse(req.body).refreshToken ?? readCookie(req, REFRESH_TOKEN_COOKIE);
+    const { userId, sessionId, jti, exp } = req.user!;
+    
+    // Revoke the access token used for this request
+    if (jti && exp) {
+      await revokeAccessToken(jti, userId, exp);
+    }
+    
+    // Sign this device out
+    if (sessionId) {
+      await revokeSession(sessionId, userId);
+    }
+    
+    // Revoke the refresh token chain of this session
+    if (refreshToken) {
+      await revokeRefreshToken(refreshToken, userId);
+    }
+    
+    clearAuthCookies(res);
+    
+    res.json({
+      message: 'Logout successful'
+    });
+    
+  } catch (error) {
+    next(error);
+  }
 };
 
-// Create Default Admin User
+// Create the first SUPER_ADMIN from ADMIN_EMAIL / ADMIN_PASSWORD when no
+// admin exists yet
 export const createDefaultAdmin = async () => {
   try {
-    const adminEmail = 'admin@florkanewfun.com';
-    const adminPassword = 'admin123456';
+    const adminEmail = process.env.ADMIN_EMAIL;
+    const adminPassword = process.env.ADMIN_PASSWORD;
     
-    // Check if admin already exists
-    const existingAdmin = await prisma.adminUser.findUnique({
-      where: { email: adminEmail }
-    });
+    // Check if an admin already exists
+    const adminCount = await adminRepository.count();
     
-    if (existingAdmin) {
-      console.log('✅ Default admin user already exists');
+    if (adminCount > 0) {
+      logger.info('Admin user already exists');
+      return;
+    }
+    
+    if (!adminEmail || !adminPassword) {
+      logger.warn('No admin user exists. Set ADMIN_EMAIL and ADMIN_PASSWORD to create one.');
       return;
     }
     
@@ -314,24 +863,20 @@ export const createDefaultAdmin = async () => {
     const hashedPassword = await bcrypt.hash(adminPassword, saltRounds);
     
     // Create admin user
-    const admin = await prisma.adminUser.create({
+    await adminRepository.create({
       data: {
         email: adminEmail,
         password: hashedPassword,
-        name: 'Default Admin',
+        name: process.env.ADMIN_NAME || 'Administrator',
         role: 'SUPER_ADMIN',
-        status: 'ACTIVE',
-        department: 'IT'
+        status: 'ACTIVE'
       }
     });
     
-    console.log('✅ Default admin user created successfully');
-    console.log(`📧 Email: ${adminEmail}`);
-    console.log(`🔑 Password: ${adminPassword}`);
-    console.log('⚠️  Please change the default password in production!');
+    logger.info('Default admin user created', { email: adminEmail });
     
   } catch (error) {
-    console.error('❌ Error creating default admin user:', error);
+    logger.error('Error creating default admin user', { error });
   }
 };
 
@@ -346,7 +891,7 @@ export const getAdminAccess = async (req: Request, res: Response, next: NextFunc
     }
     
     // Get admin details
-    const admin = await prisma.adminUser.findUnique({
+    const admin = await adminRepository.find({
       where: { id: userId },
       select: {
         id: true,
@@ -365,7 +910,10 @@ export const getAdminAccess = async (req: Request, res: Response, next: NextFunc
     
     res.json({
       message: 'Admin access granted',
-      admin
+      admin: {
+        ...admin,
+        permissions: await getAdminPermissions(admin.id)
+      }
     });
     
   } catch (error) {
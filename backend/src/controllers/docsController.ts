@@ -0,0 +1,69 @@
+import { Request, Response, NextFunction, Router } from 'express';
+import { buildOpenApiDocument, OpenApiDocument } from '../services/openApiService';
+import { toPostmanCollection } from '../services/postmanService';
+
+// Swagger UI is loaded from a CDN rather than bundled with the API
+const SWAGGER_UI_URL = 'https://unpkg.com/swagger-ui-dist@5.17.14';
+
+// Helmet's policy only allows our own scripts; the docs page also needs the CDN
+const DOCS_PAGE_CSP = [
+  "default-src 'self'",
+  `script-src 'self' ${SWAGGER_UI_URL}/`,
+  `style-src 'self' 'unsafe-inline' ${SWAGGER_UI_URL}/`,
+  "img-src 'self' data:",
+  "connect-src 'self'"
+].join('; ');
+
+// Built on first request, once every route has been registered
+let openApiDocument: OpenApiDocument | undefined;
+
+const documentFor = (api: Router) => {
+  openApiDocument ??= buildOpenApiDocument(api);
+  return openApiDocument;
+};
+
+export const getOpenApiDocument = (api: Router) => (req: Request, res: Response, next: NextFunction) => {
+  try {
+    res.json(documentFor(api));
+  } catch (error) {
+    next(error);
+  }
+};
+
+// The same collection that `npm run docs:postman` writes, pointing at this server
+export const getPostmanCollection = (api: Router) => (req: Request, res: Response, next: NextFunction) => {
+  try {
+    const document = documentFor(api);
+    res.json(toPostmanCollection(document, `${req.protocol}://${req.get('host')}${document.servers[0]?.url ?? ''}`));
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const getDocsPage = (req: Request, res: Response) => {
+  res.set('Content-Security-Policy', DOCS_PAGE_CSP);
+  res.type('html').send(`<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Florka SaaS Platform API</title>
+  <link rel="stylesheet" href="${SWAGGER_UI_URL}/swagger-ui.css">
+</head>
+<body>
+  <div id="swagger-ui"></div>
+  <script src="${SWAGGER_UI_URL}/swagger-ui-bundle.js"></script>
+  <script src="${req.baseUrl}/swagger-init.js"></script>
+</body>
+</html>
+`);
+};
+
+// Kept out of the page so the CSP needs no 'unsafe-inline' for scripts
+export const getDocsScript = (req: Request, res: Response) => {
+  res.type('js').send(`window.ui = SwaggerUIBundle({
+  url: ${JSON.stringify(`${req.baseUrl}/openapi.json`)},
+  dom_id: '#swagger-ui',
+  withCredentials: true
+});
+`);
+};
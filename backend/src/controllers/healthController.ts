@@ -0,0 +1,36 @@
+import { Request, Response, NextFunction } from 'express';
+import { checkReadiness, isShuttingDown, CheckResult } from '../services/healthService';
+
+// Error details of failed checks stay out of production responses
+const publicCheck = ({ error, ...check }: CheckResult) =>
+  process.env.NODE_ENV === 'production' ? check : { ...check, ...(error && { error }) };
+
+// Liveness: the process is up and answering. Restart it when this fails.
+export const getLiveness = (req: Request, res: Response) => {
+  res.status(200).json({
+    status: 'OK',
+    timestamp: new Date().toISOString(),
+    uptime: process.uptime()
+  });
+};
+
+// Readiness: the database is reachable and migrated. Answers 503 otherwise,
+// and while the server is shutting down, so no traffic is routed to it.
+export const getReadiness = async (req: Request, res: Response, next: NextFunction) => {
+  try {
+    const { ready, checks } = await checkReadiness();
+    
+    res.status(ready ? 200 : 503).json({
+      status: ready ? 'OK' : isShuttingDown() ? 'SHUTTING_DOWN' : 'UNAVAILABLE',
+      timestamp: new Date().toISOString(),
+      uptime: process.uptime(),
+      checks: {
+        database: publicCheck(checks.database),
+        migrations: publicCheck(checks.migrations)
+      }
+    });
+    
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,140 @@
+import { Request, Response, NextFunction } from 'express';
+import { z } from 'zod';
+import {
+  startImpersonation,
+  endImpersonation,
+  listImpersonations,
+  getImpersonationWithRequests
+} from '../services/impersonationService';
+import { recordAuditLog } from '../services/auditLogService';
+import { prisma } from '../services/database';
+import { AppError } from '../middleware/errorHandler';
+
+// Validation schemas
+export const impersonateSchema = z.object({
+  reason: z.string().trim().max(500, 'Reason too long').optional()
+});
+
+export const impersonationFiltersSchema = z.object({
+  adminId: z.string().optional(),
+  userId: z.string().optional()
+});
+
+// Start impersonating a user
+export const impersonateUser = async (req: Request, res: Response, next: NextFunction) => {
+  try {
+    const { id } = req.params;
+    const { reason } = impersonateSchema.parse(req.body ?? {});
+    const admin = req.user!;
+    
+    const user = await prisma.user.findUnique({
+      where: { id: id!, deletedAt: null },
+      select: {
+        id: true,
+        email: true,
+        firstName: true,
+        lastName: true,
+        role: true,
+        status: true
+      }
+    });
+    
+    if (!user) {
+      throw new AppError('User not found', 404);
+    }
+    
+    if (user.status !== 'ACTIVE' && user.status !== 'PENDING_VERIFICATION') {
+      throw new AppError('Only active users can be impersonated', 400);
+    }
+    
+    const { impersonation, accessToken } = await startImpersonation(
+      req,
+      { id: admin.userId, role: admin.role },
+      user,
+      reason || null
+    );
+    
+    await recordAuditLog(req, {
+      action: 'user.impersonate',
+      targetType: 'User',
+      targetId: user.id,
+      before: null,
+      after: {
+        impersonationId: impersonation.id,
+        reason: impersonation.reason,
+        expiresAt: impersonation.expiresAt
+      }
+    });
+    
+    res.status(201).json({
+      message: `Impersonating ${user.email ?? user.id}`,
+      impersonation: {
+        id: impersonation.id,
+        expiresAt: impersonation.expiresAt
+      },
+      user: {
+        id: user.id,
+        email: user.email,
+        firstName: user.firstName,
+        lastName: user.lastName,
+        role: user.role
+      },
+      accessToken
+    });
+    
+  } catch (error) {
+    next(error);
+  }
+};
+
+// End the impersonation behind the current token
+export const stopImpersonation = async (req: Request, res: Response, next: NextFunction) => {
+  try {
+    const impersonator = req.user!.impersonator;
+    
+    if (!impersonator) {
+      throw new AppError('Not impersonating a user', 400);
+    }
+    
+    await endImpersonation(impersonator.impersonationId);
+    
+    res.json({
+      message: 'Impersonation ended'
+    });
+    
+  } catch (error) {
+    next(error);
+  }
+};
+
+// List recent impersonations
+export const getImpersonations = async (req: Request, res: Response, next: NextFunction) => {
+  try {
+    const filters = impersonationFiltersSchema.parse(req.query);
+    
+    const impersonations = await listImpersonations(filters);
+    
+    res.json({ impersonations });
+    
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Get an impersonation with every request made during it
+export const getImpersonationById = async (req: Request, res: Response, next: NextFunction) => {
+  try {
+    const { id } = req.params;
+    
+    const impersonation = await getImpersonationWithRequests(id!);
+    
+    if (!impersonation) {
+      throw new AppError('Impersonation not found', 404);
+    }
+    
+    res.json({ impersonation });
+    
+  } catch (error) {
+    next(error);
+  }
+};
\ No newline at end of file
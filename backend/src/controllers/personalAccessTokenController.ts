@@ -0,0 +1,87 @@
+import { Request, Response, NextFunction } from 'express';
+import { z } from 'zod';
+import {
+  getAvailableScopes,
+  createPersonalAccessToken,
+  listPersonalAccessTokens,
+  revokePersonalAccessToken,
+  TokenScope
+} from '../services/personalAccessTokenService';
+import { AppError } from '../middleware/errorHandler';
+
+// Validation schemas
+export const createTokenSchema = z.object({
+  name: z.string().trim().min(1, 'Name is required').max(100, 'Name is too long'),
+  scopes: z.array(z.string()).min(1, 'Select at least one scope'),
+  expiresInDays: z.number().int().min(1).max(365).optional()
+});
+
+// List tokens and the scopes this account can grant
+export const getTokens = async (req: Request, res: Response, next: NextFunction) => {
+  try {
+    const { userId, role } = req.user!;
+    
+    const tokens = await listPersonalAccessTokens(userId);
+    
+    res.json({
+      tokens,
+      availableScopes: getAvailableScopes(role)
+    });
+    
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Create a token. The plain token is only included in this response.
+export const createToken = async (req: Request, res: Response, next: NextFunction) => {
+  try {
+    const { name, scopes, expiresInDays } = createTokenSchema.parse(req.body);
+    const { userId, role } = req.user!;
+    
+    const availableScopes: string[] = getAvailableScopes(role);
+    const invalidScopes = scopes.filter((scope) => !availableScopes.includes(scope));
+    
+    if (invalidScopes.length > 0) {
+      throw new AppError(`Invalid scopes: ${invalidScopes.join(', ')}`, 400);
+    }
+    
+    const { token, record } = await createPersonalAccessToken(
+      { userId, role },
+      {
+        name,
+        scopes: [...new Set(scopes)] as TokenScope[],
+        expiresAt: expiresInDays ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000) : null
+      }
+    );
+    
+    res.status(201).json({
+      message: 'Access token created. Copy it now, it will not be shown again.',
+      token,
+      accessToken: record
+    });
+    
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Revoke a token
+export const deleteToken = async (req: Request, res: Response, next: NextFunction) => {
+  try {
+    const { id } = req.params;
+    
+    const revoked = await revokePersonalAccessToken(id!, req.user!.userId);
+    
+    if (!revoked) {
+      throw new AppError('Access token not found', 404);
+    }
+    
+    res.json({
+      message: 'Access token revoked successfully'
+    });
+    
+  } catch (error) {
+    next(error);
+  }
+};
@@ -1,21 +1,11 @@
 import { Request, Response, NextFunction } from 'express';
-import { PrismaClient } from '@prisma/client';
 import { z } from 'zod';
-
-const prisma = new PrismaClient();
-
-// Error class
-class AppError extends Error {
-  statusCode: number;
-  
-  constructor(message: string, statusCode: number) {
-    super(message);
-    this.statusCode = statusCode;
-  }
-}
+import { projectRepository } from '../repositories/projectRepository';
+import { AppError } from '../middleware/errorHandler';
+import { paginationSchema, projectStatusSchema } from '../utils/validation';
 
 // Validation schemas
-const createProjectSchema = z.object({
+export const createProjectSchema = z.object({
   title: z.string().min(1, 'Title is required').max(200, 'Title too long'),
   description: z.string().optional(),
   content: z.string().optional(),
@@ -25,7 +15,7 @@ const createProjectSchema = z.object({
   status: z.enum(['DRAFT', 'PUBLISHED', 'ARCHIVED']).default('DRAFT')
 });
 
-const updateProjectSchema = z.object({
+export const updateProjectSchema = z.object({
   title: z.string().min(1, 'Title is required').max(200, 'Title too long').optional(),
   description: z.string().optional(),
   content: z.string().optional(),
@@ -35,20 +25,29 @@ const updateProjectSchema = z.object({
   status: z.enum(['DRAFT', 'PUBLISHED', 'ARCHIVED']).optional()
 });
 
+// Signed-in users can filter on status; everyone else only sees published projects
+export const projectFiltersSchema = paginationSchema.extend({
+  search: z.string().optional(),
+  category: z.string().optional(),
+  status: projectStatusSchema.optional()
+});
+
+export const publicProjectFiltersSchema = projectFiltersSchema.omit({ status: true });
+
+export const myProjectFiltersSchema = paginationSchema.extend({
+  status: projectStatusSchema.optional()
+});
+
 // Get all projects (with optional authentication)
 export const getAllProjects = async (req: Request, res: Response, next: NextFunction) => {
   try {
-    const page = parseInt(req.query.page as string) || 1;
-    const limit = parseInt(req.query.limit as string) || 10;
-    const search = req.query.search as string;
-    const category = req.query.category as string;
-    const status = req.query.status as string;
+    const { page, limit, search, category, status } = projectFiltersSchema.parse(req.query);
     const isAuthenticated = !!req.user;
     
     const skip = (page - 1) * limit;
     
-    // Build where clause
-    const where: any = {};
+    // Build where clause (trashed projects are never listed)
+    const where: any = { deletedAt: null };
     
     // If not authenticated, only show public projects
     if (!isAuthenticated) {
@@ -82,35 +81,32 @@ export const getAllProjects = async (req: Request, res: Response, next: NextFunc
       where.status = status;
     }
     
-    const [projects, total] = await Promise.all([
-      prisma.project.findMany({
-        where,
-        skip,
-        take: limit,
-        select: {
-          id: true,
-          title: true,
-          description: true,
-          category: true,
-          tags: true,
-          isPublic: true,
-          status: true,
-          createdAt: true,
-          updatedAt: true,
-          user: {
-            select: {
-              id: true,
-              firstName: true,
-              lastName: true
-            }
+    const { projects, total } = await projectRepository.findPage({
+      where,
+      skip,
+      take: limit,
+      select: {
+        id: true,
+        title: true,
+        description: true,
+        category: true,
+        tags: true,
+        isPublic: true,
+        status: true,
+        createdAt: true,
+        updatedAt: true,
+        user: {
+          select: {
+            id: true,
+            firstName: true,
+            lastName: true
           }
-        },
-        orderBy: {
-          createdAt: 'desc'
         }
-      }),
-      prisma.project.count({ where })
-    ]);
+      },
+      orderBy: {
+        createdAt: 'desc'
+      }
+    });
     
     res.json({
       projects,
@@ -130,17 +126,15 @@ export const getAllProjects = async (req: Request, res: Response, next: NextFunc
 // Get public projects only
 export const getPublicProjects = async (req: Request, res: Response, next: NextFunction) => {
   try {
-    const page = parseInt(req.query.page as string) || 1;
-    const limit = parseInt(req.query.limit as string) || 10;
-    const search = req.query.search as string;
-    const category = req.query.category as string;
+    const { page, limit, search, category } = publicProjectFiltersSchema.parse(req.query);
     
     const skip = (page - 1) * limit;
     
     // Build where clause for public projects only
     const where: any = {
       isPublic: true,
-      status: 'PUBLISHED'
+      status: 'PUBLISHED',
+      deletedAt: null
     };
     
     if (search) {
@@ -154,33 +148,30 @@ export const getPublicProjects = async (req: Request, res: Response, next: NextF
       where.category = category;
     }
     
-    const [projects, total] = await Promise.all([
-      prisma.project.findMany({
-        where,
-        skip,
-        take: limit,
-        select: {
-          id: true,
-          title: true,
-          description: true,
-          category: true,
-          tags: true,
-          createdAt: true,
-          updatedAt: true,
-          user: {
-            select: {
-              id: true,
-              firstName: true,
-              lastName: true
-            }
+    const { projects, total } = await projectRepository.findPage({
+      where,
+      skip,
+      take: limit,
+      select: {
+        id: true,
+        title: true,
+        description: true,
+        category: true,
+        tags: true,
+        createdAt: true,
+        updatedAt: true,
+        user: {
+          select: {
+            id: true,
+            firstName: true,
+            lastName: true
           }
-        },
-        orderBy: {
-          createdAt: 'desc'
         }
-      }),
-      prisma.project.count({ where })
-    ]);
+      },
+      orderBy: {
+        createdAt: 'desc'
+      }
+    });
     
     res.json({
       projects,
@@ -203,8 +194,8 @@ export const getProjectById = async (req: Request, res: Response, next: NextFunc
     const { id } = req.params;
     const isAuthenticated = !!req.user;
     
-    const project = await prisma.project.findUnique({
-      where: { id },
+    const project = await projectRepository.find({
+      where: { id, deletedAt: null },
       select: {
         id: true,
         title: true,
@@ -253,7 +244,7 @@ export const createProject = async (req: Request, res: Response, next: NextFunct
     const validatedData = createProjectSchema.parse(req.body);
     const userId = req.user!.userId;
     
-    const project = await prisma.project.create({
+    const project = await projectRepository.create({
       data: {
         ...validatedData,
         userId
@@ -283,14 +274,6 @@ export const createProject = async (req: Request, res: Response, next: NextFunct
     });
     
   } catch (error) {
-    if (error instanceof z.ZodError) {
-      return res.status(400).json({
-        error: {
-          message: 'Validation failed',
-          details: error.errors
-        }
-      });
-    }
     next(error);
   }
 };
@@ -301,11 +284,10 @@ export const updateProject = async (req: Request, res: Response, next: NextFunct
     const { id } = req.params;
     const validatedData = updateProjectSchema.parse(req.body);
     const userId = req.user!.userId;
-    const userRole = req.user!.role;
     
     // Find the project
-    const existingProject = await prisma.project.findUnique({
-      where: { id },
+    const existingProject = await projectRepository.find({
+      where: { id, deletedAt: null },
       select: {
         id: true,
         userId: true,
@@ -317,15 +299,13 @@ export const updateProject = async (req: Request, res: Response, next: NextFunct
       throw new AppError('Project not found', 404);
     }
     
-    // Check permissions
-    const isOwner = userId === existingProject.userId;
-    const isAdmin = ['ADMIN', 'SUPER_ADMIN'].includes(userRole);
-    
-    if (!isOwner && !isAdmin) {
+    // Only the owner; admins moderate and delete other people's projects
+    // through /admin/projects, which checks their permissions and audits it
+    if (userId !== existingProject.userId) {
       throw new AppError('Access denied', 403);
     }
     
-    const updatedProject = await prisma.project.update({
+    const updatedProject = await projectRepository.update({
       where: { id },
       data: validatedData,
       select: {
@@ -355,14 +335,6 @@ export const updateProject = async (req: Request, res: Response, next: NextFunct
     });
     
   } catch (error) {
-    if (error instanceof z.ZodError) {
-      return res.status(400).json({
-        error: {
-          message: 'Validation failed',
-          details: error.errors
-        }
-      });
-    }
     next(error);
   }
 };
@@ -372,11 +344,10 @@ export const deleteProject = async (req: Request, res: Response, next: NextFunct
   try {
     const { id } = req.params;
     const userId = req.user!.userId;
-    const userRole = req.user!.role;
     
     // Find the project
-    const existingProject = await prisma.project.findUnique({
-      where: { id },
+    const existingProject = await projectRepository.find({
+      where: { id, deletedAt: null },
       select: {
         id: true,
         userId: true,
@@ -388,17 +359,14 @@ export const deleteProject = async (req: Request, res: Response, next: NextFunct
       throw new AppError('Project not found', 404);
     }
     
-    // Check permissions
-    const isOwner = userId === existingProject.userId;
-    const isAdmin = ['ADMIN', 'SUPER_ADMIN'].includes(userRole);
-    
-    if (!isOwner && !isAdmin) {
+    // Only the owner; admins moderate and delete other people's projects
+    // through /admin/projects, which checks their permissions and audits it
+    if (userId !== existingProject.userId) {
       throw new AppError('Access denied', 403);
     }
     
-    await prisma.project.delete({
-      where: { id }
-    });
+    // Move the project to the trash; an admin can restore it until it is purged
+    await projectRepository.softDelete(existingProject.id, userId);
     
     res.json({
       message: 'Project deleted successfully'
@@ -413,43 +381,39 @@ export const deleteProject = async (req: Request, res: Response, next: NextFunct
 export const getProjectsByUser = async (req: Request, res: Response, next: NextFunction) => {
   try {
     const userId = req.user!.userId;
-    const page = parseInt(req.query.page as string) || 1;
-    const limit = parseInt(req.query.limit as string) || 10;
-    const status = req.query.status as string;
+    const { page, limit, status } = myProjectFiltersSchema.parse(req.query);
     
     const skip = (page - 1) * limit;
     
     // Build where clause
     const where: any = {
-      userId
+      userId,
+      deletedAt: null
     };
     
     if (status) {
       where.status = status;
     }
     
-    const [projects, total] = await Promise.all([
-      prisma.project.findMany({
-        where,
-        skip,
-        take: limit,
-        select: {
-          id: true,
-          title: true,
-          description: true,
-          category: true,
-          tags: true,
-          isPublic: true,
-          status: true,
-          createdAt: true,
-          updatedAt: true
-        },
-        orderBy: {
-          updatedAt: 'desc'
-        }
-      }),
-      prisma.project.count({ where })
-    ]);
+    const { projects, total } = await projectRepository.findPage({
+      where,
+      skip,
+      take: limit,
+      select: {
+        id: true,
+        title: true,
+        description: true,
+        category: true,
+        tags: true,
+        isPublic: true,
+        status: true,
+        createdAt: true,
+        updatedAt: true
+      },
+      orderBy: {
+        updatedAt: 'desc'
+      }
+    });
     
     res.json({
       projects,
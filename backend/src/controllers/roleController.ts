@@ -0,0 +1,223 @@
+import { Request, Response, NextFunction } from 'express';
+import { UserRole } from '@prisma/client';
+import { z } from 'zod';
+import {
+  PERMISSIONS,
+  SUPER_ADMIN_ROLE,
+  isBuiltInRole,
+  isPermission,
+  parseRolePermissions
+} from '../services/permissionService';
+import { recordAuditLog } from '../services/auditLogService';
+import { prisma } from '../services/database';
+import { AppError } from '../middleware/errorHandler';
+
+// Validation schemas
+const permissionsSchema = z.array(z.string())
+  .refine((permissions) => permissions.every(isPermission), 'Unknown permission')
+  .transform((permissions) => [...new Set(permissions)]);
+
+export const createRoleSchema = z.object({
+  name: z.string().regex(/^[A-Z][A-Z0-9_]{1,49}$/, 'Role names use uppercase letters, digits and underscores'),
+  description: z.string().max(255).optional(),
+  permissions: permissionsSchema
+});
+
+export const updateRoleSchema = createRoleSchema.partial();
+
+const serializeRole = (role: UserRole & { _count: { admins: number } }) => ({
+  id: role.id,
+  name: role.name,
+  description: role.description,
+  permissions: parseRolePermissions(role.permissions),
+  builtIn: isBuiltInRole(role.name),
+  adminCount: role._count.admins,
+  createdAt: role.createdAt,
+  updatedAt: role.updatedAt
+});
+
+// Fields of a role recorded in the audit log
+const auditSnapshot = (role: UserRole) => ({
+  name: role.name,
+  description: role.description,
+  permissions: parseRolePermissions(role.permissions)
+});
+
+const findRole = async (id: string) => {
+  const role = await prisma.userRole.findUnique({
+    where: { id },
+    include: { _count: { select: { admins: true } } }
+  });
+  
+  if (!role) {
+    throw new AppError('Role not found', 404);
+  }
+  
+  return role;
+};
+
+// Get the permission catalog
+export const getPermissions = (req: Request, res: Response) => {
+  res.json({
+    permissions: Object.entries(PERMISSIONS).map(([name, description]) => ({ name, description }))
+  });
+};
+
+// Get all roles
+export const getRoles = async (req: Request, res: Response, next: NextFunction) => {
+  try {
+    const roles = await prisma.userRole.findMany({
+      include: { _count: { select: { admins: true } } },
+      orderBy: { name: 'asc' }
+    });
+    
+    res.json({ roles: roles.map(serializeRole) });
+    
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Get role by ID
+export const getRoleById = async (req: Request, res: Response, next: NextFunction) => {
+  try {
+    const { id } = req.params;
+    
+    const role = await findRole(id!);
+    
+    res.json({ role: serializeRole(role) });
+    
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Create role
+export const createRole = async (req: Request, res: Response, next: NextFunction) => {
+  try {
+    const { name, description, permissions } = createRoleSchema.parse(req.body);
+    
+    const existingRole = await prisma.userRole.findUnique({
+      where: { name }
+    });
+    
+    if (existingRole) {
+      throw new AppError('A role with this name already exists', 409);
+    }
+    
+    const role = await prisma.userRole.create({
+      data: {
+        name,
+        description: description ?? null,
+        permissions: JSON.stringify(permissions)
+      },
+      include: { _count: { select: { admins: true } } }
+    });
+    
+    await recordAuditLog(req, {
+      action: 'role.create',
+      targetType: 'UserRole',
+      targetId: role.id,
+      before: null,
+      after: auditSnapshot(role)
+    });
+    
+    res.status(201).json({
+      message: 'Role created successfully',
+      role: serializeRole(role)
+    });
+    
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Update role
+export const updateRole = async (req: Request, res: Response, next: NextFunction) => {
+  try {
+    const { id } = req.params;
+    const { name, description, permissions } = updateRoleSchema.parse(req.body);
+    
+    const role = await findRole(id!);
+    
+    if (role.name === SUPER_ADMIN_ROLE) {
+      throw new AppError('The SUPER_ADMIN role always has every permission and cannot be changed', 400);
+    }
+    
+    if (name !== undefined && name !== role.name) {
+      if (isBuiltInRole(role.name)) {
+        throw new AppError('Built-in roles cannot be renamed', 400);
+      }
+      
+      const existingRole = await prisma.userRole.findUnique({
+        where: { name }
+      });
+      
+      if (existingRole) {
+        throw new AppError('A role with this name already exists', 409);
+      }
+    }
+    
+    const updatedRole = await prisma.userRole.update({
+      where: { id: role.id },
+      data: {
+        ...(name !== undefined && { name }),
+        ...(description !== undefined && { description }),
+        ...(permissions !== undefined && { permissions: JSON.stringify(permissions) })
+      },
+      include: { _count: { select: { admins: true } } }
+    });
+    
+    await recordAuditLog(req, {
+      action: 'role.update',
+      targetType: 'UserRole',
+      targetId: role.id,
+      before: auditSnapshot(role),
+      after: auditSnapshot(updatedRole)
+    });
+    
+    res.json({
+      message: 'Role updated successfully',
+      role: serializeRole(updatedRole)
+    });
+    
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Delete role
+export const deleteRole = async (req: Request, res: Response, next: NextFunction) => {
+  try {
+    const { id } = req.params;
+    
+    const role = await findRole(id!);
+    
+    if (isBuiltInRole(role.name)) {
+      throw new AppError('Built-in roles cannot be deleted', 400);
+    }
+    
+    if (role._count.admins > 0) {
+      throw new AppError('Reassign the admins using this role before deleting it', 409);
+    }
+    
+    await prisma.userRole.delete({
+      where: { id: role.id }
+    });
+    
+    await recordAuditLog(req, {
+      action: 'role.delete',
+      targetType: 'UserRole',
+      targetId: role.id,
+      before: auditSnapshot(role),
+      after: null
+    });
+    
+    res.json({
+      message: 'Role deleted successfully'
+    });
+    
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,42 @@
+import { Request, Response, NextFunction } from 'express';
+import { listSessions, revokeSession } from '../services/sessionService';
+import { AppError } from '../middleware/errorHandler';
+
+// Get active sessions
+export const getSessions = async (req: Request, res: Response, next: NextFunction) => {
+  try {
+    const { userId, sessionId } = req.user!;
+    
+    const sessions = await listSessions(userId);
+    
+    res.json({
+      sessions: sessions.map((session) => ({
+        ...session,
+        current: session.id === sessionId
+      }))
+    });
+    
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Sign out a session
+export const deleteSession = async (req: Request, res: Response, next: NextFunction) => {
+  try {
+    const { id } = req.params;
+    
+    const revoked = await revokeSession(id!, req.user!.userId);
+    
+    if (!revoked) {
+      throw new AppError('Session not found', 404);
+    }
+    
+    res.json({
+      message: 'Session revoked successfully'
+    });
+    
+  } catch (error) {
+    next(error);
+  }
+};
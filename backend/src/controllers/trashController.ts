@@ -0,0 +1,105 @@
+import { Request, Response, NextFunction } from 'express';
+import {
+  TRASH_RETENTION_DAYS,
+  listDeletedUsers,
+  listDeletedProjects,
+  restoreUser as restoreDeletedUser,
+  restoreProject as restoreDeletedProject
+} from '../services/trashService';
+import { recordAuditLog } from '../services/auditLogService';
+import { AppError } from '../middleware/errorHandler';
+import { paginationSchema } from '../utils/validation';
+
+// Get users in the trash
+export const getDeletedUsers = async (req: Request, res: Response, next: NextFunction) => {
+  try {
+    const { page, limit } = paginationSchema.parse(req.query);
+    
+    const { users, total } = await listDeletedUsers(page, limit);
+    
+    res.json({
+      users,
+      retentionDays: TRASH_RETENTION_DAYS,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+    
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Get projects in the trash
+export const getDeletedProjects = async (req: Request, res: Response, next: NextFunction) => {
+  try {
+    const { page, limit } = paginationSchema.parse(req.query);
+    
+    const { projects, total } = await listDeletedProjects(page, limit);
+    
+    res.json({
+      projects,
+      retentionDays: TRASH_RETENTION_DAYS,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+    
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Restore a user from the trash
+export const restoreUser = async (req: Request, res: Response, next: NextFunction) => {
+  try {
+    const { id } = req.params;
+    
+    if (!await restoreDeletedUser(id!)) {
+      throw new AppError('User not found in the trash', 404);
+    }
+    
+    await recordAuditLog(req, {
+      action: 'user.restore',
+      targetType: 'User',
+      targetId: id!
+    });
+    
+    res.json({
+      message: 'User restored successfully'
+    });
+    
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Restore a project from the trash
+export const restoreProject = async (req: Request, res: Response, next: NextFunction) => {
+  try {
+    const { id } = req.params;
+    
+    if (!await restoreDeletedProject(id!)) {
+      throw new AppError('Project not found in the trash', 404);
+    }
+    
+    await recordAuditLog(req, {
+      action: 'project.restore',
+      targetType: 'Project',
+      targetId: id!
+    });
+    
+    res.json({
+      message: 'Project restored successfully'
+    });
+    
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,202 @@
+import { Request, Response, NextFunction } from 'express';
+import bcrypt from 'bcryptjs';
+import { z } from 'zod';
+import {
+  isTwoFactorRequired,
+  verifyChallengeToken,
+  beginEnrollment,
+  verifyAdminTotp,
+  countRecoveryCodes,
+  enableTwoFactor,
+  regenerateRecoveryCodes,
+  disableTwoFactor
+} from '../services/twoFactorService';
+import { prisma } from '../services/database';
+import { AppError } from '../middleware/errorHandler';
+
+// Validation schemas
+export const challengeSchema = z.object({
+  challengeToken: z.string().min(1, 'Challenge token is required')
+});
+
+export const codeSchema = z.object({
+  code: z.string().regex(/^\d{6}$/, 'Code must be 6 digits')
+});
+
+export const disableSchema = z.object({
+  password: z.string().min(1, 'Password is required'),
+  code: z.string().regex(/^\d{6}$/, 'Code must be 6 digits')
+});
+
+// Load the admin behind the current access token
+const getCurrentAdmin = async (req: Request) => {
+  const admin = await prisma.adminUser.findUnique({
+    where: { id: req.user!.userId }
+  });
+  
+  if (!admin) {
+    throw new AppError('Admin not found', 404);
+  }
+  
+  return admin;
+};
+
+// Get 2FA status
+export const getTwoFactorStatus = async (req: Request, res: Response, next: NextFunction) => {
+  try {
+    const admin = await getCurrentAdmin(req);
+    
+    res.json({
+      twoFactor: {
+        enabled: admin.twoFactorEnabled,
+        required: isTwoFactorRequired(admin),
+        recoveryCodesRemaining: countRecoveryCodes(admin)
+      }
+    });
+    
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Start enrollment for a signed-in admin
+export const setupTwoFactor = async (req: Request, res: Response, next: NextFunction) => {
+  try {
+    const admin = await getCurrentAdmin(req);
+    
+    if (admin.twoFactorEnabled) {
+      throw new AppError('Two-factor authentication is already enabled', 409);
+    }
+    
+    const enrollment = await beginEnrollment(admin);
+    
+    res.json({
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      ...enrollment
+    });
+    
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Start enrollment during login, when 2FA is required but not set up yet
+export const setupTwoFactorWithChallenge = async (req: Request, res: Response, next: NextFunction) => {
+  try {
+    const { challengeToken } = challengeSchema.parse(req.body);
+    
+    const challenge = await verifyChallengeToken(challengeToken);
+    
+    if (!challenge) {
+      throw new AppError('Invalid or expired login challenge, please login again', 401, 'AUTH_CHALLENGE_INVALID');
+    }
+    
+    const admin = await prisma.adminUser.findUnique({
+      where: { id: challenge.adminId }
+    });
+    
+    if (!admin || admin.status !== 'ACTIVE') {
+      throw new AppError('Admin account is not active', 403, 'ACCOUNT_INACTIVE');
+    }
+    
+    if (admin.twoFactorEnabled) {
+      throw new AppError('Two-factor authentication is already enabled', 409);
+    }
+    
+    const enrollment = await beginEnrollment(admin);
+    
+    res.json({
+      message: 'Scan the QR code with your authenticator app, then complete login with a code',
+      ...enrollment
+    });
+    
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Confirm enrollment with a first code
+export const enableTwoFactorAuth = async (req: Request, res: Response, next: NextFunction) => {
+  try {
+    const { code } = codeSchema.parse(req.body);
+    const admin = await getCurrentAdmin(req);
+    
+    if (admin.twoFactorEnabled) {
+      throw new AppError('Two-factor authentication is already enabled', 409);
+    }
+    
+    if (!admin.twoFactorSecret) {
+      throw new AppError('Two-factor setup has not been started', 400);
+    }
+    
+    if (!(await verifyAdminTotp(admin, code))) {
+      throw new AppError('Invalid two-factor code', 400, 'AUTH_TWO_FACTOR_INVALID');
+    }
+    
+    const recoveryCodes = await enableTwoFactor(admin.id);
+    
+    res.json({
+      message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe',
+      recoveryCodes
+    });
+    
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Replace recovery codes
+export const regenerateTwoFactorRecoveryCodes = async (req: Request, res: Response, next: NextFunction) => {
+  try {
+    const { code } = codeSchema.parse(req.body);
+    const admin = await getCurrentAdmin(req);
+    
+    if (!admin.twoFactorEnabled) {
+      throw new AppError('Two-factor authentication is not enabled', 400);
+    }
+    
+    if (!(await verifyAdminTotp(admin, code))) {
+      throw new AppError('Invalid two-factor code', 400, 'AUTH_TWO_FACTOR_INVALID');
+    }
+    
+    const recoveryCodes = await regenerateRecoveryCodes(admin.id);
+    
+    res.json({
+      message: 'Recovery codes regenerated. Previous codes no longer work',
+      recoveryCodes
+    });
+    
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Turn 2FA off
+export const disableTwoFactorAuth = async (req: Request, res: Response, next: NextFunction) => {
+  try {
+    const { password, code } = disableSchema.parse(req.body);
+    const admin = await getCurrentAdmin(req);
+    
+    if (!admin.twoFactorEnabled) {
+      throw new AppError('Two-factor authentication is not enabled', 400);
+    }
+    
+    if (isTwoFactorRequired(admin)) {
+      throw new AppError('Two-factor authentication is required for this account', 403, 'AUTH_TWO_FACTOR_REQUIRED');
+    }
+    
+    const isPasswordValid = !!admin.password && await bcrypt.compare(password, admin.password);
+    if (!isPasswordValid || !(await verifyAdminTotp(admin, code))) {
+      throw new AppError('Invalid password or two-factor code', 400, 'AUTH_INVALID_CREDENTIALS');
+    }
+    
+    await disableTwoFactor(admin.id);
+    
+    res.json({
+      message: 'Two-factor authentication disabled'
+    });
+    
+  } catch (error) {
+    next(error);
+  }
+};
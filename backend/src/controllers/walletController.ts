@@ -0,0 +1,86 @@
+import { Request, Response, NextFunction } from 'express';
+import { z } from 'zod';
+import {
+  verifySiweMessage,
+  listWallets,
+  linkWallet,
+  unlinkWallet
+} from '../services/walletService';
+import { AppError } from '../middleware/errorHandler';
+
+// Validation schemas
+export const linkWalletSchema = z.object({
+  message: z.string().min(1, 'Message is required').max(4096, 'Message is too long'),
+  signature: z.string().regex(/^0x[0-9a-fA-F]{130}$/, 'Invalid signature')
+});
+
+// Get linked wallets
+export const getWallets = async (req: Request, res: Response, next: NextFunction) => {
+  try {
+    const wallets = await listWallets(req.user!.userId);
+    
+    res.json({ wallets });
+    
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Link a wallet, proven with a signed Sign-In with Ethereum message
+export const addWallet = async (req: Request, res: Response, next: NextFunction) => {
+  try {
+    const { message, signature } = linkWalletSchema.parse(req.body);
+    const userId = req.user!.userId;
+    
+    const verification = await verifySiweMessage(message, signature);
+    
+    if (verification.status === 'invalid') {
+      throw new AppError(`Invalid sign-in message: ${verification.reason}`, 400);
+    }
+    
+    const { address, chainId } = verification.message;
+    const result = await linkWallet(userId, address, chainId);
+    
+    if (result === 'already-linked') {
+      throw new AppError('This wallet is already linked to your account', 409);
+    }
+    
+    if (result === 'taken') {
+      throw new AppError('This wallet is linked to another account', 409);
+    }
+    
+    res.status(201).json({
+      message: 'Wallet linked successfully',
+      wallets: await listWallets(userId)
+    });
+    
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Unlink a wallet
+export const removeWallet = async (req: Request, res: Response, next: NextFunction) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user!.userId;
+    
+    const result = await unlinkWallet(userId, id!);
+    
+    if (result === 'not-found') {
+      throw new AppError('Wallet not found', 404);
+    }
+    
+    if (result === 'last-sign-in-method') {
+      throw new AppError('Set a password before removing your last wallet, or you will not be able to sign in', 400);
+    }
+    
+    res.json({
+      message: 'Wallet unlinked successfully',
+      wallets: await listWallets(userId)
+    });
+    
+  } catch (error) {
+    next(error);
+  }
+};
@@ -1,30 +1,37 @@
 import { Request, Response, NextFunction } from 'express';
 import jwt from 'jsonwebtoken';
-import { PrismaClient } from '@prisma/client';
 import dotenv from 'dotenv';
+import { isAccessTokenRevoked } from '../services/tokenService';
+import { getSession, touchSession } from '../services/sessionService';
+import { isPersonalAccessToken, resolvePersonalAccessToken, TokenScope } from '../services/personalAccessTokenService';
+import { getAdminPermissions, Permission } from '../services/permissionService';
+import { getActiveImpersonation, recordImpersonatedRequest } from '../services/impersonationService';
+import { ACCESS_TOKEN_COOKIE, readCookie, hasValidCsrfToken } from '../services/authCookieService';
+import { userRepository } from '../repositories/userRepository';
+import { adminRepository } from '../repositories/adminRepository';
+import { AppError } from './errorHandler';
 
 dotenv.config();
 
-const prisma = new PrismaClient();
-
-// Error class
-class AppError extends Error {
-  statusCode: number;
-  
-  constructor(message: string, statusCode: number) {
-    super(message);
-    this.statusCode = statusCode;
-  }
-}
-
 // Interface for JWT payload
 interface JWTPayload {
   userId: string;
   role: string;
+  sid?: string;
+  jti?: string;
+  // Impersonation id and the admin acting as the user
+  imp?: string;
+  act?: { sub: string; role: string };
   iat: number;
   exp: number;
 }
 
+interface Impersonator {
+  userId: string;
+  role: string;
+  impersonationId: string;
+}
+
 // Extend Request interface to include user
 declare global {
   namespace Express {
@@ -32,77 +39,166 @@ declare global {
       user?: {
         userId: string;
         role: string;
+        sessionId?: string | undefined;
+        jti?: string | undefined;
+        exp?: number | undefined;
+        // Set when authenticated with a personal access token
+        scopes?: TokenScope[] | undefined;
+        // Set when an admin is impersonating this user
+        impersonator?: Impersonator | undefined;
       };
     }
   }
 }
 
-// Verify JWT Token
+// Load the account behind a token (briefly cached, see accountStateCache)
+const findAccount = (userId: string, role: string) => {
+  if (['ADMIN', 'SUPER_ADMIN'].includes(role)) {
+    return adminRepository.findAccountState(userId);
+  }
+  
+  return userRepository.findAccountState(userId);
+};
+
+const isActiveStatus = (status: string) => status === 'ACTIVE' || status === 'PENDING_VERIFICATION';
+
+// Resolve a personal access token to its owner. Returns null when the token
+// or its account can't be used.
+const authenticatePersonalAccessToken = async (token: string) => {
+  const accessToken = await resolvePersonalAccessToken(token);
+  
+  if (!accessToken) {
+    return null;
+  }
+  
+  const user = await findAccount(accessToken.userId, accessToken.role);
+  
+  if (!user || !isActiveStatus(user.status)) {
+    return null;
+  }
+  
+  return {
+    userId: user.id,
+    role: user.role,
+    scopes: accessToken.scopes
+  };
+};
+
+// Take the token from the Authorization header, or from the access token
+// cookie of clients in cookie mode
+const getRequestToken = (req: Request) => {
+  const authHeader = req.headers.authorization;
+  
+  if (authHeader && authHeader.startsWith('Bearer ')) {
+    return { token: authHeader.substring(7), fromCookie: false };
+  }
+  
+  const cookieToken = readCookie(req, ACCESS_TOKEN_COOKIE);
+  
+  return cookieToken ? { token: cookieToken, fromCookie: true } : null;
+};
+
+// Check that the impersonation behind a token is still running and record
+// the request under it, so it can be traced back to the admin
+const resolveImpersonator = async (decoded: JWTPayload, req: Request, res: Response): Promise<Impersonator | null> => {
+  const impersonation = decoded.imp ? await getActiveImpersonation(decoded.imp) : null;
+  
+  if (!impersonation || impersonation.userId !== decoded.userId || impersonation.adminId !== decoded.act?.sub) {
+    return null;
+  }
+  
+  recordImpersonatedRequest(impersonation.id, req, res);
+  
+  return {
+    userId: impersonation.adminId,
+    role: decoded.act.role,
+    impersonationId: impersonation.id
+  };
+};
+
+// Verify JWT or personal access token
 export const verifyToken = async (req: Request, res: Response, next: NextFunction) => {
   try {
-    const authHeader = req.headers.authorization;
+    const credentials = getRequestToken(req);
     
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    if (!credentials || !credentials.token) {
       throw new AppError('Access token required', 401);
     }
     
-    const token = authHeader.substring(7); // Remove 'Bearer ' prefix
+    // Browsers attach cookies to cross-site requests, so those must prove
+    // they come from our frontend
+    if (credentials.fromCookie && !hasValidCsrfToken(req)) {
+      throw new AppError('Invalid CSRF token', 403, 'AUTH_CSRF_INVALID');
+    }
+    
+    const { token } = credentials;
     
-    if (!token) {
-      throw new AppError('Access token required', 401);
+    if (isPersonalAccessToken(token)) {
+      const tokenUser = await authenticatePersonalAccessToken(token);
+      
+      if (!tokenUser) {
+        throw new AppError('Invalid, expired or revoked access token', 401, 'AUTH_TOKEN_INVALID');
+      }
+      
+      req.user = tokenUser;
+      return next();
     }
     
     // Verify token
     const decoded = jwt.verify(token, process.env.JWT_SECRET!) as JWTPayload;
     
     // Check if user still exists
-    let user;
-    if (['ADMIN', 'SUPER_ADMIN'].includes(decoded.role)) {
-      user = await prisma.adminUser.findUnique({
-        where: { id: decoded.userId },
-        select: { id: true, status: true, role: true }
-      });
-    } else {
-      user = await prisma.user.findUnique({
-        where: { id: decoded.userId },
-        select: { id: true, status: true, role: true }
-      });
-    }
+    const user = await findAccount(decoded.userId, decoded.role);
     
     if (!user) {
-      throw new AppError('User no longer exists', 401);
+      throw new AppError('User no longer exists', 401, 'AUTH_TOKEN_INVALID');
     }
     
     // Check if user is active
-    if (user.status !== 'ACTIVE' && user.status !== 'PENDING_VERIFICATION') {
-      throw new AppError('User account is not active', 403);
+    if (!isActiveStatus(user.status)) {
+      throw new AppError('User account is not active', 403, 'ACCOUNT_INACTIVE');
+    }
+    
+    // Check if token was revoked (logout, password change, suspension)
+    if (await isAccessTokenRevoked(decoded, user.tokensValidAfter)) {
+      throw new AppError('Token has been revoked', 401, 'AUTH_TOKEN_REVOKED');
+    }
+    
+    // Check if the session was signed out
+    if (decoded.sid) {
+      const session = await getSession(decoded.sid);
+      
+      if (!session || session.revokedAt || session.userId !== decoded.userId) {
+        throw new AppError('Session has been revoked', 401, 'AUTH_TOKEN_REVOKED');
+      }
+      
+      await touchSession(session);
+    }
+    
+    // Impersonation tokens stop working as soon as the impersonation ends
+    let impersonator: Impersonator | null = null;
+    if (decoded.imp) {
+      impersonator = await resolveImpersonator(decoded, req, res);
+      
+      if (!impersonator) {
+        throw new AppError('Impersonation has ended', 401, 'AUTH_TOKEN_REVOKED');
+      }
     }
     
     // Add user info to request
     req.user = {
       userId: decoded.userId,
-      role: decoded.role
+      role: decoded.role,
+      sessionId: decoded.sid,
+      jti: decoded.jti,
+      exp: decoded.exp,
+      ...(impersonator && { impersonator })
     };
     
     next();
     
   } catch (error) {
-    if (error instanceof jwt.JsonWebTokenError) {
-      return res.status(401).json({
-        error: {
-          message: 'Invalid token'
-        }
-      });
-    }
-    
-    if (error instanceof jwt.TokenExpiredError) {
-      return res.status(401).json({
-        error: {
-          message: 'Token expired'
-        }
-      });
-    }
-    
+    // JWT errors become AUTH_TOKEN_INVALID / AUTH_TOKEN_EXPIRED in the error handler
     next(error);
   }
 };
@@ -125,43 +221,119 @@ export const requireRole = (roles: string[]) => {
   };
 };
 
+// Require an admin holding a permission, resolved from their role and
+// per-admin overrides
+export const requirePermission = (permission: Permission) => {
+  return async (req: Request, res: Response, next: NextFunction) => {
+    try {
+      const user = req.user;
+      
+      if (!user || !['ADMIN', 'SUPER_ADMIN'].includes(user.role)) {
+        throw new AppError('Admin access required', 403);
+      }
+      
+      const permissions = await getAdminPermissions(user.userId);
+      
+      if (!permissions.includes(permission)) {
+        throw new AppError(`Missing the ${permission} permission`, 403);
+      }
+      
+      next();
+      
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
+// Limit personal access tokens to routes covered by one of their scopes.
+// Session (JWT) requests and anonymous requests pass through.
+export const requireScope = (scope: TokenScope) => {
+  return (req: Request, res: Response, next: NextFunction) => {
+    try {
+      const scopes = req.user?.scopes;
+      
+      if (scopes && !scopes.includes(scope)) {
+        throw new AppError(`Access token is missing the ${scope} scope`, 403);
+      }
+      
+      next();
+      
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
+// Reject personal access tokens and impersonation on account management
+// routes, so neither a leaked token nor an admin acting as the user can take
+// over the account or mint broader tokens
+export const requireSession = (req: Request, res: Response, next: NextFunction) => {
+  try {
+    if (req.user?.scopes) {
+      throw new AppError('This endpoint requires signing in; access tokens are not accepted', 403);
+    }
+    
+    if (req.user?.impersonator) {
+      throw new AppError('Not available while impersonating a user', 403);
+    }
+    
+    next();
+    
+  } catch (error) {
+    next(error);
+  }
+};
+
 // Optional authentication (doesn't fail if no token)
 export const optionalAuth = async (req: Request, res: Response, next: NextFunction) => {
   try {
-    const authHeader = req.headers.authorization;
+    const credentials = getRequestToken(req);
     
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    if (!credentials || !credentials.token) {
       return next(); // Continue without authentication
     }
     
-    const token = authHeader.substring(7);
-    
-    if (!token) {
+    if (credentials.fromCookie && !hasValidCsrfToken(req)) {
       return next(); // Continue without authentication
     }
     
+    const { token } = credentials;
+    
+    if (isPersonalAccessToken(token)) {
+      const tokenUser = await authenticatePersonalAccessToken(token);
+      
+      if (tokenUser) {
+        req.user = tokenUser;
+      }
+      
+      return next();
+    }
+    
     // Try to verify token
     const decoded = jwt.verify(token, process.env.JWT_SECRET!) as JWTPayload;
     
     // Check if user still exists
-    let user;
-    if (['ADMIN', 'SUPER_ADMIN'].includes(decoded.role)) {
-      user = await prisma.adminUser.findUnique({
-        where: { id: decoded.userId },
-        select: { id: true, status: true, role: true }
-      });
-    } else {
-      user = await prisma.user.findUnique({
-        where: { id: decoded.userId },
-        select: { id: true, status: true, role: true }
-      });
-    }
-    
-    if (user && (user.status === 'ACTIVE' || user.status === 'PENDING_VERIFICATION')) {
-      req.user = {
-        userId: decoded.userId,
-        role: decoded.role
-      };
+    const user = await findAccount(decoded.userId, decoded.role);
+    
+    const isActive = !!user && isActiveStatus(user.status);
+    
+    const session = decoded.sid ? await getSession(decoded.sid) : null;
+    const isSessionValid = !decoded.sid || (session && !session.revokedAt && session.userId === decoded.userId);
+    
+    if (user && isActive && isSessionValid && !(await isAccessTokenRevoked(decoded, user.tokensValidAfter))) {
+      const impersonator = decoded.imp ? await resolveImpersonator(decoded, req, res) : null;
+      
+      if (!decoded.imp || impersonator) {
+        req.user = {
+          userId: decoded.userId,
+          role: decoded.role,
+          sessionId: decoded.sid,
+          jti: decoded.jti,
+          exp: decoded.exp,
+          ...(impersonator && { impersonator })
+        };
+      }
     }
     
     next();
@@ -171,48 +343,3 @@ export const optionalAuth = async (req: Request, res: Response, next: NextFuncti
     next();
   }
 };
-
-// Rate limiting middleware (basic implementation)
-const requestCounts = new Map<string, { count: number; resetTime: number }>();
-
-export const rateLimit = (maxRequests: number, windowMs: number) => {
-  return (req: Request, res: Response, next: NextFunction) => {
-    const clientIP = req.ip || req.connection.remoteAddress || 'unknown';
-    const now = Date.now();
-    
-    const clientData = requestCounts.get(clientIP);
-    
-    if (!clientData || now > clientData.resetTime) {
-      // Reset or initialize counter
-      requestCounts.set(clientIP, {
-        count: 1,
-        resetTime: now + windowMs
-      });
-      return next();
-    }
-    
-    if (clientData.count >= maxRequests) {
-      return res.status(429).json({
-        error: {
-          message: 'Too many requests, please try again later'
-        }
-      });
-    }
-    
-    // Increment counter
-    clientData.count++;
-    requestCounts.set(clientIP, clientData);
-    
-    next();
-  };
-};
-
-// Clean up old rate limit entries periodically
-setInterval(() => {
-  const now = Date.now();
-  for (const [ip, data] of requestCounts.entries()) {
-    if (now > data.resetTime) {
-      requestCounts.delete(ip);
-    }
-  }
-}, 60000); // Clean up every minute
\ No newline at end of file
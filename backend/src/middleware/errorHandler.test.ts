@@ -0,0 +1,164 @@
+import express from 'express';
+import request from 'supertest';
+import jwt from 'jsonwebtoken';
+import { z } from 'zod';
+import { PrismaClientKnownRequestError } from '@prisma/client/runtime/library';
+import { logger } from '../services/logger';
+import { requestLogger, REQUEST_ID_HEADER } from './requestLogger';
+import { AppError, globalErrorHandler, notFoundHandler } from './errorHandler';
+
+jest.mock('../services/logger', () => ({
+  logger: { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() }
+}));
+
+const REQUEST_ID = 'req-1234abcd';
+
+// Each route throws one kind of error, the way controllers pass them on
+const buildApp = () => {
+  const app = express();
+  app.use(requestLogger);
+  app.use(express.json());
+  
+  const fail = (path: string, error: () => unknown) => {
+    app.post(path, (_req, _res, next) => next(error()));
+  };
+  
+  fail('/app-error', () => new AppError('Project not found', 404));
+  fail('/app-error-code', () => new AppError('Account is locked', 423, 'ACCOUNT_LOCKED'));
+  fail('/validation', () => z.object({
+    email: z.string().email('Invalid email format'),
+    tags: z.array(z.string())
+  }).safeParse({ email: 'nope', tags: [1] }).error);
+  fail('/prisma-duplicate', () => new PrismaClientKnownRequestError('Unique constraint failed', {
+    code: 'P2002',
+    clientVersion: '5.7.1',
+    meta: { target: ['email'] }
+  }));
+  fail('/jwt-expired', () => new jwt.TokenExpiredError('jwt expired', new Date()));
+  fail('/jwt-invalid', () => new jwt.JsonWebTokenError('invalid signature'));
+  fail('/crash', () => new Error('Cannot read properties of undefined'));
+  app.post('/json', (_req, res) => res.json({ ok: true }));
+  
+  app.use('*', notFoundHandler);
+  app.use(globalErrorHandler);
+  
+  return app;
+};
+
+const post = (path: string) => request(buildApp()).post(path).set(REQUEST_ID_HEADER, REQUEST_ID);
+
+const originalNodeEnv = process.env.NODE_ENV;
+
+afterEach(() => {
+  process.env.NODE_ENV = originalNodeEnv;
+});
+
+describe('globalErrorHandler', () => {
+  it('answers an AppError with its status, code and message', async () => {
+    const response = await post('/app-error');
+    
+    expect(response.status).toBe(404);
+    expect(response.body).toEqual({
+      error: {
+        code: 'NOT_FOUND',
+        message: 'Project not found',
+        requestId: REQUEST_ID,
+        stack: expect.any(String) as string
+      }
+    });
+  });
+  
+  it('keeps the code an AppError names', async () => {
+    const response = await post('/app-error-code');
+    
+    expect(response.status).toBe(423);
+    expect(response.body).toMatchObject({ error: { code: 'ACCOUNT_LOCKED', message: 'Account is locked' } });
+  });
+  
+  it('lists the failing fields of a validation error', async () => {
+    const response = await post('/validation');
+    
+    expect(response.status).toBe(400);
+    expect(response.body).toMatchObject({
+      error: {
+        code: 'VALIDATION_FAILED',
+        message: 'Validation failed',
+        details: [
+          { field: 'email', message: 'Invalid email format' },
+          { field: 'tags.0', message: 'Expected string, received number' }
+        ],
+        requestId: REQUEST_ID
+      }
+    });
+  });
+  
+  it('turns a unique constraint violation into a conflict', async () => {
+    const response = await post('/prisma-duplicate');
+    
+    expect(response.status).toBe(409);
+    expect(response.body).toMatchObject({ error: { code: 'CONFLICT', message: 'Duplicate value for email' } });
+  });
+  
+  it('tells expired tokens from invalid ones', async () => {
+    expect((await post('/jwt-expired')).body).toMatchObject({ error: { code: 'AUTH_TOKEN_EXPIRED' } });
+    expect((await post('/jwt-invalid')).body).toMatchObject({ error: { code: 'AUTH_TOKEN_INVALID' } });
+  });
+  
+  it('answers a malformed JSON body with a 400', async () => {
+    const response = await post('/json').set('Content-Type', 'application/json').send('{"broken":');
+    
+    expect(response.status).toBe(400);
+    expect(response.body).toMatchObject({ error: { code: 'BAD_REQUEST', requestId: REQUEST_ID } });
+  });
+  
+  it('hides the details of unexpected errors in production', async () => {
+    process.env.NODE_ENV = 'production';
+    
+    const response = await post('/crash');
+    
+    expect(response.status).toBe(500);
+    expect(response.body).toEqual({
+      error: { code: 'INTERNAL_ERROR', message: 'Internal Server Error', requestId: REQUEST_ID }
+    });
+    expect(logger.error).toHaveBeenCalledWith('Request failed', expect.objectContaining({
+      requestId: REQUEST_ID,
+      code: 'INTERNAL_ERROR'
+    }));
+  });
+  
+  it('shows the message of unexpected errors outside production', async () => {
+    process.env.NODE_ENV = 'development';
+    
+    const response = await post('/crash');
+    
+    expect(response.body).toMatchObject({
+      error: { code: 'INTERNAL_ERROR', message: 'Cannot read properties of undefined' }
+    });
+  });
+  
+  it('logs client errors as warnings', async () => {
+    await post('/app-error');
+    
+    expect(logger.warn).toHaveBeenCalledWith('Request failed', expect.objectContaining({ code: 'NOT_FOUND' }));
+    expect(logger.error).not.toHaveBeenCalledWith('Request failed', expect.anything());
+  });
+  
+  it('makes up a request id when the client sends none', async () => {
+    const response = await request(buildApp()).post('/app-error');
+    const { error } = response.body as { error: { requestId: string } };
+    
+    expect(error.requestId).toMatch(/^[0-9a-f-]{36}$/);
+    expect(response.get(REQUEST_ID_HEADER)).toBe(error.requestId);
+  });
+});
+
+describe('notFoundHandler', () => {
+  it('answers unknown routes in the same envelope', async () => {
+    const response = await request(buildApp()).get('/nowhere').set(REQUEST_ID_HEADER, REQUEST_ID);
+    
+    expect(response.status).toBe(404);
+    expect(response.body).toEqual({
+      error: { code: 'ROUTE_NOT_FOUND', message: 'Route not found', path: '/nowhere', requestId: REQUEST_ID }
+    });
+  });
+});
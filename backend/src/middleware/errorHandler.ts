@@ -1,30 +1,106 @@
 import { Request, Response, NextFunction } from 'express';
 import { PrismaClientKnownRequestError } from '@prisma/client/runtime/library';
+import jwt from 'jsonwebtoken';
+import { z } from 'zod';
+import { logger } from '../services/logger';
 
-// Custom error class
+// Machine-readable error codes. Clients switch on these, so existing codes
+// must keep their meaning; messages are for humans and may change.
+export const ERROR_CODES = [
+  // Generic, one per status code
+  'BAD_REQUEST',
+  'AUTH_REQUIRED',
+  'FORBIDDEN',
+  'NOT_FOUND',
+  'CONFLICT',
+  'RATE_LIMITED',
+  'INTERNAL_ERROR',
+  // Requests
+  'VALIDATION_FAILED',
+  'ROUTE_NOT_FOUND',
+  'LINK_INVALID_OR_EXPIRED',
+  // Authentication
+  'AUTH_INVALID_CREDENTIALS',
+  'AUTH_TOKEN_INVALID',
+  'AUTH_TOKEN_EXPIRED',
+  'AUTH_TOKEN_REVOKED',
+  'AUTH_CSRF_INVALID',
+  'AUTH_CHALLENGE_INVALID',
+  'AUTH_TWO_FACTOR_REQUIRED',
+  'AUTH_TWO_FACTOR_INVALID',
+  // Accounts
+  'ACCOUNT_INACTIVE',
+  'ACCOUNT_LOCKED',
+  'EMAIL_TAKEN'
+] as const;
+
+export type ErrorCode = typeof ERROR_CODES[number];
+
+// Code used when an error doesn't name a more specific one
+const defaultCode = (statusCode: number): ErrorCode => {
+  switch (statusCode) {
+    case 400:
+      return 'BAD_REQUEST';
+    case 401:
+      return 'AUTH_REQUIRED';
+    case 403:
+      return 'FORBIDDEN';
+    case 404:
+      return 'NOT_FOUND';
+    case 409:
+      return 'CONFLICT';
+    case 423:
+      return 'ACCOUNT_LOCKED';
+    case 429:
+      return 'RATE_LIMITED';
+    default:
+      return statusCode < 500 ? 'BAD_REQUEST' : 'INTERNAL_ERROR';
+  }
+};
+
+// A field that failed validation, e.g. { field: 'email', message: 'Invalid email format' }
+export interface FieldError {
+  field: string;
+  message: string;
+}
+
+// Errors thrown on purpose. Their message is safe to show to the client.
 export class AppError extends Error {
   statusCode: number;
+  code: ErrorCode;
+  details: FieldError[] | undefined;
   isOperational: boolean;
   
-  constructor(message: string, statusCode: number) {
+  constructor(message: string, statusCode: number, code: ErrorCode = defaultCode(statusCode), details?: FieldError[]) {
     super(message);
     this.statusCode = statusCode;
+    this.code = code;
+    this.details = details;
     this.isOperational = true;
     
     Error.captureStackTrace(this, this.constructor);
   }
 }
 
+// One entry per failing field; the path is dotted for nested fields
+// (e.g. "tags.0"). Errors on the object itself have an empty field.
+const handleZodError = (error: z.ZodError) =>
+  new AppError('Validation failed', 400, 'VALIDATION_FAILED', error.errors.map((issue) => ({
+    field: issue.path.join('.'),
+    message: issue.message
+  })));
+
 // Handle Prisma errors
 const handlePrismaError = (error: PrismaClientKnownRequestError): AppError => {
   switch (error.code) {
-    case 'P2002':
+    case 'P2002': {
       // Unique constraint violation
-      const field = error.meta?.target as string[];
+      const field = error.meta?.target as string[] | undefined;
       return new AppError(
         `Duplicate value for ${field ? field.join(', ') : 'field'}`,
         409
       );
+    }
     
     case 'P2025':
       // Record not found
@@ -43,93 +119,84 @@ const handlePrismaError = (error: PrismaClientKnownRequestError): AppError => {
   }
 };
 
-// Handle JWT errors
-const handleJWTError = (): AppError => {
-  return new AppError('Invalid token', 401);
-};
-
-const handleJWTExpiredError = (): AppError => {
-  return new AppError('Token expired', 401);
-};
-
-// Send error response in development
-const sendErrorDev = (err: AppError, res: Response) => {
-  res.status(err.statusCode).json({
-    error: {
-      status: err.statusCode,
-      message: err.message,
-      stack: err.stack,
-      ...(err.name === 'PrismaClientKnownRequestError' && {
-        prismaCode: (err as any).code,
-        prismaMeta: (err as any).meta
-      })
-    }
-  });
-};
-
-// Send error response in production
-const sendErrorProd = (err: AppError, res: Response) => {
-  // Operational, trusted error: send message to client
-  if (err.isOperational) {
-    res.status(err.statusCode).json({
-      error: {
-        message: err.message
-      }
-    });
-  } else {
-    // Programming or other unknown error: don't leak error details
-    console.error('ERROR 💥', err);
-    
-    res.status(500).json({
-      error: {
-        message: 'Something went wrong!'
-      }
-    });
+// Turn anything thrown into an AppError. Unknown errors become a 500 whose
+// message is only shown outside production.
+const toAppError = (err: unknown): AppError => {
+  if (err instanceof AppError) {
+    return err;
+  }
+  
+  if (err instanceof z.ZodError) {
+    return handleZodError(err);
+  }
+  
+  if (err instanceof PrismaClientKnownRequestError) {
+    return handlePrismaError(err);
   }
+  
+  // TokenExpiredError extends JsonWebTokenError, so it is checked first
+  if (err instanceof jwt.TokenExpiredError) {
+    return new AppError('Token expired', 401, 'AUTH_TOKEN_EXPIRED');
+  }
+  
+  if (err instanceof jwt.JsonWebTokenError) {
+    return new AppError('Invalid token', 401, 'AUTH_TOKEN_INVALID');
+  }
+  
+  // Malformed JSON bodies and oversized payloads from express.json()
+  const status = (err as { status?: unknown } | null)?.status;
+  if (typeof status === 'number' && status >= 400 && status < 500) {
+    return new AppError(err instanceof Error ? err.message : 'Bad request', status);
+  }
+  
+  const error = new AppError('Internal Server Error', 500);
+  error.isOperational = false;
+  return error;
 };
 
-// Global error handling middleware
+// Every error response has the same envelope:
+// { error: { code, message, details?, requestId } }
 export const globalErrorHandler = (
-  err: any,
+  err: unknown,
   req: Request,
   res: Response,
-  next: NextFunction
+  // Express only treats a middleware as an error handler when it takes four arguments
+  _next: NextFunction
 ) => {
-  err.statusCode = err.statusCode || 500;
+  const error = toAppError(err);
+  const isProduction = process.env.NODE_ENV === 'production';
   
-  if (process.env.NODE_ENV === 'development') {
-    sendErrorDev(err, res);
-  } else {
-    let error = { ...err };
-    error.message = err.message;
-    
-    // Handle specific error types
-    if (err instanceof PrismaClientKnownRequestError) {
-      error = handlePrismaError(err);
-    }
-    
-    if (err.name === 'JsonWebTokenError') {
-      error = handleJWTError();
-    }
-    
-    if (err.name === 'TokenExpiredError') {
-      error = handleJWTExpiredError();
+  logger[error.statusCode >= 500 ? 'error' : 'warn']('Request failed', {
+    requestId: req.requestId,
+    code: error.code,
+    error: err
+  });
+  
+  // Unexpected errors keep their details to the logs in production
+  const message = !error.isOperational && !isProduction && err instanceof Error
+    ? err.message
+    : error.message;
+  
+  res.status(error.statusCode).json({
+    error: {
+      code: error.code,
+      message,
+      ...(error.details && { details: error.details }),
+      // Quoted in support requests to find the matching log entries
+      requestId: req.requestId,
+      ...(!isProduction && err instanceof Error && { stack: err.stack })
     }
-    
-    sendErrorProd(error, res);
-  }
+  });
 };
 
-// Handle unhandled promise rejections
-process.on('unhandledRejection', (err: Error) => {
-  console.log('UNHANDLED REJECTION! 💥 Shutting down...');
-  console.log(err.name, err.message);
-  process.exit(1);
-});
-
-// Handle uncaught exceptions
-process.on('uncaughtException', (err: Error) => {
-  console.log('UNCAUGHT EXCEPTION! 💥 Shutting down...');
-  console.log(err.name, err.message);
-  process.exit(1);
-});
\ No newline at end of file
+// Answer for routes that don't exist
+export const notFoundHandler = (req: Request, res: Response) => {
+  res.status(404).json({
+    error: {
+      code: 'ROUTE_NOT_FOUND',
+      message: 'Route not found',
+      path: req.originalUrl,
+      requestId: req.requestId
+    }
+  });
+};
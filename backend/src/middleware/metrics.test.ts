@@ -0,0 +1,69 @@
+import express from 'express';
+import request from 'supertest';
+import { metricsEndpoint, getMetricsToken } from './metrics';
+import { globalErrorHandler } from './errorHandler';
+
+jest.mock('../services/logger', () => ({
+  logger: { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() }
+}));
+
+const originalEnv = { NODE_ENV: process.env.NODE_ENV, METRICS_TOKEN: process.env.METRICS_TOKEN };
+
+const setEnv = (env: { NODE_ENV?: string | undefined; METRICS_TOKEN?: string | undefined }) => {
+  for (const name of ['NODE_ENV', 'METRICS_TOKEN'] as const) {
+    if (env[name] === undefined) {
+      delete process.env[name];
+    } else {
+      process.env[name] = env[name];
+    }
+  }
+};
+
+const buildApp = () => {
+  const app = express();
+  app.get('/metrics', metricsEndpoint);
+  app.use(globalErrorHandler);
+  
+  return app;
+};
+
+afterEach(() => {
+  setEnv(originalEnv);
+});
+
+describe('getMetricsToken', () => {
+  it('refuses to start production without a token', () => {
+    setEnv({ NODE_ENV: 'production' });
+    
+    expect(() => getMetricsToken()).toThrow('Production needs METRICS_TOKEN');
+  });
+  
+  it('leaves the endpoint open in development when no token is set', async () => {
+    setEnv({ NODE_ENV: 'development' });
+    
+    expect(getMetricsToken()).toBeNull();
+    expect((await request(buildApp()).get('/metrics')).status).toBe(200);
+  });
+});
+
+describe('metricsEndpoint', () => {
+  it('requires the token as a bearer token', async () => {
+    setEnv({ NODE_ENV: 'production', METRICS_TOKEN: 'scrape-secret' });
+    
+    const app = buildApp();
+    
+    expect((await request(app).get('/metrics')).status).toBe(401);
+    expect((await request(app).get('/metrics').set('Authorization', 'Bearer wrong-secret')).status).toBe(401);
+    
+    const response = await request(app).get('/metrics').set('Authorization', 'Bearer scrape-secret');
+    
+    expect(response.status).toBe(200);
+    expect(response.text).toContain('http_requests_total');
+  });
+  
+  it('never serves production metrics without a token', async () => {
+    setEnv({ NODE_ENV: 'production' });
+    
+    expect((await request(buildApp()).get('/metrics')).status).toBe(500);
+  });
+});
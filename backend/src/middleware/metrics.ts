@@ -0,0 +1,69 @@
+import { Request, Response, NextFunction } from 'express';
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+import { httpRequestsTotal, httpRequestDuration, renderMetrics } from '../services/metricsService';
+import { routeTemplate } from './requestLogger';
+import { AppError } from './errorHandler';
+
+dotenv.config();
+
+// Count and time every request once its response is sent. Needs
+// requestLogger in front of it, which records the route template.
+export const httpMetrics = (req: Request, res: Response, next: NextFunction) => {
+  const startedAt = process.hrtime.bigint();
+  
+  res.on('finish', () => {
+    // Unmatched paths share one label so scanners can't blow up the series count
+    const labels = {
+      method: req.method,
+      route: routeTemplate(res) ?? 'unmatched',
+      status: String(res.statusCode)
+    };
+    
+    httpRequestsTotal.inc(labels);
+    httpRequestDuration.observe(labels, Number(process.hrtime.bigint() - startedAt) / 1e9);
+  });
+  
+  next();
+};
+
+// Throws in production without METRICS_TOKEN: the business metrics would be
+// public. Called at startup so a misconfigured server does not start.
+export const getMetricsToken = () => {
+  const token = process.env.METRICS_TOKEN;
+  
+  if (!token && process.env.NODE_ENV === 'production') {
+    throw new Error('Production needs METRICS_TOKEN to protect /metrics');
+  }
+  
+  return token || null;
+};
+
+const isAuthorizedScrape = (req: Request) => {
+  const token = getMetricsToken();
+  
+  if (!token) {
+    return true;
+  }
+  
+  const expected = Buffer.from(`Bearer ${token}`);
+  const actual = Buffer.from(req.get('Authorization') ?? '');
+  
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+// Prometheus scrape endpoint. Set METRICS_TOKEN to require it as a bearer
+// token; production always does.
+export const metricsEndpoint = async (req: Request, res: Response, next: NextFunction) => {
+  try {
+    if (!isAuthorizedScrape(req)) {
+      throw new AppError('Invalid metrics token', 401, 'AUTH_TOKEN_INVALID');
+    }
+    
+    res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+    res.send(await renderMetrics());
+    
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,114 @@
+import express from 'express';
+import request from 'supertest';
+import { prisma } from '../services/database';
+import { hashToken } from '../services/tokenService';
+import { resolvePersonalAccessToken } from '../services/personalAccessTokenService';
+import { rateLimit } from './rateLimit';
+import { globalErrorHandler } from './errorHandler';
+
+jest.mock('../services/database', () => ({
+  prisma: {
+    personalAccessToken: {
+      findUnique: jest.fn(),
+      update: jest.fn()
+    }
+  }
+}));
+
+jest.mock('../services/logger', () => ({
+  logger: { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() }
+}));
+
+const mockPrisma = prisma as unknown as { personalAccessToken: Record<'findUnique' | 'update', jest.Mock> };
+
+const TOKEN = `flk_${'a'.repeat(48)}`;
+
+const storedToken = {
+  id: 'token-1',
+  tokenHash: hashToken(TOKEN),
+  userId: 'user-1',
+  role: 'USER',
+  scopes: '["projects:read"]',
+  revokedAt: null,
+  expiresAt: null,
+  lastUsedAt: new Date()
+};
+
+// Limiters keep their counters between requests, so each test gets its own name
+let limiterCount = 0;
+
+const buildApp = () => {
+  const app = express();
+  app.use(rateLimit({ name: `test-${++limiterCount}`, max: 5, windowMs: 60_000, keyBy: 'token' }));
+  app.get('/', (_req, res) => res.json({ ok: true }));
+  app.use(globalErrorHandler);
+  
+  return app;
+};
+
+// RateLimit-Remaining after a request with the given token, or none
+const remaining = async (app: express.Express, token?: string) => {
+  const req = request(app).get('/');
+  const response = await (token ? req.set('Authorization', `Bearer ${token}`) : req);
+  
+  return Number(response.get('RateLimit-Remaining'));
+};
+
+beforeEach(() => {
+  mockPrisma.personalAccessToken.findUnique.mockResolvedValue(storedToken);
+});
+
+describe('rateLimit keyed by token', () => {
+  it('picks the key without looking the token up', async () => {
+    await remaining(buildApp(), TOKEN);
+    
+    expect(mockPrisma.personalAccessToken.findUnique).not.toHaveBeenCalled();
+    expect(mockPrisma.personalAccessToken.update).not.toHaveBeenCalled();
+  });
+  
+  it('counts tokens nobody has resolved against the IP', async () => {
+    const app = buildApp();
+    
+    expect(await remaining(app, `flk_${'b'.repeat(48)}`)).toBe(4);
+    expect(await remaining(app, `flk_${'c'.repeat(48)}`)).toBe(3);
+    expect(await remaining(app)).toBe(2);
+  });
+  
+  it('gives a token its own budget once it has resolved', async () => {
+    const app = buildApp();
+    await remaining(app);
+    await remaining(app);
+    
+    expect(await resolvePersonalAccessToken(TOKEN)).toMatchObject({ userId: 'user-1' });
+    
+    expect(await remaining(app, TOKEN)).toBe(4);
+    expect(await remaining(app)).toBe(2);
+  });
+  
+  it('stops giving a token its own budget once it no longer resolves', async () => {
+    const app = buildApp();
+    await resolvePersonalAccessToken(TOKEN);
+    
+    mockPrisma.personalAccessToken.findUnique.mockResolvedValue({ ...storedToken, revokedAt: new Date() });
+    expect(await resolvePersonalAccessToken(TOKEN)).toBeNull();
+    
+    expect(await remaining(app, TOKEN)).toBe(4);
+    expect(await remaining(app)).toBe(3);
+  });
+  
+  it('forgets resolved tokens after a few minutes', async () => {
+    jest.useFakeTimers({ now: Date.UTC(2024, 0, 15, 12, 0, 0), doNotFake: ['nextTick', 'setImmediate'] });
+    
+    try {
+      await resolvePersonalAccessToken(TOKEN);
+      jest.setSystemTime(Date.UTC(2024, 0, 15, 12, 5, 0));
+      
+      const app = buildApp();
+      
+      expect(await remaining(app, TOKEN)).toBe(4);
+      expect(await remaining(app)).toBe(3);
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+});
@@ -0,0 +1,97 @@
+import { Request, Response, NextFunction } from 'express';
+import dotenv from 'dotenv';
+import { createRateLimitStore, hitRateLimit } from '../services/rateLimitService';
+import { isPersonalAccessToken, isRecentlyResolved } from '../services/personalAccessTokenService';
+import { hashToken } from '../services/tokenService';
+import { logger } from '../services/logger';
+import { rateLimitRejectionsTotal } from '../services/metricsService';
+import { AppError } from './errorHandler';
+
+dotenv.config();
+
+// Shared by every limiter; keys are prefixed with the limiter name
+const store = createRateLimitStore();
+
+// Who a limit applies to. "user" and "token" fall back to the IP address
+// for requests without a signed-in user or a valid personal access token.
+export type RateLimitKey = 'ip' | 'user' | 'token';
+
+interface RateLimitOptions {
+  // Distinguishes the counters of different limiters
+  name: string;
+  max: number;
+  windowMs: number;
+  keyBy?: RateLimitKey;
+}
+
+const clientIp = (req: Request) => req.ip || req.socket.remoteAddress || 'unknown';
+
+// The token itself is never used as a key, only a hash of it. Only tokens
+// verifyToken has resolved lately get their own budget, so picking the key
+// needs no lookup and a fresh made-up token on every request still counts
+// against the IP. A token's first request in a while counts against the IP too.
+const personalAccessTokenKey = (req: Request) => {
+  const authHeader = req.headers.authorization;
+  const token = authHeader?.startsWith('Bearer ') ? authHeader.substring(7) : null;
+  
+  if (!token || !isPersonalAccessToken(token) || !isRecentlyResolved(token)) {
+    return null;
+  }
+  
+  return `token:${hashToken(token)}`;
+};
+
+const getClientKey = (req: Request, keyBy: RateLimitKey) => {
+  if (keyBy === 'token') {
+    const tokenKey = personalAccessTokenKey(req);
+    
+    if (tokenKey) {
+      return tokenKey;
+    }
+  }
+  
+  // req.user is only set on routes behind verifyToken or optionalAuth
+  if (keyBy !== 'ip' && req.user) {
+    return `user:${req.user.userId}`;
+  }
+  
+  return `ip:${clientIp(req)}`;
+};
+
+// Sliding window rate limiting with RateLimit-* headers. If the store fails
+// the request is let through rather than taking the API down with it.
+export const rateLimit = ({ name, max, windowMs, keyBy = 'ip' }: RateLimitOptions) => {
+  return async (req: Request, res: Response, next: NextFunction) => {
+    let result;
+    
+    try {
+      result = await hitRateLimit(store, `${name}:${getClientKey(req, keyBy)}`, max, windowMs);
+    } catch (error) {
+      logger.error('Rate limit error', { error });
+      return next();
+    }
+    
+    res.set({
+      'RateLimit-Limit': String(result.limit),
+      'RateLimit-Remaining': String(result.remaining),
+      'RateLimit-Reset': String(result.resetSeconds)
+    });
+    
+    if (!result.allowed) {
+      rateLimitRejectionsTotal.inc({ limiter: name });
+      res.set('Retry-After', String(result.retryAfterSeconds));
+      return next(new AppError('Too many requests, please try again later', 429));
+    }
+    
+    next();
+  };
+};
+
+// Limit applied to the whole API, configured with RATE_LIMIT_WINDOW_MS and
+// RATE_LIMIT_MAX_REQUESTS. Personal access tokens get their own budget.
+export const globalRateLimit = rateLimit({
+  name: 'global',
+  max: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS || '100'),
+  windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS || '900000'),
+  keyBy: 'token'
+});
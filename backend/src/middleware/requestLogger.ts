@@ -0,0 +1,74 @@
+import { Request, Response, NextFunction } from 'express';
+import crypto from 'crypto';
+import { logger } from '../services/logger';
+
+export const REQUEST_ID_HEADER = 'X-Request-Id';
+
+// Incoming ids are reused only when they are safe to log and echo back
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+declare global {
+  namespace Express {
+    interface Request {
+      requestId?: string;
+    }
+  }
+}
+
+// Record the route template as Express assigns req.route, while req.baseUrl
+// still belongs to the router that matched. Once a handler calls next(err),
+// Express unwinds baseUrl, so it can't be read when the response finishes.
+const captureRouteTemplate = (req: Request, res: Response) => {
+  let route: unknown;
+  
+  Object.defineProperty(req, 'route', {
+    configurable: true,
+    enumerable: true,
+    get: () => route,
+    set: (value: unknown) => {
+      route = value;
+      
+      const routePath = (value as { path?: unknown } | undefined)?.path;
+      
+      if (typeof routePath === 'string') {
+        res.locals.routeTemplate = `${req.baseUrl}${routePath}`;
+      }
+    }
+  });
+};
+
+// Route template such as /api/projects/:id, or null when no route matched
+export const routeTemplate = (res: Response) => {
+  const template: unknown = res.locals.routeTemplate;
+  
+  return typeof template === 'string' ? template : null;
+};
+
+// Give every request an id, reusing the caller's X-Request-Id when it sends
+// one, and log the request once the response is sent
+export const requestLogger = (req: Request, res: Response, next: NextFunction) => {
+  const incomingId = req.get(REQUEST_ID_HEADER);
+  const requestId = incomingId && REQUEST_ID_PATTERN.test(incomingId) ? incomingId : crypto.randomUUID();
+  const startedAt = process.hrtime.bigint();
+  
+  req.requestId = requestId;
+  res.set(REQUEST_ID_HEADER, requestId);
+  captureRouteTemplate(req, res);
+  
+  res.on('finish', () => {
+    const latencyMs = Number(process.hrtime.bigint() - startedAt) / 1e6;
+    const level = res.statusCode >= 500 ? 'error' : res.statusCode >= 400 ? 'warn' : 'info';
+    
+    logger[level]('Request completed', {
+      requestId,
+      method: req.method,
+      route: routeTemplate(res) ?? req.originalUrl.split('?')[0],
+      status: res.statusCode,
+      latencyMs: Math.round(latencyMs * 10) / 10,
+      userId: req.user?.userId ?? null,
+      ...(req.user?.impersonator && { impersonatorId: req.user.impersonator.userId })
+    });
+  });
+  
+  next();
+};
@@ -0,0 +1,72 @@
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// What the auth middleware needs to accept a token for an account
+export interface AccountState {
+  id: string;
+  status: string;
+  role: string;
+  tokensValidAfter: Date | null;
+}
+
+// Every authenticated request checks the account; a short cache saves the
+// query on bursts of requests. Writes through the repositories invalidate
+// their entry right away, so the TTL only bounds staleness across instances.
+const ACCOUNT_CACHE_TTL_MS = parseInt(process.env.ACCOUNT_CACHE_TTL_MS || '5000');
+
+// Above this many entries, expired ones are swept before adding more
+const MAX_ENTRIES = 10000;
+
+const entries = new Map<string, { state: AccountState | null; expiresAt: number }>();
+
+// Bumped by every invalidation. A lookup that raced with a write must not
+// put what it read before the write back into the cache.
+let generation = 0;
+
+const sweepExpired = (now: number) => {
+  for (const [key, entry] of entries) {
+    if (entry.expiresAt <= now) {
+      entries.delete(key);
+    }
+  }
+  
+  // Still full: drop the oldest entry
+  if (entries.size >= MAX_ENTRIES) {
+    const oldestKey = entries.keys().next().value;
+    
+    if (oldestKey !== undefined) {
+      entries.delete(oldestKey);
+    }
+  }
+};
+
+// Missing accounts are cached too, so a deleted account's tokens don't
+// cost a query each
+export const getCachedAccountState = async (key: string, load: () => Promise<AccountState | null>) => {
+  const now = Date.now();
+  const cached = entries.get(key);
+  
+  if (cached && cached.expiresAt > now) {
+    return cached.state;
+  }
+  
+  const loadedAt = generation;
+  const state = await load();
+  
+  if (ACCOUNT_CACHE_TTL_MS > 0 && loadedAt === generation) {
+    if (entries.size >= MAX_ENTRIES) {
+      sweepExpired(now);
+    }
+    
+    entries.delete(key);
+    entries.set(key, { state, expiresAt: now + ACCOUNT_CACHE_TTL_MS });
+  }
+  
+  return state;
+};
+
+export const invalidateAccountState = (key: string) => {
+  generation++;
+  entries.delete(key);
+};
@@ -0,0 +1,49 @@
+import { Prisma } from '@prisma/client';
+import { prisma } from '../services/database';
+import { getCachedAccountState, invalidateAccountState } from './accountStateCache';
+
+const accountStateKey = (id: string) => `admin:${id}`;
+
+// Data access for AdminUser records
+export const adminRepository = {
+  find: <T extends Prisma.AdminUserFindUniqueArgs>(args: Prisma.SelectSubset<T, Prisma.AdminUserFindUniqueArgs>) =>
+    prisma.adminUser.findUnique(args),
+  
+  findById: (id: string) => prisma.adminUser.findUnique({ where: { id } }),
+  
+  findByEmail: (email: string) => prisma.adminUser.findUnique({ where: { email } }),
+  
+  findMany: <T extends Prisma.AdminUserFindManyArgs>(args: Prisma.SelectSubset<T, Prisma.AdminUserFindManyArgs>) =>
+    prisma.adminUser.findMany(args),
+  
+  count: (where: Prisma.AdminUserWhereInput = {}) => prisma.adminUser.count({ where }),
+  
+  create: <T extends Prisma.AdminUserCreateArgs>(args: Prisma.SelectSubset<T, Prisma.AdminUserCreateArgs>) =>
+    prisma.adminUser.create(args),
+  
+  update: async <T extends Prisma.AdminUserUpdateArgs & { where: { id: string } }>(
+    args: Prisma.SelectSubset<T, Prisma.AdminUserUpdateArgs & { where: { id: string } }>
+  ) => {
+    const admin = await prisma.adminUser.update(args);
+    invalidateAccountState(accountStateKey(args.where.id));
+    return admin;
+  },
+  
+  delete: async (id: string) => {
+    await prisma.adminUser.delete({ where: { id } });
+    invalidateAccountState(accountStateKey(id));
+  },
+  
+  // Status, role and token cutoff checked on every authenticated request.
+  // Cached briefly; null when the admin doesn't exist.
+  findAccountState: (id: string) =>
+    getCachedAccountState(accountStateKey(id), () => prisma.adminUser.findUnique({
+      where: { id },
+      select: { id: true, status: true, role: true, tokensValidAfter: true }
+    })),
+  
+  // For writes made outside the repository, such as conditional updates
+  invalidateAccountState: (id: string) => {
+    invalidateAccountState(accountStateKey(id));
+  }
+};
@@ -0,0 +1,46 @@
+import { Prisma } from '@prisma/client';
+import { prisma } from '../services/database';
+
+// Data access for Project records. Trashed projects (deletedAt set) are left
+// out of the lookups by id and the counts; they only show up in the trash.
+export const projectRepository = {
+  find: <T extends Prisma.ProjectFindUniqueArgs>(args: Prisma.SelectSubset<T, Prisma.ProjectFindUniqueArgs>) =>
+    prisma.project.findUnique(args),
+  
+  findById: (id: string) => prisma.project.findUnique({ where: { id, deletedAt: null } }),
+  
+  // One page of projects and the total matching the same filter
+  findPage: async <T extends Prisma.ProjectFindManyArgs>(args: Prisma.SelectSubset<T, Prisma.ProjectFindManyArgs>) => {
+    const [projects, total] = await Promise.all([
+      prisma.project.findMany(args),
+      prisma.project.count({ where: args.where ?? {} })
+    ]);
+    
+    return { projects, total };
+  },
+  
+  count: (where: Prisma.ProjectWhereInput = {}) => prisma.project.count({ where: { ...where, deletedAt: null } }),
+  
+  countByStatus: async () => {
+    const groups = await prisma.project.groupBy({
+      by: ['status'],
+      where: { deletedAt: null },
+      _count: { id: true }
+    });
+    
+    return Object.fromEntries(groups.map((group) => [group.status, group._count.id])) as Record<string, number>;
+  },
+  
+  create: <T extends Prisma.ProjectCreateArgs>(args: Prisma.SelectSubset<T, Prisma.ProjectCreateArgs>) =>
+    prisma.project.create(args),
+  
+  update: <T extends Prisma.ProjectUpdateArgs>(args: Prisma.SelectSubset<T, Prisma.ProjectUpdateArgs>) =>
+    prisma.project.update(args),
+  
+  // Move to the trash, recording who deleted the project
+  softDelete: (id: string, deletedById: string) =>
+    prisma.project.update({
+      where: { id },
+      data: { deletedAt: new Date(), deletedById }
+    })
+};
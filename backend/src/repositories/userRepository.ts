@@ -0,0 +1,98 @@
+import { Prisma } from '@prisma/client';
+import { prisma } from '../services/database';
+import { getCachedAccountState, invalidateAccountState } from './accountStateCache';
+
+const accountStateKey = (id: string) => `user:${id}`;
+
+// Data access for User records. Trashed users (deletedAt set) are left out
+// of the lookups by id and email; they only show up in the trash.
+export const userRepository = {
+  find: <T extends Prisma.UserFindUniqueArgs>(args: Prisma.SelectSubset<T, Prisma.UserFindUniqueArgs>) =>
+    prisma.user.findUnique(args),
+  
+  findById: (id: string) => prisma.user.findUnique({ where: { id, deletedAt: null } }),
+  
+  findByEmail: (email: string) => prisma.user.findUnique({ where: { email, deletedAt: null } }),
+  
+  // Trashed accounts keep their email until they are purged
+  isEmailTaken: async (email: string) => {
+    const user = await prisma.user.findUnique({ where: { email }, select: { id: true } });
+    return !!user;
+  },
+  
+  // One page of users and the total matching the same filter
+  findPage: async <T extends Prisma.UserFindManyArgs>(args: Prisma.SelectSubset<T, Prisma.UserFindManyArgs>) => {
+    const [users, total] = await Promise.all([
+      prisma.user.findMany(args),
+      prisma.user.count({ where: args.where ?? {} })
+    ]);
+    
+    return { users, total };
+  },
+  
+  count: (where: Prisma.UserWhereInput = {}) => prisma.user.count({ where: { ...where, deletedAt: null } }),
+  
+  countByStatus: async () => {
+    const groups = await prisma.user.groupBy({
+      by: ['status'],
+      where: { deletedAt: null },
+      _count: { id: true }
+    });
+    
+    return Object.fromEntries(groups.map((group) => [group.status, group._count.id])) as Record<string, number>;
+  },
+  
+  create: <T extends Prisma.UserCreateArgs>(args: Prisma.SelectSubset<T, Prisma.UserCreateArgs>) =>
+    prisma.user.create(args),
+  
+  update: async <T extends Prisma.UserUpdateArgs & { where: { id: string } }>(
+    args: Prisma.SelectSubset<T, Prisma.UserUpdateArgs & { where: { id: string } }>
+  ) => {
+    const user = await prisma.user.update(args);
+    invalidateAccountState(accountStateKey(args.where.id));
+    return user;
+  },
+  
+  // Move to the trash, recording who deleted the user
+  softDelete: async (id: string, deletedById: string) => {
+    const user = await prisma.user.update({
+      where: { id },
+      data: { deletedAt: new Date(), deletedById }
+    });
+    invalidateAccountState(accountStateKey(id));
+    return user;
+  },
+  
+  // Returns false when the user is not in the trash
+  restore: async (id: string) => {
+    const { count } = await prisma.user.updateMany({
+      where: { id, deletedAt: { not: null } },
+      data: { deletedAt: null, deletedById: null }
+    });
+    invalidateAccountState(accountStateKey(id));
+    return count === 1;
+  },
+  
+  // Hard-delete users trashed before the cutoff. Returns how many were deleted.
+  purgeDeletedBefore: async (cutoff: Date) => {
+    const where = { deletedAt: { lt: cutoff } };
+    const users = await prisma.user.findMany({ where, select: { id: true } });
+    const { count } = await prisma.user.deleteMany({ where });
+    
+    users.forEach((user) => invalidateAccountState(accountStateKey(user.id)));
+    return count;
+  },
+  
+  // Status, role and token cutoff checked on every authenticated request.
+  // Cached briefly; null when the user doesn't exist or is trashed.
+  findAccountState: (id: string) =>
+    getCachedAccountState(accountStateKey(id), () => prisma.user.findUnique({
+      where: { id, deletedAt: null },
+      select: { id: true, status: true, role: true, tokensValidAfter: true }
+    })),
+  
+  // For writes made outside the repository, such as inside a transaction
+  invalidateAccountState: (id: string) => {
+    invalidateAccountState(accountStateKey(id));
+  }
+};
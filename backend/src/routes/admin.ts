@@ -1,34 +1,96 @@
 import { Router } from 'express';
-import { verifyToken, requireRole } from '../middleware/auth';
+import { verifyToken, requirePermission, requireScope, requireSession } from '../middleware/auth';
 import {
   getAllUsers,
   getUserById,
   updateUserStatus,
+  unlockUser,
   deleteUser,
   getAdminStats,
   getAllProjects,
   updateProjectStatus,
   deleteProject
 } from '../controllers/adminController';
+import {
+  getPermissions,
+  getRoles,
+  getRoleById,
+  createRole,
+  updateRole,
+  deleteRole
+} from '../controllers/roleController';
+import {
+  getAdmins,
+  getAdminById,
+  inviteAdmin,
+  updateAdmin,
+  updateAdminStatus,
+  resendAdminInvitation,
+  deleteAdminInvitation
+} from '../controllers/adminUserController';
+import {
+  impersonateUser,
+  getImpersonations,
+  getImpersonationById
+} from '../controllers/impersonationController';
+import { getAuditLogs } from '../controllers/auditLogController';
+import {
+  getDeletedUsers,
+  getDeletedProjects,
+  restoreUser,
+  restoreProject
+} from '../controllers/trashController';
 
 const router = Router();
 
-// All admin routes require authentication and admin role
+// All admin routes require authentication and a permission; access tokens
+// also need the matching admin:* scope
 router.use(verifyToken);
-router.use(requireRole(['ADMIN', 'SUPER_ADMIN']));
 
 // Dashboard stats
-router.get('/stats', getAdminStats);
+router.get('/stats', requireScope('admin:stats'), requirePermission('dashboard.view'), getAdminStats);
 
 // User management
-router.get('/users', getAllUsers);
-router.get('/users/:id', getUserById);
-router.patch('/users/:id/status', updateUserStatus);
-router.delete('/users/:id', deleteUser);
+router.get('/users', requireScope('admin:users'), requirePermission('users.view'), getAllUsers);
+router.get('/users/:id', requireScope('admin:users'), requirePermission('users.view'), getUserById);
+router.patch('/users/:id/status', requireScope('admin:users'), requirePermission('users.suspend'), updateUserStatus);
+router.post('/users/:id/unlock', requireScope('admin:users'), requirePermission('users.unlock'), unlockUser);
+router.delete('/users/:id', requireScope('admin:users'), requirePermission('users.delete'), deleteUser);
+
+// Impersonation (signed-in sessions only)
+router.post('/users/:id/impersonate', requireSession, requirePermission('users.impersonate'), impersonateUser);
+router.get('/impersonations', requireSession, requirePermission('users.impersonate'), getImpersonations);
+router.get('/impersonations/:id', requireSession, requirePermission('users.impersonate'), getImpersonationById);
 
 // Project management
-router.get('/projects', getAllProjects);
-router.patch('/projects/:id/status', updateProjectStatus);
-router.delete('/projects/:id', deleteProject);
+router.get('/projects', requireScope('admin:projects'), requirePermission('projects.view'), getAllProjects);
+router.patch('/projects/:id/status', requireScope('admin:projects'), requirePermission('projects.moderate'), updateProjectStatus);
+router.delete('/projects/:id', requireScope('admin:projects'), requirePermission('projects.delete'), deleteProject);
+
+// Trash (deleted users and projects until they are purged)
+router.get('/trash/users', requireScope('admin:users'), requirePermission('users.delete'), getDeletedUsers);
+router.post('/users/:id/restore', requireScope('admin:users'), requirePermission('users.delete'), restoreUser);
+router.get('/trash/projects', requireScope('admin:projects'), requirePermission('projects.delete'), getDeletedProjects);
+router.post('/projects/:id/restore', requireScope('admin:projects'), requirePermission('projects.delete'), restoreProject);
+
+// Roles and permissions (signed-in sessions only)
+router.get('/permissions', requireSession, requirePermission('roles.manage'), getPermissions);
+router.get('/roles', requireSession, requirePermission('roles.manage'), getRoles);
+router.get('/roles/:id', requireSession, requirePermission('roles.manage'), getRoleById);
+router.post('/roles', requireSession, requirePermission('roles.manage'), createRole);
+router.put('/roles/:id', requireSession, requirePermission('roles.manage'), updateRole);
+router.delete('/roles/:id', requireSession, requirePermission('roles.manage'), deleteRole);
+
+// Admin accounts (signed-in sessions only)
+router.get('/admins', requireSession, requirePermission('admins.manage'), getAdmins);
+router.get('/admins/:id', requireSession, requirePermission('admins.manage'), getAdminById);
+router.post('/admins', requireSession, requirePermission('admins.manage'), inviteAdmin);
+router.patch('/admins/:id', requireSession, requirePermission('admins.manage'), updateAdmin);
+router.patch('/admins/:id/status', requireSession, requirePermission('admins.manage'), updateAdminStatus);
+router.post('/admins/:id/resend-invite', requireSession, requirePermission('admins.manage'), resendAdminInvitation);
+router.delete('/admins/:id', requireSession, requirePermission('admins.manage'), deleteAdminInvitation);
+
+// Audit log (signed-in sessions only)
+router.get('/audit-logs', requireSession, requirePermission('audit.view'), getAuditLogs);
 
 export default router;
\ No newline at end of file
@@ -3,28 +3,94 @@ import {
   register,
   login,
   adminLogin,
+  adminLoginTwoFactor,
+  siweNonce,
+  siweLogin,
+  refresh,
+  verifyEmail,
+  resendVerification,
+  forgotPassword,
+  resetPassword,
+  acceptAdminInvite,
   getProfile,
+  updateProfile,
+  changePassword,
   logout,
   getAdminAccess
 } from '../controllers/authController';
-import { verifyToken, requireRole, rateLimit } from '../middleware/auth';
+import {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  setupTwoFactorWithChallenge,
+  enableTwoFactorAuth,
+  regenerateTwoFactorRecoveryCodes,
+  disableTwoFactorAuth
+} from '../controllers/twoFactorController';
+import { getSessions, deleteSession } from '../controllers/sessionController';
+import { getWallets, addWallet, removeWallet } from '../controllers/walletController';
+import { getTokens, createToken, deleteToken } from '../controllers/personalAccessTokenController';
+import { stopImpersonation } from '../controllers/impersonationController';
+import { exportAccountData, deleteAccount, cancelAccountDeletion } from '../controllers/accountController';
+import { verifyToken, requireRole, requireScope, requireSession } from '../middleware/auth';
+import { rateLimit } from '../middleware/rateLimit';
 
 const router = Router();
 
 // Rate limiting for auth routes
-const authRateLimit = rateLimit(5, 15 * 60 * 1000); // 5 requests per 15 minutes
-const loginRateLimit = rateLimit(3, 15 * 60 * 1000); // 3 login attempts per 15 minutes
+const authRateLimit = rateLimit({ name: 'auth', max: 5, windowMs: 15 * 60 * 1000 }); // 5 requests per 15 minutes
+const loginRateLimit = rateLimit({ name: 'login', max: 3, windowMs: 15 * 60 * 1000 }); // 3 login attempts per 15 minutes
+// Second factor and wallet sign-in come after a password check or a signed
+// nonce, so they get their own budgets instead of eating into the login one
+const twoFactorRateLimit = rateLimit({ name: 'login-2fa', max: 10, windowMs: 15 * 60 * 1000 }); // 10 code attempts per 15 minutes
+const siweRateLimit = rateLimit({ name: 'siwe', max: 10, windowMs: 15 * 60 * 1000 }); // 10 wallet sign-ins per 15 minutes
 
 // Public routes
 router.post('/register', authRateLimit, register);
 router.post('/login', loginRateLimit, login);
 router.post('/admin/login', loginRateLimit, adminLogin);
+router.post('/admin/login/2fa', twoFactorRateLimit, adminLoginTwoFactor);
+router.post('/admin/login/2fa/setup', twoFactorRateLimit, setupTwoFactorWithChallenge);
+router.get('/siwe/nonce', siweNonce);
+router.post('/siwe/verify', siweRateLimit, siweLogin);
+router.post('/refresh', refresh);
+router.get('/verify-email', verifyEmail);
+router.post('/resend-verification', authRateLimit, resendVerification);
+router.post('/forgot-password', authRateLimit, forgotPassword);
+router.post('/reset-password', authRateLimit, resetPassword);
+router.post('/admin/invitations/accept', authRateLimit, acceptAdminInvite);
 
 // Protected routes
-router.get('/profile', verifyToken, getProfile);
-router.post('/logout', verifyToken, logout);
+router.get('/profile', verifyToken, requireScope('profile:read'), getProfile);
+router.post('/impersonation/end', verifyToken, stopImpersonation);
+
+// Account management (signed-in sessions only, not access tokens)
+router.put('/profile', verifyToken, requireSession, updateProfile);
+router.put('/password', verifyToken, requireSession, changePassword);
+router.post('/logout', verifyToken, requireSession, logout);
+router.get('/sessions', verifyToken, requireSession, getSessions);
+router.delete('/sessions/:id', verifyToken, requireSession, deleteSession);
+router.get('/wallets', verifyToken, requireSession, getWallets);
+router.post('/wallets', verifyToken, requireSession, addWallet);
+router.delete('/wallets/:id', verifyToken, requireSession, removeWallet);
+
+// Account data export and self-service deletion
+router.get('/me/export', verifyToken, requireSession, exportAccountData);
+router.delete('/me', authRateLimit, verifyToken, requireSession, deleteAccount);
+router.post('/me/deletion/cancel', verifyToken, requireSession, cancelAccountDeletion);
+
+// Personal access tokens
+router.get('/tokens', verifyToken, requireSession, getTokens);
+router.post('/tokens', verifyToken, requireSession, createToken);
+router.delete('/tokens/:id', verifyToken, requireSession, deleteToken);
 
 // Admin routes
-router.get('/admin/access', verifyToken, requireRole(['ADMIN', 'SUPER_ADMIN']), getAdminAccess);
+router.get('/admin/access', verifyToken, requireSession, requireRole(['ADMIN', 'SUPER_ADMIN']), getAdminAccess);
+
+// Admin two-factor authentication
+router.get('/admin/2fa', verifyToken, requireSession, requireRole(['ADMIN', 'SUPER_ADMIN']), getTwoFactorStatus);
+router.post('/admin/2fa/setup', verifyToken, requireSession, requireRole(['ADMIN', 'SUPER_ADMIN']), setupTwoFactor);
+router.post('/admin/2fa/enable', verifyToken, requireSession, requireRole(['ADMIN', 'SUPER_ADMIN']), enableTwoFactorAuth);
+router.post('/admin/2fa/recovery-codes', verifyToken, requireSession, requireRole(['ADMIN', 'SUPER_ADMIN']), regenerateTwoFactorRecoveryCodes);
+router.post('/admin/2fa/disable', verifyToken, requireSession, requireRole(['ADMIN', 'SUPER_ADMIN']), disableTwoFactorAuth);
 
 export default router;
\ No newline at end of file
@@ -0,0 +1,21 @@
+import { Router } from 'express';
+import {
+  getDocsPage,
+  getDocsScript,
+  getOpenApiDocument,
+  getPostmanCollection
+} from '../controllers/docsController';
+
+// Documentation for the routes of the given API router
+const createDocsRoutes = (api: Router) => {
+  const router = Router();
+  
+  router.get('/', getDocsPage);
+  router.get('/swagger-init.js', getDocsScript);
+  router.get('/openapi.json', getOpenApiDocument(api));
+  router.get('/postman.json', getPostmanCollection(api));
+  
+  return router;
+};
+
+export default createDocsRoutes;
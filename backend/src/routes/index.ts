@@ -2,19 +2,15 @@ import { Router } from 'express';
 import authRoutes from './auth';
 import adminRoutes from './admin';
 import projectRoutes from './project';
+import createDocsRoutes from './docs';
+import { getReadiness } from '../controllers/healthController';
 // import forumRoutes from './forum';
 // import tokenCreationRoutes from './tokenCreation';
 
 const router = Router();
 
-// Health check
-router.get('/health', (req, res) => {
-  res.status(200).json({
-    status: 'OK',
-    timestamp: new Date().toISOString(),
-    service: 'florkanewfun-api'
-  });
-});
+// Health check (readiness, same as /health/ready)
+router.get('/health', getReadiness);
 
 // Authentication routes (public)
 router.use('/auth', authRoutes);
@@ -25,6 +21,9 @@ router.use('/admin', adminRoutes);
 // Project routes (mixed public/protected)
 router.use('/projects', projectRoutes);
 
+// API documentation (OpenAPI document, Swagger UI, Postman collection)
+router.use('/docs', createDocsRoutes(router));
+
 // Forum routes (protected)
 // router.use('/forum', forumRoutes);
 
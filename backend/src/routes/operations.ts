@@ -0,0 +1,201 @@
+import { z } from 'zod';
+import {
+  registerSchema,
+  loginSchema,
+  adminLoginSchema,
+  adminTwoFactorLoginSchema,
+  siweLoginSchema,
+  refreshSchema,
+  verifyEmailSchema,
+  resendVerificationSchema,
+  forgotPasswordSchema,
+  resetPasswordSchema,
+  acceptAdminInviteSchema,
+  updateProfileSchema,
+  changePasswordSchema,
+  logoutSchema
+} from '../controllers/authController';
+import { challengeSchema, codeSchema, disableSchema } from '../controllers/twoFactorController';
+import { linkWalletSchema } from '../controllers/walletController';
+import { createTokenSchema } from '../controllers/personalAccessTokenController';
+import { deleteAccountSchema } from '../controllers/accountController';
+import {
+  updateUserStatusSchema,
+  updateProjectStatusSchema,
+  userFiltersSchema,
+  projectFiltersSchema as adminProjectFiltersSchema
+} from '../controllers/adminController';
+import { impersonateSchema, impersonationFiltersSchema } from '../controllers/impersonationController';
+import { createRoleSchema, updateRoleSchema } from '../controllers/roleController';
+import { inviteAdminSchema, updateAdminSchema, updateAdminStatusSchema } from '../controllers/adminUserController';
+import { auditLogFiltersSchema } from '../controllers/auditLogController';
+import {
+  createProjectSchema,
+  updateProjectSchema,
+  projectFiltersSchema,
+  publicProjectFiltersSchema,
+  myProjectFiltersSchema
+} from '../controllers/projectController';
+import { paginationSchema } from '../utils/validation';
+import { responses, messageResponse } from './responses';
+
+// What the OpenAPI document says about a route, beyond what the router
+// itself knows (method, path, authentication)
+export interface OperationDocs {
+  // Stable name for generated clients; renaming one is a breaking change
+  operationId: string;
+  summary: string;
+  description?: string;
+  body?: z.ZodTypeAny;
+  query?: z.AnyZodObject;
+  // Success body
+  response?: z.ZodTypeAny;
+  // Success status, 200 unless given
+  status?: number;
+}
+
+// Keyed by method and path under /api, as the routes declare them. Every
+// route needs an entry and every entry a route; the document is not built
+// otherwise.
+export const operations: Record<string, OperationDocs> = {
+  // Health
+  'GET /health': { operationId: 'getHealth', summary: 'Readiness check', response: responses.readiness },
+  
+  // Authentication
+  'POST /auth/register': { operationId: 'register', summary: 'Register a user', response: responses.register, body: registerSchema, status: 201 },
+  'POST /auth/login': { operationId: 'login', summary: 'Sign in a user', response: responses.login, body: loginSchema },
+  'POST /auth/admin/login': { operationId: 'adminLogin', summary: 'Sign in an admin', response: responses.adminLogin, body: adminLoginSchema },
+  'POST /auth/admin/login/2fa': {
+    operationId: 'adminLoginTwoFactor',
+    summary: 'Complete an admin sign-in with a two-factor code',
+    response: responses.adminLoginTwoFactor,
+    body: adminTwoFactorLoginSchema
+  },
+  'POST /auth/admin/login/2fa/setup': {
+    operationId: 'setupTwoFactorWithChallenge',
+    summary: 'Start two-factor setup during an admin sign-in',
+    response: responses.twoFactorEnrollment,
+    body: challengeSchema
+  },
+  'GET /auth/siwe/nonce': { operationId: 'getSiweNonce', summary: 'Get a nonce for Sign-In with Ethereum', response: responses.siweNonce },
+  'POST /auth/siwe/verify': { operationId: 'siweLogin', summary: 'Sign in with Ethereum', response: responses.login, body: siweLoginSchema },
+  'POST /auth/refresh': {
+    operationId: 'refresh',
+    summary: 'Refresh the access token',
+    response: responses.refresh,
+    description: 'The refresh token is read from the refresh_token cookie when present, otherwise from the body.',
+    body: refreshSchema
+  },
+  'GET /auth/verify-email': { operationId: 'verifyEmail', summary: 'Verify an email address', response: responses.verifyEmail, query: verifyEmailSchema },
+  'POST /auth/resend-verification': {
+    operationId: 'resendVerification',
+    summary: 'Send the verification email again',
+    response: messageResponse,
+    body: resendVerificationSchema
+  },
+  'POST /auth/forgot-password': { operationId: 'forgotPassword', summary: 'Request a password reset', response: messageResponse, body: forgotPasswordSchema },
+  'POST /auth/reset-password': { operationId: 'resetPassword', summary: 'Reset a password', response: messageResponse, body: resetPasswordSchema },
+  'POST /auth/admin/invitations/accept': {
+    operationId: 'acceptAdminInvite',
+    summary: 'Accept an admin invitation',
+    response: messageResponse,
+    body: acceptAdminInviteSchema
+  },
+  'GET /auth/profile': { operationId: 'getProfile', summary: 'Get the signed-in account', response: responses.profile },
+  'POST /auth/impersonation/end': { operationId: 'stopImpersonation', summary: 'End the current impersonation', response: messageResponse },
+  'PUT /auth/profile': { operationId: 'updateProfile', summary: 'Update the signed-in account', response: responses.updateProfile, body: updateProfileSchema },
+  'PUT /auth/password': { operationId: 'changePassword', summary: 'Change the password', response: responses.refresh, body: changePasswordSchema },
+  'POST /auth/logout': { operationId: 'logout', summary: 'Sign out', response: messageResponse, body: logoutSchema },
+  'GET /auth/sessions': { operationId: 'getSessions', summary: 'List active sessions', response: responses.sessions },
+  'DELETE /auth/sessions/:id': { operationId: 'deleteSession', summary: 'Revoke a session', response: messageResponse },
+  'GET /auth/wallets': { operationId: 'getWallets', summary: 'List linked wallets', response: responses.wallets },
+  'POST /auth/wallets': { operationId: 'addWallet', summary: 'Link a wallet', response: responses.walletChange, body: linkWalletSchema, status: 201 },
+  'DELETE /auth/wallets/:id': { operationId: 'removeWallet', summary: 'Unlink a wallet', response: responses.walletChange },
+  'GET /auth/me/export': { operationId: 'exportAccountData', summary: 'Export the account data', response: responses.accountExport },
+  'DELETE /auth/me': {
+    operationId: 'deleteAccount',
+    summary: 'Schedule the account for deletion',
+    response: responses.accountDeletion,
+    body: deleteAccountSchema,
+    status: 202
+  },
+  'POST /auth/me/deletion/cancel': { operationId: 'cancelAccountDeletion', summary: 'Cancel a scheduled account deletion', response: messageResponse },
+  'GET /auth/tokens': { operationId: 'getTokens', summary: 'List personal access tokens', response: responses.tokens },
+  'POST /auth/tokens': { operationId: 'createToken', summary: 'Create a personal access token', response: responses.createdToken, body: createTokenSchema, status: 201 },
+  'DELETE /auth/tokens/:id': { operationId: 'deleteToken', summary: 'Revoke a personal access token', response: messageResponse },
+  'GET /auth/admin/access': { operationId: 'getAdminAccess', summary: 'Get the signed-in admin\'s permissions', response: responses.adminAccess },
+  'GET /auth/admin/2fa': { operationId: 'getTwoFactorStatus', summary: 'Get the two-factor status', response: responses.twoFactorStatus },
+  'POST /auth/admin/2fa/setup': { operationId: 'setupTwoFactor', summary: 'Start two-factor setup', response: responses.twoFactorEnrollment },
+  'POST /auth/admin/2fa/enable': { operationId: 'enableTwoFactor', summary: 'Enable two-factor authentication', response: responses.recoveryCodes, body: codeSchema },
+  'POST /auth/admin/2fa/recovery-codes': {
+    operationId: 'regenerateRecoveryCodes',
+    summary: 'Generate new recovery codes',
+    response: responses.recoveryCodes,
+    body: codeSchema
+  },
+  'POST /auth/admin/2fa/disable': { operationId: 'disableTwoFactor', summary: 'Disable two-factor authentication', response: messageResponse, body: disableSchema },
+  
+  // Administration
+  'GET /admin/stats': { operationId: 'getAdminStats', summary: 'Dashboard statistics', response: responses.adminStats },
+  'GET /admin/users': { operationId: 'getAdminUsers', summary: 'List users', response: responses.users, query: userFiltersSchema },
+  'GET /admin/users/:id': { operationId: 'getAdminUser', summary: 'Get a user', response: responses.user },
+  'PATCH /admin/users/:id/status': { operationId: 'updateUserStatus', summary: 'Change a user\'s status', response: responses.userStatus, body: updateUserStatusSchema },
+  'POST /admin/users/:id/unlock': { operationId: 'unlockUser', summary: 'Unlock a locked-out user', response: messageResponse },
+  'DELETE /admin/users/:id': { operationId: 'deleteUser', summary: 'Delete a user', response: messageResponse },
+  'POST /admin/users/:id/impersonate': {
+    operationId: 'impersonateUser',
+    summary: 'Start impersonating a user',
+    response: responses.impersonationStart,
+    body: impersonateSchema,
+    status: 201
+  },
+  'GET /admin/impersonations': { operationId: 'getImpersonations', summary: 'List impersonations', response: responses.impersonations, query: impersonationFiltersSchema },
+  'GET /admin/impersonations/:id': { operationId: 'getImpersonation', summary: 'Get an impersonation', response: responses.impersonation },
+  'GET /admin/projects': { operationId: 'getAdminProjects', summary: 'List projects', response: responses.moderatedProjects, query: adminProjectFiltersSchema },
+  'PATCH /admin/projects/:id/status': {
+    operationId: 'updateProjectStatus',
+    summary: 'Change a project\'s status',
+    response: responses.projectStatus,
+    body: updateProjectStatusSchema
+  },
+  'DELETE /admin/projects/:id': { operationId: 'deleteAdminProject', summary: 'Delete a project', response: messageResponse },
+  'GET /admin/trash/users': { operationId: 'getDeletedUsers', summary: 'List deleted users', response: responses.deletedUsers, query: paginationSchema },
+  'POST /admin/users/:id/restore': { operationId: 'restoreUser', summary: 'Restore a deleted user', response: messageResponse },
+  'GET /admin/trash/projects': { operationId: 'getDeletedProjects', summary: 'List deleted projects', response: responses.deletedProjects, query: paginationSchema },
+  'POST /admin/projects/:id/restore': { operationId: 'restoreProject', summary: 'Restore a deleted project', response: messageResponse },
+  'GET /admin/permissions': { operationId: 'getPermissions', summary: 'List permissions', response: responses.permissions },
+  'GET /admin/roles': { operationId: 'getRoles', summary: 'List roles', response: responses.roles },
+  'GET /admin/roles/:id': { operationId: 'getRole', summary: 'Get a role', response: responses.role },
+  'POST /admin/roles': { operationId: 'createRole', summary: 'Create a role', response: responses.roleChange, body: createRoleSchema, status: 201 },
+  'PUT /admin/roles/:id': { operationId: 'updateRole', summary: 'Update a role', response: responses.roleChange, body: updateRoleSchema },
+  'DELETE /admin/roles/:id': { operationId: 'deleteRole', summary: 'Delete a role', response: messageResponse },
+  'GET /admin/admins': { operationId: 'getAdmins', summary: 'List admins', response: responses.admins },
+  'GET /admin/admins/:id': { operationId: 'getAdmin', summary: 'Get an admin', response: responses.admin },
+  'POST /admin/admins': { operationId: 'inviteAdmin', summary: 'Invite an admin', response: responses.adminChange, body: inviteAdminSchema, status: 201 },
+  'PATCH /admin/admins/:id': { operationId: 'updateAdmin', summary: 'Update an admin', response: responses.adminChange, body: updateAdminSchema },
+  'PATCH /admin/admins/:id/status': {
+    operationId: 'updateAdminStatus',
+    summary: 'Change an admin\'s status',
+    response: responses.adminChange,
+    body: updateAdminStatusSchema
+  },
+  'POST /admin/admins/:id/resend-invite': { operationId: 'resendAdminInvitation', summary: 'Send an admin invitation again', response: messageResponse },
+  'DELETE /admin/admins/:id': { operationId: 'deleteAdminInvitation', summary: 'Withdraw an admin invitation', response: messageResponse },
+  'GET /admin/audit-logs': { operationId: 'getAuditLogs', summary: 'Search the audit log', response: responses.auditLogs, query: auditLogFiltersSchema },
+  
+  // Projects
+  'GET /projects/public': { operationId: 'getPublicProjects', summary: 'List public projects', response: responses.publicProjects, query: publicProjectFiltersSchema },
+  'GET /projects/public/:id': { operationId: 'getPublicProject', summary: 'Get a public project', response: responses.project },
+  'GET /projects': { operationId: 'getProjects', summary: 'List projects', response: responses.projects, query: projectFiltersSchema },
+  'GET /projects/:id': { operationId: 'getProject', summary: 'Get a project', response: responses.project },
+  'POST /projects': { operationId: 'createProject', summary: 'Create a project', response: responses.createdProject, body: createProjectSchema, status: 201 },
+  'PUT /projects/:id': { operationId: 'updateProject', summary: 'Update one of your projects', response: responses.updatedProject, body: updateProjectSchema },
+  'DELETE /projects/:id': { operationId: 'deleteProject', summary: 'Delete one of your projects', response: messageResponse },
+  'GET /projects/user/my-projects': { operationId: 'getMyProjects', summary: 'List the signed-in user\'s projects', response: responses.myProjects, query: myProjectFiltersSchema },
+  
+  // Documentation
+  'GET /docs': { operationId: 'getApiDocs', summary: 'Interactive API documentation (HTML)' },
+  'GET /docs/swagger-init.js': { operationId: 'getApiDocsScript', summary: 'Script that starts the documentation page' },
+  'GET /docs/openapi.json': { operationId: 'getOpenApiDocument', summary: 'This OpenAPI document' },
+  'GET /docs/postman.json': { operationId: 'getPostmanCollection', summary: 'Postman collection generated from this document' }
+};
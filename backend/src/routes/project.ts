@@ -1,5 +1,6 @@
 import { Router } from 'express';
-import { verifyToken, optionalAuth, requireRole } from '../middleware/auth';
+import { verifyToken, optionalAuth, requireRole, requireScope } from '../middleware/auth';
+import { rateLimit } from '../middleware/rateLimit';
 import {
   getAllProjects,
   getProjectById,
@@ -12,18 +13,21 @@ import {
 
 const router = Router();
 
+// Writes are limited per signed-in user rather than per IP
+const projectWriteRateLimit = rateLimit({ name: 'project-write', max: 60, windowMs: 60 * 60 * 1000, keyBy: 'user' }); // 60 writes per hour
+
 // Public routes (no authentication required)
 router.get('/public', getPublicProjects);
 router.get('/public/:id', getProjectById);
 
 // Routes with optional authentication
-router.get('/', optionalAuth, getAllProjects);
-router.get('/:id', optionalAuth, getProjectById);
+router.get('/', optionalAuth, requireScope('projects:read'), getAllProjects);
+router.get('/:id', optionalAuth, requireScope('projects:read'), getProjectById);
 
 // Protected routes (authentication required)
-router.post('/', verifyToken, createProject);
-router.put('/:id', verifyToken, updateProject);
-router.delete('/:id', verifyToken, deleteProject);
-router.get('/user/my-projects', verifyToken, getProjectsByUser);
+router.post('/', verifyToken, projectWriteRateLimit, requireScope('projects:write'), createProject);
+router.put('/:id', verifyToken, projectWriteRateLimit, requireScope('projects:write'), updateProject);
+router.delete('/:id', verifyToken, projectWriteRateLimit, requireScope('projects:write'), deleteProject);
+router.get('/user/my-projects', verifyToken, requireScope('projects:read'), getProjectsByUser);
 
 export default router;
\ No newline at end of file
@@ -0,0 +1,384 @@
+import { z } from 'zod';
+import { userStatusSchema, projectStatusSchema, userRoleSchema, adminRoleSchema } from '../utils/validation';
+import { USER_TOKEN_SCOPES, ADMIN_TOKEN_SCOPES } from '../services/personalAccessTokenService';
+
+// Success bodies of the API, as the controllers send them. Dates arrive as
+// ISO strings once serialized.
+const timestamp = z.string().datetime();
+
+const adminStatusSchema = z.enum(['ACTIVE', 'INACTIVE', 'INVITED']);
+
+const tokenScopeSchema = z.enum([...USER_TOKEN_SCOPES, ...ADMIN_TOKEN_SCOPES]);
+
+export const messageResponse = z.object({
+  message: z.string()
+});
+
+const paginationResponse = z.object({
+  page: z.number().int(),
+  limit: z.number().int(),
+  total: z.number().int(),
+  pages: z.number().int()
+});
+
+// Tokens come in the body, or as httpOnly cookies for clients in cookie
+// mode, which only get the CSRF token
+const tokenDelivery = {
+  tokens: z.object({
+    accessToken: z.string(),
+    refreshToken: z.string()
+  }).optional(),
+  csrfToken: z.string().optional()
+};
+
+// Users
+
+const signedInUser = z.object({
+  id: z.string(),
+  email: z.string().nullable(),
+  firstName: z.string().nullable(),
+  lastName: z.string().nullable(),
+  role: userRoleSchema,
+  status: userStatusSchema
+});
+
+const profile = signedInUser.extend({
+  pendingEmail: z.string().nullable(),
+  createdAt: timestamp,
+  lastLogin: timestamp.nullable(),
+  emailVerified: z.boolean(),
+  deletionScheduledAt: timestamp.nullable()
+});
+
+const verifiedUser = signedInUser.extend({
+  pendingEmail: z.string().nullable(),
+  emailVerified: z.boolean()
+});
+
+const managedUser = signedInUser.extend({
+  emailVerified: z.boolean(),
+  failedLoginAttempts: z.number().int(),
+  lockedUntil: timestamp.nullable(),
+  createdAt: timestamp,
+  lastLogin: timestamp.nullable()
+});
+
+const session = z.object({
+  id: z.string(),
+  device: z.string().nullable(),
+  userAgent: z.string().nullable(),
+  ipAddress: z.string().nullable(),
+  lastSeenAt: timestamp,
+  createdAt: timestamp,
+  // The session making the request
+  current: z.boolean()
+});
+
+const wallet = z.object({
+  id: z.string(),
+  address: z.string(),
+  chainId: z.number().int(),
+  lastUsedAt: timestamp.nullable(),
+  createdAt: timestamp
+});
+
+const personalAccessToken = z.object({
+  id: z.string(),
+  name: z.string(),
+  prefix: z.string(),
+  scopes: z.array(tokenScopeSchema),
+  expiresAt: timestamp.nullable(),
+  lastUsedAt: timestamp.nullable(),
+  createdAt: timestamp
+});
+
+// Admins
+
+const signedInAdmin = z.object({
+  id: z.string(),
+  email: z.string(),
+  name: z.string(),
+  role: adminRoleSchema,
+  status: adminStatusSchema,
+  department: z.string().nullable()
+});
+
+const managedAdmin = signedInAdmin.extend({
+  roleId: z.string().nullable(),
+  assignedRole: z.object({ id: z.string(), name: z.string() }).nullable(),
+  // Overrides of the role, "perm" grants and "-perm" revokes (JSON array)
+  permissions: z.string().nullable(),
+  twoFactorEnabled: z.boolean(),
+  inviteTokenExpiry: timestamp.nullable(),
+  invitedById: z.string().nullable(),
+  lastLogin: timestamp.nullable(),
+  createdAt: timestamp
+});
+
+const role = z.object({
+  id: z.string(),
+  name: z.string(),
+  description: z.string().nullable(),
+  permissions: z.array(z.string()),
+  builtIn: z.boolean(),
+  adminCount: z.number().int(),
+  createdAt: timestamp,
+  updatedAt: timestamp
+});
+
+const twoFactorEnrollment = messageResponse.extend({
+  secret: z.string(),
+  otpauthUrl: z.string()
+});
+
+const impersonation = z.object({
+  id: z.string(),
+  adminId: z.string(),
+  userId: z.string(),
+  reason: z.string().nullable(),
+  ipAddress: z.string().nullable(),
+  userAgent: z.string().nullable(),
+  expiresAt: timestamp,
+  endedAt: timestamp.nullable(),
+  createdAt: timestamp
+});
+
+const auditLog = z.object({
+  id: z.string(),
+  actorId: z.string(),
+  actorRole: z.string(),
+  actor: z.object({ id: z.string(), name: z.string(), email: z.string() }).nullable(),
+  action: z.string(),
+  targetType: z.string(),
+  targetId: z.string(),
+  changes: z.record(z.object({ before: z.unknown(), after: z.unknown() })).nullable(),
+  ipAddress: z.string().nullable(),
+  userAgent: z.string().nullable(),
+  createdAt: timestamp
+});
+
+// Projects
+
+const projectOwner = z.object({
+  id: z.string(),
+  firstName: z.string().nullable(),
+  lastName: z.string().nullable()
+});
+
+const projectSummary = z.object({
+  id: z.string(),
+  title: z.string(),
+  description: z.string().nullable(),
+  category: z.string().nullable(),
+  tags: z.array(z.string()).nullable(),
+  isPublic: z.boolean(),
+  status: projectStatusSchema,
+  createdAt: timestamp,
+  updatedAt: timestamp
+});
+
+const listedProject = projectSummary.extend({ user: projectOwner });
+
+const project = listedProject.extend({ content: z.string().nullable() });
+
+const projectDetail = project.extend({ userId: z.string() });
+
+const moderatedProject = z.object({
+  id: z.string(),
+  title: z.string(),
+  description: z.string().nullable(),
+  isPublic: z.boolean(),
+  status: projectStatusSchema,
+  createdAt: timestamp,
+  updatedAt: timestamp,
+  user: projectOwner.extend({ email: z.string().nullable() })
+});
+
+// Health
+
+const healthCheck = z.object({
+  status: z.enum(['ok', 'failed', 'skipped']),
+  latencyMs: z.number().optional(),
+  // Left out in production
+  error: z.string().optional(),
+  pending: z.array(z.string()).optional()
+});
+
+export const responses = {
+  readiness: z.object({
+    status: z.enum(['OK', 'SHUTTING_DOWN', 'UNAVAILABLE']),
+    timestamp,
+    uptime: z.number(),
+    checks: z.object({ database: healthCheck, migrations: healthCheck })
+  }),
+  
+  // Authentication
+  register: messageResponse.extend({
+    user: signedInUser.extend({ createdAt: timestamp }),
+    ...tokenDelivery
+  }),
+  login: messageResponse.extend({ user: signedInUser, ...tokenDelivery }),
+  adminLogin: z.union([
+    messageResponse.extend({ admin: signedInAdmin, ...tokenDelivery }),
+    // The second step: complete it with /auth/admin/login/2fa
+    messageResponse.extend({
+      twoFactorRequired: z.boolean(),
+      twoFactorSetupRequired: z.boolean(),
+      challengeToken: z.string()
+    })
+  ]),
+  adminLoginTwoFactor: messageResponse.extend({
+    admin: signedInAdmin,
+    ...tokenDelivery,
+    // Only when this login finished setting up two-factor authentication
+    recoveryCodes: z.array(z.string()).optional()
+  }),
+  twoFactorEnrollment,
+  siweNonce: z.object({ nonce: z.string() }),
+  refresh: messageResponse.extend(tokenDelivery),
+  verifyEmail: messageResponse.extend({ user: verifiedUser }),
+  profile: z.object({ user: profile }),
+  updateProfile: messageResponse.extend({ user: profile }),
+  sessions: z.object({ sessions: z.array(session) }),
+  wallets: z.object({ wallets: z.array(wallet) }),
+  walletChange: messageResponse.extend({ wallets: z.array(wallet) }),
+  accountExport: z.record(z.unknown()).describe('Everything stored about the account'),
+  accountDeletion: messageResponse.extend({ deletionScheduledAt: timestamp }),
+  tokens: z.object({
+    tokens: z.array(personalAccessToken),
+    availableScopes: z.array(tokenScopeSchema)
+  }),
+  createdToken: messageResponse.extend({
+    // Shown only once
+    token: z.string(),
+    accessToken: personalAccessToken
+  }),
+  adminAccess: messageResponse.extend({
+    admin: signedInAdmin.extend({ permissions: z.array(z.string()) })
+  }),
+  twoFactorStatus: z.object({
+    twoFactor: z.object({
+      enabled: z.boolean(),
+      required: z.boolean(),
+      recoveryCodesRemaining: z.number().int()
+    })
+  }),
+  recoveryCodes: messageResponse.extend({ recoveryCodes: z.array(z.string()) }),
+  
+  // Administration
+  adminStats: z.object({
+    stats: z.object({
+      users: z.object({
+        total: z.number().int(),
+        byStatus: z.record(z.number().int()),
+        // Sign-ups in the last 7 days
+        recentSignups: z.number().int()
+      }),
+      projects: z.object({
+        total: z.number().int(),
+        byStatus: z.record(z.number().int())
+      }),
+      admins: z.object({ total: z.number().int() })
+    })
+  }),
+  users: z.object({
+    users: z.array(managedUser.extend({ _count: z.object({ projects: z.number().int() }) })),
+    pagination: paginationResponse
+  }),
+  user: z.object({
+    user: managedUser.extend({
+      projects: z.array(z.object({
+        id: z.string(),
+        title: z.string(),
+        status: projectStatusSchema,
+        createdAt: timestamp
+      }))
+    })
+  }),
+  userStatus: messageResponse.extend({
+    user: signedInUser.omit({ role: true })
+  }),
+  impersonationStart: messageResponse.extend({
+    impersonation: impersonation.pick({ id: true, expiresAt: true }),
+    user: signedInUser.omit({ status: true }),
+    accessToken: z.string()
+  }),
+  impersonations: z.object({
+    impersonations: z.array(impersonation.extend({
+      _count: z.object({ requests: z.number().int() })
+    }))
+  }),
+  impersonation: z.object({
+    impersonation: impersonation.extend({
+      requests: z.array(z.object({
+        id: z.string(),
+        impersonationId: z.string(),
+        method: z.string(),
+        path: z.string(),
+        statusCode: z.number().int().nullable(),
+        createdAt: timestamp
+      }))
+    })
+  }),
+  moderatedProjects: z.object({
+    projects: z.array(moderatedProject),
+    pagination: paginationResponse
+  }),
+  projectStatus: messageResponse.extend({
+    project: moderatedProject.pick({ id: true, title: true, status: true })
+  }),
+  deletedUsers: z.object({
+    users: z.array(signedInUser.extend({
+      createdAt: timestamp,
+      deletedAt: timestamp,
+      deletedById: z.string().nullable()
+    })),
+    retentionDays: z.number().int(),
+    pagination: paginationResponse
+  }),
+  deletedProjects: z.object({
+    projects: z.array(z.object({
+      id: z.string(),
+      name: z.string(),
+      symbol: z.string(),
+      status: z.string(),
+      createdAt: timestamp,
+      deletedAt: timestamp,
+      deletedById: z.string().nullable()
+    })),
+    retentionDays: z.number().int(),
+    pagination: paginationResponse
+  }),
+  permissions: z.object({
+    permissions: z.array(z.object({ name: z.string(), description: z.string() }))
+  }),
+  roles: z.object({ roles: z.array(role) }),
+  role: z.object({ role }),
+  roleChange: messageResponse.extend({ role }),
+  admins: z.object({ admins: z.array(managedAdmin) }),
+  admin: z.object({ admin: managedAdmin }),
+  adminChange: messageResponse.extend({ admin: managedAdmin }),
+  auditLogs: z.object({
+    logs: z.array(auditLog),
+    pagination: paginationResponse
+  }),
+  
+  // Projects
+  projects: z.object({
+    projects: z.array(listedProject),
+    pagination: paginationResponse
+  }),
+  publicProjects: z.object({
+    projects: z.array(listedProject.omit({ isPublic: true, status: true })),
+    pagination: paginationResponse
+  }),
+  myProjects: z.object({
+    projects: z.array(projectSummary),
+    pagination: paginationResponse
+  }),
+  project: z.object({ project: projectDetail }),
+  createdProject: messageResponse.extend({
+    project: listedProject.omit({ updatedAt: true })
+  }),
+  updatedProject: messageResponse.extend({ project })
+};
@@ -0,0 +1,163 @@
+import path from 'path';
+import routes from '../routes';
+import { buildOpenApiDocument, OpenApiOperation } from '../services/openApiService';
+import { JsonSchema } from '../utils/zodToJsonSchema';
+import { writeGeneratedFile } from './generatedFile';
+
+// Regenerates the frontend's API client from the OpenAPI document: one
+// function per operation, with JSDoc types for its parameters and response
+// from the zod schemas that the frontend's typecheck enforces. Run with
+// `npm run docs:client` after changing routes or schemas; `npm run docs:check`
+// fails while the committed client is out of date.
+const OUTPUT_FILE = path.join(__dirname, '../../../frontend/src/services/apiClient.js');
+
+// Routes the frontend has no use for
+const SKIPPED_TAGS = ['Docs'];
+
+const pascalCase = (value: string) => value.charAt(0).toUpperCase() + value.slice(1);
+
+const literal = (value: unknown) => JSON.stringify(value).replace(/"/g, '\'');
+
+const jsDocType = (schema: JsonSchema): string => {
+  let type: string;
+  
+  if (schema.enum) {
+    type = schema.enum.map(literal).join('|');
+  } else if (schema.anyOf) {
+    type = `(${schema.anyOf.map(jsDocType).join('|')})`;
+  } else {
+    switch (schema.type) {
+      case 'string':
+      case 'boolean':
+        type = schema.type;
+        break;
+      case 'integer':
+      case 'number':
+        type = 'number';
+        break;
+      case 'array':
+        type = `Array<${schema.items ? jsDocType(schema.items) : '*'}>`;
+        break;
+      case 'object':
+        type = schema.properties
+          ? `{ ${Object.entries(schema.properties).map(([key, value]) =>
+            `${key}${schema.required?.includes(key) ? '' : '?'}: ${jsDocType(value)}`).join(', ')} }`
+          : `Object<string, ${typeof schema.additionalProperties === 'object' ? jsDocType(schema.additionalProperties) : '*'}>`;
+        break;
+      default:
+        type = '*';
+    }
+  }
+  
+  return schema.nullable && type !== '*' ? `${type}|null` : type;
+};
+
+// A named object type, one @property per field
+const typedef = (name: string, schema: JsonSchema) => [
+  '/**',
+  ` * @typedef {Object} ${name}`,
+  ...Object.entries(schema.properties ?? {}).map(([key, value]) => {
+    const optional = !schema.required?.includes(key) || value.default !== undefined;
+    return ` * @property {${jsDocType(value)}} ${optional ? `[${key}]` : key}`;
+  }),
+  ' */'
+].join('\n');
+
+const generateOperation = (urlPath: string, method: string, operation: OpenApiOperation) => {
+  const typeName = pascalCase(operation.operationId);
+  const pathParams = operation.parameters?.filter((param) => param.in === 'path') ?? [];
+  const queryParams = operation.parameters?.filter((param) => param.in === 'query') ?? [];
+  const body = operation.requestBody?.content['application/json'].schema;
+  const success = Object.values(operation.responses)[0];
+  const response = success && 'content' in success ? success.content?.['application/json'].schema : undefined;
+  const typedefs: string[] = [];
+  const params: string[] = [];
+  const args = pathParams.map((param) => param.name);
+  
+  pathParams.forEach((param) => params.push(` * @param {string} ${param.name}`));
+  
+  if (body) {
+    typedefs.push(typedef(`${typeName}Body`, body));
+    params.push(` * @param {${typeName}Body} body`);
+    args.push('body');
+  }
+  
+  if (queryParams.length > 0) {
+    const required = queryParams.filter((param) => param.required).map((param) => param.name);
+    typedefs.push(typedef(`${typeName}Query`, {
+      type: 'object',
+      properties: Object.fromEntries(queryParams.map((param) => [param.name, param.schema])),
+      ...(required.length > 0 && { required })
+    }));
+    params.push(` * @param {${typeName}Query} ${required.length > 0 ? 'query' : '[query]'}`);
+    args.push('query');
+  }
+  
+  params.push(' * @param {RequestConfig} [config]');
+  args.push('config');
+  
+  if (response) {
+    typedefs.push(response.type === 'object' && response.properties
+      ? typedef(`${typeName}Response`, response)
+      : `/** @typedef {${jsDocType(response)}} ${typeName}Response */`);
+  }
+  
+  const url = pathParams.length > 0
+    ? `\`${urlPath.replace(/\{(\w+)\}/g, '${encodeURIComponent($1)}')}\``
+    : literal(urlPath);
+  const hasBodyArgument = ['post', 'put', 'patch'].includes(method);
+  const configParts = [
+    '...config',
+    ...(queryParams.length > 0 ? ['params: query'] : []),
+    ...(body && !hasBodyArgument ? ['data: body'] : [])
+  ];
+  const config = configParts.length > 1 ? `{ ${configParts.join(', ')} }` : 'config';
+  const call = hasBodyArgument
+    ? `api.${method}(${url}, ${body ? 'body' : 'undefined'}, ${config})`
+    : `api.${method}(${url}, ${config})`;
+  
+  return [
+    ...typedefs,
+    [
+      '/**',
+      ` * ${operation.summary}`,
+      ` * ${method.toUpperCase()} ${urlPath}`,
+      ...params,
+      ` * @returns {ApiResponse<${response ? `${typeName}Response` : '*'}>}`,
+      ' */',
+      `export const ${operation.operationId} = (${args.join(', ')}) =>`,
+      `  ${call};`
+    ].join('\n')
+  ];
+};
+
+const document = buildOpenApiDocument(routes);
+const sections = document.tags
+  .filter((tag) => !SKIPPED_TAGS.includes(tag.name))
+  .map((tag) => {
+    const blocks = Object.entries(document.paths).flatMap(([urlPath, methods]) =>
+      Object.entries(methods)
+        .filter(([, operation]) => operation.tags[0] === tag.name)
+        .flatMap(([method, operation]) => generateOperation(urlPath, method, operation)));
+    
+    return [`// ${tag.name}`, ...blocks].join('\n\n');
+  });
+
+const source = [
+  '// Generated from the backend\'s OpenAPI document by `npm run docs:client`',
+  '// (in backend/). Do not edit by hand; change the routes or their zod',
+  '// schemas and regenerate.',
+  '',
+  'import api from \'./api\';',
+  '',
+  '/** @typedef {import(\'axios\').AxiosRequestConfig} RequestConfig */',
+  '/**',
+  ' * @template T',
+  ' * @typedef {Promise<import(\'axios\').AxiosResponse<T>>} ApiResponse',
+  ' */',
+  '',
+  sections.join('\n\n'),
+  ''
+].join('\n');
+
+writeGeneratedFile(OUTPUT_FILE, source, { name: 'API client', script: 'docs:client' });
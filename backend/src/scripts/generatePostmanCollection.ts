@@ -0,0 +1,17 @@
+import path from 'path';
+import routes from '../routes';
+import { buildOpenApiDocument } from '../services/openApiService';
+import { toPostmanCollection } from '../services/postmanService';
+import { writeGeneratedFile } from './generatedFile';
+
+// Regenerates api-collection.postman.json at the repository root from the
+// OpenAPI document. Run with `npm run docs:postman` after changing routes;
+// `npm run docs:check` fails while the committed file is out of date.
+const OUTPUT_FILE = path.join(__dirname, '../../../api-collection.postman.json');
+const BASE_URL = 'http://localhost:3001/api';
+
+const collection = toPostmanCollection(buildOpenApiDocument(routes), BASE_URL);
+writeGeneratedFile(OUTPUT_FILE, `${JSON.stringify(collection, null, 2)}\n`, {
+  name: 'Postman collection',
+  script: 'docs:postman'
+});
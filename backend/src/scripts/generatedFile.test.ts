@@ -0,0 +1,20 @@
+import { execFileSync } from 'child_process';
+import path from 'path';
+
+// The generators load every route, so they run in a process of their own,
+// the way `npm run docs:check` runs them
+const check = (script: string) => execFileSync(
+  process.execPath,
+  ['-r', 'ts-node/register/transpile-only', path.join(__dirname, script), '--check'],
+  { cwd: path.join(__dirname, '../..'), encoding: 'utf8', stdio: 'pipe' }
+);
+
+describe('committed generated files', () => {
+  it('has an up to date Postman collection', () => {
+    expect(check('generatePostmanCollection.ts')).toContain('Postman collection is up to date');
+  }, 30_000);
+  
+  it('has an up to date API client', () => {
+    expect(check('generateApiClient.ts')).toContain('API client is up to date');
+  }, 30_000);
+});
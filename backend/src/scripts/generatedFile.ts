@@ -0,0 +1,22 @@
+import fs from 'fs';
+import { logger } from '../services/logger';
+
+// Writes a generated file, or with --check only compares it with what is
+// committed and fails when someone forgot to regenerate it
+export const writeGeneratedFile = (file: string, content: string, { name, script }: { name: string; script: string }) => {
+  if (!process.argv.includes('--check')) {
+    fs.writeFileSync(file, content);
+    logger.info(`${name} written`, { file });
+    return;
+  }
+  
+  const committed = fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : null;
+  
+  if (committed !== content) {
+    logger.error(`${name} is out of date, regenerate it with \`npm run ${script}\``, { file });
+    process.exitCode = 1;
+    return;
+  }
+  
+  logger.info(`${name} is up to date`, { file });
+};
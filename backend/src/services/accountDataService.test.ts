@@ -0,0 +1,208 @@
+import { Prisma } from '@prisma/client';
+import { prisma } from './database';
+import { userRepository } from '../repositories/userRepository';
+import { buildAccountExport, eraseAccount, processDueAccountDeletions } from './accountDataService';
+
+jest.mock('./database', () => ({ prisma: {} }));
+jest.mock('./mailer', () => ({ sendMail: jest.fn(), appUrl: (path: string) => path }));
+jest.mock('../repositories/userRepository', () => ({
+  userRepository: { update: jest.fn(), invalidateAccountState: jest.fn() }
+}));
+
+type Args = Record<string, unknown>;
+
+interface Call {
+  model: string;
+  method: string;
+  args: Args;
+}
+
+const models = new Map(Prisma.dmmf.datamodel.models.map((model) => [model.name, model]));
+
+const isObject = (value: unknown): value is Args => typeof value === 'object' && value !== null && !Array.isArray(value);
+
+// Throws on any field the model does not have, the way Prisma rejects the
+// query. Relations are followed into the related model.
+const checkFields = (modelName: string, fields: Args, part: string) => {
+  const model = models.get(modelName)!;
+  
+  for (const [name, value] of Object.entries(fields)) {
+    if (part === 'where' && ['AND', 'OR', 'NOT'].includes(name)) {
+      for (const condition of [value].flat()) {
+        checkFields(modelName, condition as Args, part);
+      }
+      continue;
+    }
+    
+    const field = model.fields.find((candidate) => candidate.name === name);
+    
+    if (!field) {
+      throw new Error(`Unknown field \`${name}\` in ${part} of ${modelName}`);
+    }
+    
+    if (field.kind === 'object' && isObject(value) && part !== 'where') {
+      checkArgs(field.type, value);
+    }
+  }
+};
+
+const checkArgs = (modelName: string, args: Args) => {
+  for (const part of ['where', 'select', 'include', 'data']) {
+    if (isObject(args[part])) {
+      checkFields(modelName, args[part], part);
+    }
+  }
+  
+  for (const order of [args.orderBy ?? []].flat()) {
+    checkFields(modelName, order as Args, 'orderBy');
+  }
+};
+
+// Every query the service sent, in order
+let calls: Call[];
+
+// What findUnique and findMany return, by model: a value, or a function of the query
+let rows: Record<string, unknown>;
+
+const emptyResults: Record<string, () => unknown> = {
+  findUnique: () => null,
+  findMany: () => [],
+  updateMany: () => ({ count: 0 }),
+  deleteMany: () => ({ count: 0 }),
+  delete: () => ({})
+};
+
+// A client with a delegate per model of schema.prisma
+const mockClient = () => {
+  const client: Record<string, unknown> = {
+    $transaction: (queries: Promise<unknown>[]) => Promise.all(queries)
+  };
+  
+  for (const modelName of models.keys()) {
+    const delegate: Record<string, (args: Args) => Promise<unknown>> = {};
+    
+    for (const [method, empty] of Object.entries(emptyResults)) {
+      delegate[method] = (args) => {
+        calls.push({ model: modelName, method, args });
+        
+        try {
+          checkArgs(modelName, args);
+        } catch (error) {
+          return Promise.reject(error);
+        }
+        
+        const row = rows[`${modelName}.${method}`];
+        
+        return Promise.resolve(typeof row === 'function' ? (row as (args: Args) => unknown)(args) : row ?? empty());
+      };
+    }
+    
+    client[modelName.charAt(0).toLowerCase() + modelName.slice(1)] = delegate;
+  }
+  
+  return client;
+};
+
+const user = {
+  id: 'user-1',
+  email: 'ana@example.com',
+  pendingEmail: null,
+  firstName: 'Ana',
+  lastName: 'García',
+  role: 'USER',
+  status: 'ACTIVE',
+  emailVerified: true,
+  wallets: [{ address: '0x2c7536E3605D9C16a7a3D7b1898e529396a65c23', chainId: 1 }]
+};
+
+beforeAll(() => {
+  Object.assign(prisma, mockClient());
+});
+
+beforeEach(() => {
+  calls = [];
+  rows = { 'User.findUnique': user };
+});
+
+describe('the mocked client', () => {
+  it('rejects fields the model does not have', async () => {
+    await expect(prisma.project.findMany({ where: { userId: 'user-1' } as Prisma.ProjectWhereInput })).rejects.toThrow(
+      'Unknown field `userId` in where of Project'
+    );
+  });
+});
+
+describe('buildAccountExport', () => {
+  it('collects the account data with queries the schema accepts', async () => {
+    rows['ForumUser.findUnique'] = { username: 'ana', email: user.email, posts: [{ title: 'Hola' }], comments: [] };
+    
+    const data = await buildAccountExport(user.id);
+    
+    expect(data).toMatchObject({
+      profile: { id: user.id, email: user.email },
+      wallets: user.wallets,
+      sessions: [],
+      personalAccessTokens: [],
+      forum: { profile: { username: 'ana' }, posts: [{ title: 'Hola' }], comments: [] }
+    });
+    expect(calls.map(({ model }) => model)).not.toContain('Project');
+  });
+  
+  it('skips the records linked by email for wallet-only accounts', async () => {
+    rows['User.findUnique'] = { ...user, email: null };
+    
+    const data = await buildAccountExport(user.id);
+    
+    expect(data).toMatchObject({ forum: { profile: null }, votes: [], connections: [] });
+    expect(calls.map(({ model }) => model)).toEqual(['User', 'Session', 'PersonalAccessToken']);
+  });
+  
+  it('returns null for unknown accounts', async () => {
+    rows['User.findUnique'] = null;
+    
+    expect(await buildAccountExport('missing')).toBeNull();
+  });
+});
+
+describe('eraseAccount', () => {
+  it('anonymizes shared records and deletes the rest in one transaction', async () => {
+    await eraseAccount(user.id);
+    
+    expect(calls.slice(1).map(({ model, method }) => `${model}.${method}`)).toEqual([
+      'ForumUser.updateMany',
+      'Vote.updateMany',
+      'UserConnection.deleteMany',
+      'PublicationRequest.updateMany',
+      'TokenCreationRequest.updateMany',
+      'RefreshToken.deleteMany',
+      'Session.deleteMany',
+      'PersonalAccessToken.deleteMany',
+      'User.delete'
+    ]);
+    expect(calls[1]!.args).toMatchObject({
+      data: { email: `deleted-${user.id}@deleted.invalid`, status: 'DELETED' }
+    });
+    expect(userRepository.invalidateAccountState).toHaveBeenCalledWith(user.id);
+  });
+  
+  it('does nothing for accounts that are already gone', async () => {
+    rows['User.findUnique'] = null;
+    
+    await eraseAccount('missing');
+    
+    expect(calls).toHaveLength(1);
+  });
+});
+
+describe('processDueAccountDeletions', () => {
+  it('erases every account past its grace period', async () => {
+    rows['User.findMany'] = [{ id: 'user-1' }, { id: 'user-2' }];
+    rows['User.findUnique'] = ({ where }: { where: { id: string } }) => ({ id: where.id, email: null });
+    
+    expect(await processDueAccountDeletions()).toBe(2);
+    expect(calls.filter(({ method }) => method === 'delete').map(({ args }) => args.where)).toEqual([
+      { id: 'user-1' },
+      { id: 'user-2' }
+    ]);
+  });
+});
@@ -0,0 +1,246 @@
+import dotenv from 'dotenv';
+import { sendMail, appUrl } from './mailer';
+import { logger } from './logger';
+import { prisma } from './database';
+import { userRepository } from '../repositories/userRepository';
+
+dotenv.config();
+
+// Days between a deletion request and the erasure of the account. The user
+// can cancel the request until then.
+export const ACCOUNT_DELETION_GRACE_DAYS = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS || '14');
+
+const DELETION_CHECK_INTERVAL_MS = 60 * 60 * 1000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Profile fields included in the export; never credentials or token hashes
+const exportProfileSelect = {
+  id: true,
+  email: true,
+  pendingEmail: true,
+  firstName: true,
+  lastName: true,
+  role: true,
+  status: true,
+  emailVerified: true,
+  createdAt: true,
+  updatedAt: true,
+  lastLogin: true,
+  deletionScheduledAt: true,
+  wallets: {
+    select: {
+      address: true,
+      chainId: true,
+      createdAt: true,
+      lastUsedAt: true
+    }
+  }
+};
+
+// Everything stored about a user, for data-subject access requests. Forum
+// activity, votes, connections and requests are linked by email address.
+export const buildAccountExport = async (userId: string) => {
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    select: exportProfileSelect
+  });
+  
+  if (!user) {
+    return null;
+  }
+  
+  const { wallets, ...profile } = user;
+  const email = user.email;
+  
+  // Projects belong to admin accounts (createdBy), so none are listed here
+  const [sessions, accessTokens] = await Promise.all([
+    prisma.session.findMany({
+      where: { userId },
+      select: { device: true, userAgent: true, ipAddress: true, lastSeenAt: true, createdAt: true, revokedAt: true },
+      orderBy: { createdAt: 'asc' }
+    }),
+    prisma.personalAccessToken.findMany({
+      where: { userId },
+      select: { name: true, scopes: true, createdAt: true, lastUsedAt: true, expiresAt: true, revokedAt: true },
+      orderBy: { createdAt: 'asc' }
+    })
+  ]);
+  
+  const [forumUser, votes, connections, publicationRequests, tokenCreationRequests] = email
+    ? await Promise.all([
+      prisma.forumUser.findUnique({
+        where: { email },
+        include: {
+          posts: { orderBy: { createdAt: 'asc' } },
+          comments: { orderBy: { createdAt: 'asc' } }
+        }
+      }),
+      prisma.vote.findMany({
+        where: { voterEmail: email },
+        include: {
+          voting: { select: { id: true, title: true } },
+          candidate: { select: { id: true, name: true } }
+        },
+        orderBy: { createdAt: 'asc' }
+      }),
+      prisma.userConnection.findMany({
+        where: { OR: [{ requesterEmail: email }, { targetEmail: email }] },
+        orderBy: { createdAt: 'asc' }
+      }),
+      prisma.publicationRequest.findMany({
+        where: { requesterEmail: email },
+        orderBy: { createdAt: 'asc' }
+      }),
+      prisma.tokenCreationRequest.findMany({
+        where: { requesterEmail: email },
+        orderBy: { createdAt: 'asc' }
+      })
+    ])
+    : [null, [], [], [], []];
+  
+  const { posts = [], comments = [], ...forumProfile } = forumUser ?? {};
+  
+  return {
+    exportedAt: new Date().toISOString(),
+    profile,
+    wallets,
+    sessions,
+    personalAccessTokens: accessTokens,
+    forum: {
+      profile: forumUser ? forumProfile : null,
+      posts,
+      comments
+    },
+    votes,
+    connections,
+    publicationRequests,
+    tokenCreationRequests
+  };
+};
+
+// Schedule the erasure of an account and confirm it by email
+export const scheduleAccountDeletion = async (user: { id: string; email: string | null; firstName?: string | null }) => {
+  const deletionScheduledAt = new Date(Date.now() + ACCOUNT_DELETION_GRACE_DAYS * DAY_MS);
+  
+  await userRepository.update({
+    where: { id: user.id },
+    data: { deletionScheduledAt }
+  });
+  
+  if (user.email) {
+    await sendMail({
+      to: user.email,
+      subject: 'Your account is scheduled for deletion',
+      text: [
+        `Hi ${user.firstName || 'there'},`,
+        '',
+        `Your account and the data linked to it will be deleted on ${deletionScheduledAt.toUTCString()}.`,
+        'Changed your mind? Sign in and cancel the deletion from your profile before then:',
+        appUrl('/profile'),
+        '',
+        'If you did not ask for this, sign in, cancel the deletion and change your password.'
+      ].join('\n')
+    });
+  }
+  
+  return deletionScheduledAt;
+};
+
+// Returns false when no deletion was pending
+export const cancelAccountDeletion = async (userId: string) => {
+  const { count } = await prisma.user.updateMany({
+    where: { id: userId, deletionScheduledAt: { not: null } },
+    data: { deletionScheduledAt: null }
+  });
+  userRepository.invalidateAccountState(userId);
+  
+  return count === 1;
+};
+
+// Erase an account. Records other people rely on (forum threads, vote totals,
+// reviewed requests) are kept but anonymized; everything else is deleted.
+export const eraseAccount = async (userId: string) => {
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    select: { id: true, email: true }
+  });
+  
+  if (!user) {
+    return;
+  }
+  
+  const email = user.email;
+  const anonymousEmail = `deleted-${user.id}@deleted.invalid`;
+  
+  await prisma.$transaction([
+    ...(email
+      ? [
+        prisma.forumUser.updateMany({
+          where: { email },
+          data: {
+            username: `deleted-${user.id}`,
+            email: anonymousEmail,
+            avatar: null,
+            bio: null,
+            status: 'DELETED'
+          }
+        }),
+        prisma.vote.updateMany({
+          where: { voterEmail: email },
+          data: { voterEmail: null, voterIP: null }
+        }),
+        prisma.userConnection.deleteMany({
+          where: { OR: [{ requesterEmail: email }, { targetEmail: email }] }
+        }),
+        prisma.publicationRequest.updateMany({
+          where: { requesterEmail: email },
+          data: { requesterName: 'Deleted user', requesterEmail: anonymousEmail, company: null }
+        }),
+        prisma.tokenCreationRequest.updateMany({
+          where: { requesterEmail: email },
+          data: { requesterName: 'Deleted user', requesterEmail: anonymousEmail }
+        })
+      ]
+      : []),
+    prisma.refreshToken.deleteMany({ where: { userId: user.id } }),
+    prisma.session.deleteMany({ where: { userId: user.id } }),
+    prisma.personalAccessToken.deleteMany({ where: { userId: user.id } }),
+    // Wallets are removed with the user
+    prisma.user.delete({ where: { id: user.id } })
+  ]);
+  
+  userRepository.invalidateAccountState(user.id);
+};
+
+// Erase every account whose grace period is over
+export const processDueAccountDeletions = async () => {
+  const dueUsers = await prisma.user.findMany({
+    where: { deletionScheduledAt: { lte: new Date() } },
+    select: { id: true }
+  });
+  
+  for (const user of dueUsers) {
+    await eraseAccount(user.id);
+  }
+  
+  return dueUsers.length;
+};
+
+// Check on startup and then every hour
+export const scheduleAccountDeletions = () => {
+  const run = () => {
+    processDueAccountDeletions()
+      .then((count) => {
+        if (count > 0) {
+          logger.info('Erased accounts after their deletion grace period', { count });
+        }
+      })
+      .catch((error) => {
+        logger.error('Error erasing scheduled accounts', { error });
+      });
+  };
+  
+  run();
+  setInterval(run, DELETION_CHECK_INTERVAL_MS).unref();
+};
@@ -0,0 +1,72 @@
+import bcrypt from 'bcryptjs';
+import { sendMail, appUrl } from './mailer';
+import { generateOneTimeToken, hashToken } from './tokenService';
+import { prisma } from './database';
+import { adminRepository } from '../repositories/adminRepository';
+
+// Invitation links stay valid for 7 days
+const INVITE_TOKEN_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+interface InvitationRecipient {
+  id: string;
+  email: string;
+  name: string;
+}
+
+// Issue an invitation token and email the link. Only the latest link works.
+export const sendAdminInvitation = async (admin: InvitationRecipient, invitedBy: string) => {
+  const { token, tokenHash } = generateOneTimeToken();
+  
+  await adminRepository.update({
+    where: { id: admin.id },
+    data: {
+      inviteToken: tokenHash,
+      inviteTokenExpiry: new Date(Date.now() + INVITE_TOKEN_TTL_MS)
+    }
+  });
+  
+  const link = appUrl(`/accept-invite?token=${token}`);
+  
+  await sendMail({
+    to: admin.email,
+    subject: 'You have been invited to the admin console',
+    text: [
+      `Hi ${admin.name},`,
+      '',
+      `${invitedBy} invited you to become an administrator. Open the link below to choose your password:`,
+      link,
+      '',
+      'The link expires in 7 days and can only be used once.'
+    ].join('\n')
+  });
+};
+
+// Set the password of an invited admin and activate the account. Returns
+// false when the token is unknown, expired or already used.
+export const acceptAdminInvitation = async (token: string, password: string) => {
+  const admin = await prisma.adminUser.findUnique({
+    where: { inviteToken: hashToken(token) }
+  });
+  
+  if (!admin || admin.status !== 'INVITED' || !admin.inviteTokenExpiry || admin.inviteTokenExpiry < new Date()) {
+    return false;
+  }
+  
+  const saltRounds = parseInt(process.env.BCRYPT_SALT_ROUNDS || '12');
+  const hashedPassword = await bcrypt.hash(password, saltRounds);
+  
+  // Clearing the token only if it is still ours makes it single-use even
+  // when two requests race
+  const { count } = await prisma.adminUser.updateMany({
+    where: { id: admin.id, inviteToken: admin.inviteToken },
+    data: {
+      password: hashedPassword,
+      status: 'ACTIVE',
+      inviteToken: null,
+      inviteTokenExpiry: null
+    }
+  });
+  adminRepository.invalidateAccountState(admin.id);
+  
+  return count === 1;
+};
@@ -0,0 +1,153 @@
+import { Request } from 'express';
+import { logger } from './logger';
+import { prisma } from './database';
+
+// Administrative actions written to the audit log
+export const AUDIT_ACTIONS = [
+  'user.status.update',
+  'user.unlock',
+  'user.delete',
+  'user.restore',
+  'user.impersonate',
+  'project.status.update',
+  'project.delete',
+  'project.restore',
+  'role.create',
+  'role.update',
+  'role.delete',
+  'admin.invite',
+  'admin.invite.resend',
+  'admin.invite.delete',
+  'admin.update',
+  'admin.status.update'
+] as const;
+
+export type AuditAction = typeof AUDIT_ACTIONS[number];
+
+type Snapshot = Record<string, unknown> | null | undefined;
+
+interface AuditEntry {
+  action: AuditAction;
+  targetType: string;
+  targetId: string;
+  before?: Snapshot;
+  after?: Snapshot;
+}
+
+// Credentials, token hashes and 2FA secrets never end up in the log
+const SENSITIVE_FIELD = /password|token|secret|recovery/i;
+
+// Dates and nested objects are compared the way they are stored
+const toJsonValue = (value: unknown): unknown => JSON.parse(JSON.stringify(value ?? null));
+
+// Fields that differ between two snapshots. Updates only compare the fields
+// present in both, so `after` can be a partial select of the record and
+// relations included in it are ignored.
+export const diffSnapshots = (before: Snapshot, after: Snapshot) => {
+  const fields = before && after
+    ? Object.keys(after).filter((field) => field in before)
+    : Object.keys(after ?? before ?? {});
+  const changes: Record<string, { before: unknown; after: unknown }> = {};
+  
+  for (const field of fields) {
+    if (SENSITIVE_FIELD.test(field)) {
+      continue;
+    }
+    
+    const previous = toJsonValue(before?.[field]);
+    const next = toJsonValue(after?.[field]);
+    
+    if (JSON.stringify(previous) !== JSON.stringify(next)) {
+      changes[field] = { before: previous, after: next };
+    }
+  }
+  
+  return changes;
+};
+
+// Record an administrative change made by the signed-in admin. A failure to
+// write the entry is logged rather than failing a change that already happened.
+export const recordAuditLog = async (req: Request, entry: AuditEntry) => {
+  try {
+    const changes = diffSnapshots(entry.before, entry.after);
+    
+    await prisma.auditLog.create({
+      data: {
+        actorId: req.user!.userId,
+        actorRole: req.user!.role,
+        action: entry.action,
+        targetType: entry.targetType,
+        targetId: entry.targetId,
+        changes: Object.keys(changes).length > 0 ? JSON.stringify(changes) : null,
+        ipAddress: req.ip ?? null,
+        userAgent: req.get('user-agent')?.slice(0, 512) ?? null
+      }
+    });
+    
+  } catch (error) {
+    logger.error('Error recording audit log entry', { error, action: entry.action });
+  }
+};
+
+const parseChanges = (value: string | null) => {
+  if (!value) {
+    return null;
+  }
+  
+  try {
+    return JSON.parse(value) as Record<string, { before: unknown; after: unknown }>;
+  } catch (error) {
+    return null;
+  }
+};
+
+export interface AuditLogFilters {
+  actorId?: string | undefined;
+  action?: string | undefined;
+  targetType?: string | undefined;
+  targetId?: string | undefined;
+  from?: Date | undefined;
+  to?: Date | undefined;
+}
+
+// Newest entries first, with the acting admin's name and email
+export const listAuditLogs = async (filters: AuditLogFilters, page: number, limit: number) => {
+  const where = {
+    ...(filters.actorId && { actorId: filters.actorId }),
+    ...(filters.action && { action: filters.action }),
+    ...(filters.targetType && { targetType: filters.targetType }),
+    ...(filters.targetId && { targetId: filters.targetId }),
+    ...((filters.from || filters.to) && {
+      createdAt: {
+        ...(filters.from && { gte: filters.from }),
+        ...(filters.to && { lte: filters.to })
+      }
+    })
+  };
+  
+  const [logs, total] = await Promise.all([
+    prisma.auditLog.findMany({
+      where,
+      skip: (page - 1) * limit,
+      take: limit,
+      orderBy: { createdAt: 'desc' }
+    }),
+    prisma.auditLog.count({ where })
+  ]);
+  
+  // Admins may have been deleted since, so the actor is looked up rather than related
+  const actors = await prisma.adminUser.findMany({
+    where: { id: { in: [...new Set(logs.map((log) => log.actorId))] } },
+    select: { id: true, name: true, email: true }
+  });
+  const actorsById = new Map(actors.map((actor) => [actor.id, actor]));
+  
+  return {
+    logs: logs.map((log) => ({
+      ...log,
+      actor: actorsById.get(log.actorId) ?? null,
+      changes: parseChanges(log.changes)
+    })),
+    total
+  };
+};
@@ -0,0 +1,110 @@
+import { Request, Response, CookieOptions } from 'express';
+import jwt from 'jsonwebtoken';
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+export const ACCESS_TOKEN_COOKIE = 'access_token';
+export const REFRESH_TOKEN_COOKIE = 'refresh_token';
+export const CSRF_TOKEN_COOKIE = 'csrf_token';
+
+export const CSRF_HEADER = 'X-CSRF-Token';
+
+// Clients opt into cookie sessions per request with this header
+export const AUTH_MODE_HEADER = 'X-Auth-Mode';
+
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+const SAME_SITE_VALUES = ['strict', 'lax', 'none'] as const;
+type SameSite = typeof SAME_SITE_VALUES[number];
+
+const sameSite: SameSite = SAME_SITE_VALUES.find((value) => value === process.env.AUTH_COOKIE_SAME_SITE) ?? 'strict';
+
+// Browsers only accept SameSite=None over HTTPS
+const secure = process.env.AUTH_COOKIE_SECURE
+  ? process.env.AUTH_COOKIE_SECURE === 'true'
+  : process.env.NODE_ENV === 'production' || sameSite === 'none';
+
+const baseCookieOptions: CookieOptions = {
+  httpOnly: true,
+  secure,
+  sameSite
+};
+
+// The access token is sent to every API route, the refresh token only to
+// the auth routes that use it
+const accessCookieOptions: CookieOptions = { ...baseCookieOptions, path: '/api' };
+const refreshCookieOptions: CookieOptions = { ...baseCookieOptions, path: '/api/auth' };
+
+// Readable by the frontend so it can echo it back in the CSRF header
+const csrfCookieOptions: CookieOptions = { ...baseCookieOptions, httpOnly: false, path: '/' };
+
+export const wantsCookieAuth = (req: Request) => req.get(AUTH_MODE_HEADER)?.toLowerCase() === 'cookie';
+
+// Read a cookie from the request without pulling in a cookie parser
+export const readCookie = (req: Request, name: string) => {
+  const header = req.headers.cookie;
+  
+  if (!header) {
+    return undefined;
+  }
+  
+  for (const pair of header.split(';')) {
+    const index = pair.indexOf('=');
+    
+    if (index !== -1 && pair.slice(0, index).trim() === name) {
+      try {
+        return decodeURIComponent(pair.slice(index + 1).trim());
+      } catch {
+        return undefined;
+      }
+    }
+  }
+  
+  return undefined;
+};
+
+// Cookies expire together with the token they hold
+const expiringWith = (token: string, options: CookieOptions): CookieOptions => {
+  const decoded = jwt.decode(token) as { exp?: number } | null;
+  return decoded?.exp ? { ...options, expires: new Date(decoded.exp * 1000) } : options;
+};
+
+// Set the session cookies and a fresh CSRF token, which is returned so the
+// client can keep it even when it can't read cookies of the API's domain
+export const setAuthCookies = (res: Response, tokens: { accessToken: string; refreshToken: string }) => {
+  const csrfToken = crypto.randomBytes(32).toString('base64url');
+  
+  res.cookie(ACCESS_TOKEN_COOKIE, tokens.accessToken, expiringWith(tokens.accessToken, accessCookieOptions));
+  res.cookie(REFRESH_TOKEN_COOKIE, tokens.refreshToken, expiringWith(tokens.refreshToken, refreshCookieOptions));
+  res.cookie(CSRF_TOKEN_COOKIE, csrfToken, expiringWith(tokens.refreshToken, csrfCookieOptions));
+  
+  return csrfToken;
+};
+
+export const clearAuthCookies = (res: Response) => {
+  res.clearCookie(ACCESS_TOKEN_COOKIE, accessCookieOptions);
+  res.clearCookie(REFRESH_TOKEN_COOKIE, refreshCookieOptions);
+  res.clearCookie(CSRF_TOKEN_COOKIE, csrfCookieOptions);
+};
+
+// Double-submit check: a state-changing request authenticated by cookie must
+// repeat the CSRF cookie in a header, which other sites can't do
+export const hasValidCsrfToken = (req: Request) => {
+  if (SAFE_METHODS.includes(req.method)) {
+    return true;
+  }
+  
+  const cookieToken = readCookie(req, CSRF_TOKEN_COOKIE);
+  const headerToken = req.get(CSRF_HEADER);
+  
+  if (!cookieToken || !headerToken) {
+    return false;
+  }
+  
+  const expected = Buffer.from(cookieToken);
+  const actual = Buffer.from(headerToken);
+  
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
@@ -0,0 +1,44 @@
+import { createGauge } from './metricsService';
+import { prisma } from './database';
+
+// Business gauges, queried on every scrape
+export const registerBusinessMetrics = () => {
+  createGauge({
+    name: 'publication_requests_pending',
+    help: 'Publication requests waiting for review',
+    collect: async () => [{ value: await prisma.publicationRequest.count({ where: { status: 'PENDING' } }) }]
+  });
+  
+  createGauge({
+    name: 'token_creation_requests_pending',
+    help: 'Token creation requests waiting to be processed',
+    collect: async () => [{ value: await prisma.tokenCreationRequest.count({ where: { status: 'PENDING' } }) }]
+  });
+  
+  createGauge({
+    name: 'users',
+    help: 'Users by status, excluding the trash',
+    collect: async () => {
+      const groups = await prisma.user.groupBy({
+        by: ['status'],
+        where: { deletedAt: null },
+        _count: { _all: true }
+      });
+      
+      return groups.map((group) => ({ labels: { status: group.status }, value: group._count._all }));
+    }
+  });
+  
+  createGauge({
+    name: 'active_sessions',
+    help: 'Signed-in sessions that are neither revoked nor expired',
+    collect: async () => [{
+      value: await prisma.session.count({
+        where: {
+          revokedAt: null,
+          OR: [{ expiresAt: null }, { expiresAt: { gt: new Date() } }]
+        }
+      })
+    }]
+  });
+};
@@ -0,0 +1,10 @@
+import { PrismaClient } from '@prisma/client';
+import { instrumentPrisma } from './metricsService';
+
+// The one Prisma client for the whole process. A client holds its own
+// connection pool, so sharing it keeps the connection count bounded.
+export const prisma = instrumentPrisma(new PrismaClient());
+
+export const disconnectDatabase = async () => {
+  await prisma.$disconnect();
+};
@@ -0,0 +1,89 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { prisma } from './database';
+
+// A check that takes longer than this counts as failed
+const CHECK_TIMEOUT_MS = 3000;
+
+const MIGRATIONS_DIR = path.join(__dirname, '../../prisma/migrations');
+
+export interface CheckResult {
+  status: 'ok' | 'failed' | 'skipped';
+  latencyMs?: number;
+  error?: string;
+  pending?: string[];
+}
+
+let shuttingDown = false;
+
+// Once shutdown starts the instance reports not ready, so load balancers
+// stop sending it traffic while in-flight requests drain
+export const markShuttingDown = () => {
+  shuttingDown = true;
+};
+
+export const isShuttingDown = () => shuttingDown;
+
+const withTimeout = <T>(promise: Promise<T>) => {
+  let timer: NodeJS.Timeout | undefined;
+  
+  const timeout = new Promise<never>((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`Timed out after ${CHECK_TIMEOUT_MS}ms`)), CHECK_TIMEOUT_MS);
+  });
+  
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+const errorMessage = (error: unknown) => (error instanceof Error ? error.message : String(error));
+
+export const checkDatabase = async (): Promise<CheckResult> => {
+  const startedAt = Date.now();
+  
+  try {
+    await withTimeout(prisma.$queryRaw`SELECT 1`);
+    return { status: 'ok', latencyMs: Date.now() - startedAt };
+  } catch (error) {
+    return { status: 'failed', latencyMs: Date.now() - startedAt, error: errorMessage(error) };
+  }
+};
+
+// Compare prisma/migrations with the migrations applied to the database.
+// Skipped when the schema is managed with `prisma db push` instead.
+export const checkMigrations = async (): Promise<CheckResult> => {
+  let migrations: string[];
+  
+  try {
+    const entries = await fs.readdir(MIGRATIONS_DIR, { withFileTypes: true });
+    migrations = entries.filter((entry) => entry.isDirectory()).map((entry) => entry.name);
+  } catch {
+    return { status: 'skipped' };
+  }
+  
+  if (migrations.length === 0) {
+    return { status: 'skipped' };
+  }
+  
+  try {
+    const applied = await withTimeout(prisma.$queryRaw<{ migration_name: string }[]>`
+      SELECT migration_name FROM _prisma_migrations
+      WHERE finished_at IS NOT NULL AND rolled_back_at IS NULL
+    `);
+    const appliedNames = new Set(applied.map((row) => row.migration_name));
+    const pending = migrations.filter((name) => !appliedNames.has(name)).sort();
+    
+    return pending.length > 0 ? { status: 'failed', pending } : { status: 'ok' };
+  } catch (error) {
+    return { status: 'failed', error: errorMessage(error) };
+  }
+};
+
+// Ready when the database answers and its schema is up to date
+export const checkReadiness = async () => {
+  const [database, migrations] = await Promise.all([checkDatabase(), checkMigrations()]);
+  const ready = !shuttingDown && database.status === 'ok' && migrations.status !== 'failed';
+  
+  return {
+    ready,
+    checks: { database, migrations }
+  };
+};
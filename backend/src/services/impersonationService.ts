@@ -0,0 +1,114 @@
+import crypto from 'crypto';
+import { Request, Response } from 'express';
+import jwt from 'jsonwebtoken';
+import dotenv from 'dotenv';
+import { logger } from './logger';
+import { prisma } from './database';
+
+dotenv.config();
+
+// Impersonation tokens are short-lived and can't be refreshed
+export const IMPERSONATION_TTL_MINUTES = parseInt(process.env.IMPERSONATION_TTL_MINUTES || '15');
+
+// Start impersonating a user and sign the access token for it. The token
+// carries the user as subject and the admin as the acting party (`act`).
+export const startImpersonation = async (
+  req: Request,
+  admin: { id: string; role: string },
+  user: { id: string; role: string },
+  reason: string | null
+) => {
+  const expiresAt = new Date(Date.now() + IMPERSONATION_TTL_MINUTES * 60 * 1000);
+  
+  const impersonation = await prisma.impersonation.create({
+    data: {
+      adminId: admin.id,
+      userId: user.id,
+      reason,
+      ipAddress: req.ip ?? null,
+      userAgent: req.get('user-agent')?.slice(0, 512) ?? null,
+      expiresAt
+    }
+  });
+  
+  const accessToken = jwt.sign(
+    {
+      userId: user.id,
+      role: user.role,
+      imp: impersonation.id,
+      act: { sub: admin.id, role: admin.role }
+    },
+    process.env.JWT_SECRET!,
+    {
+      expiresIn: IMPERSONATION_TTL_MINUTES * 60,
+      jwtid: crypto.randomUUID()
+    }
+  );
+  
+  return { impersonation, accessToken };
+};
+
+// Impersonation that is still running and whose admin may still sign in
+export const getActiveImpersonation = async (impersonationId: string) => {
+  const impersonation = await prisma.impersonation.findUnique({
+    where: { id: impersonationId }
+  });
+  
+  if (!impersonation || impersonation.endedAt || impersonation.expiresAt <= new Date()) {
+    return null;
+  }
+  
+  const admin = await prisma.adminUser.findUnique({
+    where: { id: impersonation.adminId },
+    select: { status: true }
+  });
+  
+  return admin?.status === 'ACTIVE' ? impersonation : null;
+};
+
+// Returns false when the impersonation had already ended
+export const endImpersonation = async (impersonationId: string) => {
+  const { count } = await prisma.impersonation.updateMany({
+    where: { id: impersonationId, endedAt: null },
+    data: { endedAt: new Date() }
+  });
+  
+  return count === 1;
+};
+
+// Record a request made with an impersonation token once its response is sent
+export const recordImpersonatedRequest = (impersonationId: string, req: Request, res: Response) => {
+  res.on('finish', () => {
+    prisma.impersonationRequest.create({
+      data: {
+        impersonationId,
+        method: req.method,
+        path: req.originalUrl.slice(0, 512),
+        statusCode: res.statusCode
+      }
+    }).catch((error) => {
+      logger.error('Error recording impersonated request', { error, impersonationId });
+    });
+  });
+};
+
+export const listImpersonations = async (filters: { adminId?: string | undefined; userId?: string | undefined }) => {
+  return prisma.impersonation.findMany({
+    where: {
+      ...(filters.adminId && { adminId: filters.adminId }),
+      ...(filters.userId && { userId: filters.userId })
+    },
+    include: { _count: { select: { requests: true } } },
+    orderBy: { createdAt: 'desc' },
+    take: 100
+  });
+};
+
+export const getImpersonationWithRequests = async (impersonationId: string) => {
+  return prisma.impersonation.findUnique({
+    where: { id: impersonationId },
+    include: {
+      requests: { orderBy: { createdAt: 'asc' } }
+    }
+  });
+};
@@ -0,0 +1,101 @@
+import dotenv from 'dotenv';
+import { prisma } from './database';
+import { userRepository } from '../repositories/userRepository';
+import { adminRepository } from '../repositories/adminRepository';
+
+dotenv.config();
+
+// Failed logins allowed before the account gets locked
+const LOCKOUT_THRESHOLD = parseInt(process.env.LOGIN_LOCKOUT_THRESHOLD || '5');
+
+// Length of the first lock; it doubles with every further failure
+const LOCKOUT_BASE_SECONDS = parseInt(process.env.LOGIN_LOCKOUT_BASE_SECONDS || '30');
+const LOCKOUT_MAX_SECONDS = 24 * 60 * 60;
+
+interface LockableAccount {
+  id: string;
+  email: string | null;
+  role: string;
+  failedLoginAttempts: number;
+  lockedUntil: Date | null;
+}
+
+// Fields to reset once the account signs in successfully
+export const clearedLockout = {
+  failedLoginAttempts: 0,
+  lockedUntil: null
+};
+
+const isAdminRole = (role: string) => ['ADMIN', 'SUPER_ADMIN'].includes(role);
+
+const lockDurationSeconds = (failedAttempts: number) => {
+  const doublings = failedAttempts - LOCKOUT_THRESHOLD;
+  return Math.min(LOCKOUT_BASE_SECONDS * 2 ** doublings, LOCKOUT_MAX_SECONDS);
+};
+
+// Seconds until a locked account may try again, 0 when it isn't locked
+export const getLockRemainingSeconds = (account: Pick<LockableAccount, 'lockedUntil'>) => {
+  if (!account.lockedUntil) {
+    return 0;
+  }
+  
+  return Math.max(0, Math.ceil((account.lockedUntil.getTime() - Date.now()) / 1000));
+};
+
+// Count a failed login. Once the threshold is reached the account is locked,
+// for twice as long on every further failure. Returns the lock expiry, if any.
+export const recordFailedLogin = async (account: LockableAccount, ipAddress?: string) => {
+  const data = { failedLoginAttempts: { increment: 1 } };
+  const select = { failedLoginAttempts: true };
+  
+  // Atomic increment so parallel attempts are all counted
+  const { failedLoginAttempts } = isAdminRole(account.role)
+    ? await adminRepository.update({ where: { id: account.id }, data, select })
+    : await userRepository.update({ where: { id: account.id }, data, select });
+  
+  if (failedLoginAttempts < LOCKOUT_THRESHOLD) {
+    return null;
+  }
+  
+  const lockedUntil = new Date(Date.now() + lockDurationSeconds(failedLoginAttempts) * 1000);
+  
+  if (isAdminRole(account.role)) {
+    await adminRepository.update({ where: { id: account.id }, data: { lockedUntil } });
+  } else {
+    await userRepository.update({ where: { id: account.id }, data: { lockedUntil } });
+  }
+  
+  await prisma.lockoutEvent.create({
+    data: {
+      accountId: account.id,
+      role: account.role,
+      email: account.email,
+      type: 'LOCKED',
+      failedAttempts: failedLoginAttempts,
+      lockedUntil,
+      ipAddress: ipAddress ?? null
+    }
+  });
+  
+  return lockedUntil;
+};
+
+// Lift a lock and reset the failure count
+export const unlockAccount = async (account: LockableAccount, unlockedById: string) => {
+  if (isAdminRole(account.role)) {
+    await adminRepository.update({ where: { id: account.id }, data: clearedLockout });
+  } else {
+    await userRepository.update({ where: { id: account.id }, data: clearedLockout });
+  }
+  
+  await prisma.lockoutEvent.create({
+    data: {
+      accountId: account.id,
+      role: account.role,
+      email: account.email,
+      type: 'UNLOCKED',
+      failedAttempts: account.failedLoginAttempts,
+      unlockedById
+    }
+  });
+};
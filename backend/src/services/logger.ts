@@ -0,0 +1,80 @@
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const LEVELS = {
+  error: 0,
+  warn: 1,
+  info: 2,
+  debug: 3
+} as const;
+
+export type LogLevel = keyof typeof LEVELS;
+
+export type LogFields = Record<string, unknown>;
+
+const isLogLevel = (value: string | undefined): value is LogLevel => !!value && value in LEVELS;
+
+// Messages below LOG_LEVEL are dropped
+const threshold = LEVELS[isLogLevel(process.env.LOG_LEVEL) ? process.env.LOG_LEVEL : 'info'];
+
+// Errors have no enumerable properties, so JSON.stringify turns them into {}
+const serializeValue = (value: unknown): unknown => {
+  if (value instanceof Error) {
+    return {
+      name: value.name,
+      message: value.message,
+      ...('code' in value && { code: value.code }),
+      stack: value.stack
+    };
+  }
+  
+  return value;
+};
+
+const write = (level: LogLevel, message: string, fields: LogFields = {}) => {
+  if (LEVELS[level] > threshold) {
+    return;
+  }
+  
+  const entry: LogFields = {
+    time: new Date().toISOString(),
+    level,
+    message
+  };
+  
+  for (const [key, value] of Object.entries(fields)) {
+    entry[key] = serializeValue(value);
+  }
+  
+  let line: string;
+  try {
+    line = JSON.stringify(entry);
+  } catch {
+    // Circular or otherwise unserializable fields
+    line = JSON.stringify({ time: entry.time, level, message });
+  }
+  
+  const stream = LEVELS[level] <= LEVELS.warn ? process.stderr : process.stdout;
+  stream.write(`${line}\n`);
+};
+
+export interface Logger {
+  error: (message: string, fields?: LogFields) => void;
+  warn: (message: string, fields?: LogFields) => void;
+  info: (message: string, fields?: LogFields) => void;
+  debug: (message: string, fields?: LogFields) => void;
+  // A logger that adds `bindings` to every entry
+  child: (bindings: LogFields) => Logger;
+}
+
+const createLogger = (bindings: LogFields = {}): Logger => ({
+  error: (message, fields) => write('error', message, { ...bindings, ...fields }),
+  warn: (message, fields) => write('warn', message, { ...bindings, ...fields }),
+  info: (message, fields) => write('info', message, { ...bindings, ...fields }),
+  debug: (message, fields) => write('debug', message, { ...bindings, ...fields }),
+  child: (childBindings) => createLogger({ ...bindings, ...childBindings })
+});
+
+// JSON lines: one object per entry, errors and warnings on stderr
+export const logger = createLogger();
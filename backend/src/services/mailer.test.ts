@@ -0,0 +1,108 @@
+import nodemailer from 'nodemailer';
+import { MailMessage } from './mailer';
+
+jest.mock('nodemailer', () => ({ createTransport: jest.fn() }));
+
+jest.mock('./logger', () => ({
+  logger: { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() }
+}));
+
+const mockCreateTransport = nodemailer.createTransport as jest.Mock;
+const mockSendMail = jest.fn();
+
+const MAIL_ENV = ['NODE_ENV', 'MAIL_TRANSPORT', 'SMTP_HOST', 'SMTP_PORT', 'SMTP_USER', 'SMTP_PASSWORD', 'MAIL_FROM'];
+const originalEnv = Object.fromEntries(MAIL_ENV.map((name) => [name, process.env[name]]));
+
+const message: MailMessage = {
+  to: 'ana@example.com',
+  subject: 'Reset your password',
+  text: 'Reset link: https://example.com/reset?token=secret'
+};
+
+// A fresh copy of the mailer, since it keeps the transport it picked
+const loadMailer = (env: Record<string, string>) => {
+  for (const name of MAIL_ENV) {
+    delete process.env[name];
+  }
+  Object.assign(process.env, env);
+  
+  let mailer!: typeof import('./mailer');
+  jest.isolateModules(() => {
+    mailer = jest.requireActual<typeof import('./mailer')>('./mailer');
+  });
+  
+  return mailer;
+};
+
+beforeEach(() => {
+  mockCreateTransport.mockReturnValue({ sendMail: mockSendMail });
+  mockSendMail.mockResolvedValue({ messageId: '<1@example.com>' });
+});
+
+afterAll(() => {
+  for (const [name, value] of Object.entries(originalEnv)) {
+    if (value === undefined) {
+      delete process.env[name];
+    } else {
+      process.env[name] = value;
+    }
+  }
+});
+
+describe('getMailTransport', () => {
+  it('defaults to the console transport outside production', () => {
+    expect(loadMailer({ NODE_ENV: 'development' }).getMailTransport().name).toBe('console');
+  });
+  
+  it('refuses to start production without a transport that delivers', () => {
+    expect(() => loadMailer({ NODE_ENV: 'production' }).getMailTransport()).toThrow('mail transport that delivers');
+    expect(() => loadMailer({ NODE_ENV: 'production', MAIL_TRANSPORT: 'console' }).getMailTransport()).toThrow();
+    expect(() => loadMailer({ NODE_ENV: 'production', MAIL_TRANSPORT: 'file' }).getMailTransport()).toThrow();
+  });
+  
+  it('refuses the smtp transport without a server and a sender', () => {
+    expect(() => loadMailer({ NODE_ENV: 'production', MAIL_TRANSPORT: 'smtp', SMTP_HOST: 'smtp.example.com' }).getMailTransport())
+      .toThrow('SMTP_HOST and MAIL_FROM');
+  });
+  
+  it('accepts a custom transport in production', () => {
+    const mailer = loadMailer({ NODE_ENV: 'production' });
+    mailer.setMailTransport({ name: 'api', send: () => Promise.resolve() });
+    
+    expect(mailer.getMailTransport().name).toBe('api');
+  });
+});
+
+describe('smtp transport', () => {
+  it('delivers through the configured server from MAIL_FROM', async () => {
+    const mailer = loadMailer({
+      NODE_ENV: 'production',
+      MAIL_TRANSPORT: 'smtp',
+      SMTP_HOST: 'smtp.example.com',
+      SMTP_USER: 'mailer',
+      SMTP_PASSWORD: 'hunter2',
+      MAIL_FROM: 'Florka <no-reply@example.com>'
+    });
+    
+    await mailer.sendMail(message);
+    
+    expect(mockCreateTransport).toHaveBeenCalledWith({
+      host: 'smtp.example.com',
+      port: 587,
+      secure: false,
+      auth: { user: 'mailer', pass: 'hunter2' }
+    });
+    expect(mockSendMail).toHaveBeenCalledWith({ from: 'Florka <no-reply@example.com>', ...message });
+  });
+  
+  it('uses TLS from the start on port 465 and skips auth without a user', () => {
+    loadMailer({
+      MAIL_TRANSPORT: 'smtp',
+      SMTP_HOST: 'smtp.example.com',
+      SMTP_PORT: '465',
+      MAIL_FROM: 'no-reply@example.com'
+    }).getMailTransport();
+    
+    expect(mockCreateTransport).toHaveBeenCalledWith({ host: 'smtp.example.com', port: 465, secure: true });
+  });
+});
@@ -0,0 +1,135 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import dotenv from 'dotenv';
+import nodemailer from 'nodemailer';
+import { logger } from './logger';
+
+dotenv.config();
+
+// Outgoing message
+export interface MailMessage {
+  to: string;
+  subject: string;
+  text: string;
+  html?: string;
+}
+
+// A transport delivers a message somewhere (SMTP, an API, a file...)
+export interface MailTransport {
+  name: string;
+  send: (message: MailMessage) => Promise<void>;
+}
+
+// Only notes that a message was sent, for local development. The body is
+// never printed: reset, verification and invitation links are secrets. Use
+// the file transport to read them.
+export const consoleTransport: MailTransport = {
+  name: 'console',
+  send: (message) => {
+    logger.info('Mail sent to console transport', { to: message.to, subject: message.subject });
+    return Promise.resolve();
+  }
+};
+
+// Writes every message as a JSON file into MAIL_OUTPUT_DIR
+export const createFileTransport = (
+  outputDir: string = process.env.MAIL_OUTPUT_DIR || path.join(os.tmpdir(), 'florka-mail')
+): MailTransport => ({
+  name: 'file',
+  send: async (message) => {
+    await fs.mkdir(outputDir, { recursive: true });
+    
+    const fileName = `${Date.now()}-${message.to.replace(/[^a-zA-Z0-9@._-]/g, '_')}.json`;
+    const filePath = path.join(outputDir, fileName);
+    
+    await fs.writeFile(
+      filePath,
+      JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2)
+    );
+    
+    logger.info('Mail written to file', { to: message.to, filePath });
+  }
+});
+
+// Delivers through an SMTP server, from MAIL_FROM. Port 465 uses TLS from the
+// start; other ports upgrade with STARTTLS when the server offers it.
+export const createSmtpTransport = (): MailTransport => {
+  const host = process.env.SMTP_HOST;
+  const from = process.env.MAIL_FROM;
+  
+  if (!host || !from) {
+    throw new Error('The smtp mail transport needs SMTP_HOST and MAIL_FROM');
+  }
+  
+  const port = parseInt(process.env.SMTP_PORT || '587');
+  const user = process.env.SMTP_USER;
+  
+  const smtp = nodemailer.createTransport({
+    host,
+    port,
+    secure: port === 465,
+    ...(user && { auth: { user, pass: process.env.SMTP_PASSWORD || '' } })
+  });
+  
+  return {
+    name: 'smtp',
+    send: async (message) => {
+      const { messageId } = await smtp.sendMail({ from, ...message });
+      logger.info('Mail sent', { to: message.to, messageId });
+    }
+  };
+};
+
+// Transports selectable through MAIL_TRANSPORT
+const builtInTransports: Record<string, () => MailTransport> = {
+  console: () => consoleTransport,
+  file: () => createFileTransport(),
+  smtp: createSmtpTransport
+};
+
+// The only built-in transport that reaches users
+const PRODUCTION_TRANSPORTS = ['smtp'];
+
+let transport: MailTransport | null = null;
+
+// Plug in a custom transport (e.g. a mail API client). Call it before the
+// server starts, since startup checks the configured transport.
+export const setMailTransport = (customTransport: MailTransport) => {
+  transport = customTransport;
+};
+
+// Throws when production has no transport that delivers: verification and
+// reset mail would silently go nowhere. Called at startup so a misconfigured
+// server does not start.
+export const getMailTransport = () => {
+  if (!transport) {
+    const isProduction = process.env.NODE_ENV === 'production';
+    const name = process.env.MAIL_TRANSPORT || (isProduction ? undefined : 'console');
+    
+    if (!name || (isProduction && !PRODUCTION_TRANSPORTS.includes(name))) {
+      throw new Error('Production needs a mail transport that delivers: set MAIL_TRANSPORT="smtp" or call setMailTransport');
+    }
+    
+    const factory = builtInTransports[name];
+    
+    if (!factory) {
+      throw new Error(`Unknown mail transport "${name}"`);
+    }
+    
+    transport = factory();
+  }
+  
+  return transport;
+};
+
+// Send a message through the configured transport
+export const sendMail = async (message: MailMessage) => {
+  await getMailTransport().send(message);
+};
+
+// Build a link into the frontend app
+export const appUrl = (pathname: string) => {
+  const baseUrl = process.env.APP_URL || process.env.CORS_ORIGIN || 'http://localhost:5173';
+  return `${baseUrl.replace(/\/$/, '')}${pathname}`;
+};
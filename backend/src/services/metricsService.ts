@@ -0,0 +1,174 @@
+import { PrismaClient } from '@prisma/client';
+import { logger } from './logger';
+
+type Labels = Record<string, string>;
+
+// A metric renders its own lines of the Prometheus text format
+interface Metric {
+  render: () => Promise<string[]>;
+}
+
+const registry: Metric[] = [];
+
+// Request latencies in seconds, from 5ms to 10s
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const escapeLabelValue = (value: string) =>
+  value.replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+// Sorted so the same labels always map to the same series
+const formatLabels = (labels: Labels) => {
+  const entries = Object.entries(labels).sort(([a], [b]) => a.localeCompare(b));
+  
+  if (entries.length === 0) {
+    return '';
+  }
+  
+  return `{${entries.map(([key, value]) => `${key}="${escapeLabelValue(value)}"`).join(',')}}`;
+};
+
+const header = (name: string, help: string, type: string) => [
+  `# HELP ${name} ${help}`,
+  `# TYPE ${name} ${type}`
+];
+
+export const createCounter = ({ name, help }: { name: string; help: string }) => {
+  const series = new Map<string, number>();
+  
+  registry.push({
+    render: () => Promise.resolve([
+      ...header(name, help, 'counter'),
+      ...Array.from(series, ([labels, value]) => `${name}${labels} ${value}`)
+    ])
+  });
+  
+  return {
+    inc: (labels: Labels = {}, value = 1) => {
+      const key = formatLabels(labels);
+      series.set(key, (series.get(key) ?? 0) + value);
+    }
+  };
+};
+
+export const createHistogram = ({ name, help, buckets = DEFAULT_BUCKETS }: { name: string; help: string; buckets?: number[] }) => {
+  // Bucket counts are cumulative, as the format expects
+  const series = new Map<string, { labels: Labels; buckets: number[]; sum: number; count: number }>();
+  
+  registry.push({
+    render: () => Promise.resolve([
+      ...header(name, help, 'histogram'),
+      ...Array.from(series.values()).flatMap((entry) => [
+        ...buckets.map((le, index) => `${name}_bucket${formatLabels({ ...entry.labels, le: String(le) })} ${entry.buckets[index]}`),
+        `${name}_bucket${formatLabels({ ...entry.labels, le: '+Inf' })} ${entry.count}`,
+        `${name}_sum${formatLabels(entry.labels)} ${entry.sum}`,
+        `${name}_count${formatLabels(entry.labels)} ${entry.count}`
+      ])
+    ])
+  });
+  
+  return {
+    observe: (labels: Labels, value: number) => {
+      const key = formatLabels(labels);
+      const entry = series.get(key) ?? { labels, buckets: buckets.map(() => 0), sum: 0, count: 0 };
+      
+      buckets.forEach((le, index) => {
+        if (value <= le) {
+          entry.buckets[index]!++;
+        }
+      });
+      entry.sum += value;
+      entry.count++;
+      series.set(key, entry);
+    }
+  };
+};
+
+// Gauges are read when scraped. A failing collector only drops its own
+// samples from the response.
+export const createGauge = ({ name, help, collect }: {
+  name: string;
+  help: string;
+  collect: () => Promise<{ labels?: Labels; value: number }[]>;
+}) => {
+  registry.push({
+    render: async () => {
+      try {
+        const samples = await collect();
+        
+        return [
+          ...header(name, help, 'gauge'),
+          ...samples.map(({ labels = {}, value }) => `${name}${formatLabels(labels)} ${value}`)
+        ];
+      } catch (error) {
+        logger.error('Error collecting metric', { metric: name, error });
+        return [];
+      }
+    }
+  });
+};
+
+// Everything registered, in the Prometheus text exposition format
+export const renderMetrics = async () => {
+  const lines = await Promise.all(registry.map((metric) => metric.render()));
+  return `${lines.flat().join('\n')}\n`;
+};
+
+// HTTP
+export const httpRequestsTotal = createCounter({
+  name: 'http_requests_total',
+  help: 'HTTP requests by method, route and status'
+});
+
+export const httpRequestDuration = createHistogram({
+  name: 'http_request_duration_seconds',
+  help: 'HTTP request latency by method, route and status'
+});
+
+// Database
+export const prismaQueryDuration = createHistogram({
+  name: 'prisma_query_duration_seconds',
+  help: 'Prisma query duration by model and action',
+  buckets: [0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5]
+});
+
+// Time every query a client runs
+export const instrumentPrisma = (client: PrismaClient) => {
+  client.$use(async (params, next) => {
+    const startedAt = process.hrtime.bigint();
+    
+    try {
+      return await next(params);
+    } finally {
+      prismaQueryDuration.observe(
+        { model: params.model ?? 'raw', action: params.action },
+        Number(process.hrtime.bigint() - startedAt) / 1e9
+      );
+    }
+  });
+  
+  return client;
+};
+
+// Security
+export const rateLimitRejectionsTotal = createCounter({
+  name: 'rate_limit_rejections_total',
+  help: 'Requests rejected by a rate limiter'
+});
+
+export const loginAttemptsTotal = createCounter({
+  name: 'auth_login_attempts_total',
+  help: 'Sign-in attempts by method and outcome'
+});
+
+// Process
+createGauge({
+  name: 'process_uptime_seconds',
+  help: 'Seconds since the process started',
+  collect: () => Promise.resolve([{ value: process.uptime() }])
+});
+
+createGauge({
+  name: 'process_resident_memory_bytes',
+  help: 'Resident memory size in bytes',
+  collect: () => Promise.resolve([{ value: process.memoryUsage().rss }])
+});
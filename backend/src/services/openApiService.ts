@@ -0,0 +1,261 @@
+import { Router, RequestHandler } from 'express';
+import { verifyToken, optionalAuth } from '../middleware/auth';
+import { ERROR_CODES } from '../middleware/errorHandler';
+import { ACCESS_TOKEN_COOKIE, CSRF_HEADER } from './authCookieService';
+import { operations } from '../routes/operations';
+import { zodToJsonSchema, JsonSchema } from '../utils/zodToJsonSchema';
+
+type Auth = 'none' | 'optional' | 'required';
+
+// The parts of Express' router internals read here, beyond its ILayer type
+interface Layer {
+  handle: RequestHandler & { stack?: Layer[] };
+  regexp: RegExp & { fast_slash?: boolean };
+  route?: {
+    path: string;
+    methods?: Record<string, boolean>;
+    stack: Layer[];
+  };
+}
+
+interface RouteInfo {
+  method: string;
+  path: string;
+  auth: Auth;
+}
+
+export interface OpenApiOperation {
+  operationId: string;
+  tags: string[];
+  summary: string;
+  description?: string;
+  security?: Record<string, string[]>[];
+  parameters?: {
+    name: string;
+    in: 'path' | 'query';
+    required: boolean;
+    schema: JsonSchema;
+    description?: string;
+  }[];
+  requestBody?: {
+    required: boolean;
+    content: { 'application/json': { schema: JsonSchema } };
+  };
+  responses: Record<
+    string,
+    { description: string; content?: { 'application/json': { schema: JsonSchema } } } | { $ref: string }
+  >;
+}
+
+export interface OpenApiDocument {
+  openapi: string;
+  info: { title: string; version: string; description: string };
+  servers: { url: string }[];
+  tags: { name: string }[];
+  paths: Record<string, Record<string, OpenApiOperation>>;
+  components: {
+    securitySchemes: Record<string, Record<string, string>>;
+    schemas: Record<string, JsonSchema>;
+    responses: Record<string, { description: string; content: { 'application/json': { schema: { $ref: string } } } }>;
+  };
+}
+
+const authOf = (handle: RequestHandler, inherited: Auth): Auth => {
+  if (handle === verifyToken) {
+    return 'required';
+  }
+  
+  if (handle === optionalAuth) {
+    return 'optional';
+  }
+  
+  return inherited;
+};
+
+// Express 4 keeps only the compiled pattern of a mounted router, e.g.
+// /^\/auth\/?(?=\/|$)/i for router.use('/auth', ...)
+const mountPath = (layer: Layer) => {
+  if (layer.regexp.fast_slash) {
+    return '';
+  }
+  
+  const match = /^\^(.*)\\\/\?\(\?=\\\/\|\$\)$/.exec(layer.regexp.source);
+  
+  if (!match?.[1]) {
+    throw new Error(`Cannot read the mount path of ${layer.regexp.source}`);
+  }
+  
+  return match[1].replace(/\\(.)/g, '$1');
+};
+
+// Every route in a router and its sub-routers, with the authentication
+// middleware in front of it (router.use(verifyToken) covers the routes after it)
+const collectRoutes = (stack: Layer[], prefix = '', inherited: Auth = 'none'): RouteInfo[] => {
+  const routes: RouteInfo[] = [];
+  let auth = inherited;
+  
+  for (const layer of stack) {
+    if (layer.route) {
+      const routeAuth = layer.route.stack.reduce((current, entry) => authOf(entry.handle, current), auth);
+      const path = `${prefix}${layer.route.path}`.replace(/(.)\/$/, '$1');
+      
+      for (const method of Object.keys(layer.route.methods ?? {})) {
+        routes.push({ method: method.toUpperCase(), path, auth: routeAuth });
+      }
+    } else if (layer.handle.stack) {
+      routes.push(...collectRoutes(layer.handle.stack, `${prefix}${mountPath(layer)}`, auth));
+    } else {
+      auth = authOf(layer.handle, auth);
+    }
+  }
+  
+  return routes;
+};
+
+const toTitle = (segment: string) => segment.charAt(0).toUpperCase() + segment.slice(1);
+
+// Access tokens go in the Authorization header or, for browsers, in the
+// access_token cookie together with the X-CSRF-Token header
+const securityFor = (auth: Auth) => {
+  const schemes = [{ bearerAuth: [] }, { cookieAuth: [], csrfToken: [] }];
+  return auth === 'optional' ? [{}, ...schemes] : schemes;
+};
+
+const errorResponse = (description: string) => ({
+  description,
+  content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+});
+
+const buildOperation = (route: RouteInfo): OpenApiOperation => {
+  const docs = operations[`${route.method} ${route.path}`];
+  
+  if (!docs) {
+    throw new Error(`No API docs for ${route.method} ${route.path}, add them to routes/operations.ts`);
+  }
+  
+  const pathParams = Array.from(route.path.matchAll(/:(\w+)/g), ([, name]) => ({
+    name: name!,
+    in: 'path' as const,
+    required: true,
+    schema: { type: 'string' as const }
+  }));
+  
+  const query = docs.query ? zodToJsonSchema(docs.query) : undefined;
+  const queryParams = Object.entries(query?.properties ?? {}).map(([name, schema]) => ({
+    name,
+    in: 'query' as const,
+    required: query?.required?.includes(name) ?? false,
+    schema,
+    ...(schema.description && { description: schema.description })
+  }));
+  
+  const parameters = [...pathParams, ...queryParams];
+  const hasInput = parameters.length > 0 || docs.body !== undefined;
+  
+  return {
+    operationId: docs.operationId,
+    tags: [toTitle(route.path.split('/')[1] ?? '')],
+    summary: docs.summary,
+    ...(docs.description && { description: docs.description }),
+    ...(route.auth !== 'none' && { security: securityFor(route.auth) }),
+    ...(parameters.length > 0 && { parameters }),
+    ...(docs.body && {
+      requestBody: {
+        required: !docs.body.isOptional(),
+        content: { 'application/json': { schema: zodToJsonSchema(docs.body) } }
+      }
+    }),
+    responses: {
+      [String(docs.status ?? 200)]: {
+        description: 'Success',
+        ...(docs.response && { content: { 'application/json': { schema: zodToJsonSchema(docs.response) } } })
+      },
+      ...(hasInput && { 400: { $ref: '#/components/responses/BadRequest' } }),
+      ...(route.auth === 'required' && {
+        401: { $ref: '#/components/responses/Unauthorized' },
+        403: { $ref: '#/components/responses/Forbidden' }
+      }),
+      ...(pathParams.length > 0 && { 404: { $ref: '#/components/responses/NotFound' } }),
+      // Every route is behind the global rate limit
+      429: { $ref: '#/components/responses/TooManyRequests' },
+      default: { $ref: '#/components/responses/Error' }
+    }
+  };
+};
+
+// OpenAPI 3.0 document for the routes of the API router (mounted at /api).
+// Paths and authentication come from the router itself, request bodies and
+// query strings from the zod schemas listed in routes/operations.ts.
+export const buildOpenApiDocument = (api: Router): OpenApiDocument => {
+  const routes = collectRoutes(api.stack as Layer[]);
+  const documented = new Set(routes.map((route) => `${route.method} ${route.path}`));
+  const stale = Object.keys(operations).filter((key) => !documented.has(key));
+  
+  if (stale.length > 0) {
+    throw new Error(`API docs for routes that don't exist: ${stale.join(', ')}`);
+  }
+  
+  const paths: OpenApiDocument['paths'] = {};
+  const tags = new Set<string>();
+  
+  for (const route of routes) {
+    const operation = buildOperation(route);
+    const path = route.path.replace(/:(\w+)/g, '{$1}');
+    
+    paths[path] = { ...paths[path], [route.method.toLowerCase()]: operation };
+    operation.tags.forEach((tag) => tags.add(tag));
+  }
+  
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: 'Florka SaaS Platform API',
+      version: process.env.npm_package_version || '1.0.0',
+      description: 'Generated from the API routes and their zod schemas. Errors use the envelope described by the Error schema.'
+    },
+    servers: [{ url: '/api' }],
+    tags: Array.from(tags, (name) => ({ name })),
+    paths,
+    components: {
+      securitySchemes: {
+        bearerAuth: { type: 'http', scheme: 'bearer', description: 'Access token or personal access token' },
+        cookieAuth: { type: 'apiKey', in: 'cookie', name: ACCESS_TOKEN_COOKIE },
+        csrfToken: { type: 'apiKey', in: 'header', name: CSRF_HEADER }
+      },
+      schemas: {
+        FieldError: {
+          type: 'object',
+          properties: {
+            field: { type: 'string', description: 'Dotted path of the field, empty for the whole body' },
+            message: { type: 'string' }
+          },
+          required: ['field', 'message']
+        },
+        Error: {
+          type: 'object',
+          properties: {
+            error: {
+              type: 'object',
+              properties: {
+                code: { type: 'string', enum: [...ERROR_CODES] },
+                message: { type: 'string' },
+                details: { type: 'array', items: { $ref: '#/components/schemas/FieldError' } },
+                requestId: { type: 'string' }
+              },
+              required: ['code', 'message', 'requestId']
+            }
+          },
+          required: ['error']
+        }
+      },
+      responses: {
+        BadRequest: errorResponse('Invalid request; VALIDATION_FAILED errors list the failing fields in details'),
+        Unauthorized: errorResponse('Missing, invalid or expired credentials'),
+        Forbidden: errorResponse('Not allowed for this account, role or token scope'),
+        NotFound: errorResponse('Not found'),
+        TooManyRequests: errorResponse('Rate limit exceeded; see the Retry-After header'),
+        Error: errorResponse('Error')
+      }
+    }
+  };
+};
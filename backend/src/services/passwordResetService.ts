@@ -0,0 +1,80 @@
+import bcrypt from 'bcryptjs';
+import { sendMail, appUrl } from './mailer';
+import { generateOneTimeToken, hashToken, revokeAllUserTokens } from './tokenService';
+import { clearedLockout } from './lockoutService';
+import { prisma } from './database';
+import { userRepository } from '../repositories/userRepository';
+
+// Reset links stay valid for 1 hour
+const RESET_TOKEN_TTL_MS = 60 * 60 * 1000;
+
+interface ResetRecipient {
+  id: string;
+  email: string;
+  firstName?: string | null;
+}
+
+// Issue a reset token and email the link. Only the latest link works.
+export const sendPasswordResetEmail = async (user: ResetRecipient) => {
+  const { token, tokenHash } = generateOneTimeToken();
+  
+  await userRepository.update({
+    where: { id: user.id },
+    data: {
+      resetToken: tokenHash,
+      resetTokenExpiry: new Date(Date.now() + RESET_TOKEN_TTL_MS)
+    }
+  });
+  
+  const link = appUrl(`/reset-password?token=${token}`);
+  
+  await sendMail({
+    to: user.email,
+    subject: 'Reset your password',
+    text: [
+      `Hi ${user.firstName || 'there'},`,
+      '',
+      'We received a request to reset your password. Open the link below to choose a new one:',
+      link,
+      '',
+      'The link expires in 1 hour and can only be used once. If you did not ask for a reset, you can ignore this email.'
+    ].join('\n')
+  });
+};
+
+// Set a new password from a reset token. Returns false when the token is
+// unknown, expired or already used. Every existing session is revoked.
+export const resetPasswordWithToken = async (token: string, password: string) => {
+  const user = await prisma.user.findUnique({
+    where: { resetToken: hashToken(token), deletedAt: null }
+  });
+  
+  if (!user || !user.resetTokenExpiry || user.resetTokenExpiry < new Date()) {
+    return false;
+  }
+  
+  const saltRounds = parseInt(process.env.BCRYPT_SALT_ROUNDS || '12');
+  const hashedPassword = await bcrypt.hash(password, saltRounds);
+  
+  // Clearing the token only if it is still ours makes it single-use even
+  // when two requests race
+  const { count } = await prisma.user.updateMany({
+    where: { id: user.id, resetToken: user.resetToken },
+    data: {
+      password: hashedPassword,
+      resetToken: null,
+      resetTokenExpiry: null,
+      // Proving control of the mailbox lifts a lockout
+      ...clearedLockout
+    }
+  });
+  userRepository.invalidateAccountState(user.id);
+  
+  if (count === 0) {
+    return false;
+  }
+  
+  await revokeAllUserTokens(user.id, user.role);
+  
+  return true;
+};
@@ -0,0 +1,143 @@
+import { logger } from './logger';
+import { prisma } from './database';
+
+// Every permission an admin can be granted
+export const PERMISSIONS = {
+  'dashboard.view': 'View dashboard statistics',
+  'users.view': 'View user accounts',
+  'users.suspend': 'Change the status of user accounts',
+  'users.unlock': 'Unlock accounts locked by failed logins',
+  'users.delete': 'Delete user accounts',
+  'users.impersonate': 'Sign in as a user to reproduce issues',
+  'projects.view': 'View all projects',
+  'projects.moderate': 'Change the status of projects',
+  'projects.delete': 'Delete projects',
+  'news.publish': 'Publish news',
+  'roles.manage': 'Create, edit and delete roles',
+  'admins.manage': 'Invite, edit and deactivate administrators',
+  'audit.view': 'View the audit log of administrative changes'
+} as const;
+
+export type Permission = keyof typeof PERMISSIONS;
+
+export const ALL_PERMISSIONS = Object.keys(PERMISSIONS) as Permission[];
+
+// SUPER_ADMIN always holds every permission, so it can never lock itself out
+export const SUPER_ADMIN_ROLE = 'SUPER_ADMIN';
+
+// Roles created on startup when missing
+const DEFAULT_ROLES: { name: string; description: string; permissions: Permission[] }[] = [
+  {
+    name: SUPER_ADMIN_ROLE,
+    description: 'Full access',
+    permissions: ALL_PERMISSIONS
+  },
+  {
+    name: 'ADMIN',
+    description: 'Day-to-day moderation',
+    permissions: [
+      'dashboard.view',
+      'users.view',
+      'users.suspend',
+      'users.unlock',
+      'projects.view',
+      'projects.moderate',
+      'news.publish'
+    ]
+  }
+];
+
+// Built-in roles are referenced by name from AdminUser.role, so they can't be
+// renamed or deleted
+export const isBuiltInRole = (name: string) => DEFAULT_ROLES.some((role) => role.name === name);
+
+export const isPermission = (value: string): value is Permission => value in PERMISSIONS;
+
+// Stored permission lists may contain entries that were removed from the catalog
+const parsePermissions = (value: string | null): string[] => {
+  if (!value) {
+    return [];
+  }
+  
+  try {
+    const parsed: unknown = JSON.parse(value);
+    return Array.isArray(parsed) ? parsed.filter((entry): entry is string => typeof entry === 'string') : [];
+  } catch (error) {
+    return [];
+  }
+};
+
+export const parseRolePermissions = (value: string) => parsePermissions(value).filter(isPermission);
+
+// Per-admin overrides: a permission, or a permission prefixed with "-"
+export const isPermissionOverride = (value: string) => isPermission(value.replace(/^-/, ''));
+
+// Effective permissions of an admin: those of the assigned role (or the role
+// named after AdminUser.role), adjusted by AdminUser.permissions overrides.
+// An override like "news.publish" grants a permission, "-users.delete" removes it.
+export const getAdminPermissions = async (adminId: string): Promise<Permission[]> => {
+  const admin = await prisma.adminUser.findUnique({
+    where: { id: adminId },
+    select: {
+      role: true,
+      permissions: true,
+      assignedRole: { select: { permissions: true } }
+    }
+  });
+  
+  if (!admin) {
+    return [];
+  }
+  
+  if (admin.role === SUPER_ADMIN_ROLE) {
+    return [...ALL_PERMISSIONS];
+  }
+  
+  let rolePermissions = admin.assignedRole?.permissions;
+  
+  if (rolePermissions === undefined) {
+    const role = await prisma.userRole.findUnique({
+      where: { name: admin.role },
+      select: { permissions: true }
+    });
+    rolePermissions = role?.permissions;
+  }
+  
+  const permissions = new Set<Permission>(rolePermissions ? parseRolePermissions(rolePermissions) : []);
+  
+  for (const override of parsePermissions(admin.permissions)) {
+    const permission = override.replace(/^-/, '');
+    
+    if (!isPermission(permission)) {
+      continue;
+    }
+    
+    if (override.startsWith('-')) {
+      permissions.delete(permission);
+    } else {
+      permissions.add(permission);
+    }
+  }
+  
+  return ALL_PERMISSIONS.filter((permission) => permissions.has(permission));
+};
+
+// Create the built-in roles on first start
+export const ensureDefaultRoles = async () => {
+  try {
+    for (const role of DEFAULT_ROLES) {
+      await prisma.userRole.upsert({
+        where: { name: role.name },
+        update: {},
+        create: {
+          name: role.name,
+          description: role.description,
+          permissions: JSON.stringify(role.permissions)
+        }
+      });
+    }
+    
+  } catch (error) {
+    logger.error('Error creating default roles', { error });
+  }
+};
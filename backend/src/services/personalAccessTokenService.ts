@@ -0,0 +1,143 @@
+import crypto from 'crypto';
+import { PersonalAccessToken } from '@prisma/client';
+import { hashToken } from './tokenService';
+import { prisma } from './database';
+
+// Prefix that tells personal access tokens apart from JWTs (and makes leaked
+// tokens easy to grep for)
+export const PERSONAL_ACCESS_TOKEN_PREFIX = 'flk_';
+
+export const USER_TOKEN_SCOPES = ['profile:read', 'projects:read', 'projects:write'] as const;
+export const ADMIN_TOKEN_SCOPES = ['admin:stats', 'admin:users', 'admin:projects'] as const;
+
+export type TokenScope = typeof USER_TOKEN_SCOPES[number] | typeof ADMIN_TOKEN_SCOPES[number];
+
+// lastUsedAt is only written once per minute per token
+const LAST_USED_THROTTLE_MS = 60 * 1000;
+
+// How long a token that resolved counts as known to isRecentlyResolved
+const RESOLVED_TTL_MS = 5 * 60 * 1000;
+
+// Hashes of tokens that resolved lately, and until when they count as known
+const recentlyResolved = new Map<string, number>();
+
+// Fields shown to the owner; the token itself is only returned on creation
+const tokenSelect = {
+  id: true,
+  name: true,
+  prefix: true,
+  scopes: true,
+  expiresAt: true,
+  lastUsedAt: true,
+  createdAt: true
+};
+
+const isAdminRole = (role: string) => ['ADMIN', 'SUPER_ADMIN'].includes(role);
+
+const parseScopes = (scopes: string) => JSON.parse(scopes) as TokenScope[];
+
+// Scopes an account may grant to its tokens
+export const getAvailableScopes = (role: string): TokenScope[] => {
+  return isAdminRole(role) ? [...USER_TOKEN_SCOPES, ...ADMIN_TOKEN_SCOPES] : [...USER_TOKEN_SCOPES];
+};
+
+export const isPersonalAccessToken = (token: string) => token.startsWith(PERSONAL_ACCESS_TOKEN_PREFIX);
+
+// Create a token. The plain value is returned once and never stored.
+export const createPersonalAccessToken = async (
+  owner: { userId: string; role: string },
+  options: { name: string; scopes: TokenScope[]; expiresAt: Date | null }
+) => {
+  const token = `${PERSONAL_ACCESS_TOKEN_PREFIX}${crypto.randomBytes(24).toString('hex')}`;
+  
+  const record = await prisma.personalAccessToken.create({
+    data: {
+      name: options.name,
+      tokenHash: hashToken(token),
+      prefix: token.slice(0, PERSONAL_ACCESS_TOKEN_PREFIX.length + 8),
+      scopes: JSON.stringify(options.scopes),
+      userId: owner.userId,
+      role: owner.role,
+      expiresAt: options.expiresAt
+    },
+    select: tokenSelect
+  });
+  
+  return { token, record: { ...record, scopes: parseScopes(record.scopes) } };
+};
+
+// Tokens that can still be used
+export const listPersonalAccessTokens = async (userId: string) => {
+  const tokens = await prisma.personalAccessToken.findMany({
+    where: {
+      userId,
+      revokedAt: null,
+      OR: [
+        { expiresAt: null },
+        { expiresAt: { gt: new Date() } }
+      ]
+    },
+    select: tokenSelect,
+    orderBy: { createdAt: 'desc' }
+  });
+  
+  return tokens.map((token) => ({ ...token, scopes: parseScopes(token.scopes) }));
+};
+
+// Returns false when the token does not belong to the user or is already revoked
+export const revokePersonalAccessToken = async (tokenId: string, userId: string) => {
+  const { count } = await prisma.personalAccessToken.updateMany({
+    where: { id: tokenId, userId, revokedAt: null },
+    data: { revokedAt: new Date() }
+  });
+  
+  return count === 1;
+};
+
+const touchPersonalAccessToken = async (record: PersonalAccessToken) => {
+  if (record.lastUsedAt && Date.now() - record.lastUsedAt.getTime() < LAST_USED_THROTTLE_MS) {
+    return;
+  }
+  
+  await prisma.personalAccessToken.update({
+    where: { id: record.id },
+    data: { lastUsedAt: new Date() }
+  });
+};
+
+// Look up a presented token. Returns its owner and scopes, or null when the
+// token is unknown, revoked or expired.
+export const resolvePersonalAccessToken = async (token: string) => {
+  const tokenHash = hashToken(token);
+  const record = await prisma.personalAccessToken.findUnique({
+    where: { tokenHash }
+  });
+  
+  if (!record || record.revokedAt || (record.expiresAt && record.expiresAt <= new Date())) {
+    recentlyResolved.delete(tokenHash);
+    return null;
+  }
+  
+  recentlyResolved.set(tokenHash, Date.now() + RESOLVED_TTL_MS);
+  await touchPersonalAccessToken(record);
+  
+  return {
+    userId: record.userId,
+    role: record.role,
+    scopes: parseScopes(record.scopes)
+  };
+};
+
+// Whether a token resolved in the last few minutes, without a database
+// lookup. Tokens nobody has presented yet, or made up ones, are not known.
+export const isRecentlyResolved = (token: string) => {
+  const tokenHash = hashToken(token);
+  const expiresAt = recentlyResolved.get(tokenHash);
+  
+  if (expiresAt !== undefined && expiresAt <= Date.now()) {
+    recentlyResolved.delete(tokenHash);
+    return false;
+  }
+  
+  return expiresAt !== undefined;
+};
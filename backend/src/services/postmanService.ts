@@ -0,0 +1,104 @@
+import { OpenApiDocument, OpenApiOperation } from './openApiService';
+import { JsonSchema } from '../utils/zodToJsonSchema';
+
+const POSTMAN_SCHEMA = 'https://schema.getpostman.com/json/collection/v2.1.0/collection.json';
+
+// A plausible value for a schema, used for example request bodies
+const exampleFor = (schema: JsonSchema): unknown => {
+  if (schema.default !== undefined) {
+    return schema.default;
+  }
+  
+  if (schema.enum) {
+    return schema.enum[0];
+  }
+  
+  switch (schema.type) {
+    case 'object':
+      return Object.fromEntries(
+        Object.entries(schema.properties ?? {}).map(([key, value]) => [key, exampleFor(value)])
+      );
+    case 'array':
+      return schema.items ? [exampleFor(schema.items)] : [];
+    case 'integer':
+    case 'number':
+      return schema.minimum ?? 1;
+    case 'boolean':
+      return false;
+    case 'string':
+      if (schema.format === 'email') {
+        return 'user@example.com';
+      }
+      return schema.format === 'date-time' ? new Date(0).toISOString() : '';
+    default:
+      return null;
+  }
+};
+
+const toItem = (path: string, method: string, operation: OpenApiOperation) => {
+  const segments = path.split('/').filter(Boolean).map((segment) => segment.replace(/^\{(\w+)\}$/, ':$1'));
+  const pathParams = operation.parameters?.filter((param) => param.in === 'path') ?? [];
+  const queryParams = operation.parameters?.filter((param) => param.in === 'query') ?? [];
+  const body = operation.requestBody?.content['application/json'].schema;
+  
+  return {
+    name: operation.summary,
+    request: {
+      method: method.toUpperCase(),
+      // Public routes don't send the collection's token
+      ...(!operation.security && { auth: { type: 'noauth' } }),
+      header: body ? [{ key: 'Content-Type', value: 'application/json' }] : [],
+      ...(body && {
+        body: { mode: 'raw', raw: JSON.stringify(exampleFor(body), null, 2) }
+      }),
+      url: {
+        raw: `{{baseUrl}}/${segments.join('/')}`,
+        host: ['{{baseUrl}}'],
+        path: segments,
+        ...(queryParams.length > 0 && {
+          query: queryParams.map((param) => ({
+            key: param.name,
+            value: String(exampleFor(param.schema) ?? ''),
+            // Optional filters are listed but not sent until enabled
+            disabled: !param.required && param.schema.default === undefined
+          }))
+        }),
+        ...(pathParams.length > 0 && {
+          variable: pathParams.map((param) => ({ key: param.name, value: '' }))
+        })
+      },
+      ...(operation.description && { description: operation.description })
+    },
+    response: []
+  };
+};
+
+// Postman collection (v2.1) with one folder per tag. Requests use the
+// {{baseUrl}} and {{authToken}} collection variables.
+export const toPostmanCollection = (document: OpenApiDocument, baseUrl: string) => {
+  const folders = new Map<string, ReturnType<typeof toItem>[]>(document.tags.map((tag) => [tag.name, []]));
+  
+  for (const [path, methods] of Object.entries(document.paths)) {
+    for (const [method, operation] of Object.entries(methods)) {
+      folders.get(operation.tags[0] ?? '')?.push(toItem(path, method, operation));
+    }
+  }
+  
+  return {
+    info: {
+      _postman_id: 'florka-saas-api-collection',
+      name: document.info.title,
+      description: 'Generated from the OpenAPI document at /api/docs/openapi.json; do not edit by hand.',
+      schema: POSTMAN_SCHEMA
+    },
+    auth: {
+      type: 'bearer',
+      bearer: [{ key: 'token', value: '{{authToken}}', type: 'string' }]
+    },
+    item: Array.from(folders, ([name, item]) => ({ name, item })),
+    variable: [
+      { key: 'baseUrl', value: baseUrl, type: 'string' },
+      { key: 'authToken', value: '', type: 'string' }
+    ]
+  };
+};
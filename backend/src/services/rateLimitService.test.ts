@@ -0,0 +1,112 @@
+import { createMemoryStore, hitRateLimit, RateLimitStore } from './rateLimitService';
+
+jest.mock('./database', () => ({ prisma: {} }));
+
+const WINDOW_MS = 60_000;
+const MAX = 10;
+
+// Start of a fixed window, well away from the epoch
+const windowStart = (index: number) => Date.UTC(2024, 0, 15, 12, 0, 0) + index * WINDOW_MS;
+
+let store: RateLimitStore;
+
+const hit = (key = 'ip:127.0.0.1') => hitRateLimit(store, key, MAX, WINDOW_MS);
+
+// Send `count` requests and return the result of the last one
+const hitTimes = async (count: number, key?: string) => {
+  let result = await hit(key);
+  
+  for (let i = 1; i < count; i++) {
+    result = await hit(key);
+  }
+  
+  return result;
+};
+
+beforeEach(() => {
+  jest.useFakeTimers({ now: windowStart(0) });
+  store = createMemoryStore();
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+describe('hitRateLimit with the memory store', () => {
+  it('counts down the remaining requests', async () => {
+    expect(await hit()).toEqual({ allowed: true, limit: MAX, remaining: 9, resetSeconds: 60, retryAfterSeconds: 0 });
+    expect(await hitTimes(8)).toMatchObject({ allowed: true, remaining: 1 });
+  });
+  
+  it('allows the limit and rejects the request after it', async () => {
+    expect(await hitTimes(MAX)).toMatchObject({ allowed: true, remaining: 0 });
+    expect(await hit()).toMatchObject({ allowed: false, remaining: 0 });
+  });
+  
+  it('keeps a separate count per key', async () => {
+    await hitTimes(MAX + 1, 'ip:10.0.0.1');
+    
+    expect(await hit('ip:10.0.0.2')).toMatchObject({ allowed: true, remaining: 9 });
+  });
+  
+  it('reports the seconds left in the window', async () => {
+    jest.setSystemTime(windowStart(0) + 45_500);
+    
+    expect(await hit()).toMatchObject({ resetSeconds: 15 });
+  });
+  
+  it('counts the previous window in proportion to its overlap', async () => {
+    await hitTimes(MAX);
+    
+    // A quarter into the next window, 75% of the previous one still counts
+    jest.setSystemTime(windowStart(1) + 15_000);
+    
+    expect(await hit()).toMatchObject({ allowed: true, remaining: 2 });
+    expect(await hitTimes(2)).toMatchObject({ allowed: true, remaining: 0 });
+    expect(await hit()).toMatchObject({ allowed: false });
+  });
+  
+  it('does not let a burst on both sides of a window boundary double the limit', async () => {
+    jest.setSystemTime(windowStart(0) + 59_000);
+    await hitTimes(MAX);
+    
+    jest.setSystemTime(windowStart(1) + 1_000);
+    
+    expect(await hit()).toMatchObject({ allowed: true, remaining: 0 });
+    expect(await hit()).toMatchObject({ allowed: false });
+  });
+  
+  it('forgets windows older than the previous one', async () => {
+    await hitTimes(MAX + 5);
+    
+    jest.setSystemTime(windowStart(2));
+    
+    expect(await hit()).toMatchObject({ allowed: true, remaining: 9 });
+  });
+  
+  it('says when a rejected client is under the limit again', async () => {
+    jest.setSystemTime(windowStart(0) + 10_000);
+    
+    // 11 hits: the excess only slides out once the next window is under way
+    const { allowed, retryAfterSeconds } = await hitTimes(MAX + 1);
+    expect({ allowed, retryAfterSeconds }).toEqual({ allowed: false, retryAfterSeconds: 56 });
+    
+    jest.setSystemTime(windowStart(0) + 10_000 + retryAfterSeconds * 1000);
+    
+    expect(await hit()).toMatchObject({ allowed: true });
+  });
+  
+  it('counts the previous window sliding out in the retry time', async () => {
+    await hitTimes(MAX);
+    jest.setSystemTime(windowStart(1) + 15_000);
+    
+    // 7 weighted + 4 current; 6 weighted are left at 24 s, and a retry
+    // then would still make 11
+    const { retryAfterSeconds } = await hitTimes(4);
+    expect(retryAfterSeconds).toBe(10);
+    
+    jest.setSystemTime(windowStart(1) + 15_000 + retryAfterSeconds * 1000);
+    
+    expect(await hit()).toMatchObject({ allowed: true });
+  });
+});
@@ -0,0 +1,140 @@
+import dotenv from 'dotenv';
+import { logger } from './logger';
+import { prisma } from './database';
+
+dotenv.config();
+
+const CLEANUP_INTERVAL_MS = 60 * 1000;
+
+// Hits counted for a key in the current fixed window and the one before it
+export interface WindowCounts {
+  current: number;
+  previous: number;
+}
+
+// Where counters live. Memory is per process and resets on restart; the
+// database store is shared by every instance and survives restarts.
+export interface RateLimitStore {
+  hit: (key: string, windowStart: number, windowMs: number) => Promise<WindowCounts>;
+}
+
+export const createMemoryStore = (): RateLimitStore => {
+  const buckets = new Map<string, { count: number; expiresAt: number }>();
+  
+  // Drop counters the sliding window no longer looks at
+  setInterval(() => {
+    const now = Date.now();
+    for (const [key, bucket] of buckets.entries()) {
+      if (now > bucket.expiresAt) {
+        buckets.delete(key);
+      }
+    }
+  }, CLEANUP_INTERVAL_MS).unref();
+  
+  return {
+    hit: (key, windowStart, windowMs) => {
+      const currentKey = `${key}:${windowStart}`;
+      const bucket = buckets.get(currentKey) ?? { count: 0, expiresAt: windowStart + 2 * windowMs };
+      
+      bucket.count++;
+      buckets.set(currentKey, bucket);
+      
+      return Promise.resolve({
+        current: bucket.count,
+        previous: buckets.get(`${key}:${windowStart - windowMs}`)?.count ?? 0
+      });
+    }
+  };
+};
+
+export const createDatabaseStore = (): RateLimitStore => {
+  setInterval(() => {
+    prisma.rateLimitBucket.deleteMany({
+      where: { expiresAt: { lt: new Date() } }
+    }).catch((error) => {
+      logger.error('Error cleaning up rate limit counters', { error });
+    });
+  }, CLEANUP_INTERVAL_MS).unref();
+  
+  return {
+    hit: async (key, windowStart, windowMs) => {
+      const [current, previous] = await Promise.all([
+        prisma.rateLimitBucket.upsert({
+          where: { key_windowStart: { key, windowStart: new Date(windowStart) } },
+          update: { count: { increment: 1 } },
+          create: {
+            key,
+            windowStart: new Date(windowStart),
+            count: 1,
+            expiresAt: new Date(windowStart + 2 * windowMs)
+          },
+          select: { count: true }
+        }),
+        prisma.rateLimitBucket.findUnique({
+          where: { key_windowStart: { key, windowStart: new Date(windowStart - windowMs) } },
+          select: { count: true }
+        })
+      ]);
+      
+      return {
+        current: current.count,
+        previous: previous?.count ?? 0
+      };
+    }
+  };
+};
+
+// RATE_LIMIT_STORE picks the backend: "memory" (default) or "database"
+export const createRateLimitStore = (): RateLimitStore =>
+  process.env.RATE_LIMIT_STORE === 'database' ? createDatabaseStore() : createMemoryStore();
+
+export interface RateLimitResult {
+  allowed: boolean;
+  limit: number;
+  remaining: number;
+  // Seconds until the current window ends
+  resetSeconds: number;
+  // Seconds until a rejected client is under the limit again
+  retryAfterSeconds: number;
+}
+
+// How long until the weighted count drops below the limit, assuming the
+// client stops sending requests
+const msUntilUnderLimit = (current: number, previous: number, max: number, windowMs: number, elapsed: number) => {
+  // Still in this window, once enough of the previous window has slid out
+  if (current < max && previous > 0) {
+    return Math.max(0, windowMs * (1 - (max - current) / previous) - elapsed);
+  }
+  
+  // Otherwise in the next window, once enough of this one has slid out
+  return windowMs - elapsed + Math.max(0, windowMs * (1 - max / current));
+};
+
+// Sliding window: the previous window's hits count in proportion to how much
+// of it still overlaps the last windowMs, so limits can't be doubled by
+// bursting on both sides of a window boundary
+export const hitRateLimit = async (
+  store: RateLimitStore,
+  key: string,
+  max: number,
+  windowMs: number
+): Promise<RateLimitResult> => {
+  const now = Date.now();
+  const windowStart = Math.floor(now / windowMs) * windowMs;
+  const elapsed = now - windowStart;
+  
+  const { current, previous } = await store.hit(key, windowStart, windowMs);
+  
+  const weight = (windowMs - elapsed) / windowMs;
+  const count = Math.floor(previous * weight) + current;
+  const allowed = count <= max;
+  
+  return {
+    allowed,
+    limit: max,
+    remaining: Math.max(0, max - count),
+    resetSeconds: Math.ceil((windowMs - elapsed) / 1000),
+    // Past the instant itself: a request landing exactly on it still counts one too many
+    retryAfterSeconds: allowed ? 0 : Math.floor(msUntilUnderLimit(current, previous, max, windowMs, elapsed) / 1000) + 1
+  };
+};
@@ -0,0 +1,122 @@
+import { Request } from 'express';
+import { Session } from '@prisma/client';
+import { revokeTokenFamily } from './tokenService';
+import { prisma } from './database';
+
+// lastSeenAt is only written once per minute per session
+const LAST_SEEN_THROTTLE_MS = 60 * 1000;
+
+// Fields shown to the account owner
+const sessionSelect = {
+  id: true,
+  device: true,
+  userAgent: true,
+  ipAddress: true,
+  lastSeenAt: true,
+  createdAt: true
+};
+
+const BROWSERS: [RegExp, string][] = [
+  [/Edg\//, 'Edge'],
+  [/OPR\/|Opera/, 'Opera'],
+  [/Firefox\//, 'Firefox'],
+  [/Chrome\//, 'Chrome'],
+  [/Safari\//, 'Safari']
+];
+
+const PLATFORMS: [RegExp, string][] = [
+  [/Android/, 'Android'],
+  [/iPhone|iPad|iPod/, 'iOS'],
+  [/Windows/, 'Windows'],
+  [/Mac OS X|Macintosh/, 'macOS'],
+  [/Linux/, 'Linux']
+];
+
+// Human readable label such as "Chrome on Windows"
+const describeDevice = (userAgent?: string) => {
+  if (!userAgent) {
+    return null;
+  }
+  
+  const browser = BROWSERS.find(([pattern]) => pattern.test(userAgent))?.[1];
+  const platform = PLATFORMS.find(([pattern]) => pattern.test(userAgent))?.[1];
+  
+  if (browser && platform) {
+    return `${browser} on ${platform}`;
+  }
+  
+  return browser || platform || 'Unknown device';
+};
+
+// Record a new login from the device making this request
+export const createSession = async (req: Request, userId: string, role: string) => {
+  const userAgent = req.get('user-agent');
+  
+  return prisma.session.create({
+    data: {
+      userId,
+      role,
+      device: describeDevice(userAgent),
+      userAgent: userAgent?.slice(0, 512) ?? null,
+      ipAddress: req.ip ?? null
+    }
+  });
+};
+
+// Called whenever tokens are issued for a session
+export const extendSession = async (sessionId: string, expiresAt: Date) => {
+  await prisma.session.updateMany({
+    where: { id: sessionId },
+    data: { expiresAt, lastSeenAt: new Date() }
+  });
+};
+
+export const getSession = async (sessionId: string) => {
+  return prisma.session.findUnique({
+    where: { id: sessionId }
+  });
+};
+
+// Bump lastSeenAt for an authenticated request, at most once per throttle window
+export const touchSession = async (session: Session) => {
+  if (Date.now() - session.lastSeenAt.getTime() < LAST_SEEN_THROTTLE_MS) {
+    return;
+  }
+  
+  await prisma.session.update({
+    where: { id: session.id },
+    data: { lastSeenAt: new Date() }
+  });
+};
+
+// Sessions that can still be used, most recently active first
+export const listSessions = async (userId: string) => {
+  return prisma.session.findMany({
+    where: {
+      userId,
+      revokedAt: null,
+      OR: [
+        { expiresAt: null },
+        { expiresAt: { gt: new Date() } }
+      ]
+    },
+    select: sessionSelect,
+    orderBy: { lastSeenAt: 'desc' }
+  });
+};
+
+// Sign a device out. Returns false when the session does not belong to the
+// user or was already revoked.
+export const revokeSession = async (sessionId: string, userId: string) => {
+  const session = await prisma.session.findFirst({
+    where: { id: sessionId, userId, revokedAt: null }
+  });
+  
+  if (!session) {
+    return false;
+  }
+  
+  await revokeTokenFamily(session.id);
+  
+  return true;
+};
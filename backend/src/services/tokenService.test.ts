@@ -0,0 +1,283 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { prisma } from './database';
+import { userRepository } from '../repositories/userRepository';
+import { adminRepository } from '../repositories/adminRepository';
+import {
+  consumeRefreshToken,
+  saveRefreshToken,
+  revokeRefreshToken,
+  revokeAllUserTokens,
+  isAccessTokenRevoked,
+  hashToken
+} from './tokenService';
+
+jest.mock('./database', () => ({
+  prisma: {
+    refreshToken: {
+      create: jest.fn(),
+      findUnique: jest.fn(),
+      updateMany: jest.fn()
+    },
+    session: {
+      updateMany: jest.fn()
+    },
+    revokedToken: {
+      findUnique: jest.fn()
+    }
+  }
+}));
+
+jest.mock('../repositories/userRepository', () => ({ userRepository: { update: jest.fn() } }));
+jest.mock('../repositories/adminRepository', () => ({ adminRepository: { update: jest.fn() } }));
+
+interface StoredRefreshToken {
+  id: string;
+  tokenHash: string;
+  familyId: string;
+  userId: string;
+  revokedAt: Date | null;
+}
+
+interface RevocationWhere {
+  id?: string;
+  familyId?: string;
+  userId?: string;
+  revokedAt?: null;
+}
+
+const mockPrisma = prisma as unknown as {
+  refreshToken: Record<'create' | 'findUnique' | 'updateMany', jest.Mock>;
+  session: Record<'updateMany', jest.Mock>;
+  revokedToken: Record<'findUnique', jest.Mock>;
+};
+
+// Stand-in for the refresh token and session tables
+let refreshTokens: StoredRefreshToken[];
+let revokedSessions: string[];
+
+const matches = (row: StoredRefreshToken, where: RevocationWhere) =>
+  (where.id === undefined || row.id === where.id) &&
+  (where.familyId === undefined || row.familyId === where.familyId) &&
+  (where.userId === undefined || row.userId === where.userId) &&
+  (where.revokedAt === undefined || row.revokedAt === null);
+
+const signRefreshToken = (familyId: string, userId = 'user-1') =>
+  jwt.sign({ userId, role: 'USER', familyId, jti: crypto.randomUUID() }, process.env.JWT_REFRESH_SECRET!, {
+    expiresIn: '7d'
+  });
+
+// Sign and store a token, as a login or a refresh does
+const issueRefreshToken = async (familyId: string, userId?: string) => {
+  const token = signRefreshToken(familyId, userId);
+  await saveRefreshToken(token);
+  return token;
+};
+
+const familyRevoked = (familyId: string) =>
+  refreshTokens.filter((row) => row.familyId === familyId).every((row) => row.revokedAt !== null) &&
+  revokedSessions.includes(familyId);
+
+beforeAll(() => {
+  process.env.JWT_REFRESH_SECRET = 'test-refresh-secret';
+});
+
+beforeEach(() => {
+  refreshTokens = [];
+  revokedSessions = [];
+  
+  mockPrisma.refreshToken.create.mockImplementation(({ data }: { data: Omit<StoredRefreshToken, 'id' | 'revokedAt'> }) => {
+    const row = { ...data, id: `token-${refreshTokens.length + 1}`, revokedAt: null };
+    refreshTokens.push(row);
+    return Promise.resolve(row);
+  });
+  
+  mockPrisma.refreshToken.findUnique.mockImplementation(({ where }: { where: { tokenHash: string } }) =>
+    Promise.resolve(refreshTokens.find((row) => row.tokenHash === where.tokenHash) ?? null));
+  
+  mockPrisma.refreshToken.updateMany.mockImplementation(
+    ({ where, data }: { where: RevocationWhere; data: { revokedAt: Date } }) => {
+      const rows = refreshTokens.filter((row) => matches(row, where));
+      rows.forEach((row) => { row.revokedAt = data.revokedAt; });
+      return Promise.resolve({ count: rows.length });
+    }
+  );
+  
+  mockPrisma.session.updateMany.mockImplementation(({ where }: { where: { id?: string } }) => {
+    if (where.id) {
+      revokedSessions.push(where.id);
+    }
+    return Promise.resolve({ count: 1 });
+  });
+  
+  mockPrisma.revokedToken.findUnique.mockResolvedValue(null);
+});
+
+describe('consumeRefreshToken', () => {
+  it('accepts a stored token once and marks it used', async () => {
+    const token = await issueRefreshToken('family-1');
+    
+    const result = await consumeRefreshToken(token);
+    
+    expect(result).toMatchObject({ status: 'valid', payload: { userId: 'user-1', familyId: 'family-1' } });
+    expect(refreshTokens[0]!.revokedAt).toBeInstanceOf(Date);
+    expect(revokedSessions).toEqual([]);
+  });
+  
+  it('rotates: the replacement token keeps working after the first is used', async () => {
+    const first = await issueRefreshToken('family-1');
+    expect((await consumeRefreshToken(first)).status).toBe('valid');
+    
+    const second = await issueRefreshToken('family-1');
+    
+    expect((await consumeRefreshToken(second)).status).toBe('valid');
+  });
+  
+  it('revokes the whole family when a used token comes back', async () => {
+    const first = await issueRefreshToken('family-1');
+    await consumeRefreshToken(first);
+    const second = await issueRefreshToken('family-1');
+    
+    const result = await consumeRefreshToken(first);
+    
+    expect(result).toEqual({ status: 'reused', familyId: 'family-1' });
+    expect(familyRevoked('family-1')).toBe(true);
+    expect((await consumeRefreshToken(second)).status).toBe('reused');
+  });
+  
+  it('leaves other families alone when one is revoked', async () => {
+    const stolen = await issueRefreshToken('family-1');
+    const otherDevice = await issueRefreshToken('family-2');
+    await consumeRefreshToken(stolen);
+    
+    await consumeRefreshToken(stolen);
+    
+    expect(familyRevoked('family-1')).toBe(true);
+    expect((await consumeRefreshToken(otherDevice)).status).toBe('valid');
+  });
+  
+  it('treats losing a concurrent refresh as reuse', async () => {
+    const token = await issueRefreshToken('family-1');
+    
+    // Another request used the token between the lookup and the update
+    mockPrisma.refreshToken.updateMany.mockResolvedValueOnce({ count: 0 });
+    
+    expect(await consumeRefreshToken(token)).toEqual({ status: 'reused', familyId: 'family-1' });
+    expect(revokedSessions).toEqual(['family-1']);
+  });
+  
+  it('rejects tokens that were never stored', async () => {
+    expect(await consumeRefreshToken(signRefreshToken('family-1'))).toEqual({ status: 'invalid' });
+  });
+  
+  it('rejects tokens signed with another secret', async () => {
+    const forged = jwt.sign({ userId: 'user-1', role: 'USER', familyId: 'family-1', jti: 'x' }, 'not-the-secret');
+    
+    expect(await consumeRefreshToken(forged)).toEqual({ status: 'invalid' });
+    expect(mockPrisma.refreshToken.findUnique).not.toHaveBeenCalled();
+  });
+});
+
+describe('revokeRefreshToken', () => {
+  it('revokes the family of a token its owner hands back', async () => {
+    const token = await issueRefreshToken('family-1');
+    
+    await revokeRefreshToken(token, 'user-1');
+    
+    expect(familyRevoked('family-1')).toBe(true);
+  });
+  
+  it('ignores tokens belonging to someone else', async () => {
+    const token = await issueRefreshToken('family-1', 'user-2');
+    
+    await revokeRefreshToken(token, 'user-1');
+    
+    expect(refreshTokens[0]!.revokedAt).toBeNull();
+    expect(revokedSessions).toEqual([]);
+  });
+});
+
+describe('saveRefreshToken', () => {
+  it('stores only the hash of the token', async () => {
+    const token = await issueRefreshToken('family-1');
+    
+    expect(refreshTokens[0]!.tokenHash).toBe(hashToken(token));
+    expect(JSON.stringify(mockPrisma.refreshToken.create.mock.calls)).not.toContain(token);
+  });
+});
+
+describe('revokeAllUserTokens', () => {
+  // Half a second into a whole second
+  const now = Date.UTC(2024, 0, 15, 12, 0, 0, 500);
+  const nowSeconds = Math.floor(now / 1000);
+  
+  const tokensValidAfter = (repository: { update: unknown }) => {
+    const [[args]] = (repository.update as jest.Mock).mock.calls as [[{ data: { tokensValidAfter: Date } }]];
+    return args.data.tokensValidAfter;
+  };
+  
+  beforeEach(() => {
+    jest.useFakeTimers({ now });
+  });
+  
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+  
+  it('cuts off at the start of the current second', async () => {
+    await revokeAllUserTokens('user-1', 'USER');
+    
+    expect(tokensValidAfter(userRepository)).toEqual(new Date(nowSeconds * 1000));
+    expect(adminRepository.update).not.toHaveBeenCalled();
+  });
+  
+  it('rejects access tokens issued in an earlier second', async () => {
+    await revokeAllUserTokens('user-1', 'USER');
+    
+    expect(await isAccessTokenRevoked({ iat: nowSeconds - 1 }, tokensValidAfter(userRepository))).toBe(true);
+  });
+  
+  it('accepts access tokens issued later in the same second', async () => {
+    await revokeAllUserTokens('user-1', 'USER');
+    
+    // A login right after the revocation gets the same iat
+    expect(await isAccessTokenRevoked({ iat: nowSeconds }, tokensValidAfter(userRepository))).toBe(false);
+    expect(await isAccessTokenRevoked({ iat: nowSeconds + 1 }, tokensValidAfter(userRepository))).toBe(false);
+  });
+  
+  it('records the cutoff on the admin account for admin roles', async () => {
+    await revokeAllUserTokens('admin-1', 'SUPER_ADMIN');
+    
+    expect(tokensValidAfter(adminRepository)).toEqual(new Date(nowSeconds * 1000));
+    expect(userRepository.update).not.toHaveBeenCalled();
+  });
+  
+  it('revokes every refresh token and session of the account', async () => {
+    const first = await issueRefreshToken('family-1');
+    const second = await issueRefreshToken('family-2');
+    const someoneElse = await issueRefreshToken('family-3', 'user-2');
+    
+    await revokeAllUserTokens('user-1', 'USER');
+    
+    expect((await consumeRefreshToken(first)).status).toBe('reused');
+    expect((await consumeRefreshToken(second)).status).toBe('reused');
+    expect((await consumeRefreshToken(someoneElse)).status).toBe('valid');
+    expect(mockPrisma.session.updateMany).toHaveBeenCalledWith({
+      where: { userId: 'user-1', revokedAt: null },
+      data: { revokedAt: expect.any(Date) as Date }
+    });
+  });
+});
+
+describe('isAccessTokenRevoked', () => {
+  it('rejects a token on the revocation list', async () => {
+    mockPrisma.revokedToken.findUnique.mockResolvedValueOnce({ jti: 'token-id' });
+    
+    expect(await isAccessTokenRevoked({ jti: 'token-id', iat: 0 }, null)).toBe(true);
+  });
+  
+  it('accepts a token without a jti when the account has no cutoff', async () => {
+    expect(await isAccessTokenRevoked({ iat: 0 }, null)).toBe(false);
+    expect(mockPrisma.revokedToken.findUnique).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,194 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import dotenv from 'dotenv';
+import { prisma } from './database';
+import { userRepository } from '../repositories/userRepository';
+import { adminRepository } from '../repositories/adminRepository';
+
+dotenv.config();
+
+// Interface for refresh token payload
+export interface RefreshTokenPayload {
+  userId: string;
+  role: string;
+  familyId: string;
+  jti: string;
+  iat: number;
+  exp: number;
+}
+
+// Claims checked against the revocation list
+export interface AccessTokenClaims {
+  jti?: string;
+  iat: number;
+}
+
+export type ConsumeRefreshTokenResult =
+  | { status: 'valid'; payload: RefreshTokenPayload }
+  | { status: 'invalid' }
+  | { status: 'reused'; familyId: string };
+
+// Tokens are only ever stored as hashes
+export const hashToken = (token: string) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Random token for links sent by email; only its hash is stored
+export const generateOneTimeToken = () => {
+  const token = crypto.randomBytes(32).toString('hex');
+  return { token, tokenHash: hashToken(token) };
+};
+
+// Persist a newly signed refresh token. Returns its expiry.
+export const saveRefreshToken = async (refreshToken: string) => {
+  const payload = jwt.decode(refreshToken) as RefreshTokenPayload;
+  const expiresAt = new Date(payload.exp * 1000);
+  
+  await prisma.refreshToken.create({
+    data: {
+      tokenHash: hashToken(refreshToken),
+      familyId: payload.familyId,
+      userId: payload.userId,
+      role: payload.role,
+      expiresAt
+    }
+  });
+  
+  return expiresAt;
+};
+
+// Revoke every token descending from the same login. The family id is the
+// session id, so the session is revoked with it.
+export const revokeTokenFamily = async (familyId: string) => {
+  const revokedAt = new Date();
+  
+  await prisma.refreshToken.updateMany({
+    where: { familyId, revokedAt: null },
+    data: { revokedAt }
+  });
+  
+  await prisma.session.updateMany({
+    where: { id: familyId, revokedAt: null },
+    data: { revokedAt }
+  });
+};
+
+// Revoke the refresh token family a client hands back on logout
+export const revokeRefreshToken = async (refreshToken: string, userId: string) => {
+  const record = await prisma.refreshToken.findUnique({
+    where: { tokenHash: hashToken(refreshToken) }
+  });
+  
+  // Never let one user revoke another user's session
+  if (record && record.userId === userId) {
+    await revokeTokenFamily(record.familyId);
+  }
+};
+
+// Consume a refresh token so it can be rotated.
+// A token that was already used means it leaked (or was replayed), so the
+// whole family is revoked and the legitimate holder has to log in again.
+export const consumeRefreshToken = async (
+  refreshToken: string
+): Promise<ConsumeRefreshTokenResult> => {
+  let payload: RefreshTokenPayload;
+  
+  try {
+    payload = jwt.verify(refreshToken, process.env.JWT_REFRESH_SECRET!) as RefreshTokenPayload;
+  } catch (error) {
+    return { status: 'invalid' };
+  }
+  
+  const record = await prisma.refreshToken.findUnique({
+    where: { tokenHash: hashToken(refreshToken) }
+  });
+  
+  if (!record) {
+    return { status: 'invalid' };
+  }
+  
+  if (record.revokedAt) {
+    await revokeTokenFamily(record.familyId);
+    return { status: 'reused', familyId: record.familyId };
+  }
+  
+  // Conditional update so two concurrent refreshes cannot both win
+  const { count } = await prisma.refreshToken.updateMany({
+    where: { id: record.id, revokedAt: null },
+    data: { revokedAt: new Date() }
+  });
+  
+  if (count === 0) {
+    await revokeTokenFamily(record.familyId);
+    return { status: 'reused', familyId: record.familyId };
+  }
+  
+  return { status: 'valid', payload };
+};
+
+// Revoke a single access token until it expires
+export const revokeAccessToken = async (jti: string, userId: string, exp: number) => {
+  await prisma.revokedToken.upsert({
+    where: { jti },
+    update: {},
+    create: {
+      jti,
+      userId,
+      expiresAt: new Date(exp * 1000)
+    }
+  });
+  
+  // Entries for expired tokens are dead weight
+  await prisma.revokedToken.deleteMany({
+    where: { expiresAt: { lt: new Date() } }
+  });
+};
+
+// Revoke every access and refresh token an account holds right now.
+// JWT iat has second precision, so the cutoff is truncated to the second:
+// a token is rejected when it was issued in an earlier second.
+export const revokeAllUserTokens = async (userId: string, role: string) => {
+  const tokensValidAfter = new Date(Math.floor(Date.now() / 1000) * 1000);
+  
+  if (['ADMIN', 'SUPER_ADMIN'].includes(role)) {
+    await adminRepository.update({
+      where: { id: userId },
+      data: { tokensValidAfter }
+    });
+  } else {
+    await userRepository.update({
+      where: { id: userId },
+      data: { tokensValidAfter }
+    });
+  }
+  
+  await prisma.refreshToken.updateMany({
+    where: { userId, revokedAt: null },
+    data: { revokedAt: new Date() }
+  });
+  
+  await prisma.session.updateMany({
+    where: { userId, revokedAt: null },
+    data: { revokedAt: new Date() }
+  });
+};
+
+// Check an access token against the revocation list
+export const isAccessTokenRevoked = async (
+  claims: AccessTokenClaims,
+  tokensValidAfter: Date | null
+) => {
+  if (tokensValidAfter && claims.iat * 1000 < tokensValidAfter.getTime()) {
+    return true;
+  }
+  
+  if (!claims.jti) {
+    return false;
+  }
+  
+  const revoked = await prisma.revokedToken.findUnique({
+    where: { jti: claims.jti }
+  });
+  
+  return !!revoked;
+};
@@ -0,0 +1,119 @@
+import dotenv from 'dotenv';
+import { logger } from './logger';
+import { prisma } from './database';
+import { userRepository } from '../repositories/userRepository';
+
+dotenv.config();
+
+// Deleted users and projects can be restored for this many days, then they
+// are purged for good
+export const TRASH_RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS || '30');
+
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// When a row deleted at `deletedAt` will be purged
+export const getPurgeDate = (deletedAt: Date) => new Date(deletedAt.getTime() + TRASH_RETENTION_DAYS * DAY_MS);
+
+export const listDeletedUsers = async (page: number, limit: number) => {
+  const where = { deletedAt: { not: null } };
+  
+  const [users, total] = await Promise.all([
+    prisma.user.findMany({
+      where,
+      skip: (page - 1) * limit,
+      take: limit,
+      select: {
+        id: true,
+        email: true,
+        firstName: true,
+        lastName: true,
+        role: true,
+        status: true,
+        createdAt: true,
+        deletedAt: true,
+        deletedById: true
+      },
+      orderBy: { deletedAt: 'desc' }
+    }),
+    prisma.user.count({ where })
+  ]);
+  
+  return {
+    users: users.map((user) => ({ ...user, purgeAt: getPurgeDate(user.deletedAt!) })),
+    total
+  };
+};
+
+export const listDeletedProjects = async (page: number, limit: number) => {
+  const where = { deletedAt: { not: null } };
+  
+  const [projects, total] = await Promise.all([
+    prisma.project.findMany({
+      where,
+      skip: (page - 1) * limit,
+      take: limit,
+      select: {
+        id: true,
+        name: true,
+        symbol: true,
+        status: true,
+        createdAt: true,
+        deletedAt: true,
+        deletedById: true
+      },
+      orderBy: { deletedAt: 'desc' }
+    }),
+    prisma.project.count({ where })
+  ]);
+  
+  return {
+    projects: projects.map((project) => ({ ...project, purgeAt: getPurgeDate(project.deletedAt!) })),
+    total
+  };
+};
+
+// Returns false when the user is not in the trash
+export const restoreUser = (userId: string) => userRepository.restore(userId);
+
+// Returns false when the project is not in the trash
+export const restoreProject = async (projectId: string) => {
+  const { count } = await prisma.project.updateMany({
+    where: { id: projectId, deletedAt: { not: null } },
+    data: { deletedAt: null, deletedById: null }
+  });
+  
+  return count === 1;
+};
+
+// Permanently delete whatever has been in the trash longer than the retention period
+export const purgeExpiredTrash = async () => {
+  const cutoff = new Date(Date.now() - TRASH_RETENTION_DAYS * DAY_MS);
+  
+  const projects = await prisma.project.deleteMany({
+    where: { deletedAt: { lt: cutoff } }
+  });
+  
+  const users = await userRepository.purgeDeletedBefore(cutoff);
+  
+  return { users, projects: projects.count };
+};
+
+// Purge on startup and then every hour
+export const scheduleTrashPurge = () => {
+  const purge = () => {
+    purgeExpiredTrash()
+      .then(({ users, projects }) => {
+        if (users > 0 || projects > 0) {
+          logger.info('Purged expired trash', { users, projects });
+        }
+      })
+      .catch((error) => {
+        logger.error('Error purging the trash', { error });
+      });
+  };
+  
+  purge();
+  setInterval(purge, PURGE_INTERVAL_MS).unref();
+};
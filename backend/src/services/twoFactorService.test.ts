@@ -0,0 +1,131 @@
+import { AdminUser } from '@prisma/client';
+import { prisma } from './database';
+import { adminRepository } from '../repositories/adminRepository';
+import { generateHotp, totpTimeStep } from '../utils/totp';
+import { beginEnrollment, verifyAdminTotp } from './twoFactorService';
+
+jest.mock('./database', () => ({
+  prisma: {
+    adminUser: {
+      updateMany: jest.fn()
+    }
+  }
+}));
+
+jest.mock('../repositories/adminRepository', () => ({
+  adminRepository: {
+    update: jest.fn(),
+    invalidateAccountState: jest.fn()
+  }
+}));
+
+const mockUpdateMany = (prisma as unknown as { adminUser: Record<'updateMany', jest.Mock> }).adminUser.updateMany;
+const mockUpdate = adminRepository.update as jest.Mock;
+
+const now = Date.UTC(2024, 0, 15, 12, 0, 10);
+const step = totpTimeStep(now);
+
+// Last step stored for the admin, as the database would hold it
+let storedLastUsedStep: number | null;
+
+// An admin part-way through enrollment, with the secret they scanned
+const enrolledAdmin = async () => {
+  const admin = { id: 'admin-1', email: 'admin@example.com', twoFactorSecret: null, twoFactorLastUsedStep: null } as AdminUser;
+  const { secret } = await beginEnrollment(admin);
+  const [[{ data }]] = mockUpdate.mock.calls as [[{ data: { twoFactorSecret: string } }]];
+  
+  return { admin: { ...admin, twoFactorSecret: data.twoFactorSecret }, secret };
+};
+
+// The admin as read back from the database
+const reload = (admin: AdminUser): AdminUser => ({ ...admin, twoFactorLastUsedStep: storedLastUsedStep });
+
+beforeAll(() => {
+  process.env.JWT_SECRET = 'test-secret';
+});
+
+beforeEach(() => {
+  jest.useFakeTimers({ now });
+  storedLastUsedStep = null;
+  
+  // Same condition as the real query: only a later step can be recorded
+  mockUpdateMany.mockImplementation(({ data }: { data: { twoFactorLastUsedStep: number } }) => {
+    if (storedLastUsedStep !== null && storedLastUsedStep >= data.twoFactorLastUsedStep) {
+      return Promise.resolve({ count: 0 });
+    }
+    
+    storedLastUsedStep = data.twoFactorLastUsedStep;
+    return Promise.resolve({ count: 1 });
+  });
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+describe('beginEnrollment', () => {
+  it('stores the secret encrypted', async () => {
+    const { admin, secret } = await enrolledAdmin();
+    
+    expect(admin.twoFactorSecret).not.toContain(secret);
+  });
+});
+
+describe('verifyAdminTotp', () => {
+  it('accepts a current code and records its time step', async () => {
+    const { admin, secret } = await enrolledAdmin();
+    
+    expect(await verifyAdminTotp(admin, generateHotp(secret, step))).toBe(true);
+    expect(storedLastUsedStep).toBe(step);
+    expect(adminRepository.invalidateAccountState).toHaveBeenCalledWith('admin-1');
+  });
+  
+  it('rejects a code that was already used', async () => {
+    const { admin, secret } = await enrolledAdmin();
+    const code = generateHotp(secret, step);
+    await verifyAdminTotp(admin, code);
+    
+    expect(await verifyAdminTotp(reload(admin), code)).toBe(false);
+  });
+  
+  it('rejects an earlier step once a later one was used', async () => {
+    const { admin, secret } = await enrolledAdmin();
+    await verifyAdminTotp(admin, generateHotp(secret, step + 1));
+    
+    expect(await verifyAdminTotp(reload(admin), generateHotp(secret, step))).toBe(false);
+  });
+  
+  it('accepts the code of a later step', async () => {
+    const { admin, secret } = await enrolledAdmin();
+    await verifyAdminTotp(admin, generateHotp(secret, step));
+    
+    jest.setSystemTime(now + 30_000);
+    
+    expect(await verifyAdminTotp(reload(admin), generateHotp(secret, step + 1))).toBe(true);
+  });
+  
+  it('lets only one of two concurrent uses of a code win', async () => {
+    const { admin, secret } = await enrolledAdmin();
+    const code = generateHotp(secret, step);
+    
+    // Both requests read the admin before either recorded the step
+    const results = await Promise.all([verifyAdminTotp(admin, code), verifyAdminTotp(admin, code)]);
+    
+    expect(results.sort()).toEqual([false, true]);
+  });
+  
+  it('rejects wrong codes without touching the database', async () => {
+    const { admin, secret } = await enrolledAdmin();
+    const code = generateHotp(secret, step);
+    const wrong = String((Number(code) + 1) % 1_000_000).padStart(6, '0');
+    
+    expect(await verifyAdminTotp(admin, wrong)).toBe(false);
+    expect(mockUpdateMany).not.toHaveBeenCalled();
+  });
+  
+  it('rejects codes for admins without a secret', async () => {
+    const admin = { id: 'admin-1', twoFactorSecret: null, twoFactorLastUsedStep: null } as AdminUser;
+    
+    expect(await verifyAdminTotp(admin, '123456')).toBe(false);
+  });
+});
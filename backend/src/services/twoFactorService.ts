@@ -0,0 +1,213 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { AdminUser } from '@prisma/client';
+import dotenv from 'dotenv';
+import {
+  generateTotpSecret,
+  verifyTotp,
+  buildOtpauthUrl
+} from '../utils/totp';
+import { hashToken, revokeAccessToken, isAccessTokenRevoked } from './tokenService';
+import { prisma } from './database';
+import { adminRepository } from '../repositories/adminRepository';
+
+dotenv.config();
+
+const RECOVERY_CODE_COUNT = 10;
+const CHALLENGE_TOKEN_TTL = '5m';
+
+// Interface for the token handed out between the two login steps
+interface ChallengePayload {
+  adminId: string;
+  purpose: 'admin-2fa';
+  jti: string;
+  iat: number;
+  exp: number;
+}
+
+// Challenge tokens get their own key so they can never pass as access tokens
+const challengeSecret = () => {
+  return crypto.createHmac('sha256', process.env.JWT_SECRET!).update('admin-2fa-challenge').digest();
+};
+
+// TOTP secrets have to be readable again, so they are encrypted rather than hashed
+const encryptionKey = () => {
+  const keySource = process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET!;
+  return crypto.createHash('sha256').update(keySource).digest();
+};
+
+const encryptSecret = (secret: string) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  
+  return [iv, cipher.getAuthTag(), encrypted].map((part) => part.toString('base64')).join(':');
+};
+
+const decryptSecret = (payload: string) => {
+  const [iv, authTag, encrypted] = payload.split(':').map((part) => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), iv!);
+  decipher.setAuthTag(authTag!);
+  
+  return Buffer.concat([decipher.update(encrypted!), decipher.final()]).toString('utf8');
+};
+
+const parseRecoveryCodes = (admin: AdminUser): string[] => {
+  return admin.twoFactorRecoveryCodes ? (JSON.parse(admin.twoFactorRecoveryCodes) as string[]) : [];
+};
+
+// Recovery codes are shown once and stored hashed; dashes and case are ignored
+const normalizeRecoveryCode = (code: string) => code.replace(/-/g, '').toLowerCase();
+
+const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  const hashes = codes.map((code) => hashToken(normalizeRecoveryCode(code)));
+  
+  return { codes, hashes };
+};
+
+// SUPER_ADMIN accounts can be forced to use 2FA with REQUIRE_SUPER_ADMIN_2FA=true
+export const isTwoFactorRequired = (admin: Pick<AdminUser, 'role'>) => {
+  return process.env.REQUIRE_SUPER_ADMIN_2FA === 'true' && admin.role === 'SUPER_ADMIN';
+};
+
+// Short-lived token proving the password step succeeded
+export const createChallengeToken = (adminId: string) => {
+  return jwt.sign(
+    { adminId, purpose: 'admin-2fa' },
+    challengeSecret(),
+    { expiresIn: CHALLENGE_TOKEN_TTL, jwtid: crypto.randomUUID() }
+  );
+};
+
+// Returns the challenge payload, or null if the token is invalid, expired or used
+export const verifyChallengeToken = async (challengeToken: string) => {
+  let payload: ChallengePayload;
+  
+  try {
+    payload = jwt.verify(challengeToken, challengeSecret()) as ChallengePayload;
+  } catch (error) {
+    return null;
+  }
+  
+  if (payload.purpose !== 'admin-2fa' || (await isAccessTokenRevoked(payload, null))) {
+    return null;
+  }
+  
+  return payload;
+};
+
+// A challenge can complete exactly one login
+export const consumeChallengeToken = async (challenge: ChallengePayload) => {
+  await revokeAccessToken(challenge.jti, challenge.adminId, challenge.exp);
+};
+
+// Start (or restart) enrollment with a new secret. 2FA is only switched on
+// once a code generated from it has been confirmed.
+export const beginEnrollment = async (admin: AdminUser) => {
+  const secret = generateTotpSecret();
+  
+  await adminRepository.update({
+    where: { id: admin.id },
+    data: { twoFactorSecret: encryptSecret(secret) }
+  });
+  
+  const issuer = process.env.TWO_FACTOR_ISSUER || 'Florka';
+  
+  return {
+    secret,
+    otpauthUrl: buildOtpauthUrl(secret, admin.email, issuer)
+  };
+};
+
+// Check a TOTP code. Each time step is accepted at most once.
+export const verifyAdminTotp = async (admin: AdminUser, code: string) => {
+  if (!admin.twoFactorSecret) {
+    return false;
+  }
+  
+  const step = verifyTotp(decryptSecret(admin.twoFactorSecret), code);
+  
+  if (step === null || (admin.twoFactorLastUsedStep !== null && step <= admin.twoFactorLastUsedStep)) {
+    return false;
+  }
+  
+  // Conditional update so the same code can't win twice under concurrency
+  const { count } = await prisma.adminUser.updateMany({
+    where: {
+      id: admin.id,
+      OR: [
+        { twoFactorLastUsedStep: null },
+        { twoFactorLastUsedStep: { lt: step } }
+      ]
+    },
+    data: { twoFactorLastUsedStep: step }
+  });
+  adminRepository.invalidateAccountState(admin.id);
+  
+  return count === 1;
+};
+
+// Use up a recovery code
+export const redeemRecoveryCode = async (admin: AdminUser, code: string) => {
+  const hashes = parseRecoveryCodes(admin);
+  const codeHash = hashToken(normalizeRecoveryCode(code));
+  
+  if (!hashes.includes(codeHash)) {
+    return false;
+  }
+  
+  const { count } = await prisma.adminUser.updateMany({
+    where: { id: admin.id, twoFactorRecoveryCodes: admin.twoFactorRecoveryCodes },
+    data: {
+      twoFactorRecoveryCodes: JSON.stringify(hashes.filter((hash) => hash !== codeHash))
+    }
+  });
+  adminRepository.invalidateAccountState(admin.id);
+  
+  return count === 1;
+};
+
+export const countRecoveryCodes = (admin: AdminUser) => parseRecoveryCodes(admin).length;
+
+// Turn 2FA on after the pending secret was confirmed. Returns the recovery codes.
+export const enableTwoFactor = async (adminId: string) => {
+  const { codes, hashes } = generateRecoveryCodes();
+  
+  await adminRepository.update({
+    where: { id: adminId },
+    data: {
+      twoFactorEnabled: true,
+      twoFactorRecoveryCodes: JSON.stringify(hashes)
+    }
+  });
+  
+  return codes;
+};
+
+// Replace all recovery codes. Returns the new codes.
+export const regenerateRecoveryCodes = async (adminId: string) => {
+  const { codes, hashes } = generateRecoveryCodes();
+  
+  await adminRepository.update({
+    where: { id: adminId },
+    data: { twoFactorRecoveryCodes: JSON.stringify(hashes) }
+  });
+  
+  return codes;
+};
+
+export const disableTwoFactor = async (adminId: string) => {
+  await adminRepository.update({
+    where: { id: adminId },
+    data: {
+      twoFactorEnabled: false,
+      twoFactorSecret: null,
+      twoFactorRecoveryCodes: null,
+      twoFactorLastUsedStep: null
+    }
+  });
+};
@@ -0,0 +1,155 @@
+import { sendMail, appUrl } from './mailer';
+import { generateOneTimeToken, hashToken } from './tokenService';
+import { prisma } from './database';
+import { userRepository } from '../repositories/userRepository';
+
+// Verification links stay valid for 24 hours
+const VERIFICATION_TOKEN_TTL_MS = 24 * 60 * 60 * 1000;
+
+interface VerificationRecipient {
+  id: string;
+  email: string;
+  firstName?: string | null;
+}
+
+// Issue a fresh verification token and email the link.
+// Any previously sent link stops working.
+export const sendVerificationEmail = async (user: VerificationRecipient) => {
+  const { token, tokenHash } = generateOneTimeToken();
+  
+  await userRepository.update({
+    where: { id: user.id },
+    data: {
+      verificationToken: tokenHash,
+      verificationTokenExpiry: new Date(Date.now() + VERIFICATION_TOKEN_TTL_MS)
+    }
+  });
+  
+  const link = appUrl(`/verify-email?token=${token}`);
+  
+  await sendMail({
+    to: user.email,
+    subject: 'Verify your email address',
+    text: [
+      `Hi ${user.firstName || 'there'},`,
+      '',
+      'Please confirm your email address by opening the link below:',
+      link,
+      '',
+      'The link expires in 24 hours. If you did not create an account, you can ignore this email.'
+    ].join('\n')
+  });
+};
+
+// Send a confirmation link to a new address. The account keeps its current
+// email until the link is opened.
+export const sendEmailChangeVerification = async (user: Omit<VerificationRecipient, 'email'>, newEmail: string) => {
+  const { token, tokenHash } = generateOneTimeToken();
+  
+  await userRepository.update({
+    where: { id: user.id },
+    data: {
+      pendingEmail: newEmail,
+      emailChangeToken: tokenHash,
+      emailChangeTokenExpiry: new Date(Date.now() + VERIFICATION_TOKEN_TTL_MS)
+    }
+  });
+  
+  const link = appUrl(`/verify-email?token=${token}`);
+  
+  await sendMail({
+    to: newEmail,
+    subject: 'Confirm your new email address',
+    text: [
+      `Hi ${user.firstName || 'there'},`,
+      '',
+      `Please confirm that you want to use ${newEmail} for your account by opening the link below:`,
+      link,
+      '',
+      'The link expires in 24 hours. Until then your account keeps using its current address.'
+    ].join('\n')
+  });
+};
+
+// Fields returned after a successful verification
+const verifiedUserSelect = {
+  id: true,
+  email: true,
+  pendingEmail: true,
+  firstName: true,
+  lastName: true,
+  role: true,
+  status: true,
+  emailVerified: true
+};
+
+// Switch the account to its pending address. Returns null when the token is
+// unknown or expired, or when the address was taken in the meantime.
+const confirmEmailChange = async (tokenHash: string) => {
+  const user = await prisma.user.findUnique({
+    where: { emailChangeToken: tokenHash, deletedAt: null }
+  });
+  
+  if (
+    !user ||
+    !user.pendingEmail ||
+    !user.emailChangeTokenExpiry ||
+    user.emailChangeTokenExpiry < new Date()
+  ) {
+    return null;
+  }
+  
+  const emailTaken = await prisma.user.findUnique({
+    where: { email: user.pendingEmail }
+  });
+  
+  if (emailTaken) {
+    return null;
+  }
+  
+  return userRepository.update({
+    where: { id: user.id },
+    data: {
+      email: user.pendingEmail,
+      emailVerified: true,
+      verificationToken: null,
+      verificationTokenExpiry: null,
+      pendingEmail: null,
+      emailChangeToken: null,
+      emailChangeTokenExpiry: null,
+      ...(user.status === 'PENDING_VERIFICATION' && { status: 'ACTIVE' })
+    },
+    select: verifiedUserSelect
+  });
+};
+
+// Consume a verification token, either from registration or from an email
+// change. Returns the verified user, or null when the token is unknown or
+// expired.
+export const verifyEmailToken = async (token: string) => {
+  const tokenHash = hashToken(token);
+  
+  const user = await prisma.user.findUnique({
+    where: { verificationToken: tokenHash, deletedAt: null }
+  });
+  
+  if (!user) {
+    return confirmEmailChange(tokenHash);
+  }
+  
+  if (!user.verificationTokenExpiry || user.verificationTokenExpiry < new Date()) {
+    return null;
+  }
+  
+  return userRepository.update({
+    where: { id: user.id },
+    data: {
+      emailVerified: true,
+      verificationToken: null,
+      verificationTokenExpiry: null,
+      // Only pending accounts are activated; suspended ones stay suspended
+      ...(user.status === 'PENDING_VERIFICATION' && { status: 'ACTIVE' })
+    },
+    select: verifiedUserSelect
+  });
+};
@@ -0,0 +1,206 @@
+import { secp256k1 } from '@noble/curves/secp256k1';
+import { prisma } from './database';
+import { hashPersonalMessage, recoverPersonalSignAddress } from '../utils/ethereum';
+import { issueNonce, verifySiweMessage } from './walletService';
+
+jest.mock('./database', () => ({
+  prisma: {
+    siweNonce: {
+      create: jest.fn(),
+      deleteMany: jest.fn()
+    }
+  }
+}));
+
+interface NonceWhere {
+  nonce?: string;
+  expiresAt?: { gt?: Date; lt?: Date };
+}
+
+const mockPrisma = prisma as unknown as { siweNonce: Record<'create' | 'deleteMany', jest.Mock> };
+
+// Key and address from the web3.js accounts documentation
+const PRIVATE_KEY = '4c0883a69102937d6231471b5dbb6204fe5129617082792ae468d01a3f362318';
+const ADDRESS = '0x2c7536E3605D9C16a7a3D7b1898e529396a65c23';
+
+const now = Date.UTC(2024, 0, 15, 12, 1, 0);
+
+// Stand-in for the nonce table: nonce -> expiry
+let nonces: Map<string, Date>;
+
+const siweMessage = (nonce: string, fields: { domain?: string; extra?: string[] } = {}) => [
+  `${fields.domain ?? 'example.com'} wants you to sign in with your Ethereum account:`,
+  ADDRESS,
+  '',
+  'Sign in to Florka',
+  '',
+  'URI: https://example.com/login',
+  'Version: 1',
+  'Chain ID: 1',
+  `Nonce: ${nonce}`,
+  'Issued At: 2024-01-15T12:00:00.000Z',
+  ...(fields.extra ?? [])
+].join('\n');
+
+// personal_sign as a wallet does it: r, s and v = 27 + recovery bit
+const personalSign = (message: string, privateKey = PRIVATE_KEY) => {
+  const signature = secp256k1.sign(hashPersonalMessage(message), privateKey);
+  return `0x${signature.toCompactHex()}${(27 + signature.recovery).toString(16)}`;
+};
+
+beforeAll(() => {
+  process.env.SIWE_DOMAIN = 'example.com';
+});
+
+beforeEach(() => {
+  jest.useFakeTimers({ now });
+  nonces = new Map();
+  
+  mockPrisma.siweNonce.create.mockImplementation(({ data }: { data: { nonce: string; expiresAt: Date } }) => {
+    nonces.set(data.nonce, data.expiresAt);
+    return Promise.resolve(data);
+  });
+  
+  mockPrisma.siweNonce.deleteMany.mockImplementation(({ where }: { where: NonceWhere }) => {
+    let count = 0;
+    
+    for (const [nonce, expiresAt] of nonces) {
+      const matches = (where.nonce === undefined || nonce === where.nonce) &&
+        (where.expiresAt?.gt === undefined || expiresAt > where.expiresAt.gt) &&
+        (where.expiresAt?.lt === undefined || expiresAt < where.expiresAt.lt);
+      
+      if (matches) {
+        nonces.delete(nonce);
+        count++;
+      }
+    }
+    
+    return Promise.resolve({ count });
+  });
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+describe('issueNonce', () => {
+  it('stores a random nonce valid for 10 minutes', async () => {
+    const nonce = await issueNonce();
+    
+    expect(nonce).toMatch(/^[0-9a-f]{32}$/);
+    expect(nonces.get(nonce)).toEqual(new Date(now + 10 * 60 * 1000));
+    expect(await issueNonce()).not.toBe(nonce);
+  });
+  
+  it('clears out nonces that expired unused', async () => {
+    nonces.set('stale0000', new Date(now - 1));
+    
+    await issueNonce();
+    
+    expect(nonces.has('stale0000')).toBe(false);
+  });
+});
+
+describe('personal_sign recovery', () => {
+  it('recovers the signer of the web3.js documentation signature', () => {
+    const signature = '0xb91467e570a6466aa9e9876cbcd013baba02900b8979d43fe208a4a4f339f5fd' +
+      '6007e74cd82e037b800186422fc2da167c747ef045e5d18a5f5d4300f8e1a0291c';
+    
+    expect(recoverPersonalSignAddress('Some data', signature)).toBe(ADDRESS);
+    expect(personalSign('Some data')).toBe(signature);
+  });
+});
+
+describe('verifySiweMessage', () => {
+  it('accepts a message signed by its address with a fresh nonce', async () => {
+    const nonce = await issueNonce();
+    const message = siweMessage(nonce);
+    
+    const result = await verifySiweMessage(message, personalSign(message));
+    
+    expect(result).toMatchObject({ status: 'valid', message: { address: ADDRESS, nonce, chainId: 1 } });
+  });
+  
+  it('uses up the nonce so the message cannot be replayed', async () => {
+    const message = siweMessage(await issueNonce());
+    const signature = personalSign(message);
+    await verifySiweMessage(message, signature);
+    
+    expect(await verifySiweMessage(message, signature)).toEqual({
+      status: 'invalid',
+      reason: 'Unknown or expired nonce'
+    });
+  });
+  
+  it('rejects nonces the server never issued', async () => {
+    const message = siweMessage('deadbeefdeadbeef');
+    
+    expect(await verifySiweMessage(message, personalSign(message))).toEqual({
+      status: 'invalid',
+      reason: 'Unknown or expired nonce'
+    });
+  });
+  
+  it('rejects nonces that expired', async () => {
+    const message = siweMessage(await issueNonce());
+    const signature = personalSign(message);
+    
+    jest.setSystemTime(now + 10 * 60 * 1000 + 1);
+    
+    expect(await verifySiweMessage(message, signature)).toMatchObject({ reason: 'Unknown or expired nonce' });
+  });
+  
+  it('rejects a signature by another key and keeps the nonce', async () => {
+    const nonce = await issueNonce();
+    const message = siweMessage(nonce);
+    const otherKey = secp256k1.utils.randomPrivateKey();
+    
+    expect(await verifySiweMessage(message, personalSign(message, Buffer.from(otherKey).toString('hex')))).toEqual({
+      status: 'invalid',
+      reason: 'Signature does not match the address'
+    });
+    expect(nonces.has(nonce)).toBe(true);
+  });
+  
+  it('rejects a message changed after it was signed', async () => {
+    const message = siweMessage(await issueNonce());
+    const signature = personalSign(message);
+    
+    const result = await verifySiweMessage(message.replace('Chain ID: 1', 'Chain ID: 137'), signature);
+    
+    expect(result).toMatchObject({ status: 'invalid', reason: 'Signature does not match the address' });
+  });
+  
+  it('rejects malformed signatures', async () => {
+    const message = siweMessage(await issueNonce());
+    
+    expect(await verifySiweMessage(message, '0x1234')).toMatchObject({ reason: 'Signature does not match the address' });
+  });
+  
+  it('rejects messages for another domain', async () => {
+    const message = siweMessage(await issueNonce(), { domain: 'evil.example' });
+    
+    expect(await verifySiweMessage(message, personalSign(message))).toEqual({
+      status: 'invalid',
+      reason: 'Message was issued for another domain'
+    });
+  });
+  
+  it('rejects messages outside their validity window', async () => {
+    const expired = siweMessage(await issueNonce(), { extra: ['Expiration Time: 2024-01-15T12:00:30Z'] });
+    const notYetValid = siweMessage(await issueNonce(), {
+      extra: ['Expiration Time: 2024-01-15T13:00:00Z', 'Not Before: 2024-01-15T12:30:00Z']
+    });
+    
+    expect(await verifySiweMessage(expired, personalSign(expired))).toMatchObject({ reason: 'Message has expired' });
+    expect(await verifySiweMessage(notYetValid, personalSign(notYetValid))).toMatchObject({
+      reason: 'Message is not valid yet'
+    });
+  });
+  
+  it('reports why a message could not be parsed', async () => {
+    const message = siweMessage('short');
+    
+    expect(await verifySiweMessage(message, personalSign(message))).toEqual({ status: 'invalid', reason: 'Invalid nonce' });
+  });
+});
@@ -0,0 +1,191 @@
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+import { parseSiweMessage, SiweMessage } from '../utils/siwe';
+import { recoverPersonalSignAddress } from '../utils/ethereum';
+import { appUrl } from './mailer';
+import { prisma } from './database';
+
+dotenv.config();
+
+// Nonces must be signed and submitted within 10 minutes
+const NONCE_TTL_MS = 10 * 60 * 1000;
+
+// Tolerated clock difference between the wallet and the server
+const CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+export type SiweVerificationResult =
+  | { status: 'valid'; message: SiweMessage }
+  | { status: 'invalid'; reason: string };
+
+export type LinkWalletResult = 'linked' | 'already-linked' | 'taken';
+
+export type UnlinkWalletResult = 'unlinked' | 'not-found' | 'last-sign-in-method';
+
+// Fields shown to the account owner
+const walletSelect = {
+  id: true,
+  address: true,
+  chainId: true,
+  lastUsedAt: true,
+  createdAt: true
+};
+
+// Domain messages must be issued for; defaults to the frontend host
+const expectedDomain = () => process.env.SIWE_DOMAIN || new URL(appUrl('/')).host;
+
+// Single-use nonce for the next message to sign
+export const issueNonce = async () => {
+  const nonce = crypto.randomBytes(16).toString('hex');
+  
+  await prisma.siweNonce.create({
+    data: {
+      nonce,
+      expiresAt: new Date(Date.now() + NONCE_TTL_MS)
+    }
+  });
+  
+  // Nonces that were never used are dead weight
+  await prisma.siweNonce.deleteMany({
+    where: { expiresAt: { lt: new Date() } }
+  });
+  
+  return nonce;
+};
+
+// Check a signed EIP-4361 message entirely offline: format, domain, validity
+// window and signer, then use up its nonce
+export const verifySiweMessage = async (
+  rawMessage: string,
+  signature: string
+): Promise<SiweVerificationResult> => {
+  let message: SiweMessage;
+  
+  try {
+    message = parseSiweMessage(rawMessage);
+  } catch (error) {
+    return { status: 'invalid', reason: (error as Error).message };
+  }
+  
+  if (message.domain !== expectedDomain()) {
+    return { status: 'invalid', reason: 'Message was issued for another domain' };
+  }
+  
+  const now = Date.now();
+  
+  if (Date.parse(message.issuedAt) > now + CLOCK_SKEW_MS) {
+    return { status: 'invalid', reason: 'Message is issued in the future' };
+  }
+  
+  if (message.expirationTime && Date.parse(message.expirationTime) <= now) {
+    return { status: 'invalid', reason: 'Message has expired' };
+  }
+  
+  if (message.notBefore && Date.parse(message.notBefore) > now + CLOCK_SKEW_MS) {
+    return { status: 'invalid', reason: 'Message is not valid yet' };
+  }
+  
+  if (recoverPersonalSignAddress(rawMessage, signature) !== message.address) {
+    return { status: 'invalid', reason: 'Signature does not match the address' };
+  }
+  
+  // Conditional delete so a nonce can only be used once
+  const { count } = await prisma.siweNonce.deleteMany({
+    where: {
+      nonce: message.nonce,
+      expiresAt: { gt: new Date() }
+    }
+  });
+  
+  if (count === 0) {
+    return { status: 'invalid', reason: 'Unknown or expired nonce' };
+  }
+  
+  return { status: 'valid', message };
+};
+
+// Find the user owning a wallet, creating a wallet-only account on first
+// sign-in. The signature proves ownership, so the account starts active.
+export const findOrCreateWalletUser = async (address: string, chainId: number) => {
+  const wallet = await prisma.walletAddress.findUnique({
+    where: { address },
+    include: { user: true }
+  });
+  
+  if (wallet) {
+    await prisma.walletAddress.update({
+      where: { id: wallet.id },
+      data: { lastUsedAt: new Date() }
+    });
+    
+    return { user: wallet.user, isNewUser: false };
+  }
+  
+  const user = await prisma.user.create({
+    data: {
+      role: 'USER',
+      status: 'ACTIVE',
+      wallets: {
+        create: { address, chainId, lastUsedAt: new Date() }
+      }
+    }
+  });
+  
+  return { user, isNewUser: true };
+};
+
+export const listWallets = async (userId: string) => {
+  return prisma.walletAddress.findMany({
+    where: { userId },
+    select: walletSelect,
+    orderBy: { createdAt: 'asc' }
+  });
+};
+
+export const linkWallet = async (
+  userId: string,
+  address: string,
+  chainId: number
+): Promise<LinkWalletResult> => {
+  const existing = await prisma.walletAddress.findUnique({
+    where: { address }
+  });
+  
+  if (existing) {
+    return existing.userId === userId ? 'already-linked' : 'taken';
+  }
+  
+  await prisma.walletAddress.create({
+    data: { address, chainId, userId }
+  });
+  
+  return 'linked';
+};
+
+// Remove a wallet, unless it is the only way left to sign in
+export const unlinkWallet = async (userId: string, walletId: string): Promise<UnlinkWalletResult> => {
+  const wallet = await prisma.walletAddress.findFirst({
+    where: { id: walletId, userId },
+    include: {
+      user: {
+        select: {
+          password: true,
+          _count: { select: { wallets: true } }
+        }
+      }
+    }
+  });
+  
+  if (!wallet) {
+    return 'not-found';
+  }
+  
+  if (!wallet.user.password && wallet.user._count.wallets === 1) {
+    return 'last-sign-in-method';
+  }
+  
+  await prisma.walletAddress.delete({
+    where: { id: wallet.id }
+  });
+  
+  return 'unlinked';
+};
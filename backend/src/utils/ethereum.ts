@@ -0,0 +1,59 @@
+import { secp256k1 } from '@noble/curves/secp256k1';
+import { keccak_256 } from '@noble/hashes/sha3';
+import { bytesToHex, utf8ToBytes } from '@noble/hashes/utils';
+
+// Offline Ethereum helpers: address checksums and personal_sign recovery
+
+const SIGNATURE_REGEX = /^0x[0-9a-fA-F]{130}$/;
+
+// EIP-55 mixed-case checksum encoding
+export const toChecksumAddress = (address: string) => {
+  const lower = address.toLowerCase().replace(/^0x/, '');
+  const hash = bytesToHex(keccak_256(utf8ToBytes(lower)));
+  let checksummed = '0x';
+  
+  for (let i = 0; i < lower.length; i++) {
+    checksummed += parseInt(hash[i]!, 16) >= 8 ? lower[i]!.toUpperCase() : lower[i];
+  }
+  
+  return checksummed;
+};
+
+// EIP-191 version 0x45 hash, as produced by personal_sign
+export const hashPersonalMessage = (message: string) => {
+  const messageBytes = utf8ToBytes(message);
+  const prefix = utf8ToBytes(`\x19Ethereum Signed Message:\n${messageBytes.length}`);
+  const payload = new Uint8Array(prefix.length + messageBytes.length);
+  payload.set(prefix);
+  payload.set(messageBytes, prefix.length);
+  
+  return keccak_256(payload);
+};
+
+// Recover the checksummed signer of a personal_sign signature, or null if
+// the signature is malformed
+export const recoverPersonalSignAddress = (message: string, signature: string) => {
+  if (!SIGNATURE_REGEX.test(signature)) {
+    return null;
+  }
+  
+  const v = parseInt(signature.slice(130, 132), 16);
+  const recovery = v >= 27 ? v - 27 : v;
+  
+  if (recovery !== 0 && recovery !== 1) {
+    return null;
+  }
+  
+  try {
+    const publicKey = secp256k1.Signature.fromCompact(signature.slice(2, 130))
+      .addRecoveryBit(recovery)
+      .recoverPublicKey(hashPersonalMessage(message))
+      .toRawBytes(false);
+    
+    // Address = last 20 bytes of keccak256(uncompressed key without 0x04 prefix)
+    const address = bytesToHex(keccak_256(publicKey.slice(1)).slice(-20));
+    return toChecksumAddress(`0x${address}`);
+  } catch (error) {
+    return null;
+  }
+};
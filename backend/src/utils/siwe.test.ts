@@ -0,0 +1,102 @@
+import { parseSiweMessage } from './siwe';
+
+const ADDRESS = '0x2c7536E3605D9C16a7a3D7b1898e529396a65c23';
+
+const FIELDS = [
+  'URI: https://example.com/login',
+  'Version: 1',
+  'Chain ID: 1',
+  'Nonce: 32891756abcdef12',
+  'Issued At: 2024-01-15T12:00:00.000Z'
+];
+
+// Message lines in EIP-4361 order, with a statement
+const siweMessage = (fields: string[] = FIELDS, header = 'example.com wants you to sign in with your Ethereum account:') =>
+  [header, ADDRESS, '', 'Sign in to Florka', '', ...fields].join('\n');
+
+// The fields with one of them changed (or left out when value is null)
+const withField = (name: string, value: string | null) =>
+  FIELDS.flatMap((field) => (field.startsWith(`${name}: `) ? (value === null ? [] : [`${name}: ${value}`]) : [field]));
+
+describe('parseSiweMessage', () => {
+  it('reads every field of a message', () => {
+    expect(parseSiweMessage(siweMessage())).toEqual({
+      domain: 'example.com',
+      address: ADDRESS,
+      statement: 'Sign in to Florka',
+      uri: 'https://example.com/login',
+      version: '1',
+      chainId: 1,
+      nonce: '32891756abcdef12',
+      issuedAt: '2024-01-15T12:00:00.000Z'
+    });
+  });
+  
+  it('reads the optional fields and resources', () => {
+    const message = siweMessage([
+      ...FIELDS,
+      'Expiration Time: 2024-01-15T12:10:00Z',
+      'Not Before: 2024-01-15T11:59:00+01:00',
+      'Request ID: request-1',
+      'Resources:',
+      '- https://example.com/terms',
+      '- ipfs://bafybeiemxf5abjwjbikoz4mc3a3dla6ual3jsgpdr4cjr3oz3evfyavhwq'
+    ]);
+    
+    expect(parseSiweMessage(message)).toMatchObject({
+      expirationTime: '2024-01-15T12:10:00Z',
+      notBefore: '2024-01-15T11:59:00+01:00',
+      requestId: 'request-1',
+      resources: ['https://example.com/terms', 'ipfs://bafybeiemxf5abjwjbikoz4mc3a3dla6ual3jsgpdr4cjr3oz3evfyavhwq']
+    });
+  });
+  
+  it('reads a scheme and port in the header', () => {
+    const message = siweMessage(FIELDS, 'https://example.com:3000 wants you to sign in with your Ethereum account:');
+    
+    expect(parseSiweMessage(message)).toMatchObject({ scheme: 'https', domain: 'example.com:3000' });
+  });
+  
+  it('allows leaving out the statement', () => {
+    const message = ['example.com wants you to sign in with your Ethereum account:', ADDRESS, '', '', ...FIELDS].join('\n');
+    
+    expect(parseSiweMessage(message)).not.toHaveProperty('statement');
+  });
+  
+  it('rejects a header that is not the EIP-4361 one', () => {
+    expect(() => parseSiweMessage(siweMessage(FIELDS, 'example.com wants you to sign in:'))).toThrow('Invalid message header');
+  });
+  
+  it('rejects addresses without a valid EIP-55 checksum', () => {
+    const message = siweMessage().replace(ADDRESS, ADDRESS.toLowerCase());
+    
+    expect(() => parseSiweMessage(message)).toThrow('Address must be an EIP-55 checksummed address');
+  });
+  
+  it('rejects messages missing a required field', () => {
+    expect(() => parseSiweMessage(siweMessage(withField('Nonce', null)))).toThrow('Missing Nonce');
+    expect(() => parseSiweMessage(siweMessage(withField('Issued At', null)))).toThrow('Missing Issued At');
+  });
+  
+  it('rejects fields out of order', () => {
+    const [uri, version, ...rest] = FIELDS;
+    
+    expect(() => parseSiweMessage(siweMessage([version!, uri!, ...rest]))).toThrow('Missing URI');
+  });
+  
+  it('rejects nonces that are not at least 8 alphanumeric characters', () => {
+    expect(() => parseSiweMessage(siweMessage(withField('Nonce', 'abc123')))).toThrow('Invalid nonce');
+    expect(() => parseSiweMessage(siweMessage(withField('Nonce', 'abcd-1234')))).toThrow('Invalid nonce');
+  });
+  
+  it('rejects malformed values', () => {
+    expect(() => parseSiweMessage(siweMessage(withField('Version', '2')))).toThrow('Unsupported version');
+    expect(() => parseSiweMessage(siweMessage(withField('Chain ID', '0')))).toThrow('Invalid Chain ID');
+    expect(() => parseSiweMessage(siweMessage(withField('URI', 'not a uri')))).toThrow('Invalid URI');
+    expect(() => parseSiweMessage(siweMessage(withField('Issued At', '2024-01-15')))).toThrow('Invalid Issued At');
+  });
+  
+  it('rejects anything after the last field', () => {
+    expect(() => parseSiweMessage(`${siweMessage()}\nextra`)).toThrow('Unexpected content at the end of the message');
+  });
+});
@@ -0,0 +1,144 @@
+import { toChecksumAddress } from './ethereum';
+
+// EIP-4361 (Sign-In with Ethereum) message parsing
+
+export interface SiweMessage {
+  scheme?: string;
+  domain: string;
+  address: string;
+  statement?: string;
+  uri: string;
+  version: string;
+  chainId: number;
+  nonce: string;
+  issuedAt: string;
+  expirationTime?: string;
+  notBefore?: string;
+  requestId?: string;
+  resources?: string[];
+}
+
+const HEADER_REGEX = /^(?:([a-zA-Z][a-zA-Z0-9+\-.]*):\/\/)?([^\s/?#]+) wants you to sign in with your Ethereum account:$/;
+const NONCE_REGEX = /^[a-zA-Z0-9]{8,}$/;
+const DATE_TIME_REGEX = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/;
+
+const isDateTime = (value: string) => DATE_TIME_REGEX.test(value) && !isNaN(Date.parse(value));
+
+// Parse a SIWE message. Throws with the reason when it does not follow the
+// EIP-4361 format.
+export const parseSiweMessage = (raw: string): SiweMessage => {
+  const lines = raw.split('\n');
+  let index = 0;
+  
+  const header = HEADER_REGEX.exec(lines[index++] ?? '');
+  if (!header) {
+    throw new Error('Invalid message header');
+  }
+  
+  const address = lines[index++] ?? '';
+  if (!/^0x[0-9a-fA-F]{40}$/.test(address) || toChecksumAddress(address) !== address) {
+    throw new Error('Address must be an EIP-55 checksummed address');
+  }
+  
+  if (lines[index++] !== '') {
+    throw new Error('Expected an empty line after the address');
+  }
+  
+  // The statement is optional, but the blank line after it is not
+  let statement: string | undefined;
+  if (lines[index] !== '') {
+    statement = lines[index++];
+  }
+  
+  if (lines[index++] !== '') {
+    throw new Error('Expected an empty line before the message fields');
+  }
+  
+  // Fields follow in a fixed order; optional ones may be left out
+  const takeField = (name: string) => {
+    const prefix = `${name}: `;
+    const line = lines[index];
+    
+    if (line === undefined || !line.startsWith(prefix)) {
+      return undefined;
+    }
+    
+    index++;
+    return line.slice(prefix.length);
+  };
+  
+  const requireField = (name: string) => {
+    const value = takeField(name);
+    
+    if (value === undefined) {
+      throw new Error(`Missing ${name}`);
+    }
+    
+    return value;
+  };
+  
+  const uri = requireField('URI');
+  const version = requireField('Version');
+  const chainId = requireField('Chain ID');
+  const nonce = requireField('Nonce');
+  const issuedAt = requireField('Issued At');
+  const expirationTime = takeField('Expiration Time');
+  const notBefore = takeField('Not Before');
+  const requestId = takeField('Request ID');
+  
+  let resources: string[] | undefined;
+  if (lines[index] === 'Resources:') {
+    index++;
+    resources = [];
+    
+    while (lines[index]?.startsWith('- ')) {
+      resources.push(lines[index++]!.slice(2));
+    }
+  }
+  
+  if (index !== lines.length) {
+    throw new Error('Unexpected content at the end of the message');
+  }
+  
+  if (!/^[a-zA-Z][a-zA-Z0-9+\-.]*:\S+$/.test(uri)) {
+    throw new Error('Invalid URI');
+  }
+  
+  if (version !== '1') {
+    throw new Error('Unsupported version');
+  }
+  
+  if (!/^[1-9]\d*$/.test(chainId)) {
+    throw new Error('Invalid Chain ID');
+  }
+  
+  if (!NONCE_REGEX.test(nonce)) {
+    throw new Error('Invalid nonce');
+  }
+  
+  for (const [name, value] of [
+    ['Issued At', issuedAt],
+    ['Expiration Time', expirationTime],
+    ['Not Before', notBefore]
+  ] as const) {
+    if (value !== undefined && !isDateTime(value)) {
+      throw new Error(`Invalid ${name}`);
+    }
+  }
+  
+  return {
+    ...(header[1] !== undefined && { scheme: header[1] }),
+    domain: header[2]!,
+    address,
+    ...(statement !== undefined && { statement }),
+    uri,
+    version,
+    chainId: parseInt(chainId),
+    nonce,
+    issuedAt,
+    ...(expirationTime !== undefined && { expirationTime }),
+    ...(notBefore !== undefined && { notBefore }),
+    ...(requestId !== undefined && { requestId }),
+    ...(resources !== undefined && { resources })
+  };
+};
@@ -0,0 +1,116 @@
+import {
+  base32Encode,
+  base32Decode,
+  generateHotp,
+  generateTotp,
+  totpTimeStep,
+  verifyTotp,
+  generateTotpSecret,
+  buildOtpauthUrl
+} from './totp';
+
+// The shared secret of the RFC 4226 and RFC 6238 test vectors, "12345678901234567890"
+const RFC_SECRET = base32Encode(Buffer.from('12345678901234567890', 'ascii'));
+
+describe('base32', () => {
+  it('encodes the RFC 4648 test vectors without padding', () => {
+    expect(base32Encode(Buffer.from('f'))).toBe('MY');
+    expect(base32Encode(Buffer.from('foob'))).toBe('MZXW6YQ');
+    expect(base32Encode(Buffer.from('foobar'))).toBe('MZXW6YTBOI');
+  });
+  
+  it('decodes what it encodes, ignoring case, spaces and padding', () => {
+    expect(base32Decode('mzxw 6ytb oi======').toString()).toBe('foobar');
+    expect(base32Decode(RFC_SECRET).toString()).toBe('12345678901234567890');
+  });
+  
+  it('rejects characters outside the alphabet', () => {
+    expect(() => base32Decode('MZXW1')).toThrow('Invalid base32 character');
+  });
+});
+
+describe('generateHotp', () => {
+  it('matches the RFC 4226 test vectors', () => {
+    const expected = ['755224', '287082', '359152', '969429', '338314', '254676', '287922', '162583', '399871', '520489'];
+    
+    expect(expected.map((_, counter) => generateHotp(RFC_SECRET, counter))).toEqual(expected);
+  });
+});
+
+describe('generateTotp', () => {
+  // RFC 6238 appendix B, SHA-1: Unix time in seconds and the 8-digit code
+  const vectors: [number, string][] = [
+    [59, '94287082'],
+    [1111111109, '07081804'],
+    [1111111111, '14050471'],
+    [1234567890, '89005924'],
+    [2000000000, '69279037'],
+    [20000000000, '65353130']
+  ];
+  
+  it.each(vectors)('matches the RFC 6238 vector at %i s', (seconds, code) => {
+    expect(generateHotp(RFC_SECRET, totpTimeStep(seconds * 1000), 8)).toBe(code);
+  });
+  
+  it.each(vectors)('gives the last six digits by default at %i s', (seconds, code) => {
+    expect(generateTotp(RFC_SECRET, seconds * 1000)).toBe(code.slice(-6));
+  });
+  
+  it('keeps the same code for a whole 30 second step', () => {
+    expect(generateTotp(RFC_SECRET, 30_000)).toBe(generateTotp(RFC_SECRET, 59_999));
+    expect(generateTotp(RFC_SECRET, 60_000)).not.toBe(generateTotp(RFC_SECRET, 59_999));
+  });
+});
+
+describe('verifyTotp', () => {
+  const now = 1111111111 * 1000;
+  const step = totpTimeStep(now);
+  
+  it('returns the time step the code belongs to', () => {
+    expect(verifyTotp(RFC_SECRET, '050471', 1, now)).toBe(step);
+  });
+  
+  it('allows one step of clock drift either side by default', () => {
+    expect(verifyTotp(RFC_SECRET, generateHotp(RFC_SECRET, step - 1), 1, now)).toBe(step - 1);
+    expect(verifyTotp(RFC_SECRET, generateHotp(RFC_SECRET, step + 1), 1, now)).toBe(step + 1);
+  });
+  
+  it('rejects codes outside the window', () => {
+    expect(verifyTotp(RFC_SECRET, generateHotp(RFC_SECRET, step - 2), 1, now)).toBeNull();
+    expect(verifyTotp(RFC_SECRET, generateHotp(RFC_SECRET, step + 2), 1, now)).toBeNull();
+    expect(verifyTotp(RFC_SECRET, generateHotp(RFC_SECRET, step - 1), 0, now)).toBeNull();
+  });
+  
+  it('rejects anything but six digits', () => {
+    expect(verifyTotp(RFC_SECRET, '14050471', 1, now)).toBeNull();
+    expect(verifyTotp(RFC_SECRET, '05047', 1, now)).toBeNull();
+    expect(verifyTotp(RFC_SECRET, '05047a', 1, now)).toBeNull();
+  });
+});
+
+describe('generateTotpSecret', () => {
+  it('returns a random 160-bit base32 secret', () => {
+    const secret = generateTotpSecret();
+    
+    expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+    expect(base32Decode(secret)).toHaveLength(20);
+    expect(generateTotpSecret()).not.toBe(secret);
+  });
+});
+
+describe('buildOtpauthUrl', () => {
+  it('labels the account with the issuer and spells out the parameters', () => {
+    const url = new URL(buildOtpauthUrl(RFC_SECRET, 'admin@example.com', 'Florka'));
+    
+    expect(url.protocol).toBe('otpauth:');
+    expect(url.host).toBe('totp');
+    expect(decodeURIComponent(url.pathname)).toBe('/Florka:admin@example.com');
+    expect(Object.fromEntries(url.searchParams)).toEqual({
+      secret: RFC_SECRET,
+      issuer: 'Florka',
+      algorithm: 'SHA1',
+      digits: '6',
+      period: '30'
+    });
+  });
+});
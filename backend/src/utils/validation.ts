@@ -6,10 +6,10 @@ export const passwordSchema = z.string().min(6, 'Password must be at least 6 cha
 export const nameSchema = z.string().min(1, 'Name is required').max(100, 'Name too long');
 export const idSchema = z.string().uuid('Invalid ID format');
 
-// Pagination schemas
+// Pagination schemas (coerced, so query strings parse too)
 export const paginationSchema = z.object({
-  page: z.number().int().min(1).default(1),
-  limit: z.number().int().min(1).max(100).default(10)
+  page: z.coerce.number().int().min(1).default(1),
+  limit: z.coerce.number().int().min(1).max(100).default(10)
 });
 
 // Search schema
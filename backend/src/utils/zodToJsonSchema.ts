@@ -0,0 +1,175 @@
+import { z } from 'zod';
+
+// The part of JSON Schema that OpenAPI 3.0 understands
+export interface JsonSchema {
+  $ref?: string;
+  type?: 'string' | 'number' | 'integer' | 'boolean' | 'object' | 'array';
+  format?: string;
+  pattern?: string;
+  enum?: unknown[];
+  minLength?: number;
+  maxLength?: number;
+  minimum?: number;
+  maximum?: number;
+  minItems?: number;
+  maxItems?: number;
+  items?: JsonSchema;
+  properties?: Record<string, JsonSchema>;
+  required?: string[];
+  additionalProperties?: boolean | JsonSchema;
+  anyOf?: JsonSchema[];
+  nullable?: boolean;
+  default?: unknown;
+  description?: string;
+}
+
+const stringSchema = (schema: z.ZodString): JsonSchema => {
+  const result: JsonSchema = { type: 'string' };
+  
+  for (const check of schema._def.checks) {
+    switch (check.kind) {
+      case 'min':
+        result.minLength = check.value;
+        break;
+      case 'max':
+        result.maxLength = check.value;
+        break;
+      case 'length':
+        result.minLength = check.value;
+        result.maxLength = check.value;
+        break;
+      case 'email':
+      case 'uuid':
+        result.format = check.kind;
+        break;
+      case 'url':
+        result.format = 'uri';
+        break;
+      case 'datetime':
+        result.format = 'date-time';
+        break;
+      case 'regex':
+        result.pattern = check.regex.source;
+        break;
+    }
+  }
+  
+  return result;
+};
+
+const numberSchema = (schema: z.ZodNumber): JsonSchema => {
+  const result: JsonSchema = { type: schema.isInt ? 'integer' : 'number' };
+  
+  if (schema.minValue !== null) {
+    result.minimum = schema.minValue;
+  }
+  
+  if (schema.maxValue !== null) {
+    result.maximum = schema.maxValue;
+  }
+  
+  return result;
+};
+
+const objectSchema = (schema: z.AnyZodObject): JsonSchema => {
+  const properties: Record<string, JsonSchema> = {};
+  const required: string[] = [];
+  
+  for (const [key, value] of Object.entries(schema.shape as z.ZodRawShape)) {
+    properties[key] = zodToJsonSchema(value);
+    
+    if (!value.isOptional()) {
+      required.push(key);
+    }
+  }
+  
+  return {
+    type: 'object',
+    properties,
+    ...(required.length > 0 && { required }),
+    // Unknown keys are stripped, not rejected, unless the schema is strict
+    ...(schema._def.unknownKeys === 'strict' && { additionalProperties: false })
+  };
+};
+
+const convert = (schema: z.ZodTypeAny): JsonSchema => {
+  if (schema instanceof z.ZodString) {
+    return stringSchema(schema);
+  }
+  
+  if (schema instanceof z.ZodNumber) {
+    return numberSchema(schema);
+  }
+  
+  if (schema instanceof z.ZodBoolean) {
+    return { type: 'boolean' };
+  }
+  
+  // z.coerce.date() accepts ISO strings in bodies and query strings
+  if (schema instanceof z.ZodDate) {
+    return { type: 'string', format: 'date-time' };
+  }
+  
+  if (schema instanceof z.ZodEnum) {
+    return { type: 'string', enum: [...schema.options] };
+  }
+  
+  if (schema instanceof z.ZodNativeEnum) {
+    return { enum: Object.values(schema.enum) };
+  }
+  
+  if (schema instanceof z.ZodLiteral) {
+    return { enum: [schema.value] };
+  }
+  
+  if (schema instanceof z.ZodArray) {
+    const { minLength, maxLength } = schema._def;
+    
+    return {
+      type: 'array',
+      items: zodToJsonSchema(schema.element),
+      ...(minLength && { minItems: minLength.value }),
+      ...(maxLength && { maxItems: maxLength.value })
+    };
+  }
+  
+  if (schema instanceof z.ZodObject) {
+    return objectSchema(schema);
+  }
+  
+  if (schema instanceof z.ZodRecord) {
+    return { type: 'object', additionalProperties: zodToJsonSchema(schema.valueSchema) };
+  }
+  
+  if (schema instanceof z.ZodUnion) {
+    return { anyOf: (schema.options as z.ZodTypeAny[]).map(zodToJsonSchema) };
+  }
+  
+  if (schema instanceof z.ZodOptional) {
+    return zodToJsonSchema(schema.unwrap());
+  }
+  
+  if (schema instanceof z.ZodNullable) {
+    return { ...zodToJsonSchema(schema.unwrap()), nullable: true };
+  }
+  
+  if (schema instanceof z.ZodDefault) {
+    return { ...zodToJsonSchema(schema.removeDefault()), default: schema._def.defaultValue() };
+  }
+  
+  // Refinements and transforms validate the same input shape
+  if (schema instanceof z.ZodEffects) {
+    return zodToJsonSchema(schema.innerType());
+  }
+  
+  // z.any(), z.unknown() and anything not handled above accept any value
+  return {};
+};
+
+// JSON Schema for the values a zod schema accepts, as used in OpenAPI
+// request bodies, parameters and responses
+export const zodToJsonSchema = (schema: z.ZodTypeAny): JsonSchema => {
+  const result = convert(schema);
+  
+  return schema.description ? { ...result, description: schema.description } : result;
+};
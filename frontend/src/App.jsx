@@ -3,20 +3,28 @@ import { Routes, Route, Navigate } from 'react-router-dom';
 import { AuthProvider } from './contexts/AuthContext';
 import { useAuth } from './hooks/useAuth';
 import Navbar from './components/layout/Navbar';
+import ImpersonationBanner from './components/layout/ImpersonationBanner';
 import Footer from './components/layout/Footer';
 import Home from './pages/Home';
 import Login from './pages/auth/Login';
 import Register from './pages/auth/Register';
+import VerifyEmail from './pages/auth/VerifyEmail';
+import ForgotPassword from './pages/auth/ForgotPassword';
+import ResetPassword from './pages/auth/ResetPassword';
+import AcceptInvite from './pages/auth/AcceptInvite';
 import Dashboard from './pages/Dashboard';
-import Projects from './pages/Projects';
-import ProjectDetail from './pages/ProjectDetail';
-import CreateProject from './pages/CreateProject';
+import Projects from './pages/projects/ProjectList';
+import ProjectDetail from './pages/projects/ProjectDetail';
+import CreateProject from './pages/projects/ProjectForm';
 import Profile from './pages/Profile';
 import AdminDashboard from './pages/admin/AdminDashboard';
+import AdminManagement from './pages/admin/AdminManagement';
+import AuditLog from './pages/admin/AuditLog';
+import Trash from './pages/admin/Trash';
+import UserManagement from './pages/admin/UserManagement';
 import LoadingSpinner from './components/ui/LoadingSpinner';
 import ProtectedRoute from './components/auth/ProtectedRoute';
 import AdminRoute from './components/auth/AdminRoute';
-import './App.css';
 
 function AppContent() {
   const { isLoading } = useAuth();
@@ -31,6 +39,7 @@ function AppContent() {
 
   return (
     <div className="min-h-screen bg-gray-50 flex flex-col">
+      <ImpersonationBanner />
       <Navbar />
       
       <main className="flex-grow">
@@ -39,6 +48,10 @@ function AppContent() {
           <Route path="/" element={<Home />} />
           <Route path="/login" element={<Login />} />
           <Route path="/register" element={<Register />} />
+          <Route path="/verify-email" element={<VerifyEmail />} />
+          <Route path="/forgot-password" element={<ForgotPassword />} />
+          <Route path="/reset-password" element={<ResetPassword />} />
+          <Route path="/accept-invite" element={<AcceptInvite />} />
           <Route path="/projects" element={<Projects />} />
           <Route path="/projects/:id" element={<ProjectDetail />} />
           
@@ -60,6 +73,26 @@ function AppContent() {
           } />
           
           {/* Admin Routes */}
+          <Route path="/admin/users" element={
+            <AdminRoute>
+              <UserManagement />
+            </AdminRoute>
+          } />
+          <Route path="/admin/admins" element={
+            <AdminRoute>
+              <AdminManagement />
+            </AdminRoute>
+          } />
+          <Route path="/admin/audit-logs" element={
+            <AdminRoute>
+              <AuditLog />
+            </AdminRoute>
+          } />
+          <Route path="/admin/trash" element={
+            <AdminRoute>
+              <Trash />
+            </AdminRoute>
+          } />
           <Route path="/admin/*" element={
             <AdminRoute>
               <AdminDashboard />
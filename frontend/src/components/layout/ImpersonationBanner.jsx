@@ -0,0 +1,45 @@
+import React, { useState } from 'react';
+import { useAuth } from '../../hooks/useAuth';
+import Button from '../ui/Button';
+
+// Shown on every page while an admin is signed in as a user
+function ImpersonationBanner() {
+  const { impersonation, stopImpersonating } = useAuth();
+  const [loading, setLoading] = useState(false);
+
+  if (!impersonation) {
+    return null;
+  }
+
+  const { user, expiresAt } = impersonation;
+  const name = [user.firstName, user.lastName].filter(Boolean).join(' ') || user.email || user.id;
+
+  const handleReturn = async () => {
+    setLoading(true);
+    await stopImpersonating();
+  };
+
+  return (
+    <div className="sticky top-0 z-50 bg-yellow-400 text-yellow-900">
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-2 flex items-center justify-between">
+        <p className="text-sm font-medium">
+          You are viewing the site as <span className="font-semibold">{name}</span>.
+          Everything you do is recorded under your admin account.
+          {' '}Access ends at {new Date(expiresAt).toLocaleTimeString()}.
+        </p>
+        <Button
+          size="small"
+          variant="outline"
+          className="bg-white"
+          loading={loading}
+          disabled={loading}
+          onClick={handleReturn}
+        >
+          Return to admin
+        </Button>
+      </div>
+    </div>
+  );
+}
+
+export default ImpersonationBanner;
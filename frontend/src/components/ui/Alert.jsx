@@ -1,6 +1,6 @@
 import React from 'react';
 
-function Alert({ type = 'info', title, children, onClose, className = '' }) {
+function Alert({ type = 'info', title = null, children, onClose = null, className = '' }) {
   const baseClasses = 'rounded-md p-4';
   
   const typeClasses = {
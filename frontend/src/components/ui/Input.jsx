@@ -1,12 +1,32 @@
-import React, { forwardRef } from 'react';
+import React, { forwardRef, useId } from 'react';
 
-const Input = forwardRef(function Input({
+/**
+ * @typedef {Object} InputOwnProps
+ * @property {React.ReactNode} [label]
+ * @property {string} [error]
+ * @property {React.ReactNode} [helperText]
+ */
+
+/** @typedef {InputOwnProps & React.InputHTMLAttributes<HTMLInputElement>} InputProps */
+
+// `error` takes the message for this field, whether it comes from the form's
+// own checks or from the API (see getFieldErrors in utils/errors)
+const Input = forwardRef(/**
+ * @param {InputProps} props
+ * @param {React.ForwardedRef<HTMLInputElement>} ref
+ */
+function Input({
   label,
   error,
   helperText,
   className = '',
+  id,
   ...props
 }, ref) {
+  const generatedId = useId();
+  const inputId = id || generatedId;
+  const messageId = `${inputId}-message`;
+  
   const baseClasses = 'block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm placeholder-gray-400 focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm';
   const errorClasses = error ? 'border-red-300 text-red-900 placeholder-red-300 focus:ring-red-500 focus:border-red-500' : '';
   
@@ -15,22 +35,25 @@ const Input = forwardRef(function Input({
   return (
     <div>
       {label && (
-        <label className="block text-sm font-medium text-gray-700 mb-1">
+        <label htmlFor={inputId} className="block text-sm font-medium text-gray-700 mb-1">
           {label}
         </label>
       )}
       <input
         ref={ref}
+        id={inputId}
         className={inputClasses}
+        aria-invalid={error ? true : undefined}
+        aria-describedby={error || helperText ? messageId : undefined}
         {...props}
       />
       {error && (
-        <p className="mt-1 text-sm text-red-600">
+        <p id={messageId} className="mt-1 text-sm text-red-600">
           {error}
         </p>
       )}
       {helperText && !error && (
-        <p className="mt-1 text-sm text-gray-500">
+        <p id={messageId} className="mt-1 text-sm text-gray-500">
           {helperText}
         </p>
       )}
@@ -38,4 +61,4 @@ const Input = forwardRef(function Input({
   );
 });
 
-export default Input;
\ No newline at end of file
+export default Input;
@@ -1,5 +1,9 @@
 import React, { createContext, useContext, useReducer, useEffect } from 'react';
-import { authAPI } from '../services/api';
+import { COOKIE_AUTH, storeSession, clearSession } from '../services/api';
+import * as apiClient from '../services/apiClient';
+import { signInWithEthereum } from '../utils/wallet';
+import { getImpersonation, restoreAdminSession } from '../utils/impersonation';
+import { getErrorMessage, getFieldErrors } from '../utils/errors';
 
 // Initial state
 const initialState = {
@@ -27,7 +31,10 @@ const AUTH_ACTIONS = {
   UPDATE_USER: 'UPDATE_USER'
 };
 
-// Reducer
+/**
+ * @param {typeof initialState} state
+ * @param {{ type: string, payload?: any }} action
+ */
 function authReducer(state, action) {
   switch (action.type) {
     case AUTH_ACTIONS.LOGIN_START:
@@ -44,8 +51,9 @@ function authReducer(state, action) {
       return {
         ...state,
         user: action.payload.user,
-        token: action.payload.tokens.accessToken,
-        refreshToken: action.payload.tokens.refreshToken,
+        // Cookie mode sessions never expose the tokens
+        token: action.payload.tokens?.accessToken ?? null,
+        refreshToken: action.payload.tokens?.refreshToken ?? null,
         isAuthenticated: true,
         isLoading: false,
         error: null
@@ -102,7 +110,7 @@ function authReducer(state, action) {
 }
 
 // Create context
-const AuthContext = createContext();
+export const AuthContext = createContext(null);
 
 // Auth provider component
 export function AuthProvider({ children }) {
@@ -112,12 +120,13 @@ export function AuthProvider({ children }) {
   useEffect(() => {
     const loadUser = async () => {
       const token = localStorage.getItem('token');
+      const hasSession = token || (COOKIE_AUTH && localStorage.getItem('csrfToken'));
       
-      if (token) {
+      if (hasSession) {
         try {
           dispatch({ type: AUTH_ACTIONS.LOAD_USER_START });
           
-          const response = await authAPI.getProfile();
+          const response = await apiClient.getProfile();
           
           dispatch({
             type: AUTH_ACTIONS.LOAD_USER_SUCCESS,
@@ -127,8 +136,7 @@ export function AuthProvider({ children }) {
           console.error('Failed to load user:', error);
           
           // Clear invalid token
-          localStorage.removeItem('token');
-          localStorage.removeItem('refreshToken');
+          clearSession();
           
           dispatch({
             type: AUTH_ACTIONS.LOAD_USER_FAILURE,
@@ -151,11 +159,10 @@ export function AuthProvider({ children }) {
     try {
       dispatch({ type: AUTH_ACTIONS.LOGIN_START });
       
-      const response = await authAPI.login({ email, password });
+      const response = await apiClient.login({ email, password });
       
       // Store tokens
-      localStorage.setItem('token', response.data.tokens.accessToken);
-      localStorage.setItem('refreshToken', response.data.tokens.refreshToken);
+      storeSession(response.data);
       
       dispatch({
         type: AUTH_ACTIONS.LOGIN_SUCCESS,
@@ -164,7 +171,36 @@ export function AuthProvider({ children }) {
       
       return { success: true, data: response.data };
     } catch (error) {
-      const errorMessage = error.response?.data?.error?.message || 'Login failed';
+      const errorMessage = getErrorMessage(error, 'Login failed');
+      
+      dispatch({
+        type: AUTH_ACTIONS.LOGIN_FAILURE,
+        payload: errorMessage
+      });
+      
+      return { success: false, error: errorMessage, fieldErrors: getFieldErrors(error) };
+    }
+  };
+
+  // Sign-In with Ethereum; creates an account on first use
+  const loginWithWallet = async () => {
+    try {
+      dispatch({ type: AUTH_ACTIONS.LOGIN_START });
+      
+      const signed = await signInWithEthereum('Sign in to Florka with your wallet.');
+      const response = await apiClient.siweLogin(signed);
+      
+      // Store tokens
+      storeSession(response.data);
+      
+      dispatch({
+        type: AUTH_ACTIONS.LOGIN_SUCCESS,
+        payload: response.data
+      });
+      
+      return { success: true, data: response.data };
+    } catch (error) {
+      const errorMessage = getErrorMessage(error, 'Wallet sign-in failed');
       
       dispatch({
         type: AUTH_ACTIONS.LOGIN_FAILURE,
@@ -180,11 +216,10 @@ export function AuthProvider({ children }) {
     try {
       dispatch({ type: AUTH_ACTIONS.REGISTER_START });
       
-      const response = await authAPI.register(userData);
+      const response = await apiClient.register(userData);
       
       // Store tokens
-      localStorage.setItem('token', response.data.tokens.accessToken);
-      localStorage.setItem('refreshToken', response.data.tokens.refreshToken);
+      storeSession(response.data);
       
       dispatch({
         type: AUTH_ACTIONS.REGISTER_SUCCESS,
@@ -193,27 +228,44 @@ export function AuthProvider({ children }) {
       
       return { success: true, data: response.data };
     } catch (error) {
-      const errorMessage = error.response?.data?.error?.message || 'Registration failed';
+      const errorMessage = getErrorMessage(error, 'Registration failed');
       
       dispatch({
         type: AUTH_ACTIONS.REGISTER_FAILURE,
         payload: errorMessage
       });
       
-      return { success: false, error: errorMessage };
+      return { success: false, error: errorMessage, fieldErrors: getFieldErrors(error) };
+    }
+  };
+
+  // Leave an impersonation and return to the admin's own session
+  const stopImpersonating = async () => {
+    try {
+      await apiClient.stopImpersonation();
+    } catch (error) {
+      console.error('End impersonation error:', error);
+    } finally {
+      restoreAdminSession();
+      window.location.href = '/admin/users';
     }
   };
 
   // Logout function
   const logout = async () => {
+    // Signing out of an impersonated user returns to the admin session
+    if (getImpersonation()) {
+      return stopImpersonating();
+    }
+    
     try {
-      await authAPI.logout();
+      // Hand the refresh token back so the server revokes this session too
+      await apiClient.logout({ refreshToken: localStorage.getItem('refreshToken') });
     } catch (error) {
       console.error('Logout error:', error);
     } finally {
       // Clear tokens regardless of API call result
-      localStorage.removeItem('token');
-      localStorage.removeItem('refreshToken');
+      clearSession();
       
       dispatch({ type: AUTH_ACTIONS.LOGOUT });
     }
@@ -245,8 +297,11 @@ export function AuthProvider({ children }) {
   const value = {
     ...state,
     login,
+    loginWithWallet,
     register,
     logout,
+    stopImpersonating,
+    impersonation: getImpersonation(),
     clearError,
     updateUser,
     hasRole,
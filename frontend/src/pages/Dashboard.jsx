@@ -1,7 +1,7 @@
 import React, { useState, useEffect } from 'react';
 import { Link } from 'react-router-dom';
 import { useAuth } from '../hooks/useAuth';
-import api from '../services/api';
+import * as apiClient from '../services/apiClient';
 import Button from '../components/ui/Button';
 import LoadingSpinner from '../components/ui/LoadingSpinner';
 import Alert from '../components/ui/Alert';
@@ -22,13 +22,13 @@ function Dashboard() {
       setLoading(true);
       
       // Load user projects
-      const projectsResponse = await api.get('/projects/my');
+      const projectsResponse = await apiClient.getMyProjects();
       setProjects(projectsResponse.data.projects || []);
       
       // Load admin stats if user is admin
       if (isAdmin()) {
         try {
-          const statsResponse = await api.get('/admin/dashboard/stats');
+          const statsResponse = await apiClient.getAdminStats();
           setStats(statsResponse.data);
         } catch (statsError) {
           console.error('Failed to load admin stats:', statsError);
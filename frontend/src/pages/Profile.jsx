@@ -1,10 +1,13 @@
 import React, { useState, useEffect } from 'react';
 import { useAuth } from '../hooks/useAuth';
-import api from '../services/api';
+import { storeSession } from '../services/api';
+import * as apiClient from '../services/apiClient';
 import Button from '../components/ui/Button';
 import Input from '../components/ui/Input';
 import Alert from '../components/ui/Alert';
 import LoadingSpinner from '../components/ui/LoadingSpinner';
+import { signInWithEthereum } from '../utils/wallet';
+import { getErrorMessage, getFieldErrors } from '../utils/errors';
 
 function Profile() {
   const { user, updateUser } = useAuth();
@@ -18,12 +21,31 @@ function Profile() {
     newPassword: '',
     confirmPassword: ''
   });
-  const [errors, setErrors] = useState({});
-  const [passwordErrors, setPasswordErrors] = useState({});
+  const [errors, setErrors] = useState(/** @type {Record<string, string>} */ ({}));
+  const [passwordErrors, setPasswordErrors] = useState(/** @type {Record<string, string>} */ ({}));
   const [loading, setLoading] = useState(false);
   const [passwordLoading, setPasswordLoading] = useState(false);
   const [success, setSuccess] = useState('');
   const [error, setError] = useState('');
+  const [sessions, setSessions] = useState([]);
+  const [sessionsLoading, setSessionsLoading] = useState(true);
+  const [revokingSessionId, setRevokingSessionId] = useState(null);
+  const [wallets, setWallets] = useState([]);
+  const [walletLoading, setWalletLoading] = useState(false);
+  const [unlinkingWalletId, setUnlinkingWalletId] = useState(null);
+  const [accessTokens, setAccessTokens] = useState([]);
+  const [availableScopes, setAvailableScopes] = useState([]);
+  const [tokenForm, setTokenForm] = useState({
+    name: '',
+    scopes: [],
+    expiresInDays: '90'
+  });
+  const [tokenLoading, setTokenLoading] = useState(false);
+  const [newToken, setNewToken] = useState('');
+  const [revokingTokenId, setRevokingTokenId] = useState(null);
+  const [exportLoading, setExportLoading] = useState(false);
+  const [deletePassword, setDeletePassword] = useState('');
+  const [deleteLoading, setDeleteLoading] = useState(false);
 
   useEffect(() => {
     if (user) {
@@ -35,6 +57,43 @@ function Profile() {
     }
   }, [user]);
 
+  const fetchSessions = async () => {
+    try {
+      setSessionsLoading(true);
+      const response = await apiClient.getSessions();
+      setSessions(response.data.sessions);
+    } catch (err) {
+      console.error('Sessions fetch error:', err);
+    } finally {
+      setSessionsLoading(false);
+    }
+  };
+
+  const fetchWallets = async () => {
+    try {
+      const response = await apiClient.getWallets();
+      setWallets(response.data.wallets);
+    } catch (err) {
+      console.error('Wallets fetch error:', err);
+    }
+  };
+
+  const fetchAccessTokens = async () => {
+    try {
+      const response = await apiClient.getTokens();
+      setAccessTokens(response.data.tokens);
+      setAvailableScopes(response.data.availableScopes);
+    } catch (err) {
+      console.error('Access tokens fetch error:', err);
+    }
+  };
+
+  useEffect(() => {
+    fetchSessions();
+    fetchWallets();
+    fetchAccessTokens();
+  }, []);
+
   const handleChange = (e) => {
     const { name, value } = e.target;
     setFormData(prev => ({
@@ -68,10 +127,13 @@ function Profile() {
   };
 
   const validateProfileForm = () => {
-    const newErrors = {};
+    const newErrors = /** @type {Record<string, string>} */ ({});
     
+    // Accounts created with a wallet may not have an email yet
     if (!formData.email) {
-      newErrors.email = 'Email is required';
+      if (user.email) {
+        newErrors.email = 'Email is required';
+      }
     } else if (!/\S+@\S+\.\S+/.test(formData.email)) {
       newErrors.email = 'Email is invalid';
     }
@@ -85,7 +147,7 @@ function Profile() {
   };
 
   const validatePasswordForm = () => {
-    const newErrors = {};
+    const newErrors = /** @type {Record<string, string>} */ ({});
     
     if (!passwordData.currentPassword) {
       newErrors.currentPassword = 'Current password is required';
@@ -119,21 +181,18 @@ function Profile() {
       setError('');
       setSuccess('');
       
-      const response = await api.put('/auth/profile', {
+      const response = await apiClient.updateProfile({
         firstName: formData.firstName.trim(),
         lastName: formData.lastName.trim(),
-        email: formData.email.trim()
+        email: formData.email.trim() || undefined
       });
       
       // Update user in auth context
       updateUser(response.data.user);
-      setSuccess('Profile updated successfully');
+      setSuccess(response.data.message);
     } catch (err) {
-      if (err.response?.data?.message) {
-        setError(err.response.data.message);
-      } else {
-        setError('Failed to update profile');
-      }
+      setError(getErrorMessage(err, 'Failed to update profile'));
+      setErrors(getFieldErrors(err));
       console.error('Profile update error:', err);
     } finally {
       setLoading(false);
@@ -152,11 +211,14 @@ function Profile() {
       setError('');
       setSuccess('');
       
-      await api.put('/auth/password', {
+      const response = await apiClient.changePassword({
         currentPassword: passwordData.currentPassword,
         newPassword: passwordData.newPassword
       });
       
+      // Other sessions were signed out; keep this one with the new tokens
+      storeSession(response.data);
+      
       setPasswordData({
         currentPassword: '',
         newPassword: '',
@@ -164,17 +226,203 @@ function Profile() {
       });
       setSuccess('Password updated successfully');
     } catch (err) {
-      if (err.response?.data?.message) {
-        setError(err.response.data.message);
-      } else {
-        setError('Failed to update password');
-      }
+      setError(getErrorMessage(err, 'Failed to update password'));
+      setPasswordErrors(getFieldErrors(err));
       console.error('Password update error:', err);
     } finally {
       setPasswordLoading(false);
     }
   };
 
+  const handleRevokeSession = async (sessionId) => {
+    try {
+      setRevokingSessionId(sessionId);
+      setError('');
+      setSuccess('');
+      
+      await apiClient.deleteSession(sessionId);
+      
+      setSessions(prev => prev.filter(session => session.id !== sessionId));
+      setSuccess('Device signed out');
+    } catch (err) {
+      setError(getErrorMessage(err, 'Failed to sign out device'));
+      console.error('Session revoke error:', err);
+    } finally {
+      setRevokingSessionId(null);
+    }
+  };
+
+  const handleLinkWallet = async () => {
+    try {
+      setWalletLoading(true);
+      setError('');
+      setSuccess('');
+      
+      const signed = await signInWithEthereum('Link this wallet to my Florka account.');
+      const response = await apiClient.addWallet(signed);
+      
+      setWallets(response.data.wallets);
+      setSuccess(response.data.message);
+    } catch (err) {
+      setError(getErrorMessage(err, 'Failed to link wallet'));
+      console.error('Wallet link error:', err);
+    } finally {
+      setWalletLoading(false);
+    }
+  };
+
+  const handleUnlinkWallet = async (walletId) => {
+    try {
+      setUnlinkingWalletId(walletId);
+      setError('');
+      setSuccess('');
+      
+      const response = await apiClient.removeWallet(walletId);
+      
+      setWallets(response.data.wallets);
+      setSuccess(response.data.message);
+    } catch (err) {
+      setError(getErrorMessage(err, 'Failed to unlink wallet'));
+      console.error('Wallet unlink error:', err);
+    } finally {
+      setUnlinkingWalletId(null);
+    }
+  };
+
+  const handleTokenScopeToggle = (scope) => {
+    setTokenForm(prev => ({
+      ...prev,
+      scopes: prev.scopes.includes(scope)
+        ? prev.scopes.filter(s => s !== scope)
+        : [...prev.scopes, scope]
+    }));
+  };
+
+  const handleCreateToken = async (e) => {
+    e.preventDefault();
+    
+    if (!tokenForm.name.trim() || tokenForm.scopes.length === 0) {
+      setError('Give the token a name and at least one scope');
+      return;
+    }
+    
+    try {
+      setTokenLoading(true);
+      setError('');
+      setSuccess('');
+      setNewToken('');
+      
+      const response = await apiClient.createToken({
+        name: tokenForm.name.trim(),
+        scopes: tokenForm.scopes,
+        expiresInDays: tokenForm.expiresInDays ? parseInt(tokenForm.expiresInDays) : undefined
+      });
+      
+      setNewToken(response.data.token);
+      setAccessTokens(prev => [response.data.accessToken, ...prev]);
+      setTokenForm({
+        name: '',
+        scopes: [],
+        expiresInDays: '90'
+      });
+    } catch (err) {
+      setError(getErrorMessage(err, 'Failed to create access token'));
+      console.error('Access token create error:', err);
+    } finally {
+      setTokenLoading(false);
+    }
+  };
+
+  const handleRevokeToken = async (tokenId) => {
+    try {
+      setRevokingTokenId(tokenId);
+      setError('');
+      setSuccess('');
+      
+      await apiClient.deleteToken(tokenId);
+      
+      setAccessTokens(prev => prev.filter(token => token.id !== tokenId));
+      setSuccess('Access token revoked');
+    } catch (err) {
+      setError(getErrorMessage(err, 'Failed to revoke access token'));
+      console.error('Access token revoke error:', err);
+    } finally {
+      setRevokingTokenId(null);
+    }
+  };
+
+  const handleExportData = async () => {
+    try {
+      setExportLoading(true);
+      setError('');
+      setSuccess('');
+      
+      const response = await apiClient.exportAccountData();
+      
+      // Save the export as a JSON file
+      const file = new Blob([JSON.stringify(response.data, null, 2)], { type: 'application/json' });
+      const url = URL.createObjectURL(file);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `account-export-${new Date().toISOString().slice(0, 10)}.json`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      setError('Failed to export your data');
+      console.error('Data export error:', err);
+    } finally {
+      setExportLoading(false);
+    }
+  };
+
+  const handleDeleteAccount = async (e) => {
+    e.preventDefault();
+    
+    if (!deletePassword) {
+      setError('Enter your password to delete your account');
+      return;
+    }
+    
+    if (!window.confirm('Delete your account and all of its data? You can cancel during the grace period.')) {
+      return;
+    }
+    
+    try {
+      setDeleteLoading(true);
+      setError('');
+      setSuccess('');
+      
+      const response = await apiClient.deleteAccount({ password: deletePassword });
+      
+      updateUser({ deletionScheduledAt: response.data.deletionScheduledAt });
+      setDeletePassword('');
+      setSuccess(response.data.message);
+    } catch (err) {
+      setError(getErrorMessage(err, 'Failed to delete account'));
+      console.error('Account deletion error:', err);
+    } finally {
+      setDeleteLoading(false);
+    }
+  };
+
+  const handleCancelDeletion = async () => {
+    try {
+      setDeleteLoading(true);
+      setError('');
+      setSuccess('');
+      
+      const response = await apiClient.cancelAccountDeletion();
+      
+      updateUser({ deletionScheduledAt: null });
+      setSuccess(response.data.message);
+    } catch (err) {
+      setError(getErrorMessage(err, 'Failed to cancel account deletion'));
+      console.error('Cancel deletion error:', err);
+    } finally {
+      setDeleteLoading(false);
+    }
+  };
+
   if (!user) {
     return (
       <div className="min-h-screen flex items-center justify-center">
@@ -250,11 +498,14 @@ function Profile() {
                   label="Email address"
                   name="email"
                   type="email"
-                  required
+                  required={Boolean(user.email)}
                   value={formData.email}
                   onChange={handleChange}
                   error={errors.email}
                   placeholder="Enter your email address"
+                  helperText={user.pendingEmail
+                    ? `Waiting for confirmation of ${user.pendingEmail}`
+                    : 'Changing your email requires confirming the new address'}
                 />
                 
                 <div className="flex justify-end">
@@ -325,6 +576,217 @@ function Profile() {
               </form>
             </div>
 
+            {/* Wallets */}
+            <div className="bg-white shadow rounded-lg">
+              <div className="px-6 py-4 border-b border-gray-200 flex items-center justify-between">
+                <div>
+                  <h2 className="text-lg font-medium text-gray-900">Wallets</h2>
+                  <p className="mt-1 text-sm text-gray-600">
+                    Ethereum wallets you can use to sign in.
+                  </p>
+                </div>
+                <Button
+                  variant="outline"
+                  size="small"
+                  loading={walletLoading}
+                  disabled={walletLoading}
+                  onClick={handleLinkWallet}
+                >
+                  Link wallet
+                </Button>
+              </div>
+              
+              <div className="p-6">
+                {wallets.length === 0 ? (
+                  <p className="text-sm text-gray-500">No wallets linked yet.</p>
+                ) : (
+                  <ul className="divide-y divide-gray-200">
+                    {wallets.map((wallet) => (
+                      <li key={wallet.id} className="py-4 flex items-center justify-between">
+                        <div>
+                          <p className="text-sm font-medium text-gray-900 font-mono">{wallet.address}</p>
+                          <p className="mt-1 text-sm text-gray-500">
+                            Chain {wallet.chainId} · Linked {new Date(wallet.createdAt).toLocaleDateString()}
+                          </p>
+                        </div>
+                        <Button
+                          variant="outline"
+                          size="small"
+                          loading={unlinkingWalletId === wallet.id}
+                          disabled={unlinkingWalletId === wallet.id}
+                          onClick={() => handleUnlinkWallet(wallet.id)}
+                        >
+                          Unlink
+                        </Button>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+            </div>
+
+            {/* Access Tokens */}
+            <div className="bg-white shadow rounded-lg">
+              <div className="px-6 py-4 border-b border-gray-200">
+                <h2 className="text-lg font-medium text-gray-900">Access Tokens</h2>
+                <p className="mt-1 text-sm text-gray-600">
+                  Personal access tokens for scripts and integrations. Send them as <code>Authorization: Bearer &lt;token&gt;</code>.
+                </p>
+              </div>
+              
+              <div className="p-6 space-y-6">
+                {newToken && (
+                  <Alert type="success" onClose={() => setNewToken('')}>
+                    <p>Copy your new token now. It won't be shown again.</p>
+                    <p className="mt-2 font-mono text-sm break-all">{newToken}</p>
+                  </Alert>
+                )}
+                
+                <form onSubmit={handleCreateToken} className="space-y-4">
+                  <div className="grid grid-cols-1 gap-4 sm:grid-cols-2">
+                    <Input
+                      label="Token name"
+                      name="name"
+                      type="text"
+                      value={tokenForm.name}
+                      onChange={(e) => setTokenForm(prev => ({ ...prev, name: e.target.value }))}
+                      placeholder="e.g. Deploy script"
+                    />
+                    
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">
+                        Expiration
+                      </label>
+                      <select
+                        value={tokenForm.expiresInDays}
+                        onChange={(e) => setTokenForm(prev => ({ ...prev, expiresInDays: e.target.value }))}
+                        className="block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
+                      >
+                        <option value="7">7 days</option>
+                        <option value="30">30 days</option>
+                        <option value="90">90 days</option>
+                        <option value="365">1 year</option>
+                        <option value="">Never</option>
+                      </select>
+                    </div>
+                  </div>
+                  
+                  <div>
+                    <span className="block text-sm font-medium text-gray-700 mb-1">Scopes</span>
+                    <div className="grid grid-cols-1 gap-2 sm:grid-cols-3">
+                      {availableScopes.map((scope) => (
+                        <label key={scope} className="flex items-center text-sm text-gray-700">
+                          <input
+                            type="checkbox"
+                            checked={tokenForm.scopes.includes(scope)}
+                            onChange={() => handleTokenScopeToggle(scope)}
+                            className="h-4 w-4 text-blue-600 border-gray-300 rounded"
+                          />
+                          <span className="ml-2 font-mono">{scope}</span>
+                        </label>
+                      ))}
+                    </div>
+                  </div>
+                  
+                  <div className="flex justify-end">
+                    <Button
+                      type="submit"
+                      size="small"
+                      loading={tokenLoading}
+                      disabled={tokenLoading}
+                    >
+                      Create token
+                    </Button>
+                  </div>
+                </form>
+                
+                {accessTokens.length === 0 ? (
+                  <p className="text-sm text-gray-500">No access tokens yet.</p>
+                ) : (
+                  <ul className="divide-y divide-gray-200 border-t border-gray-200">
+                    {accessTokens.map((token) => (
+                      <li key={token.id} className="py-4 flex items-center justify-between">
+                        <div>
+                          <p className="text-sm font-medium text-gray-900">
+                            {token.name} <span className="font-mono text-gray-500">{token.prefix}…</span>
+                          </p>
+                          <p className="mt-1 text-sm text-gray-500 font-mono">{token.scopes.join(', ')}</p>
+                          <p className="text-xs text-gray-400">
+                            {token.lastUsedAt ? `Last used ${new Date(token.lastUsedAt).toLocaleString()}` : 'Never used'}
+                            {' · '}
+                            {token.expiresAt ? `Expires ${new Date(token.expiresAt).toLocaleDateString()}` : 'No expiration'}
+                          </p>
+                        </div>
+                        <Button
+                          variant="outline"
+                          size="small"
+                          loading={revokingTokenId === token.id}
+                          disabled={revokingTokenId === token.id}
+                          onClick={() => handleRevokeToken(token.id)}
+                        >
+                          Revoke
+                        </Button>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+            </div>
+
+            {/* Active Sessions */}
+            <div className="bg-white shadow rounded-lg">
+              <div className="px-6 py-4 border-b border-gray-200">
+                <h2 className="text-lg font-medium text-gray-900">Active Sessions</h2>
+                <p className="mt-1 text-sm text-gray-600">
+                  Devices where you are signed in. Sign out any device you don't recognize.
+                </p>
+              </div>
+              
+              <div className="p-6">
+                {sessionsLoading ? (
+                  <div className="flex justify-center">
+                    <LoadingSpinner />
+                  </div>
+                ) : sessions.length === 0 ? (
+                  <p className="text-sm text-gray-500">No active sessions.</p>
+                ) : (
+                  <ul className="divide-y divide-gray-200">
+                    {sessions.map((session) => (
+                      <li key={session.id} className="py-4 flex items-center justify-between">
+                        <div>
+                          <p className="text-sm font-medium text-gray-900">
+                            {session.device || 'Unknown device'}
+                            {session.current && (
+                              <span className="ml-2 inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-green-100 text-green-800">
+                                This device
+                              </span>
+                            )}
+                          </p>
+                          <p className="mt-1 text-sm text-gray-500">
+                            {session.ipAddress || 'Unknown IP'} · Last active {new Date(session.lastSeenAt).toLocaleString()}
+                          </p>
+                          <p className="text-xs text-gray-400">
+                            Signed in {new Date(session.createdAt).toLocaleString()}
+                          </p>
+                        </div>
+                        {!session.current && (
+                          <Button
+                            variant="outline"
+                            size="small"
+                            loading={revokingSessionId === session.id}
+                            disabled={revokingSessionId === session.id}
+                            onClick={() => handleRevokeSession(session.id)}
+                          >
+                            Sign out
+                          </Button>
+                        )}
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+            </div>
+
             {/* Account Information */}
             <div className="bg-white shadow rounded-lg">
               <div className="px-6 py-4 border-b border-gray-200">
@@ -369,6 +831,86 @@ function Profile() {
                 </dl>
               </div>
             </div>
+
+            {/* Your Data */}
+            <div className="bg-white shadow rounded-lg">
+              <div className="px-6 py-4 border-b border-gray-200">
+                <h2 className="text-lg font-medium text-gray-900">Your Data</h2>
+                <p className="mt-1 text-sm text-gray-600">
+                  Download a copy of your data or delete your account.
+                </p>
+              </div>
+              
+              <div className="p-6 space-y-6">
+                <div className="flex items-center justify-between">
+                  <div>
+                    <p className="text-sm font-medium text-gray-900">Export your data</p>
+                    <p className="text-sm text-gray-500">
+                      Your profile, sessions, forum activity, votes, connections and requests as a JSON file.
+                    </p>
+                  </div>
+                  <Button
+                    variant="outline"
+                    size="small"
+                    loading={exportLoading}
+                    disabled={exportLoading}
+                    onClick={handleExportData}
+                  >
+                    Download
+                  </Button>
+                </div>
+                
+                <div className="border-t border-gray-200 pt-6">
+                  {user.deletionScheduledAt ? (
+                    <div className="flex items-center justify-between">
+                      <div>
+                        <p className="text-sm font-medium text-red-700">Account deletion scheduled</p>
+                        <p className="text-sm text-gray-500">
+                          Your account and its data will be deleted on {new Date(user.deletionScheduledAt).toLocaleString()}.
+                        </p>
+                      </div>
+                      <Button
+                        variant="outline"
+                        size="small"
+                        loading={deleteLoading}
+                        disabled={deleteLoading}
+                        onClick={handleCancelDeletion}
+                      >
+                        Cancel deletion
+                      </Button>
+                    </div>
+                  ) : (
+                    <form onSubmit={handleDeleteAccount} className="space-y-4">
+                      <div>
+                        <p className="text-sm font-medium text-gray-900">Delete account</p>
+                        <p className="text-sm text-gray-500">
+                          Your account is deleted after a grace period, during which you can still cancel.
+                          Forum posts and comments stay under an anonymous name.
+                        </p>
+                      </div>
+                      <Input
+                        label="Password"
+                        type="password"
+                        value={deletePassword}
+                        onChange={(e) => setDeletePassword(e.target.value)}
+                        autoComplete="current-password"
+                      />
+                      <div className="flex justify-end">
+                        <Button
+                          type="submit"
+                          variant="danger"
+                          size="small"
+                          loading={deleteLoading}
+                          disabled={deleteLoading}
+                        >
+                          Delete account
+                        </Button>
+                      </div>
+                    </form>
+                  )}
+                </div>
+              </div>
+            </div>
           </div>
         </div>
       </div>
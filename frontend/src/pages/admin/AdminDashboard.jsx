@@ -1,6 +1,6 @@
 import React, { useState, useEffect } from 'react';
 import { Link } from 'react-router-dom';
-import api from '../../services/api';
+import * as apiClient from '../../services/apiClient';
 import Button from '../../components/ui/Button';
 import LoadingSpinner from '../../components/ui/LoadingSpinner';
 import Alert from '../../components/ui/Alert';
@@ -21,19 +21,15 @@ function AdminDashboard() {
       setLoading(true);
       
       // Load dashboard stats
-      const statsResponse = await api.get('/admin/dashboard/stats');
+      const statsResponse = await apiClient.getAdminStats();
       setStats(statsResponse.data);
       
-      // Load recent users
-      const usersResponse = await api.get('/admin/users', {
-        params: { page: 1, limit: 5, sort: 'createdAt', order: 'desc' }
-      });
+      // Load recent users (newest first)
+      const usersResponse = await apiClient.getAdminUsers({ page: 1, limit: 5 });
       setRecentUsers(usersResponse.data.users || []);
       
-      // Load recent projects
-      const projectsResponse = await api.get('/admin/projects', {
-        params: { page: 1, limit: 5, sort: 'createdAt', order: 'desc' }
-      });
+      // Load recent projects (newest first)
+      const projectsResponse = await apiClient.getAdminProjects({ page: 1, limit: 5 });
       setRecentProjects(projectsResponse.data.projects || []);
       
     } catch (err) {
@@ -184,6 +180,21 @@ function AdminDashboard() {
                 Manage Projects
               </Button>
             </Link>
+            <Link to="/admin/admins">
+              <Button className="w-full" variant="outline">
+                Manage Admins
+              </Button>
+            </Link>
+            <Link to="/admin/audit-logs">
+              <Button className="w-full" variant="outline">
+                Audit Log
+              </Button>
+            </Link>
+            <Link to="/admin/trash">
+              <Button className="w-full" variant="outline">
+                Trash
+              </Button>
+            </Link>
             <Button className="w-full" variant="outline">
               System Settings
             </Button>
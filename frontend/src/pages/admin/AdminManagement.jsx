@@ -0,0 +1,469 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import * as apiClient from '../../services/apiClient';
+import { useAuth } from '../../hooks/useAuth';
+import Button from '../../components/ui/Button';
+import Input from '../../components/ui/Input';
+import Modal from '../../components/ui/Modal';
+import LoadingSpinner from '../../components/ui/LoadingSpinner';
+import Alert from '../../components/ui/Alert';
+import { getErrorMessage } from '../../utils/errors';
+
+/** @type {{ name: string, email: string, role: apiClient.InviteAdminBody['role'], roleId: string, department: string }} */
+const emptyForm = {
+  name: '',
+  email: '',
+  role: 'ADMIN',
+  roleId: '',
+  department: ''
+};
+
+const selectClasses = 'block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm';
+
+function AdminManagement() {
+  const { user } = useAuth();
+  const [admins, setAdmins] = useState([]);
+  const [roles, setRoles] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+  const [actionLoading, setActionLoading] = useState({});
+  const [modal, setModal] = useState(null); // { mode: 'invite' } or { mode: 'edit', admin }
+  const [formData, setFormData] = useState(emptyForm);
+  const [formErrors, setFormErrors] = useState(/** @type {Record<string, string>} */ ({}));
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    loadAdmins();
+    loadRoles();
+  }, []);
+
+  const loadAdmins = async () => {
+    try {
+      setLoading(true);
+      const response = await apiClient.getAdmins();
+      setAdmins(response.data.admins || []);
+    } catch (err) {
+      setError(getErrorMessage(err, 'Failed to load admins'));
+      console.error('Load admins error:', err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const loadRoles = async () => {
+    try {
+      const response = await apiClient.getRoles();
+      setRoles((response.data.roles || []).filter(role => !role.builtIn));
+    } catch (err) {
+      console.error('Load roles error:', err);
+    }
+  };
+
+  const openInvite = () => {
+    setFormData(emptyForm);
+    setFormErrors({});
+    setModal({ mode: 'invite' });
+  };
+
+  const openEdit = (admin) => {
+    setFormData({
+      name: admin.name,
+      email: admin.email,
+      role: admin.role,
+      roleId: admin.roleId || '',
+      department: admin.department || ''
+    });
+    setFormErrors({});
+    setModal({ mode: 'edit', admin });
+  };
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({
+      ...prev,
+      [name]: value
+    }));
+    
+    // Clear field error when user starts typing
+    if (formErrors[name]) {
+      setFormErrors(prev => ({
+        ...prev,
+        [name]: ''
+      }));
+    }
+  };
+
+  const validateForm = () => {
+    const newErrors = /** @type {Record<string, string>} */ ({});
+    
+    if (!formData.name.trim()) {
+      newErrors.name = 'Name is required';
+    }
+    
+    if (modal.mode === 'invite' && !/\S+@\S+\.\S+/.test(formData.email)) {
+      newErrors.email = 'Email is invalid';
+    }
+    
+    setFormErrors(newErrors);
+    return Object.keys(newErrors).length === 0;
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    
+    if (!validateForm()) {
+      return;
+    }
+    
+    const data = {
+      name: formData.name.trim(),
+      role: formData.role,
+      roleId: formData.role === 'SUPER_ADMIN' ? null : formData.roleId || null,
+      department: formData.department.trim() || null
+    };
+    
+    try {
+      setSaving(true);
+      setError('');
+      setSuccess('');
+      
+      const response = modal.mode === 'invite'
+        ? await apiClient.inviteAdmin({ ...data, email: formData.email.trim() })
+        : await apiClient.updateAdmin(modal.admin.id, data);
+      
+      setModal(null);
+      setSuccess(response.data.message);
+      loadAdmins();
+    } catch (err) {
+      setError(getErrorMessage(err, 'Failed to save admin'));
+      console.error('Save admin error:', err);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const runAction = async (adminId, action, fallbackMessage) => {
+    try {
+      setActionLoading(prev => ({ ...prev, [adminId]: true }));
+      setError('');
+      setSuccess('');
+      
+      const response = await action();
+      
+      setSuccess(response.data.message);
+      loadAdmins();
+    } catch (err) {
+      setError(getErrorMessage(err, fallbackMessage));
+      console.error('Admin action error:', err);
+    } finally {
+      setActionLoading(prev => ({ ...prev, [adminId]: false }));
+    }
+  };
+
+  const handleStatusChange = (admin, status) => {
+    runAction(admin.id, () => apiClient.updateAdminStatus(admin.id, { status }), 'Failed to update admin status');
+  };
+
+  const handleResendInvite = (admin) => {
+    runAction(admin.id, () => apiClient.resendAdminInvitation(admin.id), 'Failed to resend invitation');
+  };
+
+  const handleCancelInvite = (admin) => {
+    if (!window.confirm(`Cancel the invitation for ${admin.email}?`)) {
+      return;
+    }
+    
+    runAction(admin.id, () => apiClient.deleteAdminInvitation(admin.id), 'Failed to cancel invitation');
+  };
+
+  const statusClasses = (status) => {
+    if (status === 'ACTIVE') {
+      return 'bg-green-100 text-green-800';
+    }
+    
+    return status === 'INVITED' ? 'bg-yellow-100 text-yellow-800' : 'bg-red-100 text-red-800';
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <div className="max-w-7xl mx-auto py-6 sm:px-6 lg:px-8">
+        {/* Header */}
+        <div className="px-4 py-6 sm:px-0">
+          <div className="border-b border-gray-200 pb-5">
+            <div className="flex items-center justify-between">
+              <div>
+                <h1 className="text-3xl font-bold leading-tight text-gray-900">
+                  Admin Management
+                </h1>
+                <p className="mt-2 text-sm text-gray-600">
+                  Invite administrators and manage their roles
+                </p>
+              </div>
+              <div className="flex items-center space-x-2">
+                <Button onClick={openInvite}>
+                  Invite admin
+                </Button>
+                <Link to="/admin">
+                  <Button variant="outline">
+                    ← Back to Dashboard
+                  </Button>
+                </Link>
+              </div>
+            </div>
+          </div>
+        </div>
+        
+        {/* Messages */}
+        {success && (
+          <div className="px-4 sm:px-0 mb-6">
+            <Alert type="success" onClose={() => setSuccess('')}>
+              {success}
+            </Alert>
+          </div>
+        )}
+        
+        {error && (
+          <div className="px-4 sm:px-0 mb-6">
+            <Alert type="error" onClose={() => setError('')}>
+              {error}
+            </Alert>
+          </div>
+        )}
+        
+        {/* Admins Table */}
+        <div className="px-4 sm:px-0">
+          <div className="bg-white shadow rounded-lg overflow-hidden">
+            {loading ? (
+              <div className="p-8 text-center">
+                <LoadingSpinner size="large" />
+              </div>
+            ) : admins.length === 0 ? (
+              <div className="p-8 text-center text-gray-500">
+                No admins found
+              </div>
+            ) : (
+              <div className="overflow-x-auto">
+                <table className="min-w-full divide-y divide-gray-200">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                        Admin
+                      </th>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                        Role
+                      </th>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                        Department
+                      </th>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                        Status
+                      </th>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                        Last login
+                      </th>
+                      <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
+                        Actions
+                      </th>
+                    </tr>
+                  </thead>
+                  <tbody className="bg-white divide-y divide-gray-200">
+                    {admins.map((admin) => (
+                      <tr key={admin.id} className="hover:bg-gray-50">
+                        <td className="px-6 py-4 whitespace-nowrap">
+                          <div className="text-sm font-medium text-gray-900">
+                            {admin.name}
+                            {admin.id === user?.id && (
+                              <span className="ml-2 text-xs text-gray-500">(you)</span>
+                            )}
+                          </div>
+                          <div className="text-sm text-gray-500">
+                            {admin.email}
+                          </div>
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap">
+                          <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${
+                            admin.role === 'SUPER_ADMIN'
+                              ? 'bg-purple-100 text-purple-800'
+                              : 'bg-gray-100 text-gray-800'
+                          }`}>
+                            {admin.assignedRole?.name || admin.role}
+                          </span>
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                          {admin.department || '—'}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap">
+                          <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${statusClasses(admin.status)}`}>
+                            {admin.status.toLowerCase()}
+                          </span>
+                          {admin.status === 'INVITED' && admin.inviteTokenExpiry && (
+                            <div className="mt-1 text-xs text-gray-400">
+                              Link expires {new Date(admin.inviteTokenExpiry).toLocaleDateString()}
+                            </div>
+                          )}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                          {admin.lastLogin ? new Date(admin.lastLogin).toLocaleString() : 'Never'}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
+                          <div className="flex items-center justify-end space-x-2">
+                            <Button
+                              size="small"
+                              variant="outline"
+                              onClick={() => openEdit(admin)}
+                              disabled={actionLoading[admin.id]}
+                            >
+                              Edit
+                            </Button>
+                            
+                            {admin.status === 'INVITED' ? (
+                              <>
+                                <Button
+                                  size="small"
+                                  variant="outline"
+                                  onClick={() => handleResendInvite(admin)}
+                                  loading={actionLoading[admin.id]}
+                                  disabled={actionLoading[admin.id]}
+                                >
+                                  Resend invite
+                                </Button>
+                                <Button
+                                  size="small"
+                                  variant="outline"
+                                  className="text-red-600 hover:text-red-700"
+                                  onClick={() => handleCancelInvite(admin)}
+                                  disabled={actionLoading[admin.id]}
+                                >
+                                  Cancel invite
+                                </Button>
+                              </>
+                            ) : admin.status === 'ACTIVE' ? (
+                              admin.id !== user?.id && (
+                                <Button
+                                  size="small"
+                                  variant="outline"
+                                  className="text-red-600 hover:text-red-700"
+                                  onClick={() => handleStatusChange(admin, 'INACTIVE')}
+                                  loading={actionLoading[admin.id]}
+                                  disabled={actionLoading[admin.id]}
+                                >
+                                  Deactivate
+                                </Button>
+                              )
+                            ) : (
+                              <Button
+                                size="small"
+                                variant="outline"
+                                onClick={() => handleStatusChange(admin, 'ACTIVE')}
+                                loading={actionLoading[admin.id]}
+                                disabled={actionLoading[admin.id]}
+                              >
+                                Activate
+                              </Button>
+                            )}
+                          </div>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+      
+      {/* Invite / Edit Modal */}
+      <Modal
+        isOpen={!!modal}
+        onClose={() => setModal(null)}
+        title={modal?.mode === 'invite' ? 'Invite admin' : 'Edit admin'}
+      >
+        <form onSubmit={handleSubmit} className="space-y-4">
+          {modal?.mode === 'invite' && (
+            <p className="text-sm text-gray-600">
+              The new admin receives an email with a one-time link to choose their password.
+            </p>
+          )}
+          
+          <Input
+            label="Name"
+            name="name"
+            type="text"
+            required
+            value={formData.name}
+            onChange={handleChange}
+            error={formErrors.name}
+          />
+          
+          <Input
+            label="Email"
+            name="email"
+            type="email"
+            required
+            value={formData.email}
+            onChange={handleChange}
+            error={formErrors.email}
+            disabled={modal?.mode === 'edit'}
+          />
+          
+          <div>
+            <label htmlFor="role" className="block text-sm font-medium text-gray-700 mb-1">
+              Role
+            </label>
+            <select
+              id="role"
+              name="role"
+              value={formData.role}
+              onChange={handleChange}
+              className={selectClasses}
+            >
+              <option value="ADMIN">Admin</option>
+              <option value="SUPER_ADMIN" disabled={user?.role !== 'SUPER_ADMIN'}>Super admin</option>
+            </select>
+          </div>
+          
+          {formData.role === 'ADMIN' && roles.length > 0 && (
+            <div>
+              <label htmlFor="roleId" className="block text-sm font-medium text-gray-700 mb-1">
+                Permissions from
+              </label>
+              <select
+                id="roleId"
+                name="roleId"
+                value={formData.roleId}
+                onChange={handleChange}
+                className={selectClasses}
+              >
+                <option value="">Default admin permissions</option>
+                {roles.map((role) => (
+                  <option key={role.id} value={role.id}>{role.name}</option>
+                ))}
+              </select>
+            </div>
+          )}
+          
+          <Input
+            label="Department"
+            name="department"
+            type="text"
+            value={formData.department}
+            onChange={handleChange}
+          />
+          
+          <div className="flex justify-end space-x-2">
+            <Button type="button" variant="outline" onClick={() => setModal(null)}>
+              Cancel
+            </Button>
+            <Button type="submit" loading={saving} disabled={saving}>
+              {modal?.mode === 'invite' ? 'Send invitation' : 'Save changes'}
+            </Button>
+          </div>
+        </form>
+      </Modal>
+    </div>
+  );
+}
+
+export default AdminManagement;
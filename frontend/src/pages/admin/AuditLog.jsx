@@ -0,0 +1,365 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import * as apiClient from '../../services/apiClient';
+import Button from '../../components/ui/Button';
+import Input from '../../components/ui/Input';
+import LoadingSpinner from '../../components/ui/LoadingSpinner';
+import Alert from '../../components/ui/Alert';
+import { getErrorMessage } from '../../utils/errors';
+
+const ACTIONS = [
+  'user.status.update',
+  'user.unlock',
+  'user.delete',
+  'user.restore',
+  'user.impersonate',
+  'project.status.update',
+  'project.delete',
+  'project.restore',
+  'role.create',
+  'role.update',
+  'role.delete',
+  'admin.invite',
+  'admin.invite.resend',
+  'admin.invite.delete',
+  'admin.update',
+  'admin.status.update'
+];
+
+const TARGET_TYPES = ['User', 'Project', 'UserRole', 'AdminUser'];
+
+const formatValue = (value) => {
+  if (value === null || value === undefined) {
+    return '—';
+  }
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+};
+
+function AuditLog() {
+  const [logs, setLogs] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [pagination, setPagination] = useState({
+    page: 1,
+    limit: 20,
+    total: 0,
+    pages: 0
+  });
+  const [filters, setFilters] = useState({
+    action: '',
+    targetType: '',
+    targetId: '',
+    from: '',
+    to: ''
+  });
+  const [expanded, setExpanded] = useState(null);
+
+  useEffect(() => {
+    loadLogs();
+  }, [pagination.page, filters.action, filters.targetType, filters.from, filters.to]);
+
+  const loadLogs = async () => {
+    try {
+      setLoading(true);
+      const params = {
+        page: pagination.page,
+        limit: pagination.limit,
+        ...(filters.action && { action: filters.action }),
+        ...(filters.targetType && { targetType: filters.targetType }),
+        ...(filters.targetId && { targetId: filters.targetId.trim() }),
+        ...(filters.from && { from: new Date(`${filters.from}T00:00:00`).toISOString() }),
+        ...(filters.to && { to: new Date(`${filters.to}T23:59:59.999`).toISOString() })
+      };
+      
+      const response = await apiClient.getAuditLogs(params);
+      setLogs(response.data.logs);
+      setPagination(prev => ({
+        ...prev,
+        total: response.data.pagination.total,
+        pages: response.data.pagination.pages
+      }));
+    } catch (err) {
+      setError(getErrorMessage(err, 'Failed to load the audit log'));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleFilterChange = (e) => {
+    const { name, value } = e.target;
+    setFilters(prev => ({
+      ...prev,
+      [name]: value
+    }));
+    
+    // The target ID is applied on submit, the other filters right away
+    if (name !== 'targetId') {
+      setPagination(prev => ({ ...prev, page: 1 }));
+    }
+  };
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    if (pagination.page === 1) {
+      loadLogs();
+    } else {
+      setPagination(prev => ({ ...prev, page: 1 }));
+    }
+  };
+
+  const handlePageChange = (newPage) => {
+    setPagination(prev => ({ ...prev, page: newPage }));
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <div className="max-w-7xl mx-auto py-6 sm:px-6 lg:px-8">
+        {/* Header */}
+        <div className="px-4 py-6 sm:px-0">
+          <div className="border-b border-gray-200 pb-5">
+            <div className="flex items-center justify-between">
+              <div>
+                <h1 className="text-3xl font-bold leading-tight text-gray-900">
+                  Audit Log
+                </h1>
+                <p className="mt-2 text-sm text-gray-600">
+                  Every change made by administrators, newest first
+                </p>
+              </div>
+              <Link to="/admin">
+                <Button variant="outline">
+                  ← Back to Dashboard
+                </Button>
+              </Link>
+            </div>
+          </div>
+        </div>
+        
+        {error && (
+          <div className="px-4 sm:px-0 mb-6">
+            <Alert type="error" onClose={() => setError('')}>
+              {error}
+            </Alert>
+          </div>
+        )}
+        
+        {/* Filters */}
+        <div className="px-4 sm:px-0 mb-6">
+          <div className="bg-white shadow rounded-lg p-6">
+            <form onSubmit={handleSearch} className="space-y-4">
+              <div className="grid grid-cols-1 gap-4 sm:grid-cols-5">
+                <div>
+                  <label htmlFor="action" className="block text-sm font-medium text-gray-700 mb-2">
+                    Action
+                  </label>
+                  <select
+                    id="action"
+                    name="action"
+                    value={filters.action}
+                    onChange={handleFilterChange}
+                    className="block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500 sm:text-sm"
+                  >
+                    <option value="">All Actions</option>
+                    {ACTIONS.map((action) => (
+                      <option key={action} value={action}>{action}</option>
+                    ))}
+                  </select>
+                </div>
+                
+                <div>
+                  <label htmlFor="targetType" className="block text-sm font-medium text-gray-700 mb-2">
+                    Target
+                  </label>
+                  <select
+                    id="targetType"
+                    name="targetType"
+                    value={filters.targetType}
+                    onChange={handleFilterChange}
+                    className="block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500 sm:text-sm"
+                  >
+                    <option value="">All Targets</option>
+                    {TARGET_TYPES.map((type) => (
+                      <option key={type} value={type}>{type}</option>
+                    ))}
+                  </select>
+                </div>
+                
+                <Input
+                  label="Target ID"
+                  name="targetId"
+                  type="text"
+                  value={filters.targetId}
+                  onChange={handleFilterChange}
+                />
+                
+                <Input
+                  label="From"
+                  name="from"
+                  type="date"
+                  value={filters.from}
+                  onChange={handleFilterChange}
+                />
+                
+                <Input
+                  label="To"
+                  name="to"
+                  type="date"
+                  value={filters.to}
+                  onChange={handleFilterChange}
+                />
+              </div>
+              
+              <div className="flex justify-end">
+                <Button type="submit">
+                  Search
+                </Button>
+              </div>
+            </form>
+          </div>
+        </div>
+        
+        {/* Entries */}
+        <div className="px-4 sm:px-0">
+          <div className="bg-white shadow rounded-lg overflow-hidden">
+            {loading ? (
+              <div className="p-8 text-center">
+                <LoadingSpinner size="large" />
+              </div>
+            ) : logs.length === 0 ? (
+              <div className="p-8 text-center text-gray-500">
+                No entries found
+              </div>
+            ) : (
+              <>
+                <div className="overflow-x-auto">
+                  <table className="min-w-full divide-y divide-gray-200">
+                    <thead className="bg-gray-50">
+                      <tr>
+                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                          Date
+                        </th>
+                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                          Admin
+                        </th>
+                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                          Action
+                        </th>
+                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                          Target
+                        </th>
+                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                          IP Address
+                        </th>
+                        <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
+                          Changes
+                        </th>
+                      </tr>
+                    </thead>
+                    <tbody className="bg-white divide-y divide-gray-200">
+                      {logs.map((log) => (
+                        <React.Fragment key={log.id}>
+                          <tr className="hover:bg-gray-50">
+                            <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                              {new Date(log.createdAt).toLocaleString()}
+                            </td>
+                            <td className="px-6 py-4 whitespace-nowrap">
+                              <div className="text-sm text-gray-900">
+                                {log.actor?.name || 'Deleted admin'}
+                              </div>
+                              <div className="text-sm text-gray-500">
+                                {log.actor?.email || log.actorId} · {log.actorRole}
+                              </div>
+                            </td>
+                            <td className="px-6 py-4 whitespace-nowrap text-sm font-mono text-gray-900">
+                              {log.action}
+                            </td>
+                            <td className="px-6 py-4 whitespace-nowrap">
+                              <div className="text-sm text-gray-900">{log.targetType}</div>
+                              <div className="text-xs font-mono text-gray-500">{log.targetId}</div>
+                            </td>
+                            <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                              {log.ipAddress || '—'}
+                            </td>
+                            <td className="px-6 py-4 whitespace-nowrap text-right text-sm">
+                              {log.changes ? (
+                                <Button
+                                  size="sm"
+                                  variant="outline"
+                                  onClick={() => setExpanded(expanded === log.id ? null : log.id)}
+                                >
+                                  {expanded === log.id ? 'Hide' : `Show (${Object.keys(log.changes).length})`}
+                                </Button>
+                              ) : (
+                                <span className="text-gray-400">—</span>
+                              )}
+                            </td>
+                          </tr>
+                          {expanded === log.id && log.changes && (
+                            <tr>
+                              <td colSpan={6} className="px-6 py-4 bg-gray-50">
+                                <table className="min-w-full text-sm">
+                                  <thead>
+                                    <tr className="text-left text-xs text-gray-500 uppercase">
+                                      <th className="pr-6 pb-2">Field</th>
+                                      <th className="pr-6 pb-2">Before</th>
+                                      <th className="pb-2">After</th>
+                                    </tr>
+                                  </thead>
+                                  <tbody>
+                                    {Object.entries(log.changes).map(([field, change]) => (
+                                      <tr key={field} className="align-top">
+                                        <td className="pr-6 py-1 font-medium text-gray-900">{field}</td>
+                                        <td className="pr-6 py-1 font-mono text-red-700 break-all">{formatValue(change.before)}</td>
+                                        <td className="py-1 font-mono text-green-700 break-all">{formatValue(change.after)}</td>
+                                      </tr>
+                                    ))}
+                                  </tbody>
+                                </table>
+                                {log.userAgent && (
+                                  <p className="mt-3 text-xs text-gray-500">{log.userAgent}</p>
+                                )}
+                              </td>
+                            </tr>
+                          )}
+                        </React.Fragment>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+                
+                {/* Pagination */}
+                {pagination.pages > 1 && (
+                  <div className="bg-white px-4 py-3 flex items-center justify-between border-t border-gray-200 sm:px-6">
+                    <p className="text-sm text-gray-700">
+                      Page <span className="font-medium">{pagination.page}</span> of{' '}
+                      <span className="font-medium">{pagination.pages}</span>{' '}
+                      ({pagination.total} entries)
+                    </p>
+                    <div className="flex space-x-2">
+                      <Button
+                        variant="outline"
+                        onClick={() => handlePageChange(pagination.page - 1)}
+                        disabled={pagination.page === 1}
+                      >
+                        Previous
+                      </Button>
+                      <Button
+                        variant="outline"
+                        onClick={() => handlePageChange(pagination.page + 1)}
+                        disabled={pagination.page === pagination.pages}
+                      >
+                        Next
+                      </Button>
+                    </div>
+                  </div>
+                )}
+              </>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default AuditLog;
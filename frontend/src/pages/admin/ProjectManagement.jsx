@@ -1,13 +1,13 @@
 import React, { useState, useEffect } from 'react';
 import { Link } from 'react-router-dom';
-import api from '../../services/api';
+import * as apiClient from '../../services/apiClient';
 import Button from '../../components/ui/Button';
 import Input from '../../components/ui/Input';
 import LoadingSpinner from '../../components/ui/LoadingSpinner';
 import Alert from '../../components/ui/Alert';
 
 function ProjectManagement() {
-  const [projects, setProjects] = useState([]);
+  const [projects, setProjects] = useState(/** @type {apiClient.GetAdminProjectsResponse['projects']} */ ([]));
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
   const [success, setSuccess] = useState('');
@@ -19,8 +19,7 @@ function ProjectManagement() {
   });
   const [filters, setFilters] = useState({
     search: '',
-    status: '',
-    visibility: ''
+    status: /** @type {apiClient.GetAdminProjectsQuery['status'] | ''} */ ('')
   });
   const [actionLoading, setActionLoading] = useState({});
 
@@ -35,16 +34,15 @@ function ProjectManagement() {
         page: pagination.page,
         limit: pagination.limit,
         ...(filters.search && { search: filters.search }),
-        ...(filters.status && { status: filters.status }),
-        ...(filters.visibility && { visibility: filters.visibility })
+        ...(filters.status && { status: filters.status })
       };
       
-      const response = await api.get('/admin/projects', { params });
+      const response = await apiClient.getAdminProjects(params);
       setProjects(response.data.projects || []);
       setPagination(prev => ({
         ...prev,
-        total: response.data.total || 0,
-        totalPages: response.data.totalPages || 0
+        total: response.data.pagination.total,
+        totalPages: response.data.pagination.pages
       }));
     } catch (err) {
       setError('Failed to load projects');
@@ -69,15 +67,19 @@ function ProjectManagement() {
     loadProjects();
   };
 
+  /**
+   * @param {string} projectId
+   * @param {apiClient.UpdateProjectStatusBody['status']} newStatus
+   */
   const handleStatusChange = async (projectId, newStatus) => {
     try {
       setActionLoading(prev => ({ ...prev, [projectId]: true }));
-      await api.put(`/admin/projects/${projectId}/status`, { status: newStatus });
+      await apiClient.updateProjectStatus(projectId, { status: newStatus });
       
       setProjects(prev => prev.map(project => 
         project.id === projectId ? { ...project, status: newStatus } : project
       ));
-      setSuccess(`Project status updated to ${newStatus}`);
+      setSuccess(`Project status updated to ${newStatus.toLowerCase().replace('_', ' ')}`);
     } catch (err) {
       setError('Failed to update project status');
       console.error('Update project status error:', err);
@@ -87,13 +89,13 @@ function ProjectManagement() {
   };
 
   const handleDeleteProject = async (projectId) => {
-    if (!window.confirm('Are you sure you want to delete this project? This action cannot be undone.')) {
+    if (!window.confirm('Move this project to the trash? It can be restored from the Trash page until it is purged.')) {
       return;
     }
     
     try {
       setActionLoading(prev => ({ ...prev, [projectId]: true }));
-      await api.delete(`/admin/projects/${projectId}`);
+      await apiClient.deleteAdminProject(projectId);
       
       setProjects(prev => prev.filter(project => project.id !== projectId));
       setSuccess('Project deleted successfully');
@@ -155,7 +157,7 @@ function ProjectManagement() {
           <div className="bg-white shadow rounded-lg p-6">
             <form onSubmit={handleSearch} className="space-y-4">
               <div className="grid grid-cols-1 gap-4 sm:grid-cols-4">
-                <div className="sm:col-span-2">
+                <div className="sm:col-span-3">
                   <Input
                     label="Search projects"
                     name="search"
@@ -178,26 +180,10 @@ function ProjectManagement() {
                     className="block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500 sm:text-sm"
                   >
                     <option value="">All Statuses</option>
-                    <option value="draft">Draft</option>
-                    <option value="published">Published</option>
-                    <option value="archived">Archived</option>
-                  </select>
-                </div>
-                
-                <div>
-                  <label htmlFor="visibility" className="block text-sm font-medium text-gray-700 mb-2">
-                    Visibility
-                  </label>
-                  <select
-                    id="visibility"
-                    name="visibility"
-                    value={filters.visibility}
-                    onChange={handleFilterChange}
-                    className="block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500 sm:text-sm"
-                  >
-                    <option value="">All Visibility</option>
-                    <option value="public">Public</option>
-                    <option value="private">Private</option>
+                    <option value="DRAFT">Draft</option>
+                    <option value="UNDER_REVIEW">Under review</option>
+                    <option value="PUBLISHED">Published</option>
+                    <option value="ARCHIVED">Archived</option>
                   </select>
                 </div>
               </div>
@@ -278,22 +264,22 @@ function ProjectManagement() {
                           </td>
                           <td className="px-6 py-4 whitespace-nowrap">
                             <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${
-                              project.status === 'published' 
+                              project.status === 'PUBLISHED'
                                 ? 'bg-green-100 text-green-800'
-                                : project.status === 'draft'
+                                : project.status === 'DRAFT'
                                 ? 'bg-yellow-100 text-yellow-800'
                                 : 'bg-gray-100 text-gray-800'
                             }`}>
-                              {project.status}
+                              {project.status.toLowerCase().replace('_', ' ')}
                             </span>
                           </td>
                           <td className="px-6 py-4 whitespace-nowrap">
                             <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${
-                              project.visibility === 'public' 
+                              project.isPublic
                                 ? 'bg-blue-100 text-blue-800'
                                 : 'bg-gray-100 text-gray-800'
                             }`}>
-                              {project.visibility}
+                              {project.isPublic ? 'public' : 'private'}
                             </span>
                           </td>
                           <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
@@ -301,21 +287,21 @@ function ProjectManagement() {
                           </td>
                           <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
                             <div className="flex items-center justify-end space-x-2">
-                              {project.status === 'published' ? (
+                              {project.status === 'PUBLISHED' ? (
                                 <Button
                                   size="sm"
                                   variant="outline"
-                                  onClick={() => handleStatusChange(project.id, 'archived')}
+                                  onClick={() => handleStatusChange(project.id, 'ARCHIVED')}
                                   loading={actionLoading[project.id]}
                                   disabled={actionLoading[project.id]}
                                 >
                                   Archive
                                 </Button>
-                              ) : project.status === 'draft' ? (
+                              ) : project.status === 'DRAFT' ? (
                                 <Button
                                   size="sm"
                                   variant="outline"
-                                  onClick={() => handleStatusChange(project.id, 'published')}
+                                  onClick={() => handleStatusChange(project.id, 'PUBLISHED')}
                                   loading={actionLoading[project.id]}
                                   disabled={actionLoading[project.id]}
                                 >
@@ -325,7 +311,7 @@ function ProjectManagement() {
                                 <Button
                                   size="sm"
                                   variant="outline"
-                                  onClick={() => handleStatusChange(project.id, 'published')}
+                                  onClick={() => handleStatusChange(project.id, 'PUBLISHED')}
                                   loading={actionLoading[project.id]}
                                   disabled={actionLoading[project.id]}
                                 >
@@ -0,0 +1,246 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import * as apiClient from '../../services/apiClient';
+import Button from '../../components/ui/Button';
+import LoadingSpinner from '../../components/ui/LoadingSpinner';
+import Alert from '../../components/ui/Alert';
+import { getErrorMessage } from '../../utils/errors';
+
+const TABS = {
+  users: {
+    label: 'Users',
+    load: apiClient.getDeletedUsers,
+    restore: apiClient.restoreUser,
+    describe: (user) => ({
+      title: [user.firstName, user.lastName].filter(Boolean).join(' ') || user.email || user.id,
+      subtitle: user.email
+    })
+  },
+  projects: {
+    label: 'Projects',
+    load: apiClient.getDeletedProjects,
+    restore: apiClient.restoreProject,
+    describe: (project) => ({
+      title: project.name,
+      subtitle: project.symbol
+    })
+  }
+};
+
+function Trash() {
+  const [tab, setTab] = useState('users');
+  const [items, setItems] = useState([]);
+  const [retentionDays, setRetentionDays] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+  const [page, setPage] = useState(1);
+  const [pages, setPages] = useState(0);
+  const [restoring, setRestoring] = useState(null);
+
+  useEffect(() => {
+    loadItems();
+  }, [tab, page]);
+
+  const loadItems = async () => {
+    try {
+      setLoading(true);
+      const response = await TABS[tab].load({ page, limit: 10 });
+      setItems(response.data[tab]);
+      setRetentionDays(response.data.retentionDays);
+      setPages(response.data.pagination.pages);
+    } catch (err) {
+      setError(getErrorMessage(err, 'Failed to load the trash'));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleTabChange = (newTab) => {
+    setTab(newTab);
+    setPage(1);
+  };
+
+  const handleRestore = async (item) => {
+    try {
+      setRestoring(item.id);
+      const response = await TABS[tab].restore(item.id);
+      setSuccess(response.data.message);
+      await loadItems();
+    } catch (err) {
+      setError(getErrorMessage(err, 'Failed to restore'));
+    } finally {
+      setRestoring(null);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <div className="max-w-7xl mx-auto py-6 sm:px-6 lg:px-8">
+        {/* Header */}
+        <div className="px-4 py-6 sm:px-0">
+          <div className="border-b border-gray-200 pb-5">
+            <div className="flex items-center justify-between">
+              <div>
+                <h1 className="text-3xl font-bold leading-tight text-gray-900">
+                  Trash
+                </h1>
+                <p className="mt-2 text-sm text-gray-600">
+                  Deleted users and projects
+                  {retentionDays !== null && ` are kept for ${retentionDays} days before they are removed for good`}
+                </p>
+              </div>
+              <Link to="/admin">
+                <Button variant="outline">
+                  ← Back to Dashboard
+                </Button>
+              </Link>
+            </div>
+          </div>
+        </div>
+        
+        {/* Messages */}
+        {success && (
+          <div className="px-4 sm:px-0 mb-6">
+            <Alert type="success" onClose={() => setSuccess('')}>
+              {success}
+            </Alert>
+          </div>
+        )}
+        
+        {error && (
+          <div className="px-4 sm:px-0 mb-6">
+            <Alert type="error" onClose={() => setError('')}>
+              {error}
+            </Alert>
+          </div>
+        )}
+        
+        {/* Tabs */}
+        <div className="px-4 sm:px-0 mb-6">
+          <nav className="flex space-x-4">
+            {Object.entries(TABS).map(([key, { label }]) => (
+              <button
+                key={key}
+                type="button"
+                onClick={() => handleTabChange(key)}
+                className={`px-3 py-2 rounded-md text-sm font-medium ${
+                  tab === key
+                    ? 'bg-blue-100 text-blue-700'
+                    : 'text-gray-500 hover:text-gray-700'
+                }`}
+              >
+                {label}
+              </button>
+            ))}
+          </nav>
+        </div>
+        
+        {/* Items */}
+        <div className="px-4 sm:px-0">
+          <div className="bg-white shadow rounded-lg overflow-hidden">
+            {loading ? (
+              <div className="p-8 text-center">
+                <LoadingSpinner size="large" />
+              </div>
+            ) : items.length === 0 ? (
+              <div className="p-8 text-center text-gray-500">
+                The trash is empty
+              </div>
+            ) : (
+              <>
+                <div className="overflow-x-auto">
+                  <table className="min-w-full divide-y divide-gray-200">
+                    <thead className="bg-gray-50">
+                      <tr>
+                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                          {TABS[tab].label.slice(0, -1)}
+                        </th>
+                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                          Status
+                        </th>
+                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                          Deleted
+                        </th>
+                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                          Purged On
+                        </th>
+                        <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
+                          Actions
+                        </th>
+                      </tr>
+                    </thead>
+                    <tbody className="bg-white divide-y divide-gray-200">
+                      {items.map((item) => {
+                        const { title, subtitle } = TABS[tab].describe(item);
+                        
+                        return (
+                          <tr key={item.id} className="hover:bg-gray-50">
+                            <td className="px-6 py-4 whitespace-nowrap">
+                              <div className="text-sm font-medium text-gray-900">{title}</div>
+                              {subtitle && (
+                                <div className="text-sm text-gray-500">{subtitle}</div>
+                              )}
+                            </td>
+                            <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                              {item.status}
+                            </td>
+                            <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                              {new Date(item.deletedAt).toLocaleString()}
+                            </td>
+                            <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                              {new Date(item.purgeAt).toLocaleDateString()}
+                            </td>
+                            <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
+                              <Button
+                                size="sm"
+                                variant="outline"
+                                onClick={() => handleRestore(item)}
+                                loading={restoring === item.id}
+                                disabled={restoring !== null}
+                              >
+                                Restore
+                              </Button>
+                            </td>
+                          </tr>
+                        );
+                      })}
+                    </tbody>
+                  </table>
+                </div>
+                
+                {/* Pagination */}
+                {pages > 1 && (
+                  <div className="bg-white px-4 py-3 flex items-center justify-between border-t border-gray-200 sm:px-6">
+                    <p className="text-sm text-gray-700">
+                      Page <span className="font-medium">{page}</span> of{' '}
+                      <span className="font-medium">{pages}</span>
+                    </p>
+                    <div className="flex space-x-2">
+                      <Button
+                        variant="outline"
+                        onClick={() => setPage(page - 1)}
+                        disabled={page === 1}
+                      >
+                        Previous
+                      </Button>
+                      <Button
+                        variant="outline"
+                        onClick={() => setPage(page + 1)}
+                        disabled={page === pages}
+                      >
+                        Next
+                      </Button>
+                    </div>
+                  </div>
+                )}
+              </>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default Trash;
@@ -1,13 +1,15 @@
 import React, { useState, useEffect } from 'react';
 import { Link } from 'react-router-dom';
-import api from '../../services/api';
+import * as apiClient from '../../services/apiClient';
+import { beginImpersonation } from '../../utils/impersonation';
 import Button from '../../components/ui/Button';
 import Input from '../../components/ui/Input';
 import LoadingSpinner from '../../components/ui/LoadingSpinner';
 import Alert from '../../components/ui/Alert';
+import { getErrorMessage } from '../../utils/errors';
 
 function UserManagement() {
-  const [users, setUsers] = useState([]);
+  const [users, setUsers] = useState(/** @type {apiClient.GetAdminUsersResponse['users']} */ ([]));
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
   const [success, setSuccess] = useState('');
@@ -19,8 +21,7 @@ function UserManagement() {
   });
   const [filters, setFilters] = useState({
     search: '',
-    status: '',
-    role: ''
+    status: /** @type {apiClient.GetAdminUsersQuery['status'] | ''} */ ('')
   });
   const [actionLoading, setActionLoading] = useState({});
 
@@ -35,16 +36,15 @@ function UserManagement() {
         page: pagination.page,
         limit: pagination.limit,
         ...(filters.search && { search: filters.search }),
-        ...(filters.status && { status: filters.status }),
-        ...(filters.role && { role: filters.role })
+        ...(filters.status && { status: filters.status })
       };
       
-      const response = await api.get('/admin/users', { params });
+      const response = await apiClient.getAdminUsers(params);
       setUsers(response.data.users || []);
       setPagination(prev => ({
         ...prev,
-        total: response.data.total || 0,
-        totalPages: response.data.totalPages || 0
+        total: response.data.pagination.total,
+        totalPages: response.data.pagination.pages
       }));
     } catch (err) {
       setError('Failed to load users');
@@ -69,15 +69,19 @@ function UserManagement() {
     loadUsers();
   };
 
+  /**
+   * @param {string} userId
+   * @param {apiClient.UpdateUserStatusBody['status']} newStatus
+   */
   const handleStatusChange = async (userId, newStatus) => {
     try {
       setActionLoading(prev => ({ ...prev, [userId]: true }));
-      await api.put(`/admin/users/${userId}/status`, { status: newStatus });
+      await apiClient.updateUserStatus(userId, { status: newStatus });
       
       setUsers(prev => prev.map(user => 
         user.id === userId ? { ...user, status: newStatus } : user
       ));
-      setSuccess(`User status updated to ${newStatus}`);
+      setSuccess(`User status updated to ${newStatus.toLowerCase()}`);
     } catch (err) {
       setError('Failed to update user status');
       console.error('Update user status error:', err);
@@ -86,14 +90,55 @@ function UserManagement() {
     }
   };
 
+  const handleUnlockUser = async (userId) => {
+    try {
+      setActionLoading(prev => ({ ...prev, [userId]: true }));
+      await apiClient.unlockUser(userId);
+      
+      setUsers(prev => prev.map(user => 
+        user.id === userId ? { ...user, failedLoginAttempts: 0, lockedUntil: null } : user
+      ));
+      setSuccess('User unlocked successfully');
+    } catch (err) {
+      setError('Failed to unlock user');
+      console.error('Unlock user error:', err);
+    } finally {
+      setActionLoading(prev => ({ ...prev, [userId]: false }));
+    }
+  };
+
+  const handleImpersonate = async (user) => {
+    const reason = window.prompt(`Sign in as ${user.email || user.id}? Optionally note why (e.g. a ticket number):`);
+    
+    if (reason === null) {
+      return;
+    }
+    
+    try {
+      setActionLoading(prev => ({ ...prev, [user.id]: true }));
+      const response = await apiClient.impersonateUser(user.id, { reason: reason.trim() || undefined });
+      
+      beginImpersonation(response.data);
+      
+      // Reload so the whole app picks up the user's identity
+      window.location.href = '/dashboard';
+    } catch (err) {
+      setError(getErrorMessage(err, 'Failed to impersonate user'));
+      console.error('Impersonate user error:', err);
+      setActionLoading(prev => ({ ...prev, [user.id]: false }));
+    }
+  };
+
+  const isLocked = (user) => user.lockedUntil && new Date(user.lockedUntil) > new Date();
+
   const handleDeleteUser = async (userId) => {
-    if (!window.confirm('Are you sure you want to delete this user? This action cannot be undone.')) {
+    if (!window.confirm('Move this user to the trash? It can be restored from the Trash page until it is purged.')) {
       return;
     }
     
     try {
       setActionLoading(prev => ({ ...prev, [userId]: true }));
-      await api.delete(`/admin/users/${userId}`);
+      await apiClient.deleteUser(userId);
       
       setUsers(prev => prev.filter(user => user.id !== userId));
       setSuccess('User deleted successfully');
@@ -155,7 +200,7 @@ function UserManagement() {
           <div className="bg-white shadow rounded-lg p-6">
             <form onSubmit={handleSearch} className="space-y-4">
               <div className="grid grid-cols-1 gap-4 sm:grid-cols-4">
-                <div className="sm:col-span-2">
+                <div className="sm:col-span-3">
                   <Input
                     label="Search users"
                     name="search"
@@ -178,26 +223,10 @@ function UserManagement() {
                     className="block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500 sm:text-sm"
                   >
                     <option value="">All Statuses</option>
-                    <option value="active">Active</option>
-                    <option value="inactive">Inactive</option>
-                    <option value="suspended">Suspended</option>
-                  </select>
-                </div>
-                
-                <div>
-                  <label htmlFor="role" className="block text-sm font-medium text-gray-700 mb-2">
-                    Role
-                  </label>
-                  <select
-                    id="role"
-                    name="role"
-                    value={filters.role}
-                    onChange={handleFilterChange}
-                    className="block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500 sm:text-sm"
-                  >
-                    <option value="">All Roles</option>
-                    <option value="user">User</option>
-                    <option value="admin">Admin</option>
+                    <option value="ACTIVE">Active</option>
+                    <option value="INACTIVE">Inactive</option>
+                    <option value="SUSPENDED">Suspended</option>
+                    <option value="PENDING_VERIFICATION">Pending verification</option>
                   </select>
                 </div>
               </div>
@@ -263,23 +292,31 @@ function UserManagement() {
                           </td>
                           <td className="px-6 py-4 whitespace-nowrap">
                             <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${
-                              user.role === 'admin' 
+                              user.role === 'MODERATOR'
                                 ? 'bg-purple-100 text-purple-800'
                                 : 'bg-gray-100 text-gray-800'
                             }`}>
-                              {user.role}
+                              {user.role.toLowerCase().replace('_', ' ')}
                             </span>
                           </td>
                           <td className="px-6 py-4 whitespace-nowrap">
                             <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${
-                              user.status === 'active' 
+                              user.status === 'ACTIVE'
                                 ? 'bg-green-100 text-green-800'
-                                : user.status === 'suspended'
+                                : user.status === 'SUSPENDED'
                                 ? 'bg-red-100 text-red-800'
                                 : 'bg-yellow-100 text-yellow-800'
                             }`}>
-                              {user.status}
+                              {user.status.toLowerCase().replace('_', ' ')}
                             </span>
+                            {isLocked(user) && (
+                              <span
+                                className="ml-2 inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-orange-100 text-orange-800"
+                                title={`Locked until ${new Date(user.lockedUntil).toLocaleString()} after ${user.failedLoginAttempts} failed logins`}
+                              >
+                                locked
+                              </span>
+                            )}
                           </td>
                           <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
                             {new Date(user.createdAt).toLocaleDateString()}
@@ -289,11 +326,33 @@ function UserManagement() {
                           </td>
                           <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
                             <div className="flex items-center justify-end space-x-2">
-                              {user.status === 'active' ? (
+                              {isLocked(user) && (
+                                <Button
+                                  size="sm"
+                                  variant="outline"
+                                  onClick={() => handleUnlockUser(user.id)}
+                                  loading={actionLoading[user.id]}
+                                  disabled={actionLoading[user.id]}
+                                >
+                                  Unlock
+                                </Button>
+                              )}
+                              
+                              <Button
+                                size="sm"
+                                variant="outline"
+                                onClick={() => handleImpersonate(user)}
+                                loading={actionLoading[user.id]}
+                                disabled={actionLoading[user.id]}
+                              >
+                                Impersonate
+                              </Button>
+                              
+                              {user.status === 'ACTIVE' ? (
                                 <Button
                                   size="sm"
                                   variant="outline"
-                                  onClick={() => handleStatusChange(user.id, 'suspended')}
+                                  onClick={() => handleStatusChange(user.id, 'SUSPENDED')}
                                   loading={actionLoading[user.id]}
                                   disabled={actionLoading[user.id]}
                                 >
@@ -303,7 +362,7 @@ function UserManagement() {
                                 <Button
                                   size="sm"
                                   variant="outline"
-                                  onClick={() => handleStatusChange(user.id, 'active')}
+                                  onClick={() => handleStatusChange(user.id, 'ACTIVE')}
                                   loading={actionLoading[user.id]}
                                   disabled={actionLoading[user.id]}
                                 >
@@ -0,0 +1,150 @@
+import React, { useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import * as apiClient from '../../services/apiClient';
+import Button from '../../components/ui/Button';
+import Input from '../../components/ui/Input';
+import Alert from '../../components/ui/Alert';
+import { getErrorMessage } from '../../utils/errors';
+
+function AcceptInvite() {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  
+  const [formData, setFormData] = useState({
+    password: '',
+    confirmPassword: ''
+  });
+  const [errors, setErrors] = useState(/** @type {Record<string, string>} */ ({}));
+  const [loading, setLoading] = useState(false);
+  const [success, setSuccess] = useState('');
+  const [error, setError] = useState(token ? '' : 'Invitation link is missing its token.');
+  
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({
+      ...prev,
+      [name]: value
+    }));
+    
+    // Clear field error when user starts typing
+    if (errors[name]) {
+      setErrors(prev => ({
+        ...prev,
+        [name]: ''
+      }));
+    }
+  };
+  
+  const validateForm = () => {
+    const newErrors = /** @type {Record<string, string>} */ ({});
+    
+    if (!formData.password) {
+      newErrors.password = 'Password is required';
+    } else if (formData.password.length < 8) {
+      newErrors.password = 'Password must be at least 8 characters';
+    }
+    
+    if (!formData.confirmPassword) {
+      newErrors.confirmPassword = 'Please confirm your password';
+    } else if (formData.password !== formData.confirmPassword) {
+      newErrors.confirmPassword = 'Passwords do not match';
+    }
+    
+    setErrors(newErrors);
+    return Object.keys(newErrors).length === 0;
+  };
+  
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    
+    if (!validateForm()) {
+      return;
+    }
+    
+    try {
+      setLoading(true);
+      setError('');
+      
+      const response = await apiClient.acceptAdminInvite({ token, password: formData.password });
+      setSuccess(response.data.message);
+    } catch (err) {
+      setError(getErrorMessage(err, 'Failed to accept invitation'));
+    } finally {
+      setLoading(false);
+    }
+  };
+  
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-md w-full space-y-8">
+        <div>
+          <h2 className="mt-6 text-center text-3xl font-extrabold text-gray-900">
+            Join the admin team
+          </h2>
+          <p className="mt-2 text-center text-sm text-gray-600">
+            Choose the password for your admin account
+          </p>
+        </div>
+        
+        {success ? (
+          <div className="space-y-6">
+            <Alert type="success">
+              {success}
+            </Alert>
+            <Link to="/login">
+              <Button className="w-full">
+                Sign in
+              </Button>
+            </Link>
+          </div>
+        ) : (
+          <form className="mt-8 space-y-6" onSubmit={handleSubmit}>
+            {error && (
+              <Alert type="error" onClose={token ? () => setError('') : undefined}>
+                {error} Ask an administrator to send you a new invitation.
+              </Alert>
+            )}
+            
+            <div className="space-y-4">
+              <Input
+                label="Password"
+                name="password"
+                type="password"
+                autoComplete="new-password"
+                required
+                value={formData.password}
+                onChange={handleChange}
+                error={errors.password}
+                placeholder="Choose a password"
+                helperText="Must be at least 8 characters"
+              />
+              
+              <Input
+                label="Confirm password"
+                name="confirmPassword"
+                type="password"
+                autoComplete="new-password"
+                required
+                value={formData.confirmPassword}
+                onChange={handleChange}
+                error={errors.confirmPassword}
+                placeholder="Confirm your password"
+              />
+            </div>
+            
+            <Button
+              type="submit"
+              className="w-full"
+              loading={loading}
+              disabled={loading || !token}
+            >
+              Accept invitation
+            </Button>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default AcceptInvite;
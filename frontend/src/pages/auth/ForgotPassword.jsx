@@ -0,0 +1,118 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import * as apiClient from '../../services/apiClient';
+import Button from '../../components/ui/Button';
+import Input from '../../components/ui/Input';
+import Alert from '../../components/ui/Alert';
+import { getErrorMessage } from '../../utils/errors';
+
+function ForgotPassword() {
+  const [email, setEmail] = useState('');
+  const [errors, setErrors] = useState(/** @type {Record<string, string>} */ ({}));
+  const [loading, setLoading] = useState(false);
+  const [success, setSuccess] = useState('');
+  const [error, setError] = useState('');
+  
+  const handleChange = (e) => {
+    setEmail(e.target.value);
+    
+    // Clear field error when user starts typing
+    if (errors.email) {
+      setErrors({});
+    }
+  };
+  
+  const validateForm = () => {
+    const newErrors = /** @type {Record<string, string>} */ ({});
+    
+    if (!email) {
+      newErrors.email = 'Email is required';
+    } else if (!/\S+@\S+\.\S+/.test(email)) {
+      newErrors.email = 'Email is invalid';
+    }
+    
+    setErrors(newErrors);
+    return Object.keys(newErrors).length === 0;
+  };
+  
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    
+    if (!validateForm()) {
+      return;
+    }
+    
+    try {
+      setLoading(true);
+      setError('');
+      
+      const response = await apiClient.forgotPassword({ email: email.trim() });
+      setSuccess(response.data.message);
+    } catch (err) {
+      setError(getErrorMessage(err, 'Failed to request password reset'));
+    } finally {
+      setLoading(false);
+    }
+  };
+  
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-md w-full space-y-8">
+        <div>
+          <h2 className="mt-6 text-center text-3xl font-extrabold text-gray-900">
+            Forgot your password?
+          </h2>
+          <p className="mt-2 text-center text-sm text-gray-600">
+            Enter your email and we'll send you a link to reset it.
+          </p>
+        </div>
+        
+        {success ? (
+          <Alert type="success">
+            {success}
+          </Alert>
+        ) : (
+          <form className="mt-8 space-y-6" onSubmit={handleSubmit}>
+            {error && (
+              <Alert type="error" onClose={() => setError('')}>
+                {error}
+              </Alert>
+            )}
+            
+            <Input
+              label="Email address"
+              name="email"
+              type="email"
+              autoComplete="email"
+              required
+              value={email}
+              onChange={handleChange}
+              error={errors.email}
+              placeholder="Enter your email"
+            />
+            
+            <Button
+              type="submit"
+              className="w-full"
+              loading={loading}
+              disabled={loading}
+            >
+              Send reset link
+            </Button>
+          </form>
+        )}
+        
+        <p className="text-center text-sm text-gray-600">
+          <Link
+            to="/login"
+            className="font-medium text-blue-600 hover:text-blue-500"
+          >
+            Back to sign in
+          </Link>
+        </p>
+      </div>
+    </div>
+  );
+}
+
+export default ForgotPassword;
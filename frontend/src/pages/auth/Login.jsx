@@ -10,9 +10,9 @@ function Login() {
     email: '',
     password: ''
   });
-  const [errors, setErrors] = useState({});
+  const [errors, setErrors] = useState(/** @type {Record<string, string>} */ ({}));
   
-  const { login, isLoading, error, clearError, isAuthenticated } = useAuth();
+  const { login, loginWithWallet, isLoading, error, clearError, isAuthenticated } = useAuth();
   const navigate = useNavigate();
   const location = useLocation();
   
@@ -47,7 +47,7 @@ function Login() {
   };
 
   const validateForm = () => {
-    const newErrors = {};
+    const newErrors = /** @type {Record<string, string>} */ ({});
     
     if (!formData.email) {
       newErrors.email = 'Email is required';
@@ -72,6 +72,16 @@ function Login() {
     
     const result = await login(formData.email, formData.password);
     
+    if (result.success) {
+      navigate(from, { replace: true });
+    } else {
+      setErrors(result.fieldErrors);
+    }
+  };
+
+  const handleWalletLogin = async () => {
+    const result = await loginWithWallet();
+    
     if (result.success) {
       navigate(from, { replace: true });
     }
@@ -150,6 +160,25 @@ function Login() {
             </Button>
           </div>
         </form>
+        
+        <div className="relative">
+          <div className="absolute inset-0 flex items-center">
+            <div className="w-full border-t border-gray-300" />
+          </div>
+          <div className="relative flex justify-center text-sm">
+            <span className="px-2 bg-gray-50 text-gray-500">Or</span>
+          </div>
+        </div>
+        
+        <Button
+          type="button"
+          variant="outline"
+          className="w-full"
+          onClick={handleWalletLogin}
+          disabled={isLoading}
+        >
+          Sign in with Ethereum wallet
+        </Button>
       </div>
     </div>
   );
@@ -13,7 +13,7 @@ function Register() {
     firstName: '',
     lastName: ''
   });
-  const [errors, setErrors] = useState({});
+  const [errors, setErrors] = useState(/** @type {Record<string, string>} */ ({}));
   
   const { register, isLoading, error, clearError, isAuthenticated } = useAuth();
   const navigate = useNavigate();
@@ -47,7 +47,7 @@ function Register() {
   };
 
   const validateForm = () => {
-    const newErrors = {};
+    const newErrors = /** @type {Record<string, string>} */ ({});
     
     if (!formData.email) {
       newErrors.email = 'Email is required';
@@ -87,6 +87,8 @@ function Register() {
     
     if (result.success) {
       navigate('/dashboard', { replace: true });
+    } else {
+      setErrors(result.fieldErrors);
     }
   };
 
@@ -0,0 +1,153 @@
+import React, { useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import * as apiClient from '../../services/apiClient';
+import Button from '../../components/ui/Button';
+import Input from '../../components/ui/Input';
+import Alert from '../../components/ui/Alert';
+import { getErrorMessage } from '../../utils/errors';
+
+function ResetPassword() {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  
+  const [formData, setFormData] = useState({
+    password: '',
+    confirmPassword: ''
+  });
+  const [errors, setErrors] = useState(/** @type {Record<string, string>} */ ({}));
+  const [loading, setLoading] = useState(false);
+  const [success, setSuccess] = useState('');
+  const [error, setError] = useState(token ? '' : 'Reset link is missing its token.');
+  
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({
+      ...prev,
+      [name]: value
+    }));
+    
+    // Clear field error when user starts typing
+    if (errors[name]) {
+      setErrors(prev => ({
+        ...prev,
+        [name]: ''
+      }));
+    }
+  };
+  
+  const validateForm = () => {
+    const newErrors = /** @type {Record<string, string>} */ ({});
+    
+    if (!formData.password) {
+      newErrors.password = 'Password is required';
+    } else if (formData.password.length < 6) {
+      newErrors.password = 'Password must be at least 6 characters';
+    }
+    
+    if (!formData.confirmPassword) {
+      newErrors.confirmPassword = 'Please confirm your password';
+    } else if (formData.password !== formData.confirmPassword) {
+      newErrors.confirmPassword = 'Passwords do not match';
+    }
+    
+    setErrors(newErrors);
+    return Object.keys(newErrors).length === 0;
+  };
+  
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    
+    if (!validateForm()) {
+      return;
+    }
+    
+    try {
+      setLoading(true);
+      setError('');
+      
+      const response = await apiClient.resetPassword({ token, password: formData.password });
+      setSuccess(response.data.message);
+    } catch (err) {
+      setError(getErrorMessage(err, 'Failed to reset password'));
+    } finally {
+      setLoading(false);
+    }
+  };
+  
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-md w-full space-y-8">
+        <div>
+          <h2 className="mt-6 text-center text-3xl font-extrabold text-gray-900">
+            Choose a new password
+          </h2>
+        </div>
+        
+        {success ? (
+          <div className="space-y-6">
+            <Alert type="success">
+              {success}
+            </Alert>
+            <Link to="/login">
+              <Button className="w-full">
+                Sign in
+              </Button>
+            </Link>
+          </div>
+        ) : (
+          <form className="mt-8 space-y-6" onSubmit={handleSubmit}>
+            {error && (
+              <Alert type="error" onClose={token ? () => setError('') : undefined}>
+                {error}{' '}
+                <Link
+                  to="/forgot-password"
+                  className="font-medium underline"
+                >
+                  Request a new link
+                </Link>
+              </Alert>
+            )}
+            
+            <div className="space-y-4">
+              <Input
+                label="New password"
+                name="password"
+                type="password"
+                autoComplete="new-password"
+                required
+                value={formData.password}
+                onChange={handleChange}
+                error={errors.password}
+                placeholder="Enter your new password"
+                helperText="Must be at least 6 characters"
+              />
+              
+              <Input
+                label="Confirm new password"
+                name="confirmPassword"
+                type="password"
+                autoComplete="new-password"
+                required
+                value={formData.confirmPassword}
+                onChange={handleChange}
+                error={errors.confirmPassword}
+                placeholder="Confirm your new password"
+              />
+            </div>
+            
+            <Button
+              type="submit"
+              className="w-full"
+              loading={loading}
+              disabled={loading || !token}
+            >
+              Reset password
+            </Button>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default ResetPassword;
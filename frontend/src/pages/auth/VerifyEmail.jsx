@@ -0,0 +1,139 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { useAuth } from '../../hooks/useAuth';
+import * as apiClient from '../../services/apiClient';
+import Button from '../../components/ui/Button';
+import Input from '../../components/ui/Input';
+import Alert from '../../components/ui/Alert';
+import LoadingSpinner from '../../components/ui/LoadingSpinner';
+import { getErrorMessage } from '../../utils/errors';
+
+function VerifyEmail() {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  
+  const [status, setStatus] = useState(token ? 'verifying' : 'error');
+  const [error, setError] = useState(token ? '' : 'Verification link is missing its token.');
+  const [email, setEmail] = useState('');
+  const [resendLoading, setResendLoading] = useState(false);
+  const [resendMessage, setResendMessage] = useState('');
+  
+  const { isAuthenticated, updateUser } = useAuth();
+  
+  // Tokens are single-use, so make sure StrictMode's double effect
+  // doesn't consume it twice
+  const hasVerified = useRef(false);
+  
+  useEffect(() => {
+    if (!token || hasVerified.current) {
+      return;
+    }
+    hasVerified.current = true;
+    
+    const verify = async () => {
+      try {
+        const response = await apiClient.verifyEmail({ token });
+        
+        if (isAuthenticated) {
+          updateUser(response.data.user);
+        }
+        setStatus('success');
+      } catch (err) {
+        setError(getErrorMessage(err, 'Email verification failed'));
+        setStatus('error');
+      }
+    };
+    
+    verify();
+  }, [token, isAuthenticated, updateUser]);
+  
+  const handleResend = async (e) => {
+    e.preventDefault();
+    
+    if (!email) {
+      return;
+    }
+    
+    try {
+      setResendLoading(true);
+      const response = await apiClient.resendVerification({ email });
+      setResendMessage(response.data.message);
+    } catch (err) {
+      setError(getErrorMessage(err, 'Failed to resend verification email'));
+    } finally {
+      setResendLoading(false);
+    }
+  };
+  
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-md w-full space-y-8">
+        <div>
+          <h2 className="mt-6 text-center text-3xl font-extrabold text-gray-900">
+            Email verification
+          </h2>
+        </div>
+        
+        {status === 'verifying' && (
+          <div className="text-center">
+            <LoadingSpinner size="large" />
+            <p className="mt-4 text-sm text-gray-600">Verifying your email address...</p>
+          </div>
+        )}
+        
+        {status === 'success' && (
+          <div className="space-y-6">
+            <Alert type="success">
+              Your email address has been verified.
+            </Alert>
+            <Link to={isAuthenticated ? '/dashboard' : '/login'}>
+              <Button className="w-full">
+                {isAuthenticated ? 'Go to dashboard' : 'Sign in'}
+              </Button>
+            </Link>
+          </div>
+        )}
+        
+        {status === 'error' && (
+          <div className="space-y-6">
+            {error && (
+              <Alert type="error">
+                {error}
+              </Alert>
+            )}
+            
+            {resendMessage ? (
+              <Alert type="info">
+                {resendMessage}
+              </Alert>
+            ) : (
+              <form className="space-y-4" onSubmit={handleResend}>
+                <Input
+                  label="Email address"
+                  name="email"
+                  type="email"
+                  autoComplete="email"
+                  required
+                  value={email}
+                  onChange={(e) => setEmail(e.target.value)}
+                  placeholder="Enter your email"
+                  helperText="We'll send you a new verification link"
+                />
+                <Button
+                  type="submit"
+                  className="w-full"
+                  loading={resendLoading}
+                  disabled={resendLoading}
+                >
+                  Resend verification email
+                </Button>
+              </form>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default VerifyEmail;
@@ -1,7 +1,7 @@
 import React, { useState, useEffect } from 'react';
 import { useParams, useNavigate, Link } from 'react-router-dom';
 import { useAuth } from '../../hooks/useAuth';
-import api from '../../services/api';
+import * as apiClient from '../../services/apiClient';
 import Button from '../../components/ui/Button';
 import LoadingSpinner from '../../components/ui/LoadingSpinner';
 import Alert from '../../components/ui/Alert';
@@ -22,7 +22,7 @@ function ProjectDetail() {
   const loadProject = async () => {
     try {
       setLoading(true);
-      const response = await api.get(`/projects/${id}`);
+      const response = await apiClient.getProject(id);
       setProject(response.data);
     } catch (err) {
       if (err.response?.status === 404) {
@@ -45,7 +45,7 @@ function ProjectDetail() {
 
     try {
       setDeleteLoading(true);
-      await api.delete(`/projects/${id}`);
+      await apiClient.deleteProject(id);
       navigate('/projects', { 
         state: { message: 'Project deleted successfully' }
       });
@@ -1,11 +1,21 @@
 import React, { useState, useEffect } from 'react';
 import { useNavigate, useParams } from 'react-router-dom';
 import { useAuth } from '../../hooks/useAuth';
-import api from '../../services/api';
+import * as apiClient from '../../services/apiClient';
 import Button from '../../components/ui/Button';
 import Input from '../../components/ui/Input';
 import Alert from '../../components/ui/Alert';
 import LoadingSpinner from '../../components/ui/LoadingSpinner';
+import { getErrorMessage, getFieldErrors } from '../../utils/errors';
+
+// The statuses an owner can set, as the API names them. Projects under
+// review keep their status until a moderator changes it.
+/** @type {Record<string, apiClient.CreateProjectBody['status']>} */
+const PROJECT_STATUSES = {
+  draft: 'DRAFT',
+  published: 'PUBLISHED',
+  archived: 'ARCHIVED'
+};
 
 function ProjectForm() {
   const { id } = useParams();
@@ -19,7 +29,7 @@ function ProjectForm() {
     status: 'draft',
     visibility: 'private'
   });
-  const [errors, setErrors] = useState({});
+  const [errors, setErrors] = useState(/** @type {Record<string, string>} */ ({}));
   const [loading, setLoading] = useState(false);
   const [initialLoading, setInitialLoading] = useState(isEditing);
   const [error, setError] = useState('');
@@ -33,8 +43,8 @@ function ProjectForm() {
   const loadProject = async () => {
     try {
       setInitialLoading(true);
-      const response = await api.get(`/projects/${id}`);
-      const project = response.data;
+      const response = await apiClient.getProject(id);
+      const { project } = response.data;
       
       // Check if user owns this project
       if (project.userId !== user?.id) {
@@ -45,8 +55,8 @@ function ProjectForm() {
       setFormData({
         title: project.title || '',
         description: project.description || '',
-        status: project.status || 'draft',
-        visibility: project.visibility || 'private'
+        status: project.status?.toLowerCase() || 'draft',
+        visibility: project.isPublic ? 'public' : 'private'
       });
     } catch (err) {
       if (err.response?.status === 404) {
@@ -79,7 +89,7 @@ function ProjectForm() {
   };
 
   const validateForm = () => {
-    const newErrors = {};
+    const newErrors = /** @type {Record<string, string>} */ ({});
     
     if (!formData.title.trim()) {
       newErrors.title = 'Title is required';
@@ -108,31 +118,30 @@ function ProjectForm() {
       setLoading(true);
       setError('');
       
+      // The API takes upper-case statuses and a boolean for visibility
       const projectData = {
-        ...formData,
         title: formData.title.trim(),
-        description: formData.description.trim()
+        description: formData.description.trim(),
+        status: PROJECT_STATUSES[formData.status],
+        isPublic: formData.visibility === 'public'
       };
       
       let response;
       if (isEditing) {
-        response = await api.put(`/projects/${id}`, projectData);
+        response = await apiClient.updateProject(id, projectData);
       } else {
-        response = await api.post('/projects', projectData);
+        response = await apiClient.createProject(projectData);
       }
       
-      const project = response.data;
+      const { project } = response.data;
       navigate(`/projects/${project.id}`, {
         state: { 
           message: isEditing ? 'Project updated successfully' : 'Project created successfully'
         }
       });
     } catch (err) {
-      if (err.response?.data?.message) {
-        setError(err.response.data.message);
-      } else {
-        setError(isEditing ? 'Failed to update project' : 'Failed to create project');
-      }
+      setError(getErrorMessage(err, isEditing ? 'Failed to update project' : 'Failed to create project'));
+      setErrors(getFieldErrors(err));
       console.error('Project form error:', err);
     } finally {
       setLoading(false);
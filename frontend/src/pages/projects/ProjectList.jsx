@@ -1,7 +1,7 @@
 import React, { useState, useEffect } from 'react';
 import { Link } from 'react-router-dom';
 import { useAuth } from '../../hooks/useAuth';
-import api from '../../services/api';
+import * as apiClient from '../../services/apiClient';
 import Button from '../../components/ui/Button';
 import Input from '../../components/ui/Input';
 import LoadingSpinner from '../../components/ui/LoadingSpinner';
@@ -30,12 +30,12 @@ function ProjectList() {
         ...(searchTerm && { search: searchTerm })
       };
       
-      const response = await api.get('/projects', { params });
+      const response = await apiClient.getProjects(params);
       const data = response.data;
       
       setProjects(data.projects || []);
-      setTotalPages(data.totalPages || 1);
-      setTotalProjects(data.total || 0);
+      setTotalPages(data.pagination.pages || 1);
+      setTotalProjects(data.pagination.total);
     } catch (err) {
       setError('Failed to load projects');
       console.error('Projects error:', err);
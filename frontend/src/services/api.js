@@ -1,9 +1,37 @@
 import axios from 'axios';
+import { getImpersonation, restoreAdminSession } from '../utils/impersonation';
+import { getErrorCode } from '../utils/errors';
+
+// In cookie mode the API keeps the session in httpOnly cookies and only the
+// CSRF token is stored here, to be sent back on state-changing requests
+export const COOKIE_AUTH = import.meta.env.VITE_AUTH_MODE === 'cookie';
+
+const authModeHeaders = () => (COOKIE_AUTH ? {
+  'X-Auth-Mode': 'cookie',
+  'X-CSRF-Token': localStorage.getItem('csrfToken') || ''
+} : {});
+
+// Keep the session handed out by login, register, refresh or a password change
+export const storeSession = (data) => {
+  if (COOKIE_AUTH) {
+    localStorage.setItem('csrfToken', data.csrfToken);
+  } else {
+    localStorage.setItem('token', data.tokens.accessToken);
+    localStorage.setItem('refreshToken', data.tokens.refreshToken);
+  }
+};
+
+export const clearSession = () => {
+  localStorage.removeItem('token');
+  localStorage.removeItem('refreshToken');
+  localStorage.removeItem('csrfToken');
+};
 
 // Create axios instance
 const api = axios.create({
   baseURL: import.meta.env.VITE_API_URL || 'http://localhost:3001/api',
   timeout: 10000,
+  withCredentials: COOKIE_AUTH,
   headers: {
     'Content-Type': 'application/json'
   }
@@ -16,6 +44,7 @@ api.interceptors.request.use(
     if (token) {
       config.headers.Authorization = `Bearer ${token}`;
     }
+    Object.assign(config.headers, authModeHeaders());
     return config;
   },
   (error) => {
@@ -23,6 +52,26 @@ api.interceptors.request.use(
   }
 );
 
+// Refresh state shared by all in-flight requests, so that a burst of 401s
+// triggers a single refresh and the rest wait for its result
+let isRefreshing = false;
+let refreshQueue = [];
+
+// 401s about what the user typed (a wrong password or code), not about the
+// session, so a refresh wouldn't help
+const CREDENTIAL_ERROR_CODES = ['AUTH_INVALID_CREDENTIALS', 'AUTH_CHALLENGE_INVALID', 'AUTH_TWO_FACTOR_INVALID'];
+
+const processRefreshQueue = (error) => {
+  refreshQueue.forEach(({ resolve, reject }) => {
+    if (error) {
+      reject(error);
+    } else {
+      resolve();
+    }
+  });
+  refreshQueue = [];
+};
+
 // Response interceptor to handle token refresh
 api.interceptors.response.use(
   (response) => {
@@ -31,34 +80,58 @@ api.interceptors.response.use(
   async (error) => {
     const originalRequest = error.config;
     
-    if (error.response?.status === 401 && !originalRequest._retry) {
+    if (error.response?.status === 401 && !originalRequest._retry && !CREDENTIAL_ERROR_CODES.includes(getErrorCode(error))) {
+      // Wait for the refresh already in progress, then retry the request
+      if (isRefreshing) {
+        return new Promise((resolve, reject) => {
+          refreshQueue.push({ resolve, reject });
+        }).then(() => api(originalRequest));
+      }
+      
       originalRequest._retry = true;
       
       const refreshToken = localStorage.getItem('refreshToken');
       
-      if (refreshToken) {
+      // In cookie mode the refresh token is a cookie, except while
+      // impersonating, which can't be refreshed
+      const canRefresh = COOKIE_AUTH ? !getImpersonation() : !!refreshToken;
+      
+      if (canRefresh) {
+        isRefreshing = true;
+        
         try {
           // Try to refresh token
           const response = await axios.post(
             `${import.meta.env.VITE_API_URL || 'http://localhost:3001/api'}/auth/refresh`,
-            { refreshToken }
+            COOKIE_AUTH ? {} : { refreshToken },
+            { withCredentials: COOKIE_AUTH, headers: authModeHeaders() }
           );
           
-          const { accessToken } = response.data;
-          localStorage.setItem('token', accessToken);
+          // Refresh tokens are single-use, so store the rotated one as well
+          storeSession(response.data);
           
-          // Retry original request with new token
-          originalRequest.headers.Authorization = `Bearer ${accessToken}`;
+          processRefreshQueue(null);
+          
+          // Retry original request; the request interceptor adds the new token
           return api(originalRequest);
         } catch (refreshError) {
+          processRefreshQueue(refreshError);
+          
           // Refresh failed, redirect to login
-          localStorage.removeItem('token');
-          localStorage.removeItem('refreshToken');
+          clearSession();
           window.location.href = '/login';
+        } finally {
+          isRefreshing = false;
         }
+      } else if (restoreAdminSession()) {
+        // Impersonation expired or was ended, go back to the admin session.
+        // Keep the request pending so no caller clears the restored tokens
+        // before the page unloads.
+        window.location.href = '/admin';
+        return new Promise(() => {});
       } else {
         // No refresh token, redirect to login
-        localStorage.removeItem('token');
+        clearSession();
         window.location.href = '/login';
       }
     }
@@ -67,38 +140,5 @@ api.interceptors.response.use(
   }
 );
 
-// Auth API endpoints
-export const authAPI = {
-  login: (credentials) => api.post('/auth/login', credentials),
-  register: (userData) => api.post('/auth/register', userData),
-  logout: () => api.post('/auth/logout'),
-  getProfile: () => api.get('/auth/profile'),
-  adminLogin: (credentials) => api.post('/auth/admin/login', credentials),
-  getAdminAccess: () => api.get('/auth/admin/access')
-};
-
-// Project API endpoints
-export const projectAPI = {
-  getAll: (params) => api.get('/projects', { params }),
-  getById: (id) => api.get(`/projects/${id}`),
-  create: (projectData) => api.post('/projects', projectData),
-  update: (id, projectData) => api.put(`/projects/${id}`, projectData),
-  delete: (id) => api.delete(`/projects/${id}`),
-  getMyProjects: (params) => api.get('/projects/user/my-projects', { params }),
-  getPublic: (params) => api.get('/projects/public', { params })
-};
-
-// Admin API endpoints
-export const adminAPI = {
-  getStats: () => api.get('/admin/stats'),
-  getUsers: (params) => api.get('/admin/users', { params }),
-  getUserById: (id) => api.get(`/admin/users/${id}`),
-  updateUserStatus: (id, status) => api.patch(`/admin/users/${id}/status`, { status }),
-  deleteUser: (id) => api.delete(`/admin/users/${id}`),
-  getProjects: (params) => api.get('/admin/projects', { params }),
-  updateProjectStatus: (id, status) => api.patch(`/admin/projects/${id}/status`, { status }),
-  deleteProject: (id) => api.delete(`/admin/projects/${id}`)
-};
-
-// Export default api instance
+// Export default api instance, used by the generated client in apiClient.js
 export default api;
\ No newline at end of file
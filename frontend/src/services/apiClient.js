@@ -0,0 +1,1437 @@
+// Generated from the backend's OpenAPI document by `npm run docs:client`
+// (in backend/). Do not edit by hand; change the routes or their zod
+// schemas and regenerate.
+
+import api from './api';
+
+/** @typedef {import('axios').AxiosRequestConfig} RequestConfig */
+/**
+ * @template T
+ * @typedef {Promise<import('axios').AxiosResponse<T>>} ApiResponse
+ */
+
+// Health
+
+/**
+ * @typedef {Object} GetHealthResponse
+ * @property {'OK'|'SHUTTING_DOWN'|'UNAVAILABLE'} status
+ * @property {string} timestamp
+ * @property {number} uptime
+ * @property {{ database: { status: 'ok'|'failed'|'skipped', latencyMs?: number, error?: string, pending?: Array<string> }, migrations: { status: 'ok'|'failed'|'skipped', latencyMs?: number, error?: string, pending?: Array<string> } }} checks
+ */
+
+/**
+ * Readiness check
+ * GET /health
+ * @param {RequestConfig} [config]
+ * @returns {ApiResponse<GetHealthResponse>}
+ */
+export const getHealth = (config) =>
+  api.get('/health', config);
+
+// Auth
+
+/**
+ * @typedef {Object} RegisterBody
+ * @property {string} email
+ * @property {string} password
+ * @property {string} [firstName]
+ * @property {string} [lastName]
+ */
+
+/**
+ * @typedef {Object} RegisterResponse
+ * @property {string} message
+ * @property {{ id: string, email: string|null, firstName: string|null, lastName: string|null, role: 'USER'|'PREMIUM_USER'|'MODERATOR', status: 'ACTIVE'|'INACTIVE'|'SUSPENDED'|'PENDING_VERIFICATION', createdAt: string }} user
+ * @property {{ accessToken: string, refreshToken: string }} [tokens]
+ * @property {string} [csrfToken]
+ */
+
+/**
+ * Register a user
+ * POST /auth/register
+ * @param {RegisterBody} body
+ * @param {RequestConfig} [config]
+ * @returns {ApiResponse<RegisterResponse>}
+ */
+export const register = (body, config) =>
+  api.post('/auth/register', body, config);
+
+/**
+ * @typedef {Object} LoginBody
+ * @property {string} email
+ * @property {string} password
+ */
+
+/**
+ * @typedef {Object} LoginResponse
+ * @property {string} message
+ * @property {{ id: string, email: string|null, firstName: string|null, lastName: string|null, role: 'USER'|'PREMIUM_USER'|'MODERATOR', status: 'ACTIVE'|'INACTIVE'|'SUSPENDED'|'PENDING_VERIFICATION' }} user
+ * @property {{ accessToken: string, refreshToken: string }} [tokens]
+ * @property {string} [csrfToken]
+ */
+
+/**
+ * Sign in a user
+ * POST /auth/login
+ * @param {LoginBody} body
+ * @param {RequestConfig} [config]
+ * @returns {ApiResponse<LoginResponse>}
+ */
+export const login = (body, config) =>
+  api.post('/auth/login', body, config);
+
+/**
+ * @typedef {Object} AdminLoginBody
+ * @property {string} email
+ * @property {string} password
+ */
+
+/** @typedef {({ message: string, admin: { id: string, email: string, name: string, role: 'ADMIN'|'SUPER_ADMIN', status: 'ACTIVE'|'INACTIVE'|'INVITED', department: string|null }, tokens?: { accessToken: string, refreshToken: string }, csrfToken?: string }|{ message: string, twoFactorRequired: boolean, twoFactorSetupRequired: boolean, challengeToken: string })} AdminLoginResponse */
+
+/**
+ * Sign in an admin
+ * POST /auth/admin/login
+ * @param {AdminLoginBody} body
+ * @param {RequestConfig} [config]
+ * @returns {ApiResponse<AdminLoginResponse>}
+ */
+export const adminLogin = (body, config) =>
+  api.post('/auth/admin/login', body, config);
+
+/**
+ * @typedef {Object} AdminLoginTwoFactorBody
+ * @property {string} challengeToken
+ * @property {string} [code]
+ * @property {string} [recoveryCode]
+ */
+
+/**
+ * @typedef {Object} AdminLoginTwoFactorResponse
+ * @property {string} message
+ * @property {{ id: string, email: string, name: string, role: 'ADMIN'|'SUPER_ADMIN', status: 'ACTIVE'|'INACTIVE'|'INVITED', department: string|null }} admin
+ * @property {{ accessToken: string, refreshToken: string }} [tokens]
+ * @property {string} [csrfToken]
+ * @property {Array<string>} [recoveryCodes]
+ */
+
+/**
+ * Complete an admin sign-in with a two-factor code
+ * POST /auth/admin/login/2fa
+ * @param {AdminLoginTwoFactorBody} body
+ * @param {RequestConfig} [config]
+ * @returns {ApiResponse<AdminLoginTwoFactorResponse>}
+ */
+export const adminLoginTwoFactor = (body, config) =>
+  api.post('/auth/admin/login/2fa', body, config);
+
+/**
+ * @typedef {Object} SetupTwoFactorWithChallengeBody
+ * @property {string} challengeToken
+ */
+
+/**
+ * @typedef {Object} SetupTwoFactorWithChallengeResponse
+ * @property {string} message
+ * @property {string} secret
+ * @property {string} otpauthUrl
+ */
+
+/**
+ * Start two-factor setup during an admin sign-in
+ * POST /auth/admin/login/2fa/setup
+ * @param {SetupTwoFactorWithChallengeBody} body
+ * @param {RequestConfig} [config]
+ * @returns {ApiResponse<SetupTwoFactorWithChallengeResponse>}
+ */
+export const setupTwoFactorWithChallenge = (body, config) =>
+  api.post('/auth/admin/login/2fa/setup', body, config);
+
+/**
+ * @typedef {Object} GetSiweNonceResponse
+ * @property {string} nonce
+ */
+
+/**
+ * Get a nonce for Sign-In with Ethereum
+ * GET /auth/siwe/nonce
+ * @param {RequestConfig} [config]
+ * @returns {ApiResponse<GetSiweNonceResponse>}
+ */
+export const getSiweNonce = (config) =>
+  api.get('/auth/siwe/nonce', config);
+
+/**
+ * @typedef {Object} SiweLoginBody
+ * @property {string} message
+ * @property {string} signature
+ */
+
+/**
+ * @typedef {Object} SiweLoginResponse
+ * @property {string} message
+ * @property {{ id: string, email: string|null, firstName: string|null, lastName: string|null, role: 'USER'|'PREMIUM_USER'|'MODERATOR', status: 'ACTIVE'|'INACTIVE'|'SUSPENDED'|'PENDING_VERIFICATION' }} user
+ * @property {{ accessToken: string, refreshToken: string }} [tokens]
+ * @property {string} [csrfToken]
+ */
+
+/**
+ * Sign in with Ethereum
+ * POST /auth/siwe/verify
+ * @param {SiweLoginBody} body
+ * @param {RequestConfig} [config]
+ * @returns {ApiResponse<SiweLoginResponse>}
+ */
+export const siweLogin = (body, config) =>
+  api.post('/auth/siwe/verify', body, config);
+
+/**
+ * @typedef {Object} RefreshBody
+ * @property {string} refreshToken
+ */
+
+/**
+ * @typedef {Object} RefreshResponse
+ * @property {string} message
+ * @property {{ accessToken: string, refreshToken: string }} [tokens]
+ * @property {string} [csrfToken]
+ */
+
+/**
+ * Refresh the access token
+ * POST /auth/refresh
+ * @param {RefreshBody} body
+ * @param {RequestConfig} [config]
+ * @returns {ApiResponse<RefreshResponse>}
+ */
+export const refresh = (body, config) =>
+  api.post('/auth/refresh', body, config);
+
+/**
+ * @typedef {Object} VerifyEmailQuery
+ * @property {string} token
+ */
+
+/**
+ * @typedef {Object} VerifyEmailResponse
+ * @property {string} message
+ * @property {{ id: string, email: string|null, firstName: string|null, lastName: string|null, role: 'USER'|'PREMIUM_USER'|'MODERATOR', status: 'ACTIVE'|'INACTIVE'|'SUSPENDED'|'PENDING_VERIFICATION', pendingEmail: string|null, emailVerified: boolean }} user
+ */
+
+/**
+ * Verify an email address
+ * GET /auth/verify-email
+ * @param {VerifyEmailQuery} query
+ * @param {RequestConfig} [config]
+ * @returns {ApiResponse<VerifyEmailResponse>}
+ */
+export const verifyEmail = (query, config) =>
+  api.get('/auth/verify-email', { ...config, params: query });
+
+/**
+ * @typedef {Object} ResendVerificationBody
+ * @property {string} email
+ */
+
+/**
+ * @typedef {Object} ResendVerificationResponse
+ * @property {string} message
+ */
+
+/**
+ * Send the verification email again
+ * POST /auth/resend-verification
+ * @param {ResendVerificationBody} body
+ * @param {RequestConfig} [config]
+ * @returns {ApiResponse<ResendVerificationResponse>}
+ */
+export const resendVerification = (body, config) =>
+  api.post('/auth/resend-verification', body, config);
+
+/**
+ * @typedef {Object} ForgotPasswordBody
+ * @property {string} email
+ */
+
+/**
+ * @typedef {Object} ForgotPasswordResponse
+ * @property {string} message
+ */
+
+/**
+ * Request a password reset
+ * POST /auth/forgot-password
+ * @param {ForgotPasswordBody} body
+ * @param {RequestConfig} [config]
+ * @returns {ApiResponse<ForgotPasswordResponse>}
+ */
+export const forgotPassword = (body, config) =>
+  api.post('/auth/forgot-password', body, config);
+
+/**
+ * @typedef {Object} ResetPasswordBody
+ * @property {string} token
+ * @property {string} password
+ */
+
+/**
+ * @typedef {Object} ResetPasswordResponse
+ * @property {string} message
+ */
+
+/**
+ * Reset a password
+ * POST /auth/reset-password
+ * @param {ResetPasswordBody} body
+ * @param {RequestConfig} [config]
+ * @returns {ApiResponse<ResetPasswordResponse>}
+ */
+export const resetPassword = (body, config) =>
+  api.post('/auth/reset-password', body, config);
+
+/**
+ * @typedef {Object} AcceptAdminInviteBody
+ * @property {string} token
+ * @property {string} password
+ */
+
+/**
+ * @typedef {Object} AcceptAdminInviteResponse
+ * @property {string} message
+ */
+
+/**
+ * Accept an admin invitation
+ * POST /auth/admin/invitations/accept
+ * @param {AcceptAdminInviteBody} body
+ * @param {RequestConfig} [config]
+ * @returns {ApiResponse<AcceptAdminInviteResponse>}
+ */
+export const acceptAdminInvite = (body, config) =>
+  api.post('/auth/admin/invitations/accept', body, config);
+
+/**
+ * @typedef {Object} GetProfileResponse
+ * @property {{ id: string, email: string|null, firstName: string|null, lastName: string|null, role: 'USER'|'PREMIUM_USER'|'MODERATOR', status: 'ACTIVE'|'INACTIVE'|'SUSPENDED'|'PENDING_VERIFICATION', pendingEmail: string|null, createdAt: string, lastLogin: string|null, emailVerified: boolean, deletionScheduledAt: string|null }} user
+ */
+
+/**
+ * Get the signed-in account
+ * GET /auth/profile
+ * @param {RequestConfig} [config]
+ * @returns {ApiResponse<GetProfileResponse>}
+ */
+export const getProfile = (config) =>
+  api.get('/auth/profile', config);
+
+/**
+ * @typedef {Object} UpdateProfileBody
+ * @property {string} [firstName]
+ * @property {string} [lastName]
+ * @property {string} [email]
+ */
+
+/**
+ * @typedef {Object} UpdateProfileResponse
+ * @property {string} message
+ * @property {{ id: string, email: string|null, firstName: string|null, lastName: string|null, role: 'USER'|'PREMIUM_USER'|'MODERATOR', status: 'ACTIVE'|'INACTIVE'|'SUSPENDED'|'PENDING_VERIFICATION', pendingEmail: string|null, createdAt: string, lastLogin: string|null, emailVerified: boolean, deletionScheduledAt: string|null }} user
+ */
+
+/**
+ * Update the signed-in account
+ * PUT /auth/profile
+ * @param {UpdateProfileBody} body
+ * @param {RequestConfig} [config]
+ * @returns {ApiResponse<UpdateProfileResponse>}
+ */
+export const updateProfile = (body, config) =>
+  api.put('/auth/profile', body, config);
+
+/**
+ * @typedef {Object} StopImpersonationResponse
+ * @property {string} message
+ */
+
+/**
+ * End the current impersonation
+ * POST /auth/impersonation/end
+ * @param {RequestConfig} [config]
+ * @returns {ApiResponse<StopImpersonationResponse>}
+ */
+export const stopImpersonation = (config) =>
+  api.post('/auth/impersonation/end', undefined, config);
+
+/**
+ * @typedef {Object} ChangePasswordBody
+ * @property {string} currentPassword
+ * @property {string} newPassword
+ */
+
+/**
+ * @typedef {Object} ChangePasswordResponse
+ * @property {string} message
+ * @property {{ accessToken: string, refreshToken: string }} [tokens]
+ * @property {string} [csrfToken]
+ */
+
+/**
+ * Change the password
+ * PUT /auth/password
+ * @param {ChangePasswordBody} body
+ * @param {RequestConfig} [config]
+ * @returns {ApiResponse<ChangePasswordResponse>}
+ */
+export const changePassword = (body, config) =>
+  api.put('/auth/password', body, config);
+
+/**
+ * @typedef {Object} LogoutBody
+ * @property {string|null} [refreshToken]
+ */
+
+/**
+ * @typedef {Object} LogoutResponse
+ * @property {string} message
+ */
+
+/**
+ * Sign out
+ * POST /auth/logout
+ * @param {LogoutBody} body
+ * @param {RequestConfig} [config]
+ * @returns {ApiResponse<LogoutResponse>}
+ */
+export const logout = (body, config) =>
+  api.post('/auth/logout', body, config);
+
+/**
+ * @typedef {Object} GetSessionsResponse
+ * @property {Array<{ id: string, device: string|null, userAgent: string|null, ipAddress: string|null, lastSeenAt: string, createdAt: string, current: boolean }>} sessions
+ */
+
+/**
+ * List active sessions
+ * GET /auth/sessions
+ * @param {RequestConfig} [config]
+ * @returns {ApiResponse<GetSessionsResponse>}
+ */
+export const getSessions = (config) =>
+  api.get('/auth/sessions', config);
+
+/**
+ * @typedef {Object} DeleteSessionResponse
+ * @property {string} message
+ */
+
+/**
+ * Revoke a session
+ * DELETE /auth/sessions/{id}
+ * @param {string} id
+ * @param {RequestConfig} [config]
+ * @returns {ApiResponse<DeleteSessionResponse>}
+ */
+export const deleteSession = (id, config) =>
+  api.delete(`/auth/sessions/${encodeURIComponent(id)}`, config);
+
+/**
+ * @typedef {Object} GetWalletsResponse
+ * @property {Array<{ id: string, address: string, chainId: number, lastUsedAt: string|null, createdAt: string }>} wallets
+ */
+
+/**
+ * List linked wallets
+ * GET /auth/wallets
+ * @param {RequestConfig} [config]
+ * @returns {ApiResponse<GetWalletsResponse>}
+ */
+export const getWallets = (config) =>
+  api.get('/auth/wallets', config);
+
+/**
+ * @typedef {Object} AddWalletBody
+ * @property {string} message
+ * @property {string} signature
+ */
+
+/**
+ * @typedef {Object} AddWalletResponse
+ * @property {string} message
+ * @property {Array<{ id: string, address: string, chainId: number, lastUsedAt: string|null, createdAt: string }>} wallets
+ */
+
+/**
+ * Link a wallet
+ * POST /auth/wallets
+ * @param {AddWalletBody} body
+ * @param {RequestConfig} [config]
+ * @returns {ApiResponse<AddWalletResponse>}
+ */
+export const addWallet = (body, config) =>
+  api.post('/auth/wallets', body, config);
+
+/**
+ * @typedef {Object} RemoveWalletResponse
+ * @property {string} message
+ * @property {Array<{ id: string, address: string, chainId: number, lastUsedAt: string|null, createdAt: string }>} wallets
+ */
+
+/**
+ * Unlink a wallet
+ * DELETE /auth/wallets/{id}
+ * @param {string} id
+ * @param {RequestConfig} [config]
+ * @returns {ApiResponse<RemoveWalletResponse>}
+ */
+export const removeWallet = (id, config) =>
+  api.delete(`/auth/wallets/${encodeURIComponent(id)}`, config);
+
+/** @typedef {Object<string, *>} ExportAccountDataResponse */
+
+/**
+ * Export the account data
+ * GET /auth/me/export
+ * @param {RequestConfig} [config]
+ * @returns {ApiResponse<ExportAccountDataResponse>}
+ */
+export const exportAccountData = (config) =>
+  api.get('/auth/me/export', config);
+
+/**
+ * @typedef {Object} DeleteAccountBody
+ * @property {string} password
+ */
+
+/**
+ * @typedef {Object} DeleteAccountResponse
+ * @property {string} message
+ * @property {string} deletionScheduledAt
+ */
+
+/**
+ * Schedule the account for deletion
+ * DELETE /auth/me
+ * @param {DeleteAccountBody} body
+ * @param {RequestConfig} [config]
+ * @returns {ApiResponse<DeleteAccountResponse>}
+ */
+export const deleteAccount = (body, config) =>
+  api.delete('/auth/me', { ...config, data: body });
+
+/**
+ * @typedef {Object} CancelAccountDeletionResponse
+ * @property {string} message
+ */
+
+/**
+ * Cancel a scheduled account deletion
+ * POST /auth/me/deletion/cancel
+ * @param {RequestConfig} [config]
+ * @returns {ApiResponse<CancelAccountDeletionResponse>}
+ */
+export const cancelAccountDeletion = (config) =>
+  api.post('/auth/me/deletion/cancel', undefined, config);
+
+/**
+ * @typedef {Object} GetTokensResponse
+ * @property {Array<{ id: string, name: string, prefix: string, scopes: Array<'profile:read'|'projects:read'|'projects:write'|'admin:stats'|'admin:users'|'admin:projects'>, expiresAt: string|null, lastUsedAt: string|null, createdAt: string }>} tokens
+ * @property {Array<'profile:read'|'projects:read'|'projects:write'|'admin:stats'|'admin:users'|'admin:projects'>} availableScopes
+ */
+
+/**
+ * List personal access tokens
+ * GET /auth/tokens
+ * @param {RequestConfig} [config]
+ * @returns {ApiResponse<GetTokensResponse>}
+ */
+export const getTokens = (config) =>
+  api.get('/auth/tokens', config);
+
+/**
+ * @typedef {Object} CreateTokenBody
+ * @property {string} name
+ * @property {Array<string>} scopes
+ * @property {number} [expiresInDays]
+ */
+
+/**
+ * @typedef {Object} CreateTokenResponse
+ * @property {string} message
+ * @property {string} token
+ * @property {{ id: string, name: string, prefix: string, scopes: Array<'profile:read'|'projects:read'|'projects:write'|'admin:stats'|'admin:users'|'admin:projects'>, expiresAt: string|null, lastUsedAt: string|null, createdAt: string }} accessToken
+ */
+
+/**
+ * Create a personal access token
+ * POST /auth/tokens
+ * @param {CreateTokenBody} body
+ * @param {RequestConfig} [config]
+ * @returns {ApiResponse<CreateTokenResponse>}
+ */
+export const createToken = (body, config) =>
+  api.post('/auth/tokens', body, config);
+
+/**
+ * @typedef {Object} DeleteTokenResponse
+ * @property {string} message
+ */
+
+/**
+ * Revoke a personal access token
+ * DELETE /auth/tokens/{id}
+ * @param {string} id
+ * @param {RequestConfig} [config]
+ * @returns {ApiResponse<DeleteTokenResponse>}
+ */
+export const deleteToken = (id, config) =>
+  api.delete(`/auth/tokens/${encodeURIComponent(id)}`, config);
+
+/**
+ * @typedef {Object} GetAdminAccessResponse
+ * @property {string} message
+ * @property {{ id: string, email: string, name: string, role: 'ADMIN'|'SUPER_ADMIN', status: 'ACTIVE'|'INACTIVE'|'INVITED', department: string|null, permissions: Array<string> }} admin
+ */
+
+/**
+ * Get the signed-in admin's permissions
+ * GET /auth/admin/access
+ * @param {RequestConfig} [config]
+ * @returns {ApiResponse<GetAdminAccessResponse>}
+ */
+export const getAdminAccess = (config) =>
+  api.get('/auth/admin/access', config);
+
+/**
+ * @typedef {Object} GetTwoFactorStatusResponse
+ * @property {{ enabled: boolean, required: boolean, recoveryCodesRemaining: number }} twoFactor
+ */
+
+/**
+ * Get the two-factor status
+ * GET /auth/admin/2fa
+ * @param {RequestConfig} [config]
+ * @returns {ApiResponse<GetTwoFactorStatusResponse>}
+ */
+export const getTwoFactorStatus = (config) =>
+  api.get('/auth/admin/2fa', config);
+
+/**
+ * @typedef {Object} SetupTwoFactorResponse
+ * @property {string} message
+ * @property {string} secret
+ * @property {string} otpauthUrl
+ */
+
+/**
+ * Start two-factor setup
+ * POST /auth/admin/2fa/setup
+ * @param {RequestConfig} [config]
+ * @returns {ApiResponse<SetupTwoFactorResponse>}
+ */
+export const setupTwoFactor = (config) =>
+  api.post('/auth/admin/2fa/setup', undefined, config);
+
+/**
+ * @typedef {Object} EnableTwoFactorBody
+ * @property {string} code
+ */
+
+/**
+ * @typedef {Object} EnableTwoFactorResponse
+ * @property {string} message
+ * @property {Array<string>} recoveryCodes
+ */
+
+/**
+ * Enable two-factor authentication
+ * POST /auth/admin/2fa/enable
+ * @param {EnableTwoFactorBody} body
+ * @param {RequestConfig} [config]
+ * @returns {ApiResponse<EnableTwoFactorResponse>}
+ */
+export const enableTwoFactor = (body, config) =>
+  api.post('/auth/admin/2fa/enable', body, config);
+
+/**
+ * @typedef {Object} RegenerateRecoveryCodesBody
+ * @property {string} code
+ */
+
+/**
+ * @typedef {Object} RegenerateRecoveryCodesResponse
+ * @property {string} message
+ * @property {Array<string>} recoveryCodes
+ */
+
+/**
+ * Generate new recovery codes
+ * POST /auth/admin/2fa/recovery-codes
+ * @param {RegenerateRecoveryCodesBody} body
+ * @param {RequestConfig} [config]
+ * @returns {ApiResponse<RegenerateRecoveryCodesResponse>}
+ */
+export const regenerateRecoveryCodes = (body, config) =>
+  api.post('/auth/admin/2fa/recovery-codes', body, config);
+
+/**
+ * @typedef {Object} DisableTwoFactorBody
+ * @property {string} password
+ * @property {string} code
+ */
+
+/**
+ * @typedef {Object} DisableTwoFactorResponse
+ * @property {string} message
+ */
+
+/**
+ * Disable two-factor authentication
+ * POST /auth/admin/2fa/disable
+ * @param {DisableTwoFactorBody} body
+ * @param {RequestConfig} [config]
+ * @returns {ApiResponse<DisableTwoFactorResponse>}
+ */
+export const disableTwoFactor = (body, config) =>
+  api.post('/auth/admin/2fa/disable', body, config);
+
+// Admin
+
+/**
+ * @typedef {Object} GetAdminStatsResponse
+ * @property {{ users: { total: number, byStatus: Object<string, number>, recentSignups: number }, projects: { total: number, byStatus: Object<string, number> }, admins: { total: number } }} stats
+ */
+
+/**
+ * Dashboard statistics
+ * GET /admin/stats
+ * @param {RequestConfig} [config]
+ * @returns {ApiResponse<GetAdminStatsResponse>}
+ */
+export const getAdminStats = (config) =>
+  api.get('/admin/stats', config);
+
+/**
+ * @typedef {Object} GetAdminUsersQuery
+ * @property {number} [page]
+ * @property {number} [limit]
+ * @property {string} [search]
+ * @property {'ACTIVE'|'INACTIVE'|'SUSPENDED'|'PENDING_VERIFICATION'} [status]
+ */
+
+/**
+ * @typedef {Object} GetAdminUsersResponse
+ * @property {Array<{ id: string, email: string|null, firstName: string|null, lastName: string|null, role: 'USER'|'PREMIUM_USER'|'MODERATOR', status: 'ACTIVE'|'INACTIVE'|'SUSPENDED'|'PENDING_VERIFICATION', emailVerified: boolean, failedLoginAttempts: number, lockedUntil: string|null, createdAt: string, lastLogin: string|null, _count: { projects: number } }>} users
+ * @property {{ page: number, limit: number, total: number, pages: number }} pagination
+ */
+
+/**
+ * List users
+ * GET /admin/users
+ * @param {GetAdminUsersQuery} [query]
+ * @param {RequestConfig} [config]
+ * @returns {ApiResponse<GetAdminUsersResponse>}
+ */
+export const getAdminUsers = (query, config) =>
+  api.get('/admin/users', { ...config, params: query });
+
+/**
+ * @typedef {Object} GetAdminUserResponse
+ * @property {{ id: string, email: string|null, firstName: string|null, lastName: string|null, role: 'USER'|'PREMIUM_USER'|'MODERATOR', status: 'ACTIVE'|'INACTIVE'|'SUSPENDED'|'PENDING_VERIFICATION', emailVerified: boolean, failedLoginAttempts: number, lockedUntil: string|null, createdAt: string, lastLogin: string|null, projects: Array<{ id: string, title: string, status: 'DRAFT'|'PUBLISHED'|'ARCHIVED'|'UNDER_REVIEW', createdAt: string }> }} user
+ */
+
+/**
+ * Get a user
+ * GET /admin/users/{id}
+ * @param {string} id
+ * @param {RequestConfig} [config]
+ * @returns {ApiResponse<GetAdminUserResponse>}
+ */
+export const getAdminUser = (id, config) =>
+  api.get(`/admin/users/${encodeURIComponent(id)}`, config);
+
+/**
+ * @typedef {Object} DeleteUserResponse
+ * @property {string} message
+ */
+
+/**
+ * Delete a user
+ * DELETE /admin/users/{id}
+ * @param {string} id
+ * @param {RequestConfig} [config]
+ * @returns {ApiResponse<DeleteUserResponse>}
+ */
+export const deleteUser = (id, config) =>
+  api.delete(`/admin/users/${encodeURIComponent(id)}`, config);
+
+/**
+ * @typedef {Object} UpdateUserStatusBody
+ * @property {'ACTIVE'|'INACTIVE'|'SUSPENDED'|'PENDING_VERIFICATION'} status
+ */
+
+/**
+ * @typedef {Object} UpdateUserStatusResponse
+ * @property {string} message
+ * @property {{ id: string, email: string|null, firstName: string|null, lastName: string|null, status: 'ACTIVE'|'INACTIVE'|'SUSPENDED'|'PENDING_VERIFICATION' }} user
+ */
+
+/**
+ * Change a user's status
+ * PATCH /admin/users/{id}/status
+ * @param {string} id
+ * @param {UpdateUserStatusBody} body
+ * @param {RequestConfig} [config]
+ * @returns {ApiResponse<UpdateUserStatusResponse>}
+ */
+export const updateUserStatus = (id, body, config) =>
+  api.patch(`/admin/users/${encodeURIComponent(id)}/status`, body, config);
+
+/**
+ * @typedef {Object} UnlockUserResponse
+ * @property {string} message
+ */
+
+/**
+ * Unlock a locked-out user
+ * POST /admin/users/{id}/unlock
+ * @param {string} id
+ * @param {RequestConfig} [config]
+ * @returns {ApiResponse<UnlockUserResponse>}
+ */
+export const unlockUser = (id, config) =>
+  api.post(`/admin/users/${encodeURIComponent(id)}/unlock`, undefined, config);
+
+/**
+ * @typedef {Object} ImpersonateUserBody
+ * @property {string} [reason]
+ */
+
+/**
+ * @typedef {Object} ImpersonateUserResponse
+ * @property {string} message
+ * @property {{ id: string, expiresAt: string }} impersonation
+ * @property {{ id: string, email: string|null, firstName: string|null, lastName: string|null, role: 'USER'|'PREMIUM_USER'|'MODERATOR' }} user
+ * @property {string} accessToken
+ */
+
+/**
+ * Start impersonating a user
+ * POST /admin/users/{id}/impersonate
+ * @param {string} id
+ * @param {ImpersonateUserBody} body
+ * @param {RequestConfig} [config]
+ * @returns {ApiResponse<ImpersonateUserResponse>}
+ */
+export const impersonateUser = (id, body, config) =>
+  api.post(`/admin/users/${encodeURIComponent(id)}/impersonate`, body, config);
+
+/**
+ * @typedef {Object} GetImpersonationsQuery
+ * @property {string} [adminId]
+ * @property {string} [userId]
+ */
+
+/**
+ * @typedef {Object} GetImpersonationsResponse
+ * @property {Array<{ id: string, adminId: string, userId: string, reason: string|null, ipAddress: string|null, userAgent: string|null, expiresAt: string, endedAt: string|null, createdAt: string, _count: { requests: number } }>} impersonations
+ */
+
+/**
+ * List impersonations
+ * GET /admin/impersonations
+ * @param {GetImpersonationsQuery} [query]
+ * @param {RequestConfig} [config]
+ * @returns {ApiResponse<GetImpersonationsResponse>}
+ */
+export const getImpersonations = (query, config) =>
+  api.get('/admin/impersonations', { ...config, params: query });
+
+/**
+ * @typedef {Object} GetImpersonationResponse
+ * @property {{ id: string, adminId: string, userId: string, reason: string|null, ipAddress: string|null, userAgent: string|null, expiresAt: string, endedAt: string|null, createdAt: string, requests: Array<{ id: string, impersonationId: string, method: string, path: string, statusCode: number|null, createdAt: string }> }} impersonation
+ */
+
+/**
+ * Get an impersonation
+ * GET /admin/impersonations/{id}
+ * @param {string} id
+ * @param {RequestConfig} [config]
+ * @returns {ApiResponse<GetImpersonationResponse>}
+ */
+export const getImpersonation = (id, config) =>
+  api.get(`/admin/impersonations/${encodeURIComponent(id)}`, config);
+
+/**
+ * @typedef {Object} GetAdminProjectsQuery
+ * @property {number} [page]
+ * @property {number} [limit]
+ * @property {string} [search]
+ * @property {'DRAFT'|'PUBLISHED'|'ARCHIVED'|'UNDER_REVIEW'} [status]
+ */
+
+/**
+ * @typedef {Object} GetAdminProjectsResponse
+ * @property {Array<{ id: string, title: string, description: string|null, isPublic: boolean, status: 'DRAFT'|'PUBLISHED'|'ARCHIVED'|'UNDER_REVIEW', createdAt: string, updatedAt: string, user: { id: string, firstName: string|null, lastName: string|null, email: string|null } }>} projects
+ * @property {{ page: number, limit: number, total: number, pages: number }} pagination
+ */
+
+/**
+ * List projects
+ * GET /admin/projects
+ * @param {GetAdminProjectsQuery} [query]
+ * @param {RequestConfig} [config]
+ * @returns {ApiResponse<GetAdminProjectsResponse>}
+ */
+export const getAdminProjects = (query, config) =>
+  api.get('/admin/projects', { ...config, params: query });
+
+/**
+ * @typedef {Object} UpdateProjectStatusBody
+ * @property {'DRAFT'|'PUBLISHED'|'ARCHIVED'|'UNDER_REVIEW'} status
+ */
+
+/**
+ * @typedef {Object} UpdateProjectStatusResponse
+ * @property {string} message
+ * @property {{ id: string, title: string, status: 'DRAFT'|'PUBLISHED'|'ARCHIVED'|'UNDER_REVIEW' }} project
+ */
+
+/**
+ * Change a project's status
+ * PATCH /admin/projects/{id}/status
+ * @param {string} id
+ * @param {UpdateProjectStatusBody} body
+ * @param {RequestConfig} [config]
+ * @returns {ApiResponse<UpdateProjectStatusResponse>}
+ */
+export const updateProjectStatus = (id, body, config) =>
+  api.patch(`/admin/projects/${encodeURIComponent(id)}/status`, body, config);
+
+/**
+ * @typedef {Object} DeleteAdminProjectResponse
+ * @property {string} message
+ */
+
+/**
+ * Delete a project
+ * DELETE /admin/projects/{id}
+ * @param {string} id
+ * @param {RequestConfig} [config]
+ * @returns {ApiResponse<DeleteAdminProjectResponse>}
+ */
+export const deleteAdminProject = (id, config) =>
+  api.delete(`/admin/projects/${encodeURIComponent(id)}`, config);
+
+/**
+ * @typedef {Object} GetDeletedUsersQuery
+ * @property {number} [page]
+ * @property {number} [limit]
+ */
+
+/**
+ * @typedef {Object} GetDeletedUsersResponse
+ * @property {Array<{ id: string, email: string|null, firstName: string|null, lastName: string|null, role: 'USER'|'PREMIUM_USER'|'MODERATOR', status: 'ACTIVE'|'INACTIVE'|'SUSPENDED'|'PENDING_VERIFICATION', createdAt: string, deletedAt: string, deletedById: string|null }>} users
+ * @property {number} retentionDays
+ * @property {{ page: number, limit: number, total: number, pages: number }} pagination
+ */
+
+/**
+ * List deleted users
+ * GET /admin/trash/users
+ * @param {GetDeletedUsersQuery} [query]
+ * @param {RequestConfig} [config]
+ * @returns {ApiResponse<GetDeletedUsersResponse>}
+ */
+export const getDeletedUsers = (query, config) =>
+  api.get('/admin/trash/users', { ...config, params: query });
+
+/**
+ * @typedef {Object} RestoreUserResponse
+ * @property {string} message
+ */
+
+/**
+ * Restore a deleted user
+ * POST /admin/users/{id}/restore
+ * @param {string} id
+ * @param {RequestConfig} [config]
+ * @returns {ApiResponse<RestoreUserResponse>}
+ */
+export const restoreUser = (id, config) =>
+  api.post(`/admin/users/${encodeURIComponent(id)}/restore`, undefined, config);
+
+/**
+ * @typedef {Object} GetDeletedProjectsQuery
+ * @property {number} [page]
+ * @property {number} [limit]
+ */
+
+/**
+ * @typedef {Object} GetDeletedProjectsResponse
+ * @property {Array<{ id: string, name: string, symbol: string, status: string, createdAt: string, deletedAt: string, deletedById: string|null }>} projects
+ * @property {number} retentionDays
+ * @property {{ page: number, limit: number, total: number, pages: number }} pagination
+ */
+
+/**
+ * List deleted projects
+ * GET /admin/trash/projects
+ * @param {GetDeletedProjectsQuery} [query]
+ * @param {RequestConfig} [config]
+ * @returns {ApiResponse<GetDeletedProjectsResponse>}
+ */
+export const getDeletedProjects = (query, config) =>
+  api.get('/admin/trash/projects', { ...config, params: query });
+
+/**
+ * @typedef {Object} RestoreProjectResponse
+ * @property {string} message
+ */
+
+/**
+ * Restore a deleted project
+ * POST /admin/projects/{id}/restore
+ * @param {string} id
+ * @param {RequestConfig} [config]
+ * @returns {ApiResponse<RestoreProjectResponse>}
+ */
+export const restoreProject = (id, config) =>
+  api.post(`/admin/projects/${encodeURIComponent(id)}/restore`, undefined, config);
+
+/**
+ * @typedef {Object} GetPermissionsResponse
+ * @property {Array<{ name: string, description: string }>} permissions
+ */
+
+/**
+ * List permissions
+ * GET /admin/permissions
+ * @param {RequestConfig} [config]
+ * @returns {ApiResponse<GetPermissionsResponse>}
+ */
+export const getPermissions = (config) =>
+  api.get('/admin/permissions', config);
+
+/**
+ * @typedef {Object} GetRolesResponse
+ * @property {Array<{ id: string, name: string, description: string|null, permissions: Array<string>, builtIn: boolean, adminCount: number, createdAt: string, updatedAt: string }>} roles
+ */
+
+/**
+ * List roles
+ * GET /admin/roles
+ * @param {RequestConfig} [config]
+ * @returns {ApiResponse<GetRolesResponse>}
+ */
+export const getRoles = (config) =>
+  api.get('/admin/roles', config);
+
+/**
+ * @typedef {Object} CreateRoleBody
+ * @property {string} name
+ * @property {string} [description]
+ * @property {Array<string>} permissions
+ */
+
+/**
+ * @typedef {Object} CreateRoleResponse
+ * @property {string} message
+ * @property {{ id: string, name: string, description: string|null, permissions: Array<string>, builtIn: boolean, adminCount: number, createdAt: string, updatedAt: string }} role
+ */
+
+/**
+ * Create a role
+ * POST /admin/roles
+ * @param {CreateRoleBody} body
+ * @param {RequestConfig} [config]
+ * @returns {ApiResponse<CreateRoleResponse>}
+ */
+export const createRole = (body, config) =>
+  api.post('/admin/roles', body, config);
+
+/**
+ * @typedef {Object} GetRoleResponse
+ * @property {{ id: string, name: string, description: string|null, permissions: Array<string>, builtIn: boolean, adminCount: number, createdAt: string, updatedAt: string }} role
+ */
+
+/**
+ * Get a role
+ * GET /admin/roles/{id}
+ * @param {string} id
+ * @param {RequestConfig} [config]
+ * @returns {ApiResponse<GetRoleResponse>}
+ */
+export const getRole = (id, config) =>
+  api.get(`/admin/roles/${encodeURIComponent(id)}`, config);
+
+/**
+ * @typedef {Object} UpdateRoleBody
+ * @property {string} [name]
+ * @property {string} [description]
+ * @property {Array<string>} [permissions]
+ */
+
+/**
+ * @typedef {Object} UpdateRoleResponse
+ * @property {string} message
+ * @property {{ id: string, name: string, description: string|null, permissions: Array<string>, builtIn: boolean, adminCount: number, createdAt: string, updatedAt: string }} role
+ */
+
+/**
+ * Update a role
+ * PUT /admin/roles/{id}
+ * @param {string} id
+ * @param {UpdateRoleBody} body
+ * @param {RequestConfig} [config]
+ * @returns {ApiResponse<UpdateRoleResponse>}
+ */
+export const updateRole = (id, body, config) =>
+  api.put(`/admin/roles/${encodeURIComponent(id)}`, body, config);
+
+/**
+ * @typedef {Object} DeleteRoleResponse
+ * @property {string} message
+ */
+
+/**
+ * Delete a role
+ * DELETE /admin/roles/{id}
+ * @param {string} id
+ * @param {RequestConfig} [config]
+ * @returns {ApiResponse<DeleteRoleResponse>}
+ */
+export const deleteRole = (id, config) =>
+  api.delete(`/admin/roles/${encodeURIComponent(id)}`, config);
+
+/**
+ * @typedef {Object} GetAdminsResponse
+ * @property {Array<{ id: string, email: string, name: string, role: 'ADMIN'|'SUPER_ADMIN', status: 'ACTIVE'|'INACTIVE'|'INVITED', department: string|null, roleId: string|null, assignedRole: { id: string, name: string }|null, permissions: string|null, twoFactorEnabled: boolean, inviteTokenExpiry: string|null, invitedById: string|null, lastLogin: string|null, createdAt: string }>} admins
+ */
+
+/**
+ * List admins
+ * GET /admin/admins
+ * @param {RequestConfig} [config]
+ * @returns {ApiResponse<GetAdminsResponse>}
+ */
+export const getAdmins = (config) =>
+  api.get('/admin/admins', config);
+
+/**
+ * @typedef {Object} InviteAdminBody
+ * @property {string} email
+ * @property {string} name
+ * @property {'ADMIN'|'SUPER_ADMIN'} [role]
+ * @property {string|null} [roleId]
+ * @property {string|null} [department]
+ */
+
+/**
+ * @typedef {Object} InviteAdminResponse
+ * @property {string} message
+ * @property {{ id: string, email: string, name: string, role: 'ADMIN'|'SUPER_ADMIN', status: 'ACTIVE'|'INACTIVE'|'INVITED', department: string|null, roleId: string|null, assignedRole: { id: string, name: string }|null, permissions: string|null, twoFactorEnabled: boolean, inviteTokenExpiry: string|null, invitedById: string|null, lastLogin: string|null, createdAt: string }} admin
+ */
+
+/**
+ * Invite an admin
+ * POST /admin/admins
+ * @param {InviteAdminBody} body
+ * @param {RequestConfig} [config]
+ * @returns {ApiResponse<InviteAdminResponse>}
+ */
+export const inviteAdmin = (body, config) =>
+  api.post('/admin/admins', body, config);
+
+/**
+ * @typedef {Object} GetAdminResponse
+ * @property {{ id: string, email: string, name: string, role: 'ADMIN'|'SUPER_ADMIN', status: 'ACTIVE'|'INACTIVE'|'INVITED', department: string|null, roleId: string|null, assignedRole: { id: string, name: string }|null, permissions: string|null, twoFactorEnabled: boolean, inviteTokenExpiry: string|null, invitedById: string|null, lastLogin: string|null, createdAt: string }} admin
+ */
+
+/**
+ * Get an admin
+ * GET /admin/admins/{id}
+ * @param {string} id
+ * @param {RequestConfig} [config]
+ * @returns {ApiResponse<GetAdminResponse>}
+ */
+export const getAdmin = (id, config) =>
+  api.get(`/admin/admins/${encodeURIComponent(id)}`, config);
+
+/**
+ * @typedef {Object} UpdateAdminBody
+ * @property {string} [name]
+ * @property {'ADMIN'|'SUPER_ADMIN'} [role]
+ * @property {string|null} [roleId]
+ * @property {string|null} [department]
+ * @property {Array<string>|null} [permissions]
+ */
+
+/**
+ * @typedef {Object} UpdateAdminResponse
+ * @property {string} message
+ * @property {{ id: string, email: string, name: string, role: 'ADMIN'|'SUPER_ADMIN', status: 'ACTIVE'|'INACTIVE'|'INVITED', department: string|null, roleId: string|null, assignedRole: { id: string, name: string }|null, permissions: string|null, twoFactorEnabled: boolean, inviteTokenExpiry: string|null, invitedById: string|null, lastLogin: string|null, createdAt: string }} admin
+ */
+
+/**
+ * Update an admin
+ * PATCH /admin/admins/{id}
+ * @param {string} id
+ * @param {UpdateAdminBody} body
+ * @param {RequestConfig} [config]
+ * @returns {ApiResponse<UpdateAdminResponse>}
+ */
+export const updateAdmin = (id, body, config) =>
+  api.patch(`/admin/admins/${encodeURIComponent(id)}`, body, config);
+
+/**
+ * @typedef {Object} DeleteAdminInvitationResponse
+ * @property {string} message
+ */
+
+/**
+ * Withdraw an admin invitation
+ * DELETE /admin/admins/{id}
+ * @param {string} id
+ * @param {RequestConfig} [config]
+ * @returns {ApiResponse<DeleteAdminInvitationResponse>}
+ */
+export const deleteAdminInvitation = (id, config) =>
+  api.delete(`/admin/admins/${encodeURIComponent(id)}`, config);
+
+/**
+ * @typedef {Object} UpdateAdminStatusBody
+ * @property {'ACTIVE'|'INACTIVE'} status
+ */
+
+/**
+ * @typedef {Object} UpdateAdminStatusResponse
+ * @property {string} message
+ * @property {{ id: string, email: string, name: string, role: 'ADMIN'|'SUPER_ADMIN', status: 'ACTIVE'|'INACTIVE'|'INVITED', department: string|null, roleId: string|null, assignedRole: { id: string, name: string }|null, permissions: string|null, twoFactorEnabled: boolean, inviteTokenExpiry: string|null, invitedById: string|null, lastLogin: string|null, createdAt: string }} admin
+ */
+
+/**
+ * Change an admin's status
+ * PATCH /admin/admins/{id}/status
+ * @param {string} id
+ * @param {UpdateAdminStatusBody} body
+ * @param {RequestConfig} [config]
+ * @returns {ApiResponse<UpdateAdminStatusResponse>}
+ */
+export const updateAdminStatus = (id, body, config) =>
+  api.patch(`/admin/admins/${encodeURIComponent(id)}/status`, body, config);
+
+/**
+ * @typedef {Object} ResendAdminInvitationResponse
+ * @property {string} message
+ */
+
+/**
+ * Send an admin invitation again
+ * POST /admin/admins/{id}/resend-invite
+ * @param {string} id
+ * @param {RequestConfig} [config]
+ * @returns {ApiResponse<ResendAdminInvitationResponse>}
+ */
+export const resendAdminInvitation = (id, config) =>
+  api.post(`/admin/admins/${encodeURIComponent(id)}/resend-invite`, undefined, config);
+
+/**
+ * @typedef {Object} GetAuditLogsQuery
+ * @property {number} [page]
+ * @property {number} [limit]
+ * @property {string} [actorId]
+ * @property {string} [action]
+ * @property {string} [targetType]
+ * @property {string} [targetId]
+ * @property {string} [from]
+ * @property {string} [to]
+ */
+
+/**
+ * @typedef {Object} GetAuditLogsResponse
+ * @property {Array<{ id: string, actorId: string, actorRole: string, actor: { id: string, name: string, email: string }|null, action: string, targetType: string, targetId: string, changes: Object<string, { before?: *, after?: * }>|null, ipAddress: string|null, userAgent: string|null, createdAt: string }>} logs
+ * @property {{ page: number, limit: number, total: number, pages: number }} pagination
+ */
+
+/**
+ * Search the audit log
+ * GET /admin/audit-logs
+ * @param {GetAuditLogsQuery} [query]
+ * @param {RequestConfig} [config]
+ * @returns {ApiResponse<GetAuditLogsResponse>}
+ */
+export const getAuditLogs = (query, config) =>
+  api.get('/admin/audit-logs', { ...config, params: query });
+
+// Projects
+
+/**
+ * @typedef {Object} GetPublicProjectsQuery
+ * @property {number} [page]
+ * @property {number} [limit]
+ * @property {string} [search]
+ * @property {string} [category]
+ */
+
+/**
+ * @typedef {Object} GetPublicProjectsResponse
+ * @property {Array<{ id: string, title: string, description: string|null, category: string|null, tags: Array<string>|null, createdAt: string, updatedAt: string, user: { id: string, firstName: string|null, lastName: string|null } }>} projects
+ * @property {{ page: number, limit: number, total: number, pages: number }} pagination
+ */
+
+/**
+ * List public projects
+ * GET /projects/public
+ * @param {GetPublicProjectsQuery} [query]
+ * @param {RequestConfig} [config]
+ * @returns {ApiResponse<GetPublicProjectsResponse>}
+ */
+export const getPublicProjects = (query, config) =>
+  api.get('/projects/public', { ...config, params: query });
+
+/**
+ * @typedef {Object} GetPublicProjectResponse
+ * @property {{ id: string, title: string, description: string|null, category: string|null, tags: Array<string>|null, isPublic: boolean, status: 'DRAFT'|'PUBLISHED'|'ARCHIVED'|'UNDER_REVIEW', createdAt: string, updatedAt: string, user: { id: string, firstName: string|null, lastName: string|null }, content: string|null, userId: string }} project
+ */
+
+/**
+ * Get a public project
+ * GET /projects/public/{id}
+ * @param {string} id
+ * @param {RequestConfig} [config]
+ * @returns {ApiResponse<GetPublicProjectResponse>}
+ */
+export const getPublicProject = (id, config) =>
+  api.get(`/projects/public/${encodeURIComponent(id)}`, config);
+
+/**
+ * @typedef {Object} GetProjectsQuery
+ * @property {number} [page]
+ * @property {number} [limit]
+ * @property {string} [search]
+ * @property {string} [category]
+ * @property {'DRAFT'|'PUBLISHED'|'ARCHIVED'|'UNDER_REVIEW'} [status]
+ */
+
+/**
+ * @typedef {Object} GetProjectsResponse
+ * @property {Array<{ id: string, title: string, description: string|null, category: string|null, tags: Array<string>|null, isPublic: boolean, status: 'DRAFT'|'PUBLISHED'|'ARCHIVED'|'UNDER_REVIEW', createdAt: string, updatedAt: string, user: { id: string, firstName: string|null, lastName: string|null } }>} projects
+ * @property {{ page: number, limit: number, total: number, pages: number }} pagination
+ */
+
+/**
+ * List projects
+ * GET /projects
+ * @param {GetProjectsQuery} [query]
+ * @param {RequestConfig} [config]
+ * @returns {ApiResponse<GetProjectsResponse>}
+ */
+export const getProjects = (query, config) =>
+  api.get('/projects', { ...config, params: query });
+
+/**
+ * @typedef {Object} CreateProjectBody
+ * @property {string} title
+ * @property {string} [description]
+ * @property {string} [content]
+ * @property {string} [category]
+ * @property {Array<string>} [tags]
+ * @property {boolean} [isPublic]
+ * @property {'DRAFT'|'PUBLISHED'|'ARCHIVED'} [status]
+ */
+
+/**
+ * @typedef {Object} CreateProjectResponse
+ * @property {string} message
+ * @property {{ id: string, title: string, description: string|null, category: string|null, tags: Array<string>|null, isPublic: boolean, status: 'DRAFT'|'PUBLISHED'|'ARCHIVED'|'UNDER_REVIEW', createdAt: string, user: { id: string, firstName: string|null, lastName: string|null } }} project
+ */
+
+/**
+ * Create a project
+ * POST /projects
+ * @param {CreateProjectBody} body
+ * @param {RequestConfig} [config]
+ * @returns {ApiResponse<CreateProjectResponse>}
+ */
+export const createProject = (body, config) =>
+  api.post('/projects', body, config);
+
+/**
+ * @typedef {Object} GetProjectResponse
+ * @property {{ id: string, title: string, description: string|null, category: string|null, tags: Array<string>|null, isPublic: boolean, status: 'DRAFT'|'PUBLISHED'|'ARCHIVED'|'UNDER_REVIEW', createdAt: string, updatedAt: string, user: { id: string, firstName: string|null, lastName: string|null }, content: string|null, userId: string }} project
+ */
+
+/**
+ * Get a project
+ * GET /projects/{id}
+ * @param {string} id
+ * @param {RequestConfig} [config]
+ * @returns {ApiResponse<GetProjectResponse>}
+ */
+export const getProject = (id, config) =>
+  api.get(`/projects/${encodeURIComponent(id)}`, config);
+
+/**
+ * @typedef {Object} UpdateProjectBody
+ * @property {string} [title]
+ * @property {string} [description]
+ * @property {string} [content]
+ * @property {string} [category]
+ * @property {Array<string>} [tags]
+ * @property {boolean} [isPublic]
+ * @property {'DRAFT'|'PUBLISHED'|'ARCHIVED'} [status]
+ */
+
+/**
+ * @typedef {Object} UpdateProjectResponse
+ * @property {string} message
+ * @property {{ id: string, title: string, description: string|null, category: string|null, tags: Array<string>|null, isPublic: boolean, status: 'DRAFT'|'PUBLISHED'|'ARCHIVED'|'UNDER_REVIEW', createdAt: string, updatedAt: string, user: { id: string, firstName: string|null, lastName: string|null }, content: string|null }} project
+ */
+
+/**
+ * Update one of your projects
+ * PUT /projects/{id}
+ * @param {string} id
+ * @param {UpdateProjectBody} body
+ * @param {RequestConfig} [config]
+ * @returns {ApiResponse<UpdateProjectResponse>}
+ */
+export const updateProject = (id, body, config) =>
+  api.put(`/projects/${encodeURIComponent(id)}`, body, config);
+
+/**
+ * @typedef {Object} DeleteProjectResponse
+ * @property {string} message
+ */
+
+/**
+ * Delete one of your projects
+ * DELETE /projects/{id}
+ * @param {string} id
+ * @param {RequestConfig} [config]
+ * @returns {ApiResponse<DeleteProjectResponse>}
+ */
+export const deleteProject = (id, config) =>
+  api.delete(`/projects/${encodeURIComponent(id)}`, config);
+
+/**
+ * @typedef {Object} GetMyProjectsQuery
+ * @property {number} [page]
+ * @property {number} [limit]
+ * @property {'DRAFT'|'PUBLISHED'|'ARCHIVED'|'UNDER_REVIEW'} [status]
+ */
+
+/**
+ * @typedef {Object} GetMyProjectsResponse
+ * @property {Array<{ id: string, title: string, description: string|null, category: string|null, tags: Array<string>|null, isPublic: boolean, status: 'DRAFT'|'PUBLISHED'|'ARCHIVED'|'UNDER_REVIEW', createdAt: string, updatedAt: string }>} projects
+ * @property {{ page: number, limit: number, total: number, pages: number }} pagination
+ */
+
+/**
+ * List the signed-in user's projects
+ * GET /projects/user/my-projects
+ * @param {GetMyProjectsQuery} [query]
+ * @param {RequestConfig} [config]
+ * @returns {ApiResponse<GetMyProjectsResponse>}
+ */
+export const getMyProjects = (query, config) =>
+  api.get('/projects/user/my-projects', { ...config, params: query });
@@ -86,14 +86,26 @@ export const HTTP_STATUS = {
   INTERNAL_SERVER_ERROR: 500
 };
 
-// Error Messages
+// Error Messages, keyed by the API error codes. Codes without an entry show
+// the server's message, which is specific to the request.
 export const ERROR_MESSAGES = {
   NETWORK_ERROR: 'Network error. Please check your connection.',
-  UNAUTHORIZED: 'You are not authorized to perform this action.',
-  FORBIDDEN: 'Access denied.',
-  NOT_FOUND: 'The requested resource was not found.',
-  VALIDATION_ERROR: 'Please check your input and try again.',
-  SERVER_ERROR: 'An unexpected error occurred. Please try again later.'
+  INTERNAL_ERROR: 'An unexpected error occurred. Please try again later.',
+  RATE_LIMITED: 'Too many requests. Please wait a moment and try again.',
+  VALIDATION_FAILED: 'Please check your input and try again.',
+  ROUTE_NOT_FOUND: 'The requested resource was not found.',
+  LINK_INVALID_OR_EXPIRED: 'This link is invalid or has expired. Please request a new one.',
+  AUTH_REQUIRED: 'Please sign in to continue.',
+  AUTH_INVALID_CREDENTIALS: 'The credentials you entered are incorrect.',
+  AUTH_TOKEN_INVALID: 'Your session is no longer valid. Please sign in again.',
+  AUTH_TOKEN_EXPIRED: 'Your session has expired. Please sign in again.',
+  AUTH_TOKEN_REVOKED: 'Your session has ended. Please sign in again.',
+  AUTH_CSRF_INVALID: 'Your session could not be verified. Please reload the page.',
+  AUTH_CHALLENGE_INVALID: 'The sign-in attempt expired. Please sign in again.',
+  AUTH_TWO_FACTOR_REQUIRED: 'Two-factor authentication is required for this account.',
+  AUTH_TWO_FACTOR_INVALID: 'Invalid two-factor code.',
+  ACCOUNT_INACTIVE: 'This account is suspended or inactive.',
+  EMAIL_TAKEN: 'An account with this email already exists.'
 };
 
 // Success Messages
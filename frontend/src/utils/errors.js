@@ -0,0 +1,47 @@
+import { ERROR_MESSAGES } from './constants';
+
+// The API answers errors with { error: { code, message, details?, requestId } }
+const getApiError = (error) => error?.response?.data?.error;
+
+export const getErrorCode = (error) => {
+  if (error?.response) {
+    return getApiError(error)?.code;
+  }
+  
+  // The request never got an answer
+  return error?.request ? 'NETWORK_ERROR' : undefined;
+};
+
+// Message to show for a failed request: ours for known codes, otherwise the
+// server's, otherwise the fallback
+export const getErrorMessage = (error, fallback = ERROR_MESSAGES.INTERNAL_ERROR) => {
+  const code = getErrorCode(error);
+  
+  if (ERROR_MESSAGES[code]) {
+    return ERROR_MESSAGES[code];
+  }
+  
+  if (error?.response) {
+    return getApiError(error)?.message || fallback;
+  }
+  
+  // Not a failed request, e.g. a wallet that refused to sign
+  return error?.message || fallback;
+};
+
+// VALIDATION_FAILED details as { [field]: message }, ready for the error prop
+// of Input. Only the first problem of each field is kept.
+export const getFieldErrors = (error) => {
+  const details = getApiError(error)?.details;
+  
+  if (!Array.isArray(details)) {
+    return {};
+  }
+  
+  return details.reduce((fieldErrors, { field, message }) => {
+    if (field && !fieldErrors[field]) {
+      fieldErrors[field] = message;
+    }
+    return fieldErrors;
+  }, {});
+};
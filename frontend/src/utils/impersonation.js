@@ -0,0 +1,46 @@
+// While an admin impersonates a user, their own tokens are parked in
+// localStorage and the impersonation token takes the place of the session.
+// There is no refresh token, so an expired impersonation can't silently turn
+// back into the admin session.
+const STORAGE_KEY = 'impersonation';
+
+export const getImpersonation = () => {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY));
+  } catch (error) {
+    return null;
+  }
+};
+
+export const beginImpersonation = ({ accessToken, user, impersonation }) => {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify({
+    id: impersonation.id,
+    expiresAt: impersonation.expiresAt,
+    user,
+    adminToken: localStorage.getItem('token'),
+    adminRefreshToken: localStorage.getItem('refreshToken')
+  }));
+  
+  localStorage.setItem('token', accessToken);
+  localStorage.removeItem('refreshToken');
+};
+
+// Put the admin's own tokens back. Returns false when not impersonating.
+export const restoreAdminSession = () => {
+  const impersonation = getImpersonation();
+  
+  if (!impersonation) {
+    return false;
+  }
+  
+  // In cookie mode the admin session never left its cookies
+  if (impersonation.adminToken) {
+    localStorage.setItem('token', impersonation.adminToken);
+    localStorage.setItem('refreshToken', impersonation.adminRefreshToken);
+  } else {
+    localStorage.removeItem('token');
+  }
+  localStorage.removeItem(STORAGE_KEY);
+  
+  return true;
+};
@@ -0,0 +1,60 @@
+import { keccak_256 } from '@noble/hashes/sha3';
+import { bytesToHex, utf8ToBytes } from '@noble/hashes/utils';
+import { getSiweNonce } from '../services/apiClient';
+
+// EIP-55 checksum; wallets usually report addresses in lowercase
+export const toChecksumAddress = (address) => {
+  const lower = address.toLowerCase().replace(/^0x/, '');
+  const hash = bytesToHex(keccak_256(utf8ToBytes(lower)));
+  
+  return '0x' + lower
+    .split('')
+    .map((char, i) => (parseInt(hash[i], 16) >= 8 ? char.toUpperCase() : char))
+    .join('');
+};
+
+// EIP-4361 message text
+export const buildSiweMessage = ({ domain, address, statement, uri, chainId, nonce, issuedAt }) => [
+  `${domain} wants you to sign in with your Ethereum account:`,
+  address,
+  '',
+  statement,
+  '',
+  `URI: ${uri}`,
+  'Version: 1',
+  `Chain ID: ${chainId}`,
+  `Nonce: ${nonce}`,
+  `Issued At: ${issuedAt}`
+].join('\n');
+
+// Have the browser wallet sign a Sign-In with Ethereum message for a fresh
+// nonce. Returns the { message, signature } pair the API expects.
+export const signInWithEthereum = async (statement) => {
+  // Injected by browser wallets such as MetaMask
+  const { ethereum } = /** @type {any} */ (window);
+  
+  if (!ethereum) {
+    throw new Error('No Ethereum wallet found. Install MetaMask or another browser wallet.');
+  }
+  
+  const [account] = await ethereum.request({ method: 'eth_requestAccounts' });
+  const chainId = parseInt(await ethereum.request({ method: 'eth_chainId' }), 16);
+  const { data } = await getSiweNonce();
+  
+  const message = buildSiweMessage({
+    domain: window.location.host,
+    address: toChecksumAddress(account),
+    statement,
+    uri: window.location.origin,
+    chainId,
+    nonce: data.nonce,
+    issuedAt: new Date().toISOString()
+  });
+  
+  const signature = await ethereum.request({
+    method: 'personal_sign',
+    params: [`0x${bytesToHex(utf8ToBytes(message))}`, account]
+  });
+  
+  return { message, signature };
+};